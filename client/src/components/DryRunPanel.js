@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import {
+  BeakerIcon,
+  ChevronDownIcon,
+  ChevronUpIcon
+} from '@heroicons/react/24/outline';
+import { feedsAPI, importAPI } from '../utils/api';
+import { formatNumber, formatDuration, formatChangeValue } from '../utils/format';
+import toast from 'react-hot-toast';
+
+const outcomes = [
+  { key: 'new', label: 'Would insert', count: 'newJobs', className: 'text-success-600' },
+  { key: 'updated', label: 'Would update', count: 'updatedJobs', className: 'text-primary-600' },
+  { key: 'unchanged', label: 'Unchanged', count: 'unchangedJobs', className: 'text-gray-500' },
+  { key: 'quarantined', label: 'Quarantined', count: 'quarantinedJobs', className: 'text-warning-600' },
+  { key: 'rejected', label: 'Rejected', count: 'failedJobs', className: 'text-error-600' }
+];
+
+// Preview an import without writing anything: counts per outcome with sample jobs
+export default function DryRunPanel() {
+  const [feeds, setFeeds] = useState([]);
+  const [feedId, setFeedId] = useState('');
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [expandedFeed, setExpandedFeed] = useState(null);
+
+  useEffect(() => {
+    feedsAPI.getFeeds()
+      .then(response => setFeeds(response.data))
+      .catch(error => console.error('Error loading feed sources:', error));
+  }, []);
+
+  const handleDryRun = async () => {
+    try {
+      setRunning(true);
+      setExpandedFeed(null);
+
+      // A single feed responds with its own result; wrap it like a full report
+      if (feedId) {
+        const response = await importAPI.startFeedImport(feedId, { dryRun: true });
+        setReport({ totalFeeds: 1, results: [response.data] });
+      } else {
+        const response = await importAPI.startImport({ dryRun: true });
+        setReport(response.data);
+      }
+    } catch (error) {
+      console.error('Error running dry run:', error);
+      toast.error(`Dry run failed: ${error.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900 flex items-center">
+              <BeakerIcon className="h-5 w-5 mr-2" />
+              Dry Run
+            </h2>
+            <p className="mt-1 text-sm text-gray-500">
+              See what an import would insert, update or reject without writing any jobs
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={feedId}
+              onChange={(e) => setFeedId(e.target.value)}
+              className="select"
+            >
+              <option value="">All enabled feeds</option>
+              {feeds.map(feed => (
+                <option key={feed._id} value={feed._id}>{feed.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleDryRun}
+              disabled={running}
+              className="btn-primary whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {running ? 'Running...' : 'Run Dry Run'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {report && (
+        <div className="card-body">
+          {report.results.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Source</th>
+                    <th className="table-header-cell">Fetched</th>
+                    {outcomes.map(outcome => (
+                      <th key={outcome.key} className="table-header-cell">{outcome.label}</th>
+                    ))}
+                    <th className="table-header-cell">Duration</th>
+                    <th className="table-header-cell">Samples</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {report.results.map((result) => {
+                    const isExpanded = expandedFeed === result.feedId;
+
+                    return (
+                      <>
+                        <tr key={result.feedId} className="table-row">
+                          <td className="table-cell font-medium">{result.feed}</td>
+                          {result.success ? (
+                            <>
+                              <td className="table-cell">{formatNumber(result.jobsFetched)}</td>
+                              {outcomes.map(outcome => (
+                                <td key={outcome.key} className={`table-cell font-medium ${outcome.className}`}>
+                                  {formatNumber(result[outcome.count])}
+                                </td>
+                              ))}
+                              <td className="table-cell">{formatDuration(result.duration)}</td>
+                              <td className="table-cell">
+                                <button
+                                  onClick={() => setExpandedFeed(isExpanded ? null : result.feedId)}
+                                  className="text-gray-400 hover:text-gray-600"
+                                >
+                                  {isExpanded ? (
+                                    <ChevronUpIcon className="h-4 w-4" />
+                                  ) : (
+                                    <ChevronDownIcon className="h-4 w-4" />
+                                  )}
+                                </button>
+                              </td>
+                            </>
+                          ) : (
+                            <td colSpan="8" className="table-cell text-error-600">
+                              Failed: {result.error}
+                            </td>
+                          )}
+                        </tr>
+
+                        {/* Expanded row with sample jobs per outcome */}
+                        {isExpanded && (
+                          <tr>
+                            <td colSpan="9" className="bg-gray-50 px-6 py-4">
+                              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                                {outcomes.map(outcome => (
+                                  <div key={outcome.key}>
+                                    <h4 className={`font-medium mb-2 ${outcome.className}`}>
+                                      {outcome.label} ({formatNumber(result[outcome.count])})
+                                    </h4>
+                                    {result.samples[outcome.key].length > 0 ? (
+                                      <div className="space-y-2">
+                                        {result.samples[outcome.key].map((sample, index) => (
+                                          <div key={index} className="bg-white p-3 rounded border">
+                                            <p className="font-medium text-gray-900">
+                                              {sample.title || 'Untitled Job'}
+                                            </p>
+                                            <p className="text-sm text-gray-500">
+                                              {[sample.company, sample.location].filter(Boolean).join(' · ')}
+                                              {sample.company || sample.location ? ' · ' : ''}GUID: {sample.guid}
+                                            </p>
+                                            {sample.changes && (
+                                              <ul className="mt-1 space-y-1">
+                                                {sample.changes.map(change => (
+                                                  <li key={change.field} className="text-sm text-gray-700">
+                                                    <span className="font-medium capitalize">{change.field}</span>:{' '}
+                                                    <span className="line-through text-gray-400">{formatChangeValue(change.from)}</span>
+                                                    {' → '}
+                                                    <span>{formatChangeValue(change.to)}</span>
+                                                  </li>
+                                                ))}
+                                              </ul>
+                                            )}
+                                            {sample.reasons && (
+                                              <p className="text-sm text-warning-600 mt-1">
+                                                {sample.reasons.join('; ')}
+                                              </p>
+                                            )}
+                                            {sample.reason && (
+                                              <p className="text-sm text-error-600 mt-1">
+                                                {sample.reason}{sample.error ? `: ${sample.error}` : ''}
+                                              </p>
+                                            )}
+                                          </div>
+                                        ))}
+                                      </div>
+                                    ) : (
+                                      <p className="text-sm text-gray-500">None</p>
+                                    )}
+                                  </div>
+                                ))}
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No enabled feeds to preview.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
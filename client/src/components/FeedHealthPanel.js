@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { HeartIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { feedsAPI } from '../utils/api';
+import { formatDuration, formatNumber, formatRelativeTime, formatDate } from '../utils/format';
+import toast from 'react-hot-toast';
+
+const statusBadges = {
+  healthy: { className: 'badge-success', label: 'Healthy' },
+  degraded: { className: 'badge-warning', label: 'Degraded' },
+  'half-open': { className: 'badge-warning', label: 'Retrying' },
+  open: { className: 'badge-error', label: 'Circuit open' },
+  unknown: { className: 'badge-info', label: 'Not fetched' }
+};
+
+// Fetch health of every feed source: failure streaks, latency, item counts
+// and feeds skipped by their circuit breaker, which can be reset here.
+// Reloads whenever refreshKey changes, e.g. when an import finishes.
+export default function FeedHealthPanel({ refreshKey }) {
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [resettingId, setResettingId] = useState(null);
+
+  useEffect(() => {
+    loadHealth();
+  }, [refreshKey]);
+
+  const loadHealth = async () => {
+    try {
+      const response = await feedsAPI.getHealth();
+      setFeeds(response.data);
+    } catch (error) {
+      console.error('Error loading feed health:', error);
+      toast.error('Failed to load feed health');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (feed) => {
+    try {
+      setResettingId(feed.feedId);
+      const response = await feedsAPI.resetHealth(feed.feedId);
+      toast.success(response.message);
+      await loadHealth();
+    } catch (error) {
+      console.error('Error resetting feed health:', error);
+      toast.error(`Failed to reset feed health: ${error.message}`);
+    } finally {
+      setResettingId(null);
+    }
+  };
+
+  return (
+    <div className="card animate-slide-up">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <HeartIcon className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white">Feed Health</h2>
+          </div>
+          <button onClick={loadHealth} className="btn-secondary">
+            <ArrowPathIcon className="h-4 w-4 mr-1.5" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="card-body">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : feeds.length === 0 ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">No feed sources configured</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Feed</th>
+                  <th className="table-header-cell">Status</th>
+                  <th className="table-header-cell">Score</th>
+                  <th className="table-header-cell">Failures</th>
+                  <th className="table-header-cell">Last Success</th>
+                  <th className="table-header-cell">Avg Latency</th>
+                  <th className="table-header-cell">Avg Items</th>
+                  <th className="table-header-cell">Skipped Until</th>
+                  <th className="table-header-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {feeds.map(feed => {
+                  const badge = statusBadges[feed.status] || statusBadges.unknown;
+                  return (
+                    <tr key={feed.feedId} className="table-row">
+                      <td className="table-cell">
+                        <p className="font-medium">{feed.name}</p>
+                        {feed.lastError && feed.consecutiveFailures > 0 && (
+                          <p className="text-xs text-error-600 max-w-xs truncate" title={feed.lastError}>{feed.lastError}</p>
+                        )}
+                      </td>
+                      <td className="table-cell">
+                        <span className={`badge ${badge.className}`}>{badge.label}</span>
+                      </td>
+                      <td className="table-cell">{feed.score !== null ? feed.score : '—'}</td>
+                      <td className="table-cell">{feed.consecutiveFailures}</td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {feed.lastSuccessAt ? formatRelativeTime(feed.lastSuccessAt) : '—'}
+                      </td>
+                      <td className="table-cell text-sm">{feed.avgLatencyMs !== null ? formatDuration(feed.avgLatencyMs) : '—'}</td>
+                      <td className="table-cell text-sm">{feed.avgItemCount !== null ? formatNumber(feed.avgItemCount) : '—'}</td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {feed.status === 'open' ? formatDate(feed.circuitOpenUntil) : '—'}
+                      </td>
+                      <td className="table-cell">
+                        {feed.consecutiveFailures > 0 && (
+                          <button
+                            onClick={() => handleReset(feed)}
+                            disabled={resettingId === feed.feedId}
+                            className="text-primary-600 hover:text-primary-500 text-sm font-medium disabled:opacity-50"
+                          >
+                            {resettingId === feed.feedId ? 'Resetting...' : 'Reset'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
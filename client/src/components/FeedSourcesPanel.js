@@ -0,0 +1,484 @@
+import { useState, useEffect } from 'react';
+import {
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  RssIcon,
+  PlayIcon
+} from '@heroicons/react/24/outline';
+import { feedsAPI, importAPI } from '../utils/api';
+import { formatDate, formatRelativeTime } from '../utils/format';
+import toast from 'react-hot-toast';
+
+// Feed adapters the server supports; only XML feeds can be streamed
+const adapters = [
+  { value: 'xml', label: 'RSS / Atom / JSON Feed' },
+  { value: 'json-api', label: 'JSON REST API' },
+  { value: 'csv', label: 'CSV export' },
+  { value: 'sitemap-jsonld', label: 'Sitemap + JSON-LD pages' }
+];
+
+const adapterOptionsPlaceholders = {
+  'xml': 'No options',
+  'json-api': '{ "itemsPath": "data.jobs", "pageParam": "page", "maxPages": 20 }',
+  'csv': '{ "delimiter": ";" }',
+  'sitemap-jsonld': '{ "urlPattern": "/jobs/", "maxPages": 200, "concurrency": 3 }'
+};
+
+const fieldMappingPlaceholder = `{
+  "company": "job_listing:company",
+  "jobType": { "path": "job_listing:job_type", "transforms": [{ "type": "lowercase" }] },
+  "pubDate": { "path": "posted", "transforms": [{ "type": "date", "format": "DD/MM/YYYY" }] },
+  "location": { "path": "job_listing:location", "default": "Remote" }
+}`;
+
+// Parse an optional JSON textarea, throwing with the field's name when invalid
+const parseJsonField = (text, label) => {
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label} must be valid JSON`);
+  }
+};
+
+const emptyForm = {
+  name: '',
+  url: '',
+  notes: '',
+  schedule: '',
+  enabled: true,
+  streaming: false,
+  adapter: 'xml',
+  adapterOptions: '',
+  fieldMapping: '',
+  optionalFields: ''
+};
+
+export default function FeedSourcesPanel() {
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [schedules, setSchedules] = useState({});
+  const [startingId, setStartingId] = useState(null);
+  const [sampleItem, setSampleItem] = useState('');
+  const [mappingPreview, setMappingPreview] = useState(null);
+
+  useEffect(() => {
+    loadFeeds();
+  }, []);
+
+  const loadFeeds = async () => {
+    try {
+      setLoading(true);
+      const [response, cronStatus] = await Promise.all([
+        feedsAPI.getFeeds(),
+        importAPI.getCronStatus().catch(() => null)
+      ]);
+      setFeeds(response.data);
+      
+      // Index next/last run times by feed ID
+      const scheduleMap = {};
+      (cronStatus?.data?.feeds || []).forEach(entry => {
+        scheduleMap[entry.feedId] = entry;
+      });
+      setSchedules(scheduleMap);
+    } catch (error) {
+      console.error('Error loading feed sources:', error);
+      toast.error('Failed to load feed sources');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+    setMappingPreview(null);
+  };
+
+  const handleEdit = (feed) => {
+    setEditingId(feed._id);
+    setForm({
+      name: feed.name,
+      url: feed.url,
+      notes: feed.notes || '',
+      schedule: feed.schedule || '',
+      enabled: feed.enabled,
+      streaming: !!feed.streaming,
+      adapter: feed.adapter || 'xml',
+      adapterOptions: feed.adapterOptions && Object.keys(feed.adapterOptions).length > 0
+        ? JSON.stringify(feed.adapterOptions, null, 2)
+        : '',
+      fieldMapping: feed.fieldMapping && Object.keys(feed.fieldMapping).length > 0
+        ? JSON.stringify(feed.fieldMapping, null, 2)
+        : '',
+      optionalFields: (feed.optionalFields || []).join(', ')
+    });
+    setMappingPreview(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Let the server apply the default schedule when left blank
+    const payload = { ...form };
+    if (!payload.schedule) {
+      delete payload.schedule;
+    }
+
+    try {
+      payload.adapterOptions = parseJsonField(form.adapterOptions, 'Adapter options');
+      payload.fieldMapping = parseJsonField(form.fieldMapping, 'Field mapping');
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+    if (payload.adapter !== 'xml') {
+      payload.streaming = false;
+    }
+    payload.optionalFields = form.optionalFields.split(',').map(field => field.trim()).filter(Boolean);
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await feedsAPI.updateFeed(editingId, payload);
+        toast.success('Feed source updated');
+      } else {
+        await feedsAPI.createFeed(payload);
+        toast.success('Feed source added');
+      }
+      resetForm();
+      loadFeeds();
+    } catch (error) {
+      console.error('Error saving feed source:', error);
+      toast.error(`Failed to save feed source: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreviewMapping = async () => {
+    try {
+      const response = await feedsAPI.previewMapping({
+        fieldMapping: parseJsonField(form.fieldMapping, 'Field mapping'),
+        item: parseJsonField(sampleItem, 'Sample item')
+      });
+      setMappingPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing field mapping:', error);
+      toast.error(`Failed to preview mapping: ${error.message}`);
+      setMappingPreview(null);
+    }
+  };
+
+  const handleToggle = async (feed) => {
+    try {
+      await feedsAPI.updateFeed(feed._id, { enabled: !feed.enabled });
+      loadFeeds();
+    } catch (error) {
+      console.error('Error toggling feed source:', error);
+      toast.error('Failed to update feed source');
+    }
+  };
+
+  const handleRunNow = async (feed) => {
+    try {
+      setStartingId(feed._id);
+      await importAPI.startFeedImport(feed._id);
+      toast.success(`Import of ${feed.name} started`);
+    } catch (error) {
+      console.error('Error starting feed import:', error);
+      toast.error(`Failed to start import: ${error.message}`);
+    } finally {
+      setStartingId(null);
+    }
+  };
+
+  const handleDelete = async (feed) => {
+    if (!window.confirm(`Delete feed "${feed.name}"?`)) {
+      return;
+    }
+
+    try {
+      await feedsAPI.deleteFeed(feed._id);
+      toast.success('Feed source deleted');
+      if (editingId === feed._id) {
+        resetForm();
+      }
+      loadFeeds();
+    } catch (error) {
+      console.error('Error deleting feed source:', error);
+      toast.error('Failed to delete feed source');
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Feeds Header */}
+      <div className="text-center space-y-4 animate-fade-in">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Feed Sources</h1>
+        <p className="text-gray-600 dark:text-gray-300">
+          Manage the job feeds included in scheduled and manual imports
+        </p>
+      </div>
+
+      {/* Feed Form */}
+      <div className="card animate-slide-up">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white">
+            {editingId ? 'Edit Feed Source' : 'Add Feed Source'}
+          </h2>
+        </div>
+        <form onSubmit={handleSubmit} className="card-body space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Display Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Jobicy - All Jobs"
+                className="form-input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Feed URL</label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                placeholder="https://example.com/jobs.xml"
+                className="form-input w-full"
+                required
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Source Type</label>
+              <select
+                value={form.adapter}
+                onChange={(e) => setForm(prev => ({ ...prev, adapter: e.target.value }))}
+                className="form-input w-full"
+              >
+                {adapters.map(adapter => (
+                  <option key={adapter.value} value={adapter.value}>{adapter.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Adapter Options (JSON)</label>
+              <textarea
+                value={form.adapterOptions}
+                onChange={(e) => setForm(prev => ({ ...prev, adapterOptions: e.target.value }))}
+                placeholder={adapterOptionsPlaceholders[form.adapter]}
+                rows={2}
+                disabled={form.adapter === 'xml'}
+                className="form-input w-full font-mono text-sm disabled:opacity-50"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Field Mapping (JSON)</label>
+              <textarea
+                value={form.fieldMapping}
+                onChange={(e) => setForm(prev => ({ ...prev, fieldMapping: e.target.value }))}
+                placeholder={fieldMappingPlaceholder}
+                rows={5}
+                className="form-input w-full font-mono text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Sample Item (JSON)</label>
+              <textarea
+                value={sampleItem}
+                onChange={(e) => setSampleItem(e.target.value)}
+                placeholder='{ "title": "Engineer", "job_listing:company": "Acme", "posted": "15/10/2024" }'
+                rows={5}
+                className="form-input w-full font-mono text-sm"
+              />
+            </div>
+          </div>
+          <div className="flex items-start space-x-4">
+            <button type="button" onClick={handlePreviewMapping} className="btn-secondary">
+              Preview Mapping
+            </button>
+            {mappingPreview?.job && (
+              <dl className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 text-sm flex-1">
+                {['title', 'company', 'location', 'jobType', 'category', 'salary', 'url', 'pubDate', 'tags'].map(field => (
+                  <div key={field} className="truncate">
+                    <dt className="inline text-gray-500 dark:text-gray-400">{field}: </dt>
+                    <dd className={`inline ${field in mappingPreview.mapped ? 'font-medium text-gray-900 dark:text-white' : 'text-gray-500 dark:text-gray-400'}`}>
+                      {Array.isArray(mappingPreview.job[field]) ? mappingPreview.job[field].join(', ') : String(mappingPreview.job[field] ?? '')}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Schedule (cron, UTC)</label>
+            <input
+              type="text"
+              value={form.schedule}
+              onChange={(e) => setForm(prev => ({ ...prev, schedule: e.target.value }))}
+              placeholder="0 * * * * (leave blank for the default schedule)"
+              className="form-input w-full font-mono"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Optional fields</label>
+            <input
+              type="text"
+              value={form.optionalFields}
+              onChange={(e) => setForm(prev => ({ ...prev, optionalFields: e.target.value }))}
+              placeholder="company (required fields this feed's items may lack)"
+              className="form-input w-full font-mono"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Notes</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              rows={2}
+              className="form-input w-full"
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-6">
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                <span>Enabled</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.streaming && form.adapter === 'xml'}
+                  disabled={form.adapter !== 'xml'}
+                  onChange={(e) => setForm(prev => ({ ...prev, streaming: e.target.checked }))}
+                />
+                <span>Streaming parser (very large feeds)</span>
+              </label>
+            </div>
+            <div className="flex space-x-2">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="btn-secondary">
+                  Cancel
+                </button>
+              )}
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                <PlusIcon className="h-4 w-4 mr-1.5" />
+                {editingId ? 'Save Changes' : 'Add Feed'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+
+      {/* Feeds Table */}
+      <div className="card animate-slide-up">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white">Registered Feeds</h2>
+        </div>
+        <div className="card-body">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : feeds.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Name</th>
+                    <th className="table-header-cell">URL</th>
+                    <th className="table-header-cell">Status</th>
+                    <th className="table-header-cell">Schedule</th>
+                    <th className="table-header-cell">Last Run</th>
+                    <th className="table-header-cell">Next Run</th>
+                    <th className="table-header-cell">Notes</th>
+                    <th className="table-header-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {feeds.map((feed) => (
+                    <tr key={feed._id} className="table-row">
+                      <td className="table-cell font-medium">
+                        {feed.name}
+                        {feed.adapter && feed.adapter !== 'xml' && (
+                          <span className="badge badge-info ml-2">{feed.adapter}</span>
+                        )}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500 dark:text-gray-400 max-w-xs truncate">
+                        <a href={feed.url} target="_blank" rel="noopener noreferrer" className="hover:text-primary-600">
+                          {feed.url}
+                        </a>
+                      </td>
+                      <td className="table-cell">
+                        <button onClick={() => handleToggle(feed)}>
+                          <span className={`badge ${feed.enabled ? 'badge-success' : 'badge-warning'}`}>
+                            {feed.enabled ? 'enabled' : 'disabled'}
+                          </span>
+                        </button>
+                      </td>
+                      <td className="table-cell text-sm font-mono">{feed.schedule}</td>
+                      <td className="table-cell text-sm text-gray-500 dark:text-gray-400">
+                        {formatRelativeTime(schedules[feed._id]?.lastRun || feed.lastRunAt)}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500 dark:text-gray-400">
+                        {feed.enabled ? formatDate(schedules[feed._id]?.nextRun) : 'N/A'}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500 dark:text-gray-400">{feed.notes}</td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-3">
+                          <button
+                            onClick={() => handleRunNow(feed)}
+                            disabled={startingId !== null}
+                            className="text-success-600 hover:text-success-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                            aria-label={`Run ${feed.name} now`}
+                            title="Run now"
+                          >
+                            <PlayIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleEdit(feed)}
+                            className="text-primary-600 hover:text-primary-500"
+                            aria-label={`Edit ${feed.name}`}
+                          >
+                            <PencilSquareIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(feed)}
+                            className="text-error-600 hover:text-error-500"
+                            aria-label={`Delete ${feed.name}`}
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <RssIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-2 text-gray-500 dark:text-gray-400">No feed sources registered</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
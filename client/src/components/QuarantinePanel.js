@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { ShieldExclamationIcon, CheckIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { quarantineAPI } from '../utils/api';
+import { formatDate } from '../utils/format';
+import toast from 'react-hot-toast';
+
+const statusBadges = {
+  pending: { className: 'badge-warning', label: 'Pending' },
+  approved: { className: 'badge-success', label: 'Approved' },
+  discarded: { className: 'badge-info', label: 'Discarded' }
+};
+
+// Jobs an import quarantined for breaking a validation rule, with the
+// reasons. Pending jobs can be approved (imported as they are) or discarded;
+// onChange runs after either so the import log counts can be reloaded.
+export default function QuarantinePanel({ importLogId, onChange }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    loadItems();
+  }, [importLogId]);
+
+  const loadItems = async () => {
+    try {
+      const response = await quarantineAPI.getJobs({ importLog: importLogId, limit: 100 });
+      setItems(response.data.items);
+    } catch (error) {
+      console.error('Error loading quarantined jobs:', error);
+      toast.error('Failed to load quarantined jobs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (item, action) => {
+    try {
+      setReviewingId(item._id);
+      const response = action === 'approve'
+        ? await quarantineAPI.approve(item._id)
+        : await quarantineAPI.discard(item._id);
+      toast.success(response.message);
+      await loadItems();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error(`Error reviewing quarantined job (${action}):`, error);
+      toast.error(`Failed to ${action} job: ${error.message}`);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const pendingCount = items.filter(item => item.status === 'pending').length;
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-medium text-gray-900 flex items-center">
+        <ShieldExclamationIcon className="h-4 w-4 text-warning-500 mr-2" />
+        Quarantined Jobs ({items.length}{pendingCount > 0 ? `, ${pendingCount} pending` : ''})
+      </h4>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading quarantined jobs...</p>
+      ) : items.length === 0 ? (
+        <p className="text-sm text-gray-500">No quarantined jobs</p>
+      ) : (
+        <div className="space-y-2">
+          {items.map((item) => {
+            const statusBadge = statusBadges[item.status] || statusBadges.pending;
+
+            return (
+              <div key={item._id} className="bg-white p-3 rounded border">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <p className="font-medium text-gray-900">
+                      {item.title || 'Untitled Job'}
+                      {item.company && (
+                        <span className="text-gray-500 font-normal"> at {item.company}</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      GUID: {item.guid}
+                    </p>
+                    <ul className="text-sm text-warning-600 mt-1 list-disc list-inside">
+                      {item.reasons.map((reason, index) => (
+                        <li key={index} title={reason.rule}>{reason.message}</li>
+                      ))}
+                    </ul>
+                    {item.reviewedAt && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Reviewed {formatDate(item.reviewedAt)}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <span className={`badge ${statusBadge.className}`}>{statusBadge.label}</span>
+                    {item.status === 'pending' && (
+                      <>
+                        <button
+                          onClick={() => handleReview(item, 'approve')}
+                          disabled={reviewingId === item._id}
+                          title="Import this job as it is"
+                          className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <CheckIcon className="h-4 w-4 mr-1" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(item, 'discard')}
+                          disabled={reviewingId === item._id}
+                          className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <TrashIcon className="h-4 w-4 mr-1" />
+                          Discard
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
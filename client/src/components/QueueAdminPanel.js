@@ -0,0 +1,346 @@
+import { useState, useEffect } from 'react';
+import {
+  QueueListIcon,
+  ArrowPathIcon,
+  PauseIcon,
+  PlayIcon,
+  TrashIcon,
+  SparklesIcon,
+  ChevronDownIcon,
+  ChevronUpIcon
+} from '@heroicons/react/24/outline';
+import { queuesAPI } from '../utils/api';
+import { formatDate, formatNumber } from '../utils/format';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 20;
+
+const stateLabels = {
+  waiting: 'Waiting',
+  prioritized: 'Prioritized',
+  'waiting-children': 'Waiting for chunks',
+  active: 'Active',
+  delayed: 'Delayed',
+  failed: 'Failed',
+  completed: 'Completed'
+};
+
+// Inspect and manage the BullMQ queues: job counts, jobs per state with their
+// data and failure reasons, pause/resume, retry or remove jobs, and clean
+export default function QueueAdminPanel() {
+  const [overview, setOverview] = useState(null);
+  const [queueName, setQueueName] = useState('');
+  const [state, setState] = useState('failed');
+  const [start, setStart] = useState(0);
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [expandedJob, setExpandedJob] = useState(null);
+
+  useEffect(() => {
+    loadQueues();
+  }, []);
+
+  useEffect(() => {
+    if (queueName) {
+      loadJobs();
+    }
+  }, [queueName, state, start]);
+
+  const loadQueues = async () => {
+    try {
+      const response = await queuesAPI.getQueues();
+      setOverview(response.data);
+      if (!queueName && response.data.queues.length > 0) {
+        setQueueName(response.data.queues[0].name);
+      }
+    } catch (error) {
+      console.error('Error loading queues:', error);
+      toast.error('Failed to load queues');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadJobs = async () => {
+    try {
+      const response = await queuesAPI.getJobs(queueName, { state, start, limit: PAGE_SIZE });
+      setJobs(response.data.jobs);
+      setExpandedJob(null);
+    } catch (error) {
+      console.error('Error loading queue jobs:', error);
+      toast.error(`Failed to load jobs: ${error.message}`);
+    }
+  };
+
+  const refresh = () => Promise.all([loadQueues(), loadJobs()]);
+
+  const handleStateChange = (newState) => {
+    setState(newState);
+    setStart(0);
+  };
+
+  // Run a queue action, report its outcome and reload the counts and jobs
+  const runAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      toast.success(response.message);
+      await refresh();
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      toast.error(`${failureMessage}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTogglePause = (queue) => runAction(
+    () => (queue.paused ? queuesAPI.resumeQueue(queue.name) : queuesAPI.pauseQueue(queue.name)),
+    queue.paused ? 'Failed to resume queue' : 'Failed to pause queue'
+  );
+
+  const handleClean = (queue) => {
+    if (!window.confirm(`Remove completed and failed jobs older than 24 hours from "${queue.name}"?`)) {
+      return;
+    }
+    runAction(() => queuesAPI.cleanQueue(queue.name), 'Failed to clean queue');
+  };
+
+  const handleRetry = (job) => runAction(() => queuesAPI.retryJob(queueName, job.id), 'Failed to retry job');
+
+  const handleRemove = (job) => {
+    if (!window.confirm(`Remove job ${job.id}?`)) {
+      return;
+    }
+    runAction(() => queuesAPI.removeJob(queueName, job.id), 'Failed to remove job');
+  };
+
+  // Expanded jobs load their full data and stack trace
+  const handleExpand = async (job) => {
+    if (expandedJob?.id === job.id) {
+      setExpandedJob(null);
+      return;
+    }
+
+    try {
+      const response = await queuesAPI.getJob(queueName, job.id);
+      setExpandedJob(response.data);
+    } catch (error) {
+      console.error('Error loading queue job:', error);
+      toast.error(`Failed to load job: ${error.message}`);
+    }
+  };
+
+  const queue = overview?.queues.find(entry => entry.name === queueName);
+
+  return (
+    <div className="space-y-8">
+      {/* Queues Header */}
+      <div className="text-center space-y-4 animate-fade-in">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Queues</h1>
+        <p className="text-gray-600 dark:text-gray-300">
+          Inspect queued, running and failed import jobs, and pause, retry or clean them
+        </p>
+      </div>
+
+      <div className="card animate-slide-up">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <QueueListIcon className="h-5 w-5 text-gray-500" />
+              {overview && overview.queues.length > 1 ? (
+                <select
+                  value={queueName}
+                  onChange={(e) => { setQueueName(e.target.value); setStart(0); }}
+                  className="select"
+                >
+                  {overview.queues.map(entry => (
+                    <option key={entry.name} value={entry.name}>{entry.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <h2 className="text-lg font-medium text-gray-900 dark:text-white">{queueName || 'Queues'}</h2>
+              )}
+              {queue && (
+                <span className={`badge ${queue.paused ? 'badge-warning' : 'badge-success'}`}>
+                  {queue.paused ? 'paused' : 'running'}
+                </span>
+              )}
+            </div>
+            {queue && (
+              <div className="flex items-center space-x-2">
+                <button onClick={refresh} disabled={busy} className="btn-secondary disabled:opacity-50">
+                  <ArrowPathIcon className="h-4 w-4 mr-1.5" />
+                  Refresh
+                </button>
+                <button onClick={() => handleTogglePause(queue)} disabled={busy} className="btn-secondary disabled:opacity-50">
+                  {queue.paused ? <PlayIcon className="h-4 w-4 mr-1.5" /> : <PauseIcon className="h-4 w-4 mr-1.5" />}
+                  {queue.paused ? 'Resume' : 'Pause'}
+                </button>
+                <button onClick={() => handleClean(queue)} disabled={busy} className="btn-secondary disabled:opacity-50">
+                  <SparklesIcon className="h-4 w-4 mr-1.5" />
+                  Clean
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card-body">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : !overview?.redisAvailable ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+              Redis is not connected, so imports run synchronously without queues
+            </p>
+          ) : !queue ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">No queues in use yet</p>
+          ) : (
+            <div className="space-y-4">
+              {/* Job counts per state */}
+              <div className="flex flex-wrap gap-2">
+                {overview.jobStates.map(jobState => (
+                  <button
+                    key={jobState}
+                    onClick={() => handleStateChange(jobState)}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium ${
+                      state === jobState
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200'
+                    }`}
+                  >
+                    {stateLabels[jobState] || jobState} ({formatNumber(queue.counts[jobState] || 0)})
+                  </button>
+                ))}
+              </div>
+
+              {jobs.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="table">
+                    <thead className="table-header">
+                      <tr>
+                        <th className="table-header-cell">Job</th>
+                        <th className="table-header-cell">Data</th>
+                        <th className="table-header-cell">Attempts</th>
+                        <th className="table-header-cell">Failure Reason</th>
+                        <th className="table-header-cell">Added</th>
+                        <th className="table-header-cell">Finished</th>
+                        <th className="table-header-cell">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="table-body">
+                      {jobs.map(job => (
+                        <>
+                          <tr key={job.id} className="table-row">
+                            <td className="table-cell">
+                              <p className="font-medium">{job.name}</p>
+                              <p className="text-xs text-gray-500 font-mono">#{job.id}</p>
+                            </td>
+                            <td className="table-cell text-xs font-mono text-gray-600 dark:text-gray-300 max-w-xs truncate">
+                              {JSON.stringify(job.data)}
+                            </td>
+                            <td className="table-cell">{job.attemptsMade}{job.attempts ? ` / ${job.attempts}` : ''}</td>
+                            <td className="table-cell text-sm text-error-600 max-w-xs truncate" title={job.failedReason || ''}>
+                              {job.failedReason || '—'}
+                            </td>
+                            <td className="table-cell text-sm text-gray-500">{formatDate(job.timestamp)}</td>
+                            <td className="table-cell text-sm text-gray-500">{job.finishedOn ? formatDate(job.finishedOn) : '—'}</td>
+                            <td className="table-cell">
+                              <div className="flex items-center space-x-3">
+                                <button
+                                  onClick={() => handleExpand(job)}
+                                  className="text-gray-400 hover:text-gray-600"
+                                  aria-label={`Inspect job ${job.id}`}
+                                >
+                                  {expandedJob?.id === job.id ? <ChevronUpIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+                                </button>
+                                {/* Failed import chunks are replayed from their import log instead */}
+                                {job.state === 'failed' && !(job.data?.chunk && job.data?.importLogId) && (
+                                  <button
+                                    onClick={() => handleRetry(job)}
+                                    disabled={busy}
+                                    className="text-primary-600 hover:text-primary-500 disabled:opacity-50"
+                                    aria-label={`Retry job ${job.id}`}
+                                    title="Retry"
+                                  >
+                                    <ArrowPathIcon className="h-4 w-4" />
+                                  </button>
+                                )}
+                                {job.state !== 'active' && (
+                                  <button
+                                    onClick={() => handleRemove(job)}
+                                    disabled={busy}
+                                    className="text-error-600 hover:text-error-500 disabled:opacity-50"
+                                    aria-label={`Remove job ${job.id}`}
+                                    title="Remove"
+                                  >
+                                    <TrashIcon className="h-4 w-4" />
+                                  </button>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+
+                          {/* Expanded row with the job's full data and stack trace */}
+                          {expandedJob?.id === job.id && (
+                            <tr>
+                              <td colSpan="7" className="bg-gray-50 dark:bg-gray-800 px-6 py-4">
+                                <div className="space-y-3">
+                                  {expandedJob.stacktrace && expandedJob.stacktrace.length > 0 && (
+                                    <div>
+                                      <h4 className="font-medium text-error-600 mb-1">Stack trace</h4>
+                                      <pre className="text-xs bg-white dark:bg-gray-900 p-3 rounded border overflow-x-auto">
+                                        {expandedJob.stacktrace.join('\n\n')}
+                                      </pre>
+                                    </div>
+                                  )}
+                                  <div>
+                                    <h4 className="font-medium text-gray-900 dark:text-white mb-1">Data</h4>
+                                    <pre className="text-xs bg-white dark:bg-gray-900 p-3 rounded border overflow-x-auto max-h-96">
+                                      {JSON.stringify(expandedJob.data, null, 2)}
+                                    </pre>
+                                  </div>
+                                </div>
+                              </td>
+                            </tr>
+                          )}
+                        </>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+                  No {(stateLabels[state] || state).toLowerCase()} jobs
+                </p>
+              )}
+
+              {/* Pagination */}
+              {(start > 0 || jobs.length === PAGE_SIZE) && (
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={() => setStart(Math.max(start - PAGE_SIZE, 0))}
+                    disabled={start === 0}
+                    className="btn-secondary disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setStart(start + PAGE_SIZE)}
+                    disabled={jobs.length < PAGE_SIZE}
+                    className="btn-secondary disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,9 +8,12 @@ import {
   ChevronUpIcon,
   FunnelIcon,
   DocumentTextIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import { importLogsAPI } from '../utils/api';
+import DryRunPanel from '../components/DryRunPanel';
+import QuarantinePanel from '../components/QuarantinePanel';
 import { formatDate, formatNumber, formatDuration, getStatusBadge } from '../utils/format';
 import toast from 'react-hot-toast';
 
@@ -19,11 +22,13 @@ export default function ImportLogs() {
   const [pagination, setPagination] = useState({});
   const [loading, setLoading] = useState(true);
   const [expandedRows, setExpandedRows] = useState(new Set());
+  const [retryingLogId, setRetryingLogId] = useState(null);
   const [filters, setFilters] = useState({
     page: 1,
     limit: 15,
     status: '',
     sourceName: '',
+    anomalous: '',
     startDate: '',
     endDate: ''
   });
@@ -64,12 +69,27 @@ export default function ImportLogs() {
     setExpandedRows(newExpanded);
   };
 
+  const handleRetryFailed = async (importLog) => {
+    try {
+      setRetryingLogId(importLog._id);
+      const response = await importLogsAPI.retryFailed(importLog._id);
+      toast.success(response.message);
+      await loadImportLogs();
+    } catch (error) {
+      console.error('Error retrying failed items:', error);
+      toast.error(`Failed to retry failed items: ${error.message}`);
+    } finally {
+      setRetryingLogId(null);
+    }
+  };
+
   const clearFilters = () => {
     setFilters({
       page: 1,
       limit: 15,
       status: '',
       sourceName: '',
+      anomalous: '',
       startDate: '',
       endDate: ''
     });
@@ -128,7 +148,7 @@ export default function ImportLogs() {
               </div>
             </div>
             <div className="card-body">
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Status
@@ -143,6 +163,21 @@ export default function ImportLogs() {
                     <option value="failed">Failed</option>
                     <option value="running">Running</option>
                     <option value="partial">Partial</option>
+                    <option value="not-modified">Not Modified</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Anomalies
+                  </label>
+                  <select
+                    value={filters.anomalous}
+                    onChange={(e) => handleFilterChange('anomalous', e.target.value)}
+                    className="select"
+                  >
+                    <option value="">All Imports</option>
+                    <option value="true">Anomalous Only</option>
                   </select>
                 </div>
 
@@ -186,6 +221,8 @@ export default function ImportLogs() {
             </div>
           </div>
 
+          <DryRunPanel />
+
           {/* Import Logs Table */}
           <div className="card">
             <div className="card-header">
@@ -202,7 +239,10 @@ export default function ImportLogs() {
                         <th className="table-header-cell">Total Fetched</th>
                         <th className="table-header-cell">New Jobs</th>
                         <th className="table-header-cell">Updated Jobs</th>
+                        <th className="table-header-cell">Unchanged</th>
+                        <th className="table-header-cell">Expired</th>
                         <th className="table-header-cell">Failed Jobs</th>
+                        <th className="table-header-cell">Quarantined</th>
                         <th className="table-header-cell">Duration</th>
                         <th className="table-header-cell">Time</th>
                         <th className="table-header-cell">Actions</th>
@@ -211,6 +251,8 @@ export default function ImportLogs() {
                     <tbody className="table-body">
                       {importLogs.map((importLog) => {
                         const isExpanded = expandedRows.has(importLog._id);
+                        const hasFailures = importLog.failedJobs && importLog.failedJobs.length > 0;
+                        const hasQuarantined = importLog.quarantinedJobs > 0;
                         const statusBadge = getStatusBadge(importLog.status);
                         
                         return (
@@ -220,9 +262,21 @@ export default function ImportLogs() {
                                 {importLog.sourceName}
                               </td>
                               <td className="table-cell">
-                                <span className={`badge ${statusBadge.className}`}>
+                                <span
+                                  className={`badge ${statusBadge.className}`}
+                                  title={[importLog.error, importLog.workerId && `Finished by ${importLog.workerId}`].filter(Boolean).join('\n') || undefined}
+                                >
                                   {statusBadge.label}
                                 </span>
+                                {/* Flagged by comparison with the feed's previous imports */}
+                                {importLog.anomalous && (
+                                  <span
+                                    className="badge badge-warning ml-1"
+                                    title={(importLog.anomalies || []).map(anomaly => anomaly.message).join('\n')}
+                                  >
+                                    Anomalous
+                                  </span>
+                                )}
                               </td>
                               <td className="table-cell">{formatNumber(importLog.totalFetched)}</td>
                               <td className="table-cell text-success-600 font-medium">
@@ -231,8 +285,17 @@ export default function ImportLogs() {
                               <td className="table-cell text-primary-600 font-medium">
                                 {formatNumber(importLog.updatedJobs)}
                               </td>
+                              <td className="table-cell text-gray-500 dark:text-gray-400">
+                                {formatNumber(importLog.unchangedJobs || 0)}
+                              </td>
+                              <td
+                                className="table-cell text-warning-600"
+                                title={`${formatNumber(importLog.expiredMissingJobs || 0)} missing from feed, ${formatNumber(importLog.expiredPastDateJobs || 0)} past expiry date`}
+                              >
+                                {formatNumber((importLog.expiredMissingJobs || 0) + (importLog.expiredPastDateJobs || 0))}
+                              </td>
                               <td className="table-cell">
-                                {importLog.failedJobs && importLog.failedJobs.length > 0 ? (
+                                {hasFailures ? (
                                   <div className="flex items-center">
                                     <span className="text-error-600 font-medium">
                                       {importLog.failedJobs.length}
@@ -252,6 +315,35 @@ export default function ImportLogs() {
                                   <span className="text-gray-500">0</span>
                                 )}
                               </td>
+                              <td className="table-cell">
+                                {hasQuarantined ? (
+                                  <div className="flex items-center">
+                                    <span className="text-warning-600 font-medium">
+                                      {formatNumber(importLog.quarantinedJobs)}
+                                    </span>
+                                    {importLog.pendingQuarantineCount > 0 && (
+                                      <span
+                                        className="badge badge-warning ml-2"
+                                        title="Quarantined jobs awaiting review"
+                                      >
+                                        {formatNumber(importLog.pendingQuarantineCount)} pending
+                                      </span>
+                                    )}
+                                    <button
+                                      onClick={() => toggleRowExpansion(importLog._id)}
+                                      className="ml-2 text-gray-400 hover:text-gray-600"
+                                    >
+                                      {isExpanded ? (
+                                        <ChevronUpIcon className="h-4 w-4" />
+                                      ) : (
+                                        <ChevronDownIcon className="h-4 w-4" />
+                                      )}
+                                    </button>
+                                  </div>
+                                ) : (
+                                  <span className="text-gray-500">0</span>
+                                )}
+                              </td>
                               <td className="table-cell">{formatDuration(importLog.duration)}</td>
                               <td className="table-cell text-sm text-gray-500">
                                 {formatDate(importLog.timestamp)}
@@ -266,40 +358,57 @@ export default function ImportLogs() {
                               </td>
                             </tr>
                             
-                            {/* Expanded row for failed jobs */}
-                            {isExpanded && importLog.failedJobs && importLog.failedJobs.length > 0 && (
+                            {/* Expanded row for failed and quarantined jobs */}
+                            {isExpanded && (hasFailures || hasQuarantined) && (
                               <tr>
-                                <td colSpan="9" className="bg-gray-50 px-6 py-4">
-                                  <div className="space-y-3">
-                                    <h4 className="font-medium text-gray-900 flex items-center">
-                                      <ExclamationTriangleIcon className="h-4 w-4 text-error-500 mr-2" />
-                                      Failed Jobs ({importLog.failedJobs.length})
-                                    </h4>
-                                    <div className="space-y-2">
-                                      {importLog.failedJobs.map((failedJob, index) => (
-                                        <div key={index} className="bg-white p-3 rounded border">
-                                          <div className="flex justify-between items-start">
-                                            <div className="flex-1">
-                                              <p className="font-medium text-gray-900">
-                                                {failedJob.title || 'Untitled Job'}
-                                              </p>
-                                              <p className="text-sm text-gray-500">
-                                                GUID: {failedJob.guid}
-                                              </p>
-                                              <p className="text-sm text-error-600 mt-1">
-                                                {failedJob.reason}
-                                              </p>
-                                              {failedJob.error && (
-                                                <p className="text-xs text-gray-500 mt-1">
-                                                  Error: {failedJob.error}
+                                <td colSpan="12" className="bg-gray-50 px-6 py-4 space-y-6">
+                                  {hasFailures && (
+                                    <div className="space-y-3">
+                                      <div className="flex items-center justify-between">
+                                        <h4 className="font-medium text-gray-900 flex items-center">
+                                          <ExclamationTriangleIcon className="h-4 w-4 text-error-500 mr-2" />
+                                          Failed Jobs ({importLog.failedJobs.length})
+                                        </h4>
+                                        {/* Only items kept in the dead-letter store and not retried yet can be requeued */}
+                                        <button
+                                          onClick={() => handleRetryFailed(importLog)}
+                                          disabled={!importLog.retryableCount || importLog.status === 'running' || retryingLogId === importLog._id}
+                                          title={importLog.retryableCount ? `Requeue ${formatNumber(importLog.retryableCount)} failed items` : 'No failed items left to retry'}
+                                          className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                          <ArrowPathIcon className={`h-4 w-4 mr-2 ${retryingLogId === importLog._id ? 'animate-spin' : ''}`} />
+                                          {retryingLogId === importLog._id ? 'Retrying...' : `Retry failed (${formatNumber(importLog.retryableCount || 0)})`}
+                                        </button>
+                                      </div>
+                                      <div className="space-y-2">
+                                        {importLog.failedJobs.map((failedJob, index) => (
+                                          <div key={index} className="bg-white p-3 rounded border">
+                                            <div className="flex justify-between items-start">
+                                              <div className="flex-1">
+                                                <p className="font-medium text-gray-900">
+                                                  {failedJob.title || 'Untitled Job'}
+                                                </p>
+                                                <p className="text-sm text-gray-500">
+                                                  GUID: {failedJob.guid}
                                                 </p>
-                                              )}
+                                                <p className="text-sm text-error-600 mt-1">
+                                                  {failedJob.reason}
+                                                </p>
+                                                {failedJob.error && (
+                                                  <p className="text-xs text-gray-500 mt-1">
+                                                    Error: {failedJob.error}
+                                                  </p>
+                                                )}
+                                              </div>
                                             </div>
                                           </div>
-                                        </div>
-                                      ))}
+                                        ))}
+                                      </div>
                                     </div>
-                                  </div>
+                                  )}
+                                  {hasQuarantined && (
+                                    <QuarantinePanel importLogId={importLog._id} onChange={loadImportLogs} />
+                                  )}
                                 </td>
                               </tr>
                             )}
@@ -26,6 +26,9 @@ import socketService from '../utils/socket';
 import toast from 'react-hot-toast';
 import { useTheme } from '../contexts/ThemeContext';
 import ThemeToggle from '../components/ThemeToggle';
+import FeedSourcesPanel from '../components/FeedSourcesPanel';
+import QueueAdminPanel from '../components/QueueAdminPanel';
+import FeedHealthPanel from '../components/FeedHealthPanel';
 
 export default function HomePage() {
   const { isDarkMode } = useTheme();
@@ -59,6 +62,7 @@ export default function HomePage() {
     importInProgress: false
   });
   const [manualImportLoading, setManualImportLoading] = useState(false);
+  const [cancelLoading, setCancelLoading] = useState(false);
   const [toastShown, setToastShown] = useState({
     importCompleted: false,
     importStarted: false,
@@ -114,7 +118,7 @@ export default function HomePage() {
         // Reset after 5 seconds
         setTimeout(() => setToastShown(prev => ({ ...prev, cronTriggered: false })), 5000);
       } else if (data.type === 'cron-skipped') {
-        toast.info('⏭️ Cron skipped - import already running');
+        toast(`⏭️ Cron skipped - import already running on ${data.lockHolder?.owner || 'another instance'}`);
       }
     });
     
@@ -161,7 +165,9 @@ export default function HomePage() {
       }));
       
       if (!toastShown.importCompleted) {
-        if (data.type === 'cron-import') {
+        if (data.status === 'cancelled') {
+          toast.success('Import cancelled');
+        } else if (data.type === 'cron-import') {
           toast.success(`Scheduled import completed! Processed ${data.totalFeeds} feeds`);
         } else {
           toast.success(`Import completed! Processed ${data.totalFeeds} feeds`);
@@ -187,6 +193,12 @@ export default function HomePage() {
       toast.error(`❌ Import failed: ${data.message}`);
     });
     
+    // Listen for imports that differ sharply from the feed's previous ones
+    socketService.onImportEvent('feed-anomaly', (data) => {
+      console.log('Feed anomaly:', data);
+      toast(`⚠️ Unusual import of ${data.feedName}: ${data.anomalies.map(anomaly => anomaly.message).join('; ')}`, { duration: 8000 });
+    });
+    
     // Cleanup on unmount
     return () => {
       socketService.cleanup();
@@ -224,6 +236,7 @@ export default function HomePage() {
           totalJobsImported: 0,
           totalNewJobs: 0,
           totalUpdatedJobs: 0,
+          totalUnchangedJobs: 0,
           totalFailedJobs: 0,
           avgDuration: 0,
           successfulImports: 0,
@@ -319,6 +332,20 @@ export default function HomePage() {
     }
   };
 
+  const handleCancelImport = async () => {
+    try {
+      setCancelLoading(true);
+      await importAPI.cancelRun(stats.import.currentImportId);
+      toast.success('Cancelling import after the current feed');
+      loadDashboardData();
+    } catch (error) {
+      console.error('Error cancelling import:', error);
+      toast.error(`Failed to cancel import: ${error.message}`);
+    } finally {
+      setCancelLoading(false);
+    }
+  };
+
   const techStack = [
     { name: 'Node.js', image: '/images/nodejs.png', color: 'text-green-600', bg: 'bg-green-100' },
     { name: 'React', image: '/images/reactjs.png', color: 'text-blue-600', bg: 'bg-blue-100' },
@@ -407,6 +434,26 @@ export default function HomePage() {
                 >
                   Dashboard
                 </button>
+                <button
+                  onClick={() => setActiveTab('feeds')}
+                  className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
+                    activeTab === 'feeds'
+                      ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                      : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+                  }`}
+                >
+                  Feeds
+                </button>
+                <button
+                  onClick={() => setActiveTab('queues')}
+                  className={`px-4 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
+                    activeTab === 'queues'
+                      ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                      : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+                  }`}
+                >
+                  Queues
+                </button>
                 <Link
                   href="/jobs"
                   className="px-4 py-2 rounded-md text-sm font-medium text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-all duration-200 flex items-center"
@@ -616,6 +663,12 @@ export default function HomePage() {
                 </div>
               </div>
             </div>
+          ) : activeTab === 'feeds' ? (
+            /* Feeds Tab */
+            <FeedSourcesPanel />
+          ) : activeTab === 'queues' ? (
+            /* Queues Tab */
+            <QueueAdminPanel />
           ) : (
             /* Dashboard Tab */
             <div className="space-y-8">
@@ -783,22 +836,42 @@ export default function HomePage() {
                 <div className="mb-8 animate-fade-in">
               <div className="card bg-primary-50 border-primary-200">
                 <div className="card-body">
-                  <div className="flex items-center">
-                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mr-3"></div>
-                    <div>
-                      <h3 className="text-lg font-medium text-primary-900">
-                        Import in Progress
-                      </h3>
-                      <p className="text-sm text-primary-700">
-                        Import ID: {stats.import.currentImportId}
-                      </p>
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mr-3"></div>
+                      <div>
+                        <h3 className="text-lg font-medium text-primary-900">
+                          Import in Progress
+                        </h3>
+                        <p className="text-sm text-primary-700">
+                          Import ID: {stats.import.currentImportId}
+                        </p>
+                        {realtimeUpdates.lastImportProgress?.inFlight && (
+                          <p className="text-sm text-primary-700">
+                            {realtimeUpdates.lastImportProgress.finishedFeeds}/{realtimeUpdates.lastImportProgress.totalFeeds} feeds done
+                            {realtimeUpdates.lastImportProgress.inFlight.length > 0 && (
+                              <> · Processing {realtimeUpdates.lastImportProgress.inFlight.map(feed => feed.feedName).join(', ')}</>
+                            )}
+                          </p>
+                        )}
+                      </div>
                     </div>
+                    <button
+                      onClick={handleCancelImport}
+                      disabled={cancelLoading || !stats.import.currentImportId}
+                      className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {cancelLoading ? 'Cancelling...' : 'Cancel Import'}
+                    </button>
                   </div>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Feed Health */}
+          <FeedHealthPanel refreshKey={realtimeUpdates.importInProgress} />
+
           {/* Import Logs History */}
               <div className="card animate-slide-up">
             <div className="card-header">
@@ -848,6 +921,7 @@ export default function HomePage() {
                     <option value="completed">Completed</option>
                     <option value="failed">Failed</option>
                     <option value="running">Running</option>
+                    <option value="not-modified">Not Modified</option>
                   </select>
                 </div>
                 
@@ -901,6 +975,7 @@ export default function HomePage() {
                           <th className="table-header-cell">Jobs Imported</th>
                           <th className="table-header-cell">New Jobs</th>
                           <th className="table-header-cell">Updated Jobs</th>
+                          <th className="table-header-cell">Unchanged</th>
                           <th className="table-header-cell">Time</th>
                         </tr>
                       </thead>
@@ -911,7 +986,7 @@ export default function HomePage() {
                               {importLog.sourceName}
                             </td>
                             <td className="table-cell">
-                              <span className={`badge ${importLog.status === 'completed' ? 'badge-success' : importLog.status === 'failed' ? 'badge-error' : 'badge-warning'}`}>
+                              <span className={`badge ${importLog.status === 'completed' ? 'badge-success' : importLog.status === 'failed' ? 'badge-error' : importLog.status === 'not-modified' ? 'badge-info' : 'badge-warning'}`}>
                                 {importLog.status}
                               </span>
                             </td>
@@ -919,6 +994,7 @@ export default function HomePage() {
                             <td className="table-cell">{formatNumber(importLog.totalImported)}</td>
                             <td className="table-cell">{formatNumber(importLog.newJobs || 0)}</td>
                             <td className="table-cell">{formatNumber(importLog.updatedJobs || 0)}</td>
+                            <td className="table-cell">{formatNumber(importLog.unchangedJobs || 0)}</td>
                             <td className="table-cell text-sm text-gray-500 dark:text-gray-400">
                               {formatDate(importLog.timestamp)}
                             </td>
@@ -438,6 +438,11 @@ export default function Jobs() {
                                   {job.requirements.experience}
                                 </span>
                               )}
+                              {job.sources?.length > 1 && (
+                                <span className="badge bg-gray-100 text-gray-800" title={job.sources.map(source => source.sourceName).join(', ')}>
+                                  {job.sources.length} sources
+                                </span>
+                              )}
                             </div>
 
                             <p className="text-gray-700 dark:text-gray-300 mb-4 line-clamp-2">
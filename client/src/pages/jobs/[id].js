@@ -18,7 +18,7 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import { jobsAPI } from '../../utils/api';
-import { formatNumber, formatDate } from '../../utils/format';
+import { formatNumber, formatDate, formatChangeValue } from '../../utils/format';
 import toast from 'react-hot-toast';
 import { useTheme } from '../../contexts/ThemeContext';
 import ThemeToggle from '../../components/ThemeToggle';
@@ -29,12 +29,14 @@ export default function JobDetail() {
   const { id } = router.query;
   
   const [job, setJob] = useState(null);
+  const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     if (id) {
       loadJob();
+      loadHistory();
     }
   }, [id]);
 
@@ -53,6 +55,17 @@ export default function JobDetail() {
     }
   };
 
+  const loadHistory = async () => {
+    try {
+      const response = await jobsAPI.getJobHistory(id);
+      setHistory(response.data);
+    } catch (error) {
+      // History is supplementary; the job details still render without it
+      console.error('Error loading job history:', error);
+      setHistory([]);
+    }
+  };
+
   const handleJobApplication = async () => {
     try {
       await jobsAPI.trackApplication(id);
@@ -324,6 +337,44 @@ export default function JobDetail() {
                   </div>
                 </div>
               )}
+
+              {/* Change History */}
+              <div className="card mb-8">
+                <div className="card-body">
+                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4 flex items-center">
+                    <ClockIcon className="h-5 w-5 mr-2" />
+                    Change History
+                  </h2>
+                  
+                  {history.length > 0 ? (
+                    <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-6">
+                      {history.map((revision) => (
+                        <li key={revision._id} className="ml-4">
+                          <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-primary-600"></div>
+                          <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {formatDate(revision.createdAt)}
+                            {revision.importLog && ` · ${revision.importLog.sourceName}`}
+                          </p>
+                          <ul className="mt-2 space-y-1">
+                            {revision.changes.map((change) => (
+                              <li key={change.field} className="text-sm text-gray-700 dark:text-gray-300">
+                                <span className="font-medium capitalize">{change.field}</span>:{' '}
+                                <span className="line-through text-gray-400 dark:text-gray-500">{formatChangeValue(change.from)}</span>
+                                {' → '}
+                                <span>{formatChangeValue(change.to)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      No changes recorded since this job was first imported.
+                    </p>
+                  )}
+                </div>
+              </div>
             </div>
 
             {/* Sidebar */}
@@ -346,10 +397,43 @@ export default function JobDetail() {
                       </div>
                     )}
                     
-                    <div>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">Source</p>
-                      <p className="font-medium text-gray-900 dark:text-white">{job.sourceName}</p>
-                    </div>
+                    {job.sources && job.sources.length > 1 ? (
+                      <div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Sources ({job.sources.length})</p>
+                        <ul className="space-y-1">
+                          {job.sources.map((source) => (
+                            <li key={source.job} className="font-medium text-gray-900 dark:text-white">
+                              {source.applicationUrl ? (
+                                <a
+                                  href={source.applicationUrl}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-primary-600 hover:text-primary-500"
+                                >
+                                  {source.sourceName}
+                                </a>
+                              ) : (
+                                source.sourceName
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ) : (
+                      <div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Source</p>
+                        <p className="font-medium text-gray-900 dark:text-white">{job.sourceName}</p>
+                      </div>
+                    )}
+                    
+                    {job.duplicateOf && (
+                      <div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Duplicate listing</p>
+                        <Link href={`/jobs/${job.duplicateOf}`} className="text-primary-600 hover:text-primary-500 text-sm">
+                          View the main listing
+                        </Link>
+                      </div>
+                    )}
                     
                     <div>
                       <p className="text-sm text-gray-500 dark:text-gray-400">Posted</p>
@@ -70,8 +70,23 @@ export const importAPI = {
   // Get import status
   getStatus: () => retryRequest(() => api.get('/api/import/status')),
   
-  // Start manual import
-  startImport: () => retryRequest(() => api.post('/api/import/start')),
+  // Start manual import; with dryRun, get a report of what it would change for every enabled feed
+  startImport: (options = {}) => retryRequest(() => api.post('/api/import/start', options)),
+  
+  // Import a single feed source; with dryRun, get a report of what the import would change
+  startFeedImport: (feedId, options = {}) => retryRequest(() => api.post(`/api/import/feeds/${feedId}/start`, options)),
+  
+  // Get per-feed cron schedules with next/last run times
+  getCronStatus: () => retryRequest(() => api.get('/api/import/cron/status')),
+  
+  // Get recent import runs
+  getRuns: (params = {}) => retryRequest(() => api.get('/api/import/runs', { params })),
+  
+  // Get an import run with its import logs
+  getRun: (id) => retryRequest(() => api.get(`/api/import/runs/${id}`)),
+  
+  // Cancel a running import run; feeds in flight finish, the rest are not started
+  cancelRun: (id) => retryRequest(() => api.post(`/api/import/runs/${id}/cancel`)),
 };
 
 // Import logs API functions
@@ -81,6 +96,24 @@ export const importLogsAPI = {
   
   // Get import statistics overview
   getStats: (days = 30) => retryRequest(() => api.get('/api/import-logs/stats/overview', { params: { days } })),
+  
+  // Requeue an import's failed items under a new import log
+  retryFailed: (id) => retryRequest(() => api.post(`/api/import-logs/${id}/retry-failed`)),
+};
+
+// Quarantine API functions
+export const quarantineAPI = {
+  // List quarantined jobs (importLog, sourceFeed, status, page, limit)
+  getJobs: (params = {}) => retryRequest(() => api.get('/api/quarantine', { params })),
+  
+  // Get the active validation rules
+  getRules: () => retryRequest(() => api.get('/api/quarantine/rules')),
+  
+  // Import a quarantined job as it is
+  approve: (id) => retryRequest(() => api.post(`/api/quarantine/${id}/approve`)),
+  
+  // Discard a quarantined job
+  discard: (id) => retryRequest(() => api.post(`/api/quarantine/${id}/discard`)),
 };
 
 // Jobs API functions
@@ -94,6 +127,9 @@ export const jobsAPI = {
   // Get a specific job by ID
   getJob: (id) => retryRequest(() => api.get(`/api/jobs/${id}`)),
   
+  // Get a job's field-level change history
+  getJobHistory: (id, params = {}) => retryRequest(() => api.get(`/api/jobs/${id}/history`, { params })),
+  
   // Get jobs by company
   getJobsByCompany: (company, params = {}) => retryRequest(() => api.get(`/api/jobs/company/${company}`, { params })),
   
@@ -113,4 +149,56 @@ export const jobsAPI = {
   trackApplication: (id) => retryRequest(() => api.post(`/api/jobs/${id}/apply`)),
 };
 
+// Feed sources API functions
+export const feedsAPI = {
+  // Get all feed sources
+  getFeeds: (params = {}) => retryRequest(() => api.get('/api/feeds', { params })),
+  
+  // Get a specific feed source by ID
+  getFeed: (id) => retryRequest(() => api.get(`/api/feeds/${id}`)),
+  
+  // Create a feed source
+  createFeed: (data) => retryRequest(() => api.post('/api/feeds', data)),
+  
+  // Update a feed source
+  updateFeed: (id, data) => retryRequest(() => api.put(`/api/feeds/${id}`, data)),
+  
+  // Delete a feed source
+  deleteFeed: (id) => retryRequest(() => api.delete(`/api/feeds/${id}`)),
+  
+  // Get the fetch health and circuit state of every feed source
+  getHealth: () => retryRequest(() => api.get('/api/feeds/health')),
+  
+  // Close a feed's circuit and clear its failure count
+  resetHealth: (id) => retryRequest(() => api.post(`/api/feeds/${id}/health/reset`)),
+  
+  // Apply a field mapping to a sample item (fieldMapping, item)
+  previewMapping: (data) => retryRequest(() => api.post('/api/feeds/mapping/preview', data)),
+};
+
+// Queue administration API functions
+export const queuesAPI = {
+  // List queues with their job counts per state
+  getQueues: () => retryRequest(() => api.get('/api/queues')),
+  
+  // List a queue's jobs in one state (state, start, limit)
+  getJobs: (name, params = {}) => retryRequest(() => api.get(`/api/queues/${name}/jobs`, { params })),
+  
+  // Get a job with its full data and stack trace
+  getJob: (name, jobId) => retryRequest(() => api.get(`/api/queues/${name}/jobs/${jobId}`)),
+  
+  // Retry a failed job
+  retryJob: (name, jobId) => retryRequest(() => api.post(`/api/queues/${name}/jobs/${jobId}/retry`)),
+  
+  // Remove a job that is not being processed
+  removeJob: (name, jobId) => retryRequest(() => api.delete(`/api/queues/${name}/jobs/${jobId}`)),
+  
+  // Pause or resume a queue
+  pauseQueue: (name) => retryRequest(() => api.post(`/api/queues/${name}/pause`)),
+  resumeQueue: (name) => retryRequest(() => api.post(`/api/queues/${name}/resume`)),
+  
+  // Remove finished jobs older than grace ms (states: completed, failed)
+  cleanQueue: (name, options = {}) => retryRequest(() => api.post(`/api/queues/${name}/clean`, options)),
+};
+
 export default api; 
\ No newline at end of file
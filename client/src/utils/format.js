@@ -82,6 +82,7 @@ export const getStatusBadge = (status) => {
     completed: { label: 'Completed', className: 'bg-success-100 text-success-800' },
     failed: { label: 'Failed', className: 'bg-error-100 text-error-800' },
     partial: { label: 'Partial', className: 'bg-warning-100 text-warning-800' },
+    'not-modified': { label: 'Not Modified', className: 'bg-gray-100 text-gray-800' },
   };
   
   return statusConfig[status] || { label: status, className: 'bg-gray-100 text-gray-800' };
@@ -121,6 +122,27 @@ export const formatSalary = (salary) => {
   return cleanSalary;
 };
 
+// Format a value from a job revision diff
+export const formatChangeValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '—';
+  }
+  
+  if (typeof value === 'object') {
+    // Salary objects
+    if (value.min !== undefined || value.max !== undefined) {
+      const range = [value.min, value.max].filter(amount => amount !== undefined).map(formatNumber).join(' - ');
+      return `${value.currency || ''} ${range} ${value.period || ''}`.trim();
+    }
+    
+    return Object.entries(value).map(([key, entry]) => `${key}: ${entry}`).join(', ');
+  }
+  
+  return truncateText(String(value), 120);
+};
+
 // Format source name for display
 export const formatSourceName = (sourceName) => {
   if (!sourceName) return 'Unknown Source';
@@ -2,6 +2,8 @@ module.exports = {
   apps: [{
     name: 'knovator-job-importer',
     script: 'src/index.js',
+    // Imports are serialized across instances by a distributed lock (see lockService),
+    // so this can be raised without scheduled imports running once per instance
     instances: 1,
     autorestart: true,
     watch: false,
@@ -0,0 +1,126 @@
+const axios = require('axios');
+const Joi = require('joi');
+const xmlFeedService = require('../services/xmlFeedService');
+const logger = require('../utils/logger');
+
+// Base class of the feed adapters.
+//
+// fetch(feed, options) resolves with the fetch result importService works
+// with, whatever the source: { success, jobs, totalFetched, duration, format,
+// cache, notModified } or, once every attempt failed, { success: false,
+// error }. Subclasses implement fetchJobs(feed, options), which returns
+// { jobs, format, cache, notModified } or throws; fetch() retries it with
+// exponential backoff. options.cache holds the feed's { etag, lastModified }
+// and options.maxRetries overrides the number of attempts.
+class FeedAdapter {
+  constructor(type) {
+    this.type = type;
+    this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 30000;
+    this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
+    // Adapters that can hand items over in chunks implement stream()
+    this.streaming = false;
+    // Joi schema of the adapter's entry in FeedSource.adapterOptions
+    this.optionsSchema = Joi.object({});
+  }
+
+  // Validate a feed source's adapterOptions, applying defaults
+  validateOptions(options = {}) {
+    return this.optionsSchema.validate(options || {}, { stripUnknown: true });
+  }
+
+  // Options of a feed source with their defaults
+  optionsFor(feed) {
+    const { value } = this.validateOptions(feed.adapterOptions);
+    return value || {};
+  }
+
+  async fetch(feed, options = {}) {
+    const startTime = Date.now();
+    const maxRetries = options.maxRetries || this.maxRetries;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        logger.info(`Fetching ${this.type} feed: ${feed.name} (${feed.url})`);
+        const result = await this.fetchJobs(feed, options);
+        const duration = Date.now() - startTime;
+
+        if (result.notModified) {
+          logger.info(`Feed not modified since last fetch: ${feed.name}`);
+          return { jobs: [], totalFetched: 0, duration, success: true, notModified: true, cache: result.cache };
+        }
+
+        logger.info(`Successfully fetched ${result.jobs.length} jobs from ${feed.name} (${result.format}) in ${duration}ms`);
+        return {
+          jobs: result.jobs,
+          totalFetched: result.jobs.length,
+          duration,
+          format: result.format,
+          success: true,
+          cache: result.cache
+        };
+      } catch (error) {
+        logger.error(`Error fetching feed ${feed.name} (attempt ${attempt}/${maxRetries}):`, error.message);
+
+        if (attempt >= maxRetries) {
+          return {
+            jobs: [],
+            totalFetched: 0,
+            duration: Date.now() - startTime,
+            success: false,
+            error: error.message
+          };
+        }
+
+        await this.sleep(Math.pow(2, attempt) * 1000);
+      }
+    }
+  }
+
+  // GET a URL as text. 304 responses resolve too when cache validators are sent.
+  async get(url, { cache, accept = '*/*', headers = {}, params } = {}) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      responseType: 'text',
+      params,
+      headers: {
+        'User-Agent': 'Knovator-Job-Importer/1.0',
+        'Accept': accept,
+        ...headers,
+        ...xmlFeedService.conditionalHeaders(cache)
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (typeof response.data !== 'string') {
+      throw new Error('Response is not valid feed data');
+    }
+
+    return response;
+  }
+
+  // Normalize source records to the job items every adapter produces. Records
+  // use the item field names the XML feeds use (title, company, link, ...),
+  // or the feed's fieldMapping says where to find them.
+  toJobs(records, feed) {
+    const jobs = [];
+
+    for (const record of records) {
+      try {
+        const job = xmlFeedService.normalizeJob(record, feed.url, feed.name, feed.fieldMapping);
+        if (job) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        logger.warn(`Failed to normalize ${this.type} record from ${feed.name}:`, error.message);
+      }
+    }
+
+    return jobs;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = FeedAdapter;
@@ -0,0 +1,31 @@
+const Joi = require('joi');
+const FeedAdapter = require('./FeedAdapter');
+const xmlFeedService = require('../services/xmlFeedService');
+const { parseCsvRecords } = require('../utils/csv');
+
+// CSV exports with a header row. Headers name the item fields, normalized to
+// snake_case ("Job Type" -> job_type), so the usual columns are title,
+// description, company, location, job_type, category, salary, link or url,
+// guid or id, pubdate and tags (comma-separated). Sent conditionally.
+class CsvAdapter extends FeedAdapter {
+  constructor() {
+    super('csv');
+    this.optionsSchema = Joi.object({
+      delimiter: Joi.string().length(1).default(',')
+    });
+  }
+
+  async fetchJobs(feed, options = {}) {
+    const { delimiter } = this.optionsFor(feed);
+    const response = await this.get(feed.url, { cache: options.cache, accept: 'text/csv, text/plain, */*' });
+
+    if (response.status === 304) {
+      return { notModified: true, cache: xmlFeedService.cacheValidators(response, options.cache) };
+    }
+
+    const records = parseCsvRecords(response.data, delimiter);
+    return { jobs: this.toJobs(records, feed), format: 'csv', cache: xmlFeedService.cacheValidators(response) };
+  }
+}
+
+module.exports = new CsvAdapter();
@@ -0,0 +1,56 @@
+// Feed adapters, one per kind of source. A FeedSource names its adapter in
+// `adapter` (xml by default) and configures it with `adapterOptions`;
+// importService fetches every feed through getAdapter(feed.adapter).
+
+const xmlAdapter = require('./xmlAdapter');
+const jsonApiAdapter = require('./jsonApiAdapter');
+const csvAdapter = require('./csvAdapter');
+const sitemapJsonLdAdapter = require('./sitemapJsonLdAdapter');
+
+const adapters = {
+  [xmlAdapter.type]: xmlAdapter,
+  [jsonApiAdapter.type]: jsonApiAdapter,
+  [csvAdapter.type]: csvAdapter,
+  [sitemapJsonLdAdapter.type]: sitemapJsonLdAdapter
+};
+
+const DEFAULT_ADAPTER = xmlAdapter.type;
+
+const ADAPTER_TYPES = Object.keys(adapters);
+
+// The adapter of a feed source's adapter type
+const getAdapter = (type) => {
+  const adapter = adapters[type || DEFAULT_ADAPTER];
+  if (!adapter) {
+    throw new Error(`Unknown feed adapter: ${type}`);
+  }
+  return adapter;
+};
+
+/**
+ * Validate a feed source's adapter settings. Returns { error } with a message
+ * or { value } with the adapter's options, defaults applied.
+ */
+const validateAdapterSettings = ({ adapter: type = DEFAULT_ADAPTER, adapterOptions, streaming }) => {
+  const adapter = adapters[type];
+  if (!adapter) {
+    return { error: `Unknown feed adapter: ${type}` };
+  }
+
+  if (streaming && !adapter.streaming) {
+    return { error: `The ${type} adapter does not support streaming` };
+  }
+
+  const { error, value } = adapter.validateOptions(adapterOptions);
+  if (error) {
+    return { error: `Invalid ${type} adapter options: ${error.message}` };
+  }
+  return { value };
+};
+
+module.exports = {
+  ADAPTER_TYPES,
+  DEFAULT_ADAPTER,
+  getAdapter,
+  validateAdapterSettings
+};
@@ -0,0 +1,100 @@
+const Joi = require('joi');
+const FeedAdapter = require('./FeedAdapter');
+const logger = require('../utils/logger');
+
+// Properties searched for the items array when itemsPath is not set
+const ITEM_KEYS = ['items', 'jobs', 'data', 'results'];
+
+// Read a dot path ("data.jobs") from a parsed JSON document
+const getPath = (value, path) => path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+// JSON REST APIs returning job records, optionally across pages: numbered
+// pages (?page=1, 2, ...) when pageParam is set, or a next-page URL read from
+// nextPath. Paging stops at an empty or short page, a missing next link or
+// maxPages. APIs are always fetched in full.
+class JsonApiAdapter extends FeedAdapter {
+  constructor() {
+    super('json-api');
+    this.optionsSchema = Joi.object({
+      itemsPath: Joi.string().trim(),
+      pageParam: Joi.string().trim(),
+      startPage: Joi.number().integer().min(0).default(1),
+      pageSizeParam: Joi.string().trim(),
+      pageSize: Joi.number().integer().min(1).max(1000),
+      nextPath: Joi.string().trim(),
+      maxPages: Joi.number().integer().min(1).max(500).default(20),
+      headers: Joi.object().pattern(Joi.string(), Joi.string())
+    }).oxor('pageParam', 'nextPath').and('pageSizeParam', 'pageSize');
+  }
+
+  async fetchJobs(feed) {
+    const options = this.optionsFor(feed);
+    const records = [];
+    let url = feed.url;
+    let page = options.startPage;
+
+    for (let pages = 1; ; pages++) {
+      const params = {};
+      if (options.pageParam) params[options.pageParam] = page;
+      if (options.pageSizeParam) params[options.pageSizeParam] = options.pageSize;
+
+      const response = await this.get(url, { accept: 'application/json', headers: options.headers, params });
+      const body = this.parse(response.data);
+      const items = this.itemsOf(body, options.itemsPath);
+      records.push(...items.map(item => this.flatten(item)));
+
+      const next = options.nextPath ? getPath(body, options.nextPath) : null;
+      const hasMore = options.nextPath
+        ? typeof next === 'string' && next.length > 0
+        : !!options.pageParam && items.length > 0 && (!options.pageSize || items.length >= options.pageSize);
+
+      if (!hasMore) break;
+      if (pages >= options.maxPages) {
+        logger.warn(`Stopped paging ${feed.name} after maxPages (${options.maxPages})`);
+        break;
+      }
+
+      if (options.nextPath) {
+        url = new URL(next, url).toString();
+      } else {
+        page++;
+      }
+    }
+
+    return { jobs: this.toJobs(records, feed), format: 'json-api' };
+  }
+
+  parse(data) {
+    try {
+      return JSON.parse(data.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // The array of records in a response: at itemsPath, the body itself, or the first of ITEM_KEYS holding an array
+  itemsOf(body, itemsPath) {
+    const items = itemsPath
+      ? getPath(body, itemsPath)
+      : Array.isArray(body) ? body : ITEM_KEYS.map(key => body && body[key]).find(Array.isArray);
+
+    if (!Array.isArray(items)) {
+      throw new Error(itemsPath ? `No array of items at "${itemsPath}"` : 'Response has no array of items');
+    }
+    return items.filter(item => item && typeof item === 'object');
+  }
+
+  // Nested objects with a name (e.g. "company": { "name": "Acme" }) are read as that name
+  flatten(item) {
+    const record = { ...item };
+    Object.keys(record).forEach(key => {
+      const value = record[key];
+      if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.name === 'string') {
+        record[key] = value.name;
+      }
+    });
+    return record;
+  }
+}
+
+module.exports = new JsonApiAdapter();
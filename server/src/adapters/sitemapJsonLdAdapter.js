@@ -0,0 +1,180 @@
+const Joi = require('joi');
+const FeedAdapter = require('./FeedAdapter');
+const { runWithLimits } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// Nested sitemaps read from a sitemap index
+const MAX_SITEMAPS = 20;
+
+const LOC_PATTERN = /<loc>\s*([^<\s]+)\s*<\/loc>/gi;
+const JSON_LD_PATTERN = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const toArray = (value) => (value === null || value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Text of a schema.org value that may be a plain string or a thing with a name
+const nameOf = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value.name || value.value || '';
+};
+
+// Pages listed in a sitemap whose schema.org JobPosting JSON-LD describes the
+// job. feed.url is the sitemap (or a sitemap index); urlPattern limits the
+// pages read, at most maxPages of them, concurrency at a time. Pages that fail
+// are skipped; the fetch fails when every page does.
+class SitemapJsonLdAdapter extends FeedAdapter {
+  constructor() {
+    super('sitemap-jsonld');
+    this.optionsSchema = Joi.object({
+      urlPattern: Joi.string().custom((value, helpers) => {
+        try {
+          new RegExp(value);
+        } catch (error) {
+          return helpers.message(`Invalid urlPattern: ${error.message}`);
+        }
+        return value;
+      }),
+      maxPages: Joi.number().integer().min(1).max(5000).default(200),
+      concurrency: Joi.number().integer().min(1).max(10).default(3)
+    });
+  }
+
+  async fetchJobs(feed) {
+    const options = this.optionsFor(feed);
+    const pattern = options.urlPattern ? new RegExp(options.urlPattern) : null;
+    const urls = (await this.readSitemap(feed.url))
+      .filter(url => !pattern || pattern.test(url))
+      .slice(0, options.maxPages);
+
+    const records = [];
+    let failedPages = 0;
+
+    await runWithLimits(urls, async (url) => {
+      try {
+        const response = await this.get(url, { accept: 'text/html, */*' });
+        records.push(...this.extractPostings(response.data).map(posting => this.postingToRecord(posting, url)));
+      } catch (error) {
+        failedPages++;
+        logger.warn(`Failed to read job page ${url} of ${feed.name}:`, error.message);
+      }
+    }, { concurrency: options.concurrency });
+
+    if (urls.length > 0 && failedPages === urls.length) {
+      throw new Error(`All ${urls.length} pages of the sitemap failed`);
+    }
+    if (failedPages > 0) {
+      logger.warn(`Skipped ${failedPages} of ${urls.length} job pages of ${feed.name}`);
+    }
+
+    return { jobs: this.toJobs(records, feed), format: 'sitemap-jsonld' };
+  }
+
+  // Page URLs of a sitemap, following the sitemaps of a sitemap index
+  async readSitemap(url) {
+    const response = await this.get(url, { accept: 'application/xml, text/xml, */*' });
+    const locs = this.locsOf(response.data);
+
+    if (!/<sitemapindex[\s>]/i.test(response.data)) {
+      return locs;
+    }
+
+    const urls = [];
+    for (const sitemap of locs.slice(0, MAX_SITEMAPS)) {
+      const nested = await this.get(sitemap, { accept: 'application/xml, text/xml, */*' });
+      urls.push(...this.locsOf(nested.data));
+    }
+    return urls;
+  }
+
+  locsOf(xml) {
+    return [...xml.matchAll(LOC_PATTERN)].map(match => decodeEntities(match[1]));
+  }
+
+  // JobPosting objects in a page's JSON-LD scripts, including those in @graph
+  extractPostings(html) {
+    const postings = [];
+
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      if (toArray(node['@type']).includes('JobPosting')) {
+        postings.push(node);
+      }
+      if (node['@graph']) {
+        visit(node['@graph']);
+      }
+    };
+
+    for (const match of html.matchAll(JSON_LD_PATTERN)) {
+      try {
+        visit(JSON.parse(match[1].trim()));
+      } catch (error) {
+        logger.debug(`Skipping invalid JSON-LD block: ${error.message}`);
+      }
+    }
+
+    return postings;
+  }
+
+  // Flatten a schema.org JobPosting into the item fields normalizeJob() reads
+  postingToRecord(posting, pageUrl) {
+    const identifier = posting.identifier;
+
+    return {
+      guid: (identifier && (identifier.value || (typeof identifier === 'string' ? identifier : null))) || posting.url || pageUrl,
+      title: posting.title,
+      description: posting.description,
+      company: nameOf(posting.hiringOrganization),
+      location: this.locationOf(posting),
+      job_type: toArray(posting.employmentType).join(', '),
+      category: nameOf(posting.industry) || nameOf(posting.occupationalCategory),
+      salary: this.salaryOf(posting.baseSalary),
+      link: posting.url || pageUrl,
+      pubDate: posting.datePosted
+    };
+  }
+
+  locationOf(posting) {
+    if (toArray(posting.jobLocationType).includes('TELECOMMUTE')) {
+      return 'Remote';
+    }
+
+    return toArray(posting.jobLocation)
+      .map(place => {
+        const address = place && place.address;
+        if (!address) return nameOf(place);
+        if (typeof address === 'string') return address;
+        return [address.addressLocality, address.addressRegion, nameOf(address.addressCountry)].filter(Boolean).join(', ');
+      })
+      .filter(Boolean)
+      .join(' / ');
+  }
+
+  // A MonetaryAmount as text salaryParser reads, e.g. "USD 50000 - 70000 per year"
+  salaryOf(baseSalary) {
+    if (!baseSalary) return '';
+    if (typeof baseSalary !== 'object') return String(baseSalary);
+
+    const value = baseSalary.value;
+    const amount = value && typeof value === 'object'
+      ? [value.minValue, value.maxValue].filter(part => part !== undefined).join(' - ') || value.value
+      : value;
+    if (amount === undefined || amount === null || amount === '') return '';
+
+    const unit = value && value.unitText ? ` per ${value.unitText.toLowerCase()}` : '';
+    return `${baseSalary.currency ? `${baseSalary.currency} ` : ''}${amount}${unit}`;
+  }
+}
+
+module.exports = new SitemapJsonLdAdapter();
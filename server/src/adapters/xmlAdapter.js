@@ -0,0 +1,23 @@
+const FeedAdapter = require('./FeedAdapter');
+const xmlFeedService = require('../services/xmlFeedService');
+
+// RSS, Atom and JSON Feed documents, parsed by xmlFeedService. It keeps its
+// own retries and regex fallback, and can stream large XML feeds.
+class XmlAdapter extends FeedAdapter {
+  constructor() {
+    super('xml');
+    this.streaming = true;
+  }
+
+  fetch(feed, options = {}) {
+    const { cache = {}, ...fetchOptions } = options;
+    return xmlFeedService.fetchFeed(feed.url, feed.name, cache, { ...fetchOptions, fieldMapping: feed.fieldMapping });
+  }
+
+  // Hand the feed's items to onChunk(jobs, chunkNumber) as they are parsed
+  stream(feed, onChunk, options = {}) {
+    return xmlFeedService.streamFeed(feed.url, feed.name, onChunk, { ...options, fieldMapping: feed.fieldMapping });
+  }
+}
+
+module.exports = new XmlAdapter();
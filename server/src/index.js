@@ -15,6 +15,9 @@ const logger = require('./utils/logger');
 const importRoutes = require('./routes/import');
 const importLogsRoutes = require('./routes/importLogs');
 const jobsRoutes = require('./routes/jobs');
+const feedsRoutes = require('./routes/feeds');
+const queuesRoutes = require('./routes/queues');
+const quarantineRoutes = require('./routes/quarantine');
 const importService = require('./services/importService');
 const cronService = require('./services/cronService');
 const socketService = require('./services/socketService');
@@ -183,6 +186,9 @@ app.get('/test-mongodb', async (req, res) => {
 app.use('/api/import', importRoutes);
 app.use('/api/import-logs', importLogsRoutes);
 app.use('/api/jobs', jobsRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/queues', queuesRoutes);
+app.use('/api/quarantine', quarantineRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -240,7 +246,7 @@ const startServer = async () => {
     // Initialize cron service
     logger.info('Initializing cron service...');
     try {
-      cronService.initialize();
+      await cronService.initialize();
     } catch (error) {
       logger.error('Failed to initialize cron service:', error);
       // Don't let cron service failure crash the server
@@ -281,15 +287,20 @@ process.on('uncaughtException', (error) => {
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+// Graceful shutdown: release the import lock so a restarted server can resume
+// an interrupted run right away instead of waiting for the lock to expire
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  cronService.stop();
+  try {
+    await importService.stop();
+  } catch (error) {
+    logger.error('Failed to stop import service:', error);
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Feed items that failed to import, kept with their payload so they can be retried
+const deadLetterSchema = new mongoose.Schema({
+  // Import that failed to process the item
+  importLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportLog',
+    required: true
+  },
+
+  sourceFeed: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  sourceName: {
+    type: String
+  },
+
+  guid: {
+    type: String
+  },
+
+  title: {
+    type: String
+  },
+
+  // Failure as recorded on the import log's failedJobs
+  reason: {
+    type: String
+  },
+
+  error: {
+    type: String
+  },
+
+  // The normalized feed item, as passed to jobUpsertService
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending until requeued by a retry
+  status: {
+    type: String,
+    enum: ['pending', 'retried'],
+    default: 'pending'
+  },
+
+  // Import log of the retry that requeued the item
+  retryLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportLog'
+  },
+
+  retriedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deadLetterSchema.index({ importLog: 1, status: 1 });
+
+// Static method to count the pending items of each import log, keyed by log ID
+deadLetterSchema.statics.countPendingByLog = async function(importLogIds) {
+  const counts = await this.aggregate([
+    { $match: { importLog: { $in: importLogIds }, status: 'pending' } },
+    { $group: { _id: '$importLog', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
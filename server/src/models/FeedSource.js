@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const { ADAPTER_TYPES, DEFAULT_ADAPTER } = require('../adapters');
+
+const feedSourceSchema = new mongoose.Schema({
+  // Feed URL
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Display name (stored as sourceName on jobs and import logs)
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Whether the feed is included in imports
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Free-form notes about the feed
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Cron expression for scheduled imports of this feed (UTC)
+  schedule: {
+    type: String,
+    trim: true,
+    default: () => process.env.CRON_SCHEDULE || '0 * * * *',
+    validate: {
+      validator: (value) => cron.validate(value),
+      message: props => `Invalid cron schedule: ${props.value}`
+    }
+  },
+
+  // Adapter that fetches and parses the source (see src/adapters)
+  adapter: {
+    type: String,
+    enum: ADAPTER_TYPES,
+    default: DEFAULT_ADAPTER
+  },
+
+  // Adapter-specific settings, validated by the adapter when the feed is saved
+  adapterOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+
+  // Where to read job fields from the feed's items: { <field>: path or
+  // { path, transforms, default } } (see utils/fieldMapping)
+  fieldMapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+
+  // Parse the feed with the streaming parser and queue jobs in chunks (for very large XML feeds)
+  streaming: {
+    type: Boolean,
+    default: false
+  },
+
+  // Required validation fields (VALIDATION_REQUIRED_FIELDS) this feed's items may
+  // lack, e.g. company for feeds that carry none
+  optionalFields: {
+    type: [String],
+    default: () => []
+  },
+
+  // Last time this feed was imported
+  lastRunAt: {
+    type: Date
+  },
+
+  // HTTP cache validators from the last processed response, sent back as
+  // If-None-Match / If-Modified-Since so unchanged feeds return 304
+  etag: {
+    type: String
+  },
+
+  lastModified: {
+    type: String
+  },
+
+  // Fetch health tracked by feedHealthService; a feed failing
+  // consecutiveFailures times in a row is skipped until circuitOpenUntil
+  health: {
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    lastError: String,
+    // Moving averages over successful fetches
+    avgLatencyMs: Number,
+    avgItemCount: Number,
+    circuitOpenUntil: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to get the feeds that should be imported
+feedSourceSchema.statics.getEnabled = function() {
+  return this.find({ enabled: true }).sort({ createdAt: 1 }).lean();
+};
+
+// Static method to seed the registry when it is empty
+feedSourceSchema.statics.seedDefaults = async function(defaults = []) {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0 || defaults.length === 0) {
+    return 0;
+  }
+
+  await this.insertMany(defaults.map(feed => ({ ...feed, enabled: true })));
+  return defaults.length;
+};
+
+module.exports = mongoose.model('FeedSource', feedSourceSchema);
@@ -50,6 +50,31 @@ const importLogSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Existing jobs whose content hash matched (write skipped)
+  unchangedJobs: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  
+  // Jobs expired after going missing from the feed for consecutive runs
+  expiredMissingJobs: {
+    type: Number,
+    default: 0
+  },
+  
+  // Jobs expired because their expiryDate passed
+  expiredPastDateJobs: {
+    type: Number,
+    default: 0
+  },
+  
+  // Items set aside in the quarantine for breaking a validation rule
+  quarantinedJobs: {
+    type: Number,
+    default: 0
+  },
+  
   // Failed jobs with reasons
   failedJobs: [{
     guid: String,
@@ -68,7 +93,7 @@ const importLogSchema = new mongoose.Schema({
   // Import status
   status: {
     type: String,
-    enum: ['running', 'completed', 'failed', 'partial'],
+    enum: ['running', 'completed', 'failed', 'partial', 'not-modified'],
     default: 'running',
     index: true
   },
@@ -78,6 +103,13 @@ const importLogSchema = new mongoose.Schema({
     type: String
   },
   
+  // Import run this log belongs to
+  importRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportRun',
+    index: true
+  },
+  
   // Queue job ID
   queueJobId: {
     type: String
@@ -88,6 +120,23 @@ const importLogSchema = new mongoose.Schema({
     type: String
   },
   
+  // Set when the import differs sharply from the feed's previous imports
+  anomalous: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
+  // Why the import was flagged: count-drop, failure-spike or field-completeness
+  anomalies: [{
+    _id: false,
+    kind: String,
+    field: String,
+    message: String,
+    expected: Number,
+    actual: Number
+  }],
+  
   // Additional metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed
@@ -141,6 +190,7 @@ importLogSchema.statics.getStats = async function(days = 30) {
           totalJobsImported: { $sum: '$totalImported' },
           totalNewJobs: { $sum: '$newJobs' },
           totalUpdatedJobs: { $sum: '$updatedJobs' },
+          totalUnchangedJobs: { $sum: '$unchangedJobs' },
           totalFailedJobs: { $sum: { $size: '$failedJobs' } },
           avgDuration: { $avg: '$duration' },
           successfulImports: {
@@ -159,6 +209,7 @@ importLogSchema.statics.getStats = async function(days = 30) {
       totalJobsImported: 0,
       totalNewJobs: 0,
       totalUpdatedJobs: 0,
+      totalUnchangedJobs: 0,
       totalFailedJobs: 0,
       avgDuration: 0,
       successfulImports: 0,
@@ -173,6 +224,7 @@ importLogSchema.statics.getStats = async function(days = 30) {
       totalJobsImported: 0,
       totalNewJobs: 0,
       totalUpdatedJobs: 0,
+      totalUnchangedJobs: 0,
       totalFailedJobs: 0,
       avgDuration: 0,
       successfulImports: 0,
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const importRunSchema = new mongoose.Schema({
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['manual', 'cron'],
+    default: 'manual'
+  },
+
+  // Run status
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'failed', 'cancelled'],
+    default: 'running',
+    index: true
+  },
+
+  // Feeds in processing order, with their progress in this run
+  feeds: [{
+    _id: false,
+    feed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedSource',
+      required: true
+    },
+    name: String,
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed', 'cancelled', 'skipped'],
+      default: 'pending'
+    },
+    error: String,
+    startedAt: Date,
+    finishedAt: Date
+  }],
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  finishedAt: {
+    type: Date
+  },
+
+  // Set by the cancel endpoint; the run starts no further feeds
+  cancelRequestedAt: {
+    type: Date
+  },
+
+  // Times the run was resumed after a server restart
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Process executing the run (hostname:pid)
+  workerId: {
+    type: String
+  },
+
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the number of feeds finished in this run
+importRunSchema.virtual('completedFeeds').get(function() {
+  return this.feeds ? this.feeds.filter(entry => entry.status === 'completed').length : 0;
+});
+
+// Static method to get the runs interrupted by a restart, oldest first
+importRunSchema.statics.getInterrupted = function() {
+  return this.find({ status: 'running' }).sort({ startedAt: 1 });
+};
+
+module.exports = mongoose.model('ImportRun', importRunSchema);
@@ -133,7 +133,70 @@ const jobSchema = new mongoose.Schema({
   // Additional data from feed
   rawData: {
     type: mongoose.Schema.Types.Mixed
-  }
+  },
+  
+  // Change detection: hash of the imported content fields
+  contentHash: {
+    type: String
+  },
+  
+  // Fields changed by the most recent import that updated this job
+  changedFields: [String],
+  
+  contentUpdatedAt: {
+    type: Date
+  },
+  
+  // Expiry tracking: last import run that saw this job, and consecutive runs that did not
+  lastSeenAt: {
+    type: Date
+  },
+  
+  missedRuns: {
+    type: Number,
+    default: 0
+  },
+  
+  // Why and when the job was expired automatically
+  expiredReason: {
+    type: String,
+    enum: ['missing', 'expiry-date']
+  },
+  
+  expiredAt: {
+    type: Date
+  },
+  
+  // Cross-feed identity (see utils/jobIdentity)
+  canonicalKey: {
+    type: String,
+    index: true
+  },
+  
+  companyKey: {
+    type: String
+  },
+  
+  // Canonical job this one duplicates; null for canonical and standalone jobs
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null,
+    index: true
+  },
+  
+  // On canonical jobs: every feed listing this posting, including the canonical itself
+  sources: [{
+    _id: false,
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    sourceFeed: String,
+    sourceName: String,
+    originalGuid: String,
+    applicationUrl: String
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -147,6 +210,9 @@ jobSchema.index({ publishedDate: -1 });
 jobSchema.index({ location: 1, type: 1 });
 jobSchema.index({ company: 1, createdAt: -1 });
 jobSchema.index({ category: 1, industry: 1 });
+jobSchema.index({ originalGuid: 1, sourceFeed: 1 });
+jobSchema.index({ sourceFeed: 1, status: 1 });
+jobSchema.index({ companyKey: 1, duplicateOf: 1 });
 
 // Virtual for salary range display
 jobSchema.virtual('salaryRange').get(function() {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const jobRevisionSchema = new mongoose.Schema({
+  // Job that was changed
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+
+  // Upsert key of the job at the time of the change
+  originalGuid: {
+    type: String
+  },
+
+  sourceFeed: {
+    type: String
+  },
+
+  // Import that caused the change
+  importLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportLog',
+    index: true
+  },
+
+  // Field-level diff: previous and new value of every changed field
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// History of a job, newest first
+jobRevisionSchema.index({ job: 1, createdAt: -1 });
+
+// Static method to get a job's history, newest first
+jobRevisionSchema.statics.getHistory = function(jobId, limit = 50) {
+  return this.find({ job: jobId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('importLog', 'timestamp sourceName status')
+    .lean();
+};
+
+module.exports = mongoose.model('JobRevision', jobRevisionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Fallback store for distributed locks when Redis is not available (see lockService)
+const lockSchema = new mongoose.Schema({
+  // Lock name
+  _id: {
+    type: String
+  },
+
+  // Instance holding the lock (hostname:pid)
+  owner: {
+    type: String,
+    required: true
+  },
+
+  // Random token identifying this acquisition, so only the holder can renew or release it
+  token: {
+    type: String,
+    required: true
+  },
+
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // The lock is free once this passes; MongoDB also removes expired locks
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Feed items that broke a validation rule (see jobValidationService), kept
+// out of the Job collection until a reviewer approves or discards them.
+// One entry per feed item: later imports refresh it rather than adding another.
+const quarantinedJobSchema = new mongoose.Schema({
+  // Latest import that quarantined the item
+  importLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportLog',
+    required: true
+  },
+
+  sourceFeed: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  sourceName: {
+    type: String
+  },
+
+  guid: {
+    type: String,
+    required: true
+  },
+
+  title: {
+    type: String
+  },
+
+  company: {
+    type: String
+  },
+
+  // Rules the item broke
+  reasons: [{
+    _id: false,
+    rule: String,
+    field: String,
+    message: String
+  }],
+
+  // The normalized feed item, as passed to jobUpsertService
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Content hash of the mapped job (see utils/contentHash). A reviewed item
+  // is only quarantined again, or checked again once approved, when it changes.
+  contentHash: {
+    type: String
+  },
+
+  // pending until reviewed; approved items are imported as jobs
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'discarded'],
+    default: 'pending',
+    index: true
+  },
+
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quarantinedJobSchema.index({ importLog: 1, status: 1 });
+quarantinedJobSchema.index({ sourceFeed: 1, guid: 1 }, { unique: true });
+
+// Static method to count the pending items of each import log, keyed by log ID
+quarantinedJobSchema.statics.countPendingByLog = async function(importLogIds) {
+  const counts = await this.aggregate([
+    { $match: { importLog: { $in: importLogIds }, status: 'pending' } },
+    { $group: { _id: '$importLog', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+module.exports = mongoose.model('QuarantinedJob', quarantinedJobSchema);
@@ -0,0 +1,359 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { isDeepStrictEqual } = require('util');
+const cron = require('node-cron');
+const FeedSource = require('../models/FeedSource');
+const cronService = require('../services/cronService');
+const feedHealthService = require('../services/feedHealthService');
+const { ADAPTER_TYPES, DEFAULT_ADAPTER, validateAdapterSettings } = require('../adapters');
+const xmlFeedService = require('../services/xmlFeedService');
+const jobValidationService = require('../services/jobValidationService');
+const { fieldMappingSchema, applyFieldMapping } = require('../utils/fieldMapping');
+const logger = require('../utils/logger');
+
+// Validate a cron expression with node-cron
+const cronSchedule = Joi.string().trim().custom((value, helpers) => {
+  if (!cron.validate(value)) {
+    return helpers.message(`Invalid cron schedule: ${value}`);
+  }
+  return value;
+});
+
+// Required fields a feed can opt out of
+const optionalFields = Joi.array().items(Joi.string().valid(...jobValidationService.requirableFields)).unique();
+
+// Validation schemas for feed source payloads
+const createFeedSchema = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required(),
+  name: Joi.string().trim().min(1).max(200).required(),
+  enabled: Joi.boolean().default(true),
+  notes: Joi.string().trim().allow('').max(2000).default(''),
+  schedule: cronSchedule,
+  streaming: Joi.boolean().default(false),
+  adapter: Joi.string().valid(...ADAPTER_TYPES).default(DEFAULT_ADAPTER),
+  adapterOptions: Joi.object().unknown(true).default({}),
+  fieldMapping: fieldMappingSchema.default({}),
+  optionalFields: optionalFields.default([])
+});
+
+const updateFeedSchema = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+  name: Joi.string().trim().min(1).max(200),
+  enabled: Joi.boolean(),
+  notes: Joi.string().trim().allow('').max(2000),
+  schedule: cronSchedule,
+  streaming: Joi.boolean(),
+  adapter: Joi.string().valid(...ADAPTER_TYPES),
+  adapterOptions: Joi.object().unknown(true),
+  fieldMapping: fieldMappingSchema,
+  optionalFields
+}).min(1);
+
+const previewMappingSchema = Joi.object({
+  fieldMapping: fieldMappingSchema.required(),
+  item: Joi.object().unknown(true).required()
+});
+
+// Respond with 400 when the id is not a valid ObjectId
+const validateId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid feed source ID'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/feeds
+// @desc    Get all feed sources
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.enabled !== undefined) {
+      filter.enabled = req.query.enabled === 'true';
+    }
+
+    const feeds = await FeedSource.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: feeds
+    });
+  } catch (error) {
+    logger.error('Error fetching feed sources:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch feed sources'
+    });
+  }
+});
+
+// @route   GET /api/feeds/health
+// @desc    Get the fetch health and circuit state of every feed source, least healthy first
+// @access  Public
+router.get('/health', async (req, res) => {
+  try {
+    const report = await feedHealthService.getHealthReport();
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error fetching feed health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch feed health'
+    });
+  }
+});
+
+// @route   POST /api/feeds/mapping/preview
+// @desc    Apply a field mapping to a sample feed item and show the resulting job
+// @access  Public
+router.post('/mapping/preview', (req, res) => {
+  const { error, value } = previewMappingSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const mapped = applyFieldMapping(value.item, value.fieldMapping);
+    const job = xmlFeedService.normalizeJob(value.item, 'preview', 'preview', value.fieldMapping);
+
+    res.json({
+      success: true,
+      data: {
+        fieldMapping: value.fieldMapping,
+        mapped,
+        job: job && { ...job, sourceFeed: undefined, sourceName: undefined }
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing field mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview field mapping'
+    });
+  }
+});
+
+// @route   GET /api/feeds/:id
+// @desc    Get a specific feed source
+// @access  Public
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const feed = await FeedSource.findById(req.params.id).lean();
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed source not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    logger.error('Error fetching feed source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch feed source'
+    });
+  }
+});
+
+// @route   POST /api/feeds
+// @desc    Create a feed source
+// @access  Public
+router.post('/', async (req, res) => {
+  const { error, value } = createFeedSchema.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const adapterSettings = validateAdapterSettings(value);
+  if (adapterSettings.error) {
+    return res.status(400).json({
+      success: false,
+      error: adapterSettings.error
+    });
+  }
+  value.adapterOptions = adapterSettings.value;
+
+  try {
+    const feed = await FeedSource.create(value);
+    logger.info(`Feed source created: ${feed.name} (${feed.url})`);
+    cronService.scheduleFeed(feed);
+
+    res.status(201).json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A feed source with this URL already exists'
+      });
+    }
+
+    logger.error('Error creating feed source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create feed source'
+    });
+  }
+});
+
+// @route   PUT /api/feeds/:id
+// @desc    Update a feed source
+// @access  Public
+router.put('/:id', validateId, async (req, res) => {
+  const { error, value } = updateFeedSchema.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const feed = await FeedSource.findById(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed source not found'
+      });
+    }
+
+    // Adapter settings are validated as a whole; options of the previous
+    // adapter do not carry over to a new one
+    const adapter = value.adapter || feed.adapter;
+    const adapterChanged = adapter !== (feed.adapter || DEFAULT_ADAPTER);
+    const adapterSettings = validateAdapterSettings({
+      adapter,
+      adapterOptions: value.adapterOptions || (adapterChanged ? {} : feed.adapterOptions),
+      streaming: value.streaming !== undefined ? value.streaming : feed.streaming
+    });
+    if (adapterSettings.error) {
+      return res.status(400).json({
+        success: false,
+        error: adapterSettings.error
+      });
+    }
+    value.adapterOptions = adapterSettings.value;
+
+    // Cached ETag / Last-Modified validators belong to the old URL or adapter.
+    // Reading settings clear them too: a 304 would skip the import, so the
+    // new settings would not apply until the remote content changes.
+    const readingChanged = ['adapterOptions', 'fieldMapping'].some(field => (
+      value[field] !== undefined && !isDeepStrictEqual(value[field], feed[field] || {})
+    )) || (value.streaming !== undefined && value.streaming !== !!feed.streaming);
+
+    if ((value.url && value.url !== feed.url) || adapterChanged || readingChanged) {
+      feed.etag = undefined;
+      feed.lastModified = undefined;
+    }
+
+    feed.set(value);
+    await feed.save();
+
+    logger.info(`Feed source updated: ${feed.name} (${feed.url})`);
+    cronService.scheduleFeed(feed);
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A feed source with this URL already exists'
+      });
+    }
+
+    logger.error('Error updating feed source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update feed source'
+    });
+  }
+});
+
+// @route   POST /api/feeds/:id/health/reset
+// @desc    Close a feed's circuit and clear its failure count so runs fetch it again
+// @access  Public
+router.post('/:id/health/reset', validateId, async (req, res) => {
+  try {
+    const feed = await feedHealthService.reset(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed source not found'
+      });
+    }
+
+    logger.info(`Feed health reset: ${feed.name}`);
+
+    res.json({
+      success: true,
+      message: `Health of ${feed.name} reset`,
+      data: feedHealthService.describe(feed)
+    });
+  } catch (error) {
+    logger.error('Error resetting feed health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset feed health'
+    });
+  }
+});
+
+// @route   DELETE /api/feeds/:id
+// @desc    Delete a feed source
+// @access  Public
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const feed = await FeedSource.findByIdAndDelete(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed source not found'
+      });
+    }
+
+    logger.info(`Feed source deleted: ${feed.name} (${feed.url})`);
+    cronService.unscheduleFeed(feed._id);
+
+    res.json({
+      success: true,
+      message: 'Feed source deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting feed source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete feed source'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,36 @@
 const express = require('express');
 const router = express.Router();
+const Joi = require('joi');
 const importService = require('../services/importService');
 const cronService = require('../services/cronService');
 const socketService = require('../services/socketService');
 const queueService = require('../services/queueService');
+const mongoose = require('mongoose');
 const ImportLog = require('../models/ImportLog');
+const ImportRun = require('../models/ImportRun');
+const FeedSource = require('../models/FeedSource');
 const logger = require('../utils/logger');
 
+// Query of GET /runs
+const listRunsSchema = Joi.object({
+  status: Joi.string().valid(...ImportRun.schema.path('status').enumValues),
+  limit: Joi.number().integer().min(1).default(20)
+});
+
+// 409 response body when an import is already running here or on another instance, else null
+const getRunningConflict = async () => {
+  if (importService.isRunning) {
+    return { success: false, error: 'Import is already running', lockHolder: null };
+  }
+  
+  const lockHolder = await importService.getLockHolder();
+  if (lockHolder) {
+    return { success: false, error: `Import is already running on ${lockHolder.owner}`, lockHolder };
+  }
+  
+  return null;
+};
+
 // @route   GET /api/import/health
 // @desc    Get queue service health status
 // @access  Public
@@ -32,7 +56,7 @@ router.get('/health', async (req, res) => {
 router.get('/status', async (req, res) => {
   try {
     const status = importService.getImportStatus();
-    const cronStatus = cronService.getStatus();
+    const cronStatus = await cronService.getStatus();
     
     // Add timeout to prevent hanging
     const timeoutPromise = new Promise((_, reject) => {
@@ -60,7 +84,10 @@ router.get('/status', async (req, res) => {
     
     // Return basic status without queue stats if there's an error
     const status = importService.getImportStatus();
-    const cronStatus = cronService.getStatus();
+    const cronStatus = await cronService.getStatus().catch(() => ({
+      isRunning: cronService.isRunning,
+      scheduledFeeds: cronService.tasks.size
+    }));
     
     res.json({
       success: true,
@@ -89,9 +116,9 @@ router.get('/status', async (req, res) => {
 // @route   GET /api/import/cron/status
 // @desc    Get cron service status
 // @access  Public
-router.get('/cron/status', (req, res) => {
+router.get('/cron/status', async (req, res) => {
   try {
-    const cronStatus = cronService.getStatus();
+    const cronStatus = await cronService.getStatus();
     
     res.json({
       success: true,
@@ -109,9 +136,9 @@ router.get('/cron/status', (req, res) => {
 // @route   POST /api/import/cron/restart
 // @desc    Restart cron service
 // @access  Public
-router.post('/cron/restart', (req, res) => {
+router.post('/cron/restart', async (req, res) => {
   try {
-    cronService.restart();
+    await cronService.restart();
     
     res.json({
       success: true,
@@ -151,17 +178,26 @@ router.get('/socket/status', (req, res) => {
 });
 
 // @route   POST /api/import/start
-// @desc    Start manual import process
+// @desc    Start manual import process; with dryRun, report what it would change without writing
 // @access  Public
 router.post('/start', async (req, res) => {
   try {
-    // Check if import is already running
-    if (importService.isRunning) {
-      return res.status(409).json({
-        success: false,
-        error: 'Import is already running'
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+    
+    // Dry runs write nothing, so they run alongside imports and respond with the report
+    if (dryRun) {
+      const report = await importService.startImport({ dryRun: true });
+      return res.json({
+        success: true,
+        data: report
       });
     }
+    
+    // Check if import is already running here or on another instance
+    const conflict = await getRunningConflict();
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
 
     // Start import in background
     importService.startImport()
@@ -189,6 +225,188 @@ router.post('/start', async (req, res) => {
   }
 });
 
+// @route   POST /api/import/feeds/:feedId/start
+// @desc    Import a single feed source; with dryRun, report what the import would change without writing
+// @access  Public
+router.post('/feeds/:feedId/start', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.feedId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid feed ID'
+      });
+    }
+    
+    const feed = await FeedSource.findById(req.params.feedId).lean();
+    
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feed source not found'
+      });
+    }
+    
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+    
+    // Dry runs write nothing, so they run alongside imports and respond with the report
+    if (dryRun) {
+      try {
+        const result = await importService.processFeed(feed, { dryRun: true });
+        return res.json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        // Report the feed's own error (fetch or parse failure) to the caller
+        logger.error(`Dry run of ${feed.name} failed:`, error);
+        return res.status(502).json({
+          success: false,
+          error: `Dry run of ${feed.name} failed: ${error.message}`
+        });
+      }
+    }
+    
+    const conflict = await getRunningConflict();
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+    
+    // Start import in background
+    importService.startImport({ feedIds: [feed._id] })
+      .then((result) => {
+        logger.info(`Manual import of ${feed.name} completed successfully:`, result);
+      })
+      .catch((error) => {
+        logger.error(`Manual import of ${feed.name} failed:`, error);
+      });
+    
+    res.json({
+      success: true,
+      message: `Import of ${feed.name} started successfully`,
+      data: {
+        importId: importService.currentImportId,
+        feedId: feed._id,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error starting feed import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start feed import'
+    });
+  }
+});
+
+// @route   GET /api/import/runs
+// @desc    Get recent import runs, newest first
+// @access  Public
+router.get('/runs', async (req, res) => {
+  const { error, value } = listRunsSchema.validate(req.query, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const limit = Math.min(value.limit, 100);
+    const query = value.status ? { status: value.status } : {};
+    
+    const runs = await ImportRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+    
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Error fetching import runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import runs'
+    });
+  }
+});
+
+// @route   GET /api/import/runs/:id
+// @desc    Get an import run with its import logs
+// @access  Public
+router.get('/runs/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import run ID'
+      });
+    }
+    
+    const run = await ImportRun.findById(req.params.id).lean();
+    
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import run not found'
+      });
+    }
+    
+    const logs = await ImportLog.find({ importRun: run._id })
+      .sort({ timestamp: 1 })
+      .select('-failedJobs')
+      .lean();
+    
+    res.json({
+      success: true,
+      data: { ...run, logs }
+    });
+  } catch (error) {
+    logger.error('Error fetching import run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import run'
+    });
+  }
+});
+
+// @route   POST /api/import/runs/:id/cancel
+// @desc    Cancel a running import run; feeds in flight finish, the rest are not started
+// @access  Public
+router.post('/runs/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import run ID'
+      });
+    }
+    
+    const run = await importService.cancelRun(req.params.id);
+    
+    if (!run) {
+      const exists = await ImportRun.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists ? 'Import run is not running' : 'Import run not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Import run cancellation requested',
+      data: run
+    });
+  } catch (error) {
+    logger.error('Error cancelling import run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel import run'
+    });
+  }
+});
+
 // @route   POST /api/import/socket/test
 // @desc    Test Socket.IO by sending a test event
 // @access  Public
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const ImportLog = require('../models/ImportLog');
+const importService = require('../services/importService');
+const deadLetterService = require('../services/deadLetterService');
+const quarantineService = require('../services/quarantineService');
 const logger = require('../utils/logger');
 
 // @route   GET /api/import-logs
@@ -9,7 +13,6 @@ const logger = require('../utils/logger');
 router.get('/', async (req, res) => {
   try {
     // Check MongoDB connection
-    const mongoose = require('mongoose');
     if (mongoose.connection.readyState !== 1) {
       logger.error('MongoDB not connected. ReadyState:', mongoose.connection.readyState);
       return res.status(503).json({
@@ -37,6 +40,10 @@ router.get('/', async (req, res) => {
       filter.sourceName = { $regex: req.query.sourceName, $options: 'i' };
     }
     
+    if (req.query.anomalous === 'true') {
+      filter.anomalous = true;
+    }
+    
     if (req.query.startDate && req.query.endDate) {
       filter.timestamp = {
         $gte: new Date(req.query.startDate),
@@ -63,11 +70,23 @@ router.get('/', async (req, res) => {
         .sort(sort)
         .skip(skip)
         .limit(limit)
-        .select('timestamp sourceName totalFetched totalImported newJobs updatedJobs failedJobs status duration')
+        .select('timestamp sourceName totalFetched totalImported newJobs updatedJobs unchangedJobs quarantinedJobs expiredMissingJobs expiredPastDateJobs failedJobs status error workerId duration anomalous anomalies')
         .lean(),
       ImportLog.countDocuments(filter)
     ]);
 
+    // Failed items each log could still retry (see POST /:id/retry-failed)
+    // and quarantined items awaiting review (see /api/quarantine)
+    const logIds = importLogs.map(log => log._id);
+    const [retryable, quarantined] = await Promise.all([
+      deadLetterService.countPendingByLog(logIds),
+      quarantineService.countPendingByLog(logIds)
+    ]);
+    importLogs.forEach(log => {
+      log.retryableCount = retryable.get(String(log._id)) || 0;
+      log.pendingQuarantineCount = quarantined.get(String(log._id)) || 0;
+    });
+
     // Calculate pagination info
     const totalPages = Math.ceil(total / limit);
     const hasNextPage = page < totalPages;
@@ -96,7 +115,58 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/import-logs/:id/retry-failed
+// @desc    Requeue the failed items of an import from the dead-letter store, under a new import log
+// @access  Public
+router.post('/:id/retry-failed', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import log ID'
+      });
+    }
+
+    const importLog = await ImportLog.findById(req.params.id).lean();
+
+    if (!importLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import log not found'
+      });
+    }
 
+    // Items of a running import may still be dead-lettered by its queue jobs
+    if (importLog.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'Import is still running'
+      });
+    }
+
+    const result = await importService.retryFailedItems(importLog);
+
+    // Nothing failed, or a concurrent retry claimed the items first
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'No failed items left to retry'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Requeued ${result.requeued} failed items of ${importLog.sourceName}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error retrying failed items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry failed items'
+    });
+  }
+});
 
 // @route   GET /api/import-logs/stats/overview
 // @desc    Get import statistics overview
@@ -104,7 +174,6 @@ router.get('/', async (req, res) => {
 router.get('/stats/overview', async (req, res) => {
   try {
     // Check MongoDB connection
-    const mongoose = require('mongoose');
     if (mongoose.connection.readyState !== 1) {
       logger.error('MongoDB not connected. ReadyState:', mongoose.connection.readyState);
       return res.status(503).json({
@@ -145,7 +214,6 @@ router.get('/stats/overview', async (req, res) => {
 // @access  Public
 router.get('/test', async (req, res) => {
   try {
-    const mongoose = require('mongoose');
     const connectionState = mongoose.connection.readyState;
     const states = ['disconnected', 'connected', 'connecting', 'disconnecting'];
     
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Job = require('../models/Job');
+const JobRevision = require('../models/JobRevision');
 const logger = require('../utils/logger');
 
 // @route   GET /api/jobs
@@ -21,12 +23,18 @@ router.get('/', async (req, res) => {
       minSalary,
       maxSalary,
       sortBy = 'publishedDate',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      includeDuplicates
     } = req.query;
 
     // Build search query
     let searchQuery = { status: 'active' };
     
+    // Cross-feed duplicates are listed on their canonical job's sources
+    if (includeDuplicates !== 'true') {
+      searchQuery.duplicateOf = null;
+    }
+    
     // Text search
     if (search) {
       searchQuery.$text = { $search: search };
@@ -153,6 +161,43 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/jobs/:id/history
+// @desc    Get a job's field-level change history, newest first
+// @access  Public
+router.get('/:id/history', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await Job.findById(req.params.id).select('_id').lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const history = await JobRevision.getHistory(job._id, limit);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error fetching job history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job history'
+    });
+  }
+});
+
 // @route   GET /api/jobs/company/:company
 // @desc    Get jobs by company
 // @access  Public
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const quarantineService = require('../services/quarantineService');
+const jobValidationService = require('../services/jobValidationService');
+const logger = require('../utils/logger');
+
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return helpers.message('Invalid import log ID');
+  }
+  return value;
+});
+
+const listSchema = Joi.object({
+  importLog: objectId,
+  sourceFeed: Joi.string().trim(),
+  status: Joi.string().valid('pending', 'approved', 'discarded'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Respond with 400 when the id is not a valid ObjectId
+const validateId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid quarantined job ID'
+    });
+  }
+  next();
+};
+
+// Respond with 404 or 409 when an item cannot be reviewed
+const notPending = async (req, res) => {
+  const entry = await quarantineService.getById(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: 'Quarantined job not found'
+    });
+  }
+
+  res.status(409).json({
+    success: false,
+    error: `Quarantined job already ${entry.status}`
+  });
+};
+
+// @route   GET /api/quarantine
+// @desc    List quarantined jobs with their reasons, newest first (importLog, sourceFeed, status, page, limit)
+// @access  Public
+router.get('/', async (req, res) => {
+  const { error, value } = listSchema.validate(req.query, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const { page, limit, ...filter } = value;
+    const result = await quarantineService.list(filter, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing quarantined jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list quarantined jobs'
+    });
+  }
+});
+
+// @route   GET /api/quarantine/rules
+// @desc    Get the active validation rules
+// @access  Public
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: jobValidationService.getRules()
+  });
+});
+
+// @route   POST /api/quarantine/:id/approve
+// @desc    Import a quarantined job as it is, bypassing the validation rules
+// @access  Public
+router.post('/:id/approve', validateId, async (req, res) => {
+  try {
+    const result = await quarantineService.approve(req.params.id);
+
+    if (!result) {
+      return notPending(req, res);
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: `Job could not be imported: ${result.error}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${result.entry.title || result.entry.guid}`,
+      data: result.entry
+    });
+  } catch (error) {
+    logger.error('Error approving quarantined job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve quarantined job'
+    });
+  }
+});
+
+// @route   POST /api/quarantine/:id/discard
+// @desc    Discard a quarantined job without importing it
+// @access  Public
+router.post('/:id/discard', validateId, async (req, res) => {
+  try {
+    const entry = await quarantineService.discard(req.params.id);
+
+    if (!entry) {
+      return notPending(req, res);
+    }
+
+    res.json({
+      success: true,
+      message: `Discarded ${entry.title || entry.guid}`,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error discarding quarantined job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard quarantined job'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const queueService = require('../services/queueService');
+const logger = require('../utils/logger');
+
+const listJobsSchema = Joi.object({
+  state: Joi.string().valid(...queueService.jobStates).default('failed'),
+  start: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const cleanQueueSchema = Joi.object({
+  // Only jobs finished longer ago than this are removed
+  grace: Joi.number().integer().min(0).default(24 * 60 * 60 * 1000),
+  states: Joi.array().items(Joi.string().valid(...queueService.cleanableStates)).min(1).default(queueService.cleanableStates)
+});
+
+// Respond with 503 without Redis and 404 for queues this instance does not use
+const validateQueue = (req, res, next) => {
+  if (!queueService.isRedisAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Queue service not available (Redis not connected)'
+    });
+  }
+
+  if (!queueService.getKnownQueueNames().includes(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Queue not found'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/queues
+// @desc    List queues with their paused flag and job counts per state
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const redisAvailable = queueService.isRedisAvailable();
+    const queues = redisAvailable
+      ? await Promise.all(queueService.getKnownQueueNames().map(name => queueService.getQueueOverview(name)))
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        redisAvailable,
+        jobStates: queueService.jobStates,
+        queues
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing queues:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list queues'
+    });
+  }
+});
+
+// @route   GET /api/queues/:name
+// @desc    Get a queue's paused flag and job counts per state
+// @access  Public
+router.get('/:name', validateQueue, async (req, res) => {
+  try {
+    const queue = await queueService.getQueueOverview(req.params.name);
+
+    res.json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    logger.error('Error getting queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get queue'
+    });
+  }
+});
+
+// @route   GET /api/queues/:name/jobs
+// @desc    List a queue's jobs in one state (?state=, default failed; ?start=&limit=, max 100)
+// @access  Public
+router.get('/:name/jobs', validateQueue, async (req, res) => {
+  const { error, value } = listJobsSchema.validate(req.query, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const jobs = await queueService.listJobs(req.params.name, value.state, value);
+
+    res.json({
+      success: true,
+      data: {
+        state: value.state,
+        start: value.start,
+        limit: value.limit,
+        jobs
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing queue jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list queue jobs'
+    });
+  }
+});
+
+// @route   GET /api/queues/:name/jobs/:jobId
+// @desc    Get a job with its full data, failure reason and stack trace
+// @access  Public
+router.get('/:name/jobs/:jobId', validateQueue, async (req, res) => {
+  try {
+    const job = await queueService.getJobDetails(req.params.name, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error getting queue job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get queue job'
+    });
+  }
+});
+
+// @route   POST /api/queues/:name/jobs/:jobId/retry
+// @desc    Retry a failed job
+// @access  Public
+router.post('/:name/jobs/:jobId/retry', validateQueue, async (req, res) => {
+  try {
+    const result = await queueService.retryJob(req.params.name, req.params.jobId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!result.retried && result.importLogId) {
+      return res.status(409).json({
+        success: false,
+        error: `Failed import chunks are already recorded on their import log; retry them with POST /api/import-logs/${result.importLogId}/retry-failed`
+      });
+    }
+
+    if (!result.retried) {
+      return res.status(409).json({
+        success: false,
+        error: `Only failed jobs can be retried (job is ${result.state})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.jobId} queued for retry`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error retrying queue job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry queue job'
+    });
+  }
+});
+
+// @route   DELETE /api/queues/:name/jobs/:jobId
+// @desc    Remove a job that is not being processed
+// @access  Public
+router.delete('/:name/jobs/:jobId', validateQueue, async (req, res) => {
+  try {
+    const result = await queueService.removeJob(req.params.name, req.params.jobId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!result.removed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Active jobs cannot be removed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.jobId} removed`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error removing queue job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove queue job'
+    });
+  }
+});
+
+// @route   POST /api/queues/:name/pause
+// @desc    Pause a queue: workers finish their active jobs and take no new ones
+// @access  Public
+router.post('/:name/pause', validateQueue, async (req, res) => {
+  try {
+    await queueService.pauseQueue(req.params.name);
+    const queue = await queueService.getQueueOverview(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Queue ${req.params.name} paused`,
+      data: queue
+    });
+  } catch (error) {
+    logger.error('Error pausing queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause queue'
+    });
+  }
+});
+
+// @route   POST /api/queues/:name/resume
+// @desc    Resume a paused queue
+// @access  Public
+router.post('/:name/resume', validateQueue, async (req, res) => {
+  try {
+    await queueService.resumeQueue(req.params.name);
+    const queue = await queueService.getQueueOverview(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Queue ${req.params.name} resumed`,
+      data: queue
+    });
+  } catch (error) {
+    logger.error('Error resuming queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume queue'
+    });
+  }
+});
+
+// @route   POST /api/queues/:name/clean
+// @desc    Remove completed and/or failed jobs finished more than `grace` ms ago (default 24 hours)
+// @access  Public
+router.post('/:name/clean', validateQueue, async (req, res) => {
+  const { error, value } = cleanQueueSchema.validate(req.body || {}, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const removed = await queueService.cleanQueue(req.params.name, value.grace, value.states);
+
+    res.json({
+      success: true,
+      message: `Queue ${req.params.name} cleaned`,
+      data: { removed }
+    });
+  } catch (error) {
+    logger.error('Error cleaning queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clean queue'
+    });
+  }
+});
+
+module.exports = router;
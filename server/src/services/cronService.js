@@ -1,89 +1,178 @@
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const mongoose = require('mongoose');
 const importService = require('./importService');
 const socketService = require('./socketService');
+const FeedSource = require('../models/FeedSource');
 const logger = require('../utils/logger');
 
+const TIMEZONE = 'UTC';
+
 class CronService {
   constructor() {
-    this.cronJob = null;
+    // Scheduled tasks keyed by feed source ID
+    this.tasks = new Map();
+    // Feeds due for a scheduled import, and the promise of the loop importing them
+    this.dueFeeds = new Set();
+    this.draining = null;
+    // How long to wait for other feeds falling due before starting a scheduled run (ms)
+    this.batchWindow = 1000;
     this.isRunning = false;
   }
 
-  // Initialize the cron service
-  initialize() {
+  // Initialize the cron service with one scheduled task per enabled feed
+  async initialize() {
     try {
-      const cronSchedule = process.env.CRON_SCHEDULE || '0 * * * *'; // Default: every hour
-      
-      logger.info(`Initializing cron service with schedule: ${cronSchedule}`);
-      
-      // Validate cron schedule
-      if (!cron.validate(cronSchedule)) {
-        throw new Error(`Invalid cron schedule: ${cronSchedule}`);
-      }
+      const feeds = await FeedSource.getEnabled();
 
-      // Create cron job
-      this.cronJob = cron.schedule(cronSchedule, async () => {
-        try {
-          await this.executeScheduledImport();
-        } catch (error) {
-          logger.error('Cron job execution failed:', error);
-          // Don't let cron errors crash the server
-          // The cron will continue to run on the next schedule
-        }
-      }, {
-        scheduled: false, // Don't start immediately
-        timezone: 'UTC'
-      });
+      logger.info(`Initializing cron service for ${feeds.length} feed sources`);
+
+      for (const feed of feeds) {
+        this.scheduleFeed(feed);
+      }
 
-      // Start the cron job
-      this.cronJob.start();
       this.isRunning = true;
-      
-      logger.info('Cron service initialized and started successfully');
-      
-      // Log next run time (node-cron doesn't have nextDate method)
-      logger.info(`Cron service initialized with schedule: ${cronSchedule}`);
-      
+
+      logger.info(`Cron service initialized with ${this.tasks.size} scheduled feeds`);
+
     } catch (error) {
       logger.error('Failed to initialize cron service:', error);
       throw error;
     }
   }
 
-  // Execute the scheduled import
-  async executeScheduledImport() {
+  // Schedule (or reschedule) the import task for a feed source
+  scheduleFeed(feed) {
+    const feedId = feed._id.toString();
+
+    // Drop any existing task so schedule changes take effect
+    this.unscheduleFeed(feedId);
+
+    if (!feed.enabled) {
+      return null;
+    }
+
+    // Validate cron schedule
+    if (!cron.validate(feed.schedule)) {
+      logger.error(`Invalid cron schedule for feed ${feed.name}: ${feed.schedule}`);
+      return null;
+    }
+
+    // Errors are caught in queueScheduledImport so they can't crash the server;
+    // the cron will continue to run on the next schedule
+    const task = cron.schedule(feed.schedule, () => {
+      this.queueScheduledImport(feedId);
+    }, {
+      scheduled: false, // Don't start immediately
+      timezone: TIMEZONE
+    });
+
+    task.start();
+
+    const entry = {
+      task,
+      feedId,
+      feedName: feed.name,
+      schedule: feed.schedule,
+      lastRun: feed.lastRunAt || null
+    };
+    this.tasks.set(feedId, entry);
+
+    logger.info(`Scheduled feed ${feed.name} with schedule: ${feed.schedule}`);
+    return entry;
+  }
+
+  // Remove the scheduled task for a feed source
+  unscheduleFeed(feedId) {
+    const entry = this.tasks.get(feedId.toString());
+    if (entry) {
+      entry.task.stop();
+      this.tasks.delete(feedId.toString());
+      this.dueFeeds.delete(entry.feedId);
+      logger.info(`Unscheduled feed ${entry.feedName}`);
+    }
+  }
+
+  // Queue a feed whose schedule fired. Feeds that fall due together, or while an
+  // import is running here, are imported together in the next scheduled run.
+  queueScheduledImport(feedId) {
+    this.dueFeeds.add(feedId);
+    if (!this.draining) {
+      this.draining = this.runDueFeeds()
+        .catch(error => logger.error('Scheduled imports failed:', error))
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  // Import the queued feeds until none are left
+  async runDueFeeds() {
+    while (this.dueFeeds.size > 0) {
+      // Feeds falling due during an import here run once it finishes
+      await importService.whenIdle();
+
+      // Give tasks firing at the same moment time to queue their feeds
+      await new Promise(resolve => setTimeout(resolve, this.batchWindow));
+
+      // An import started here in the meantime; wait for that one too
+      if (importService.isRunning) {
+        continue;
+      }
+
+      const feedIds = Array.from(this.dueFeeds);
+      this.dueFeeds.clear();
+      await this.executeScheduledImport(feedIds);
+    }
+  }
+
+  // Execute one scheduled import of the given feeds
+  async executeScheduledImport(feedIds) {
+    const entries = feedIds.map(feedId => this.tasks.get(feedId)).filter(Boolean);
+    if (entries.length === 0) {
+      return;
+    }
+
+    const ids = entries.map(entry => entry.feedId);
+    const feedNames = entries.map(entry => entry.feedName).join(', ');
+
     try {
-      logger.info('Executing scheduled import...');
-      
+      logger.info(`Executing scheduled import for ${feedNames}...`);
+
       // Emit cron status update
       socketService.emitCronStatus({
         type: 'cron-triggered',
-        message: 'Cron job triggered import process',
-        schedule: process.env.CRON_SCHEDULE || '0 * * * *'
+        message: `Cron job triggered import for ${feedNames}`,
+        feedIds: ids,
+        feedName: feedNames,
+        schedules: entries.map(entry => entry.schedule)
       });
-      
-      // Check if import is already running
-      if (importService.isRunning) {
-        logger.warn('Import is already running, skipping scheduled import');
-        socketService.emitCronStatus({
-          type: 'cron-skipped',
-          message: 'Import already running, cron skipped',
-          reason: 'import_already_running'
-        });
+
+      // Check if an import is already running on another instance
+      const lockHolder = await importService.getLockHolder();
+      if (lockHolder) {
+        this.emitSkipped(entries, lockHolder);
         return;
       }
 
       // Emit import started event
       socketService.emitImportStarted({
         type: 'cron-import',
-        message: 'Scheduled import started by cron',
+        message: `Scheduled import started by cron for ${feedNames}`,
+        feedIds: ids,
+        feedName: feedNames,
         timestamp: new Date().toISOString()
       });
 
-      // Trigger the import
-      const result = await importService.startImport();
-      
-      logger.info('Scheduled import completed successfully', {
+      // Trigger one import for all of these feeds
+      const now = new Date();
+      entries.forEach(entry => {
+        entry.lastRun = now;
+      });
+      const result = await importService.startImport({ feedIds: ids, trigger: 'cron' });
+
+      logger.info(`Scheduled import for ${feedNames} completed successfully`, {
         importId: result.importId,
         totalFeeds: result.totalFeeds,
         results: result.results
@@ -92,48 +181,113 @@ class CronService {
       // Emit import completed event
       socketService.emitImportCompleted({
         type: 'cron-import',
-        message: 'Scheduled import completed successfully',
+        message: `Scheduled import for ${feedNames} completed successfully`,
+        feedIds: ids,
+        feedName: feedNames,
         importId: result.importId,
         totalFeeds: result.totalFeeds,
         results: result.results
       });
 
     } catch (error) {
-      logger.error('Scheduled import failed:', error);
+      // An import started here after the check in runDueFeeds; run these feeds after it
+      if (error.code === 'IMPORT_RUNNING') {
+        ids.forEach(feedId => this.dueFeeds.add(feedId));
+        return;
+      }
+
+      // Another instance took the lock after the check above
+      if (error.code === 'IMPORT_LOCKED') {
+        this.emitSkipped(entries, error.holder);
+        return;
+      }
       
+      logger.error(`Scheduled import for ${feedNames} failed:`, error);
+
       // Emit import error event
       socketService.emitImportError({
         type: 'cron-import',
-        message: 'Scheduled import failed',
+        message: `Scheduled import for ${feedNames} failed`,
+        feedIds: ids,
+        feedName: feedNames,
         error: error.message,
         stack: error.stack
       });
     }
   }
 
-  // Get cron service status
-  getStatus() {
+  // Report a scheduled import skipped because another instance holds the import lock
+  emitSkipped(entries, lockHolder) {
+    const holder = lockHolder ? lockHolder.owner : 'another instance';
+    const feedNames = entries.map(entry => entry.feedName).join(', ');
+    logger.warn(`Import is already running on ${holder}, skipping scheduled import for ${feedNames}`);
+    socketService.emitCronStatus({
+      type: 'cron-skipped',
+      message: `Import already running on ${holder}, cron skipped`,
+      reason: 'import_already_running',
+      lockHolder: lockHolder || null,
+      feedIds: entries.map(entry => entry.feedId),
+      feedName: feedNames
+    });
+  }
+
+  // Calculate the next run time of a cron schedule
+  getNextRun(schedule) {
+    try {
+      return cronParser.parseExpression(schedule, { tz: TIMEZONE }).next().toDate();
+    } catch (error) {
+      logger.warn(`Failed to calculate next run for schedule ${schedule}:`, error.message);
+      return null;
+    }
+  }
+
+  // Get cron service status with next/last run times per feed
+  async getStatus() {
+    // Prefer persisted last run times so manual imports are reflected too
+    const lastRuns = new Map();
+    if (mongoose.connection.readyState === 1 && this.tasks.size > 0) {
+      const feeds = await FeedSource.find({ _id: { $in: Array.from(this.tasks.keys()) } })
+        .select('lastRunAt')
+        .lean();
+      feeds.forEach(feed => lastRuns.set(feed._id.toString(), feed.lastRunAt));
+    }
+
+    const feeds = Array.from(this.tasks.values())
+      .map(entry => ({
+        feedId: entry.feedId,
+        feedName: entry.feedName,
+        schedule: entry.schedule,
+        lastRun: lastRuns.get(entry.feedId) || entry.lastRun,
+        nextRun: this.getNextRun(entry.schedule)
+      }))
+      .sort((a, b) => (a.nextRun || Infinity) - (b.nextRun || Infinity));
+
     return {
       isRunning: this.isRunning,
-      schedule: process.env.CRON_SCHEDULE || '0 * * * *',
-      nextRun: 'Calculating...' // node-cron doesn't provide next run time easily
+      timezone: TIMEZONE,
+      defaultSchedule: process.env.CRON_SCHEDULE || '0 * * * *',
+      scheduledFeeds: feeds.length,
+      nextRun: feeds.length > 0 ? feeds[0].nextRun : null,
+      feeds
     };
   }
 
   // Stop the cron service
   stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.isRunning = false;
-      logger.info('Cron service stopped');
+    for (const entry of this.tasks.values()) {
+      entry.task.stop();
     }
+    this.tasks.clear();
+    this.dueFeeds.clear();
+    this.isRunning = false;
+    logger.info('Cron service stopped');
   }
 
   // Restart the cron service
-  restart() {
+  async restart() {
     this.stop();
-    this.initialize();
+    await this.initialize();
   }
 }
 
-module.exports = new CronService(); 
\ No newline at end of file
+module.exports = new CronService();
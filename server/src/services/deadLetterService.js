@@ -0,0 +1,53 @@
+const DeadLetter = require('../models/DeadLetter');
+const logger = require('../utils/logger');
+
+// Dead-letter store for feed items that failed to import. Items are kept with
+// their normalized payload so an import log's failures can be requeued.
+class DeadLetterService {
+  // Store failed items of an import. entries are { item, failure } pairs, where
+  // failure is the entry recorded on the import log's failedJobs.
+  // Best-effort like job revisions: a failure here does not fail the import.
+  async record(importLogId, feed, entries) {
+    if (!importLogId || entries.length === 0) return;
+
+    try {
+      await DeadLetter.insertMany(entries.map(({ item, failure }) => ({
+        importLog: importLogId,
+        sourceFeed: feed.url,
+        sourceName: feed.name,
+        guid: failure.guid,
+        title: failure.title,
+        reason: failure.reason,
+        error: failure.error,
+        payload: item
+      })), { ordered: false });
+    } catch (error) {
+      logger.warn(`Failed to store dead-letter items for ${feed.name}:`, error.message);
+    }
+  }
+
+  // Claim the items of an import log that have not been retried yet for the
+  // retry import logged as retryLogId, and return the claimed items. Concurrent
+  // retries of the same log never claim the same item.
+  async claimPending(importLogId, retryLogId) {
+    await DeadLetter.updateMany(
+      { importLog: importLogId, status: 'pending', retriedAt: null },
+      { $set: { status: 'retried', retryLog: retryLogId, retriedAt: new Date() } }
+    );
+    return DeadLetter.find({ retryLog: retryLogId }).lean();
+  }
+
+  // Make the items of a retry that could not be started pending again
+  restorePending(retryLogId) {
+    return DeadLetter.updateMany(
+      { retryLog: retryLogId, status: 'retried' },
+      { $set: { status: 'pending' }, $unset: { retryLog: '', retriedAt: '' } }
+    );
+  }
+
+  countPendingByLog(importLogIds) {
+    return DeadLetter.countPendingByLog(importLogIds);
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,187 @@
+const ImportLog = require('../models/ImportLog');
+const socketService = require('./socketService');
+const { PLACEHOLDERS } = require('../utils/placeholders');
+const logger = require('../utils/logger');
+
+// Normalized job fields whose completeness is tracked per import
+const TRACKED_FIELDS = ['title', 'description', 'company', 'location', 'jobType', 'category', 'salary', 'url'];
+
+// Compares each finished import of a feed with that feed's recent imports and
+// flags the import log `anomalous` when it fetched far fewer items, failed far
+// more of them, or lost fields its items used to carry.
+//
+// Field completeness (the share of items with a non-empty value per tracked
+// field) is measured when the feed is fetched and kept in the log's
+// metadata.fieldCompleteness, so later imports can be compared against it.
+class FeedAnomalyService {
+  constructor() {
+    this.historySize = parseInt(process.env.ANOMALY_HISTORY_SIZE) || 10;
+    this.minHistory = parseInt(process.env.ANOMALY_MIN_HISTORY) || 3;
+    this.countDrop = parseFloat(process.env.ANOMALY_COUNT_DROP) || 0.5;
+    this.failureSpike = parseFloat(process.env.ANOMALY_FAILURE_SPIKE) || 0.2;
+    this.completenessDrop = parseFloat(process.env.ANOMALY_COMPLETENESS_DROP) || 0.3;
+    // Feeds usually this small are too noisy to judge count drops on
+    this.minTypicalCount = 10;
+  }
+
+  // Add the items carrying each tracked field to counts (kept across chunks of a streamed feed)
+  countFields(items, counts = {}) {
+    TRACKED_FIELDS.forEach(field => {
+      counts[field] = (counts[field] || 0) + items.filter(item => this.hasValue(item, field)).length;
+    });
+    return counts;
+  }
+
+  // Share of items carrying each tracked field, from countFields counts
+  completeness(counts, total) {
+    if (!total) return undefined;
+
+    const result = {};
+    TRACKED_FIELDS.forEach(field => {
+      result[field] = Math.round(((counts[field] || 0) / total) * 100) / 100;
+    });
+    return result;
+  }
+
+  measureCompleteness(items) {
+    return this.completeness(this.countFields(items), items.length);
+  }
+
+  hasValue(item, field) {
+    const value = item && item[field];
+    if (value === undefined || value === null) return false;
+
+    const text = value.toString().trim();
+    return text.length > 0 && text !== PLACEHOLDERS[field];
+  }
+
+  // Compare a finished import log with the feed's previous imports, flag it
+  // when anomalous and emit feed-anomaly. Retries of failed items only cover a
+  // few items, so they are neither checked nor used as history. Best effort:
+  // errors are logged and never fail the import. Returns the anomalies found.
+  async checkImportLog(importLogId) {
+    try {
+      const importLog = await ImportLog.findById(importLogId).lean();
+      if (!importLog || !['completed', 'partial'].includes(importLog.status)) return [];
+      if (importLog.metadata && importLog.metadata.retryOf) return [];
+
+      const history = await ImportLog.find({
+        _id: { $ne: importLog._id },
+        sourceFeed: importLog.sourceFeed,
+        status: { $in: ['completed', 'partial'] },
+        timestamp: { $lt: importLog.timestamp },
+        'metadata.retryOf': { $exists: false }
+      })
+        .sort({ timestamp: -1 })
+        .limit(this.historySize)
+        .select('totalFetched failedJobs.guid metadata.fieldCompleteness')
+        .lean();
+
+      const anomalies = this.detect(importLog, history);
+      if (anomalies.length === 0) return anomalies;
+
+      await ImportLog.updateOne({ _id: importLog._id }, { $set: { anomalous: true, anomalies } });
+      logger.warn(`Anomalous import of ${importLog.sourceName}: ${anomalies.map(anomaly => anomaly.message).join('; ')}`);
+
+      socketService.emitFeedAnomaly({
+        importLogId: importLog._id,
+        importId: importLog.importRun,
+        feedName: importLog.sourceName,
+        sourceFeed: importLog.sourceFeed,
+        anomalies
+      });
+
+      return anomalies;
+    } catch (error) {
+      logger.warn(`Failed to check import ${importLogId} for anomalies:`, error.message);
+      return [];
+    }
+  }
+
+  // Anomalies of an import log against its feed's history, newest first.
+  // Needs at least minHistory previous imports to judge.
+  detect(importLog, history) {
+    if (history.length < this.minHistory) return [];
+
+    return [
+      this.detectCountDrop(importLog, history),
+      this.detectFailureSpike(importLog, history),
+      ...this.detectCompletenessDrops(importLog, history)
+    ].filter(Boolean);
+  }
+
+  // totalFetched fell more than countDrop below the median of recent imports
+  detectCountDrop(importLog, history) {
+    const typical = median(history.map(log => log.totalFetched || 0));
+    const actual = importLog.totalFetched || 0;
+
+    if (typical < this.minTypicalCount || actual >= typical * (1 - this.countDrop)) return null;
+
+    return {
+      kind: 'count-drop',
+      message: `Fetched ${actual} items, usually ${typical}`,
+      expected: typical,
+      actual
+    };
+  }
+
+  // The share of failed items rose by failureSpike or more over the recent average
+  detectFailureSpike(importLog, history) {
+    const rate = failureRate(importLog);
+    const typical = mean(history.map(failureRate));
+
+    if (rate - typical < this.failureSpike) return null;
+
+    return {
+      kind: 'failure-spike',
+      message: `${percent(rate)} of items failed, usually ${percent(typical)}`,
+      expected: round(typical),
+      actual: round(rate)
+    };
+  }
+
+  // Fields present on completenessDrop (as a share of items) fewer items than usual
+  detectCompletenessDrops(importLog, history) {
+    const current = importLog.metadata && importLog.metadata.fieldCompleteness;
+    const previous = history
+      .map(log => log.metadata && log.metadata.fieldCompleteness)
+      .filter(Boolean);
+
+    if (!current || previous.length < this.minHistory) return [];
+
+    return TRACKED_FIELDS
+      .filter(field => typeof current[field] === 'number')
+      .map(field => {
+        const typical = mean(previous.map(completeness => completeness[field] || 0));
+        if (typical - current[field] < this.completenessDrop) return null;
+
+        return {
+          kind: 'field-completeness',
+          field,
+          message: `${field} present on ${percent(current[field])} of items, usually ${percent(typical)}`,
+          expected: round(typical),
+          actual: current[field]
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const failureRate = (log) => {
+  const failed = log.failedJobs ? log.failedJobs.length : 0;
+  return log.totalFetched ? Math.min(failed / log.totalFetched, 1) : 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+module.exports = new FeedAnomalyService();
@@ -0,0 +1,157 @@
+const FeedSource = require('../models/FeedSource');
+const logger = require('../utils/logger');
+
+// Weight of the latest fetch in the moving averages
+const SMOOTHING = 0.3;
+
+// Per-feed fetch health and circuit breaker.
+//
+// Every fetch records a success or a failure on the feed source. After
+// failureThreshold consecutive failures the circuit opens: runs skip the feed
+// until circuitOpenUntil, which backs off exponentially with each further
+// failure. Once it passes, the next run makes a single trial fetch (no
+// retries); success closes the circuit, failure reopens it for longer.
+class FeedHealthService {
+  constructor() {
+    this.failureThreshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+    this.baseBackoff = parseInt(process.env.CIRCUIT_BACKOFF_MS) || 15 * 60 * 1000;
+    this.maxBackoff = parseInt(process.env.CIRCUIT_MAX_BACKOFF_MS) || 24 * 60 * 60 * 1000;
+  }
+
+  // Whether runs should skip the feed for now
+  isCircuitOpen(feed, now = new Date()) {
+    const until = feed.health && feed.health.circuitOpenUntil;
+    return !!until && new Date(until) > now;
+  }
+
+  // The circuit opened and its backoff passed: the next fetch is a trial
+  isHalfOpen(feed, now = new Date()) {
+    return !this.isCircuitOpen(feed, now) && this.consecutiveFailures(feed) >= this.failureThreshold;
+  }
+
+  // Options for fetchFeed: trial fetches are not retried
+  fetchOptions(feed) {
+    return this.isHalfOpen(feed) ? { maxRetries: 1 } : {};
+  }
+
+  consecutiveFailures(feed) {
+    return (feed.health && feed.health.consecutiveFailures) || 0;
+  }
+
+  // How long the circuit stays open after the given number of consecutive failures
+  backoffFor(failures) {
+    return Math.min(this.baseBackoff * Math.pow(2, failures - this.failureThreshold), this.maxBackoff);
+  }
+
+  // Record a successful fetch. itemCount is omitted for 304 responses, which
+  // say nothing about the feed's size. Closes the circuit.
+  async recordSuccess(feed, { duration, itemCount } = {}) {
+    if (!feed._id) return;
+
+    const health = feed.health || {};
+    const update = {
+      'health.consecutiveFailures': 0,
+      'health.lastSuccessAt': new Date(),
+      'health.circuitOpenUntil': null
+    };
+    if (typeof duration === 'number') {
+      update['health.avgLatencyMs'] = Math.round(this.average(health.avgLatencyMs, duration));
+    }
+    if (typeof itemCount === 'number') {
+      update['health.avgItemCount'] = Math.round(this.average(health.avgItemCount, itemCount));
+    }
+
+    if (this.consecutiveFailures(feed) >= this.failureThreshold) {
+      logger.info(`Feed ${feed.name} recovered; closing its circuit`);
+    }
+
+    try {
+      await FeedSource.updateOne({ _id: feed._id }, { $set: update });
+    } catch (error) {
+      logger.warn(`Failed to record health of feed ${feed.name}:`, error.message);
+    }
+  }
+
+  // Record a failed fetch, opening the circuit once failureThreshold is reached
+  async recordFailure(feed, message) {
+    if (!feed._id) return;
+
+    try {
+      const now = new Date();
+      const updated = await FeedSource.findOneAndUpdate(
+        { _id: feed._id },
+        {
+          $inc: { 'health.consecutiveFailures': 1 },
+          $set: { 'health.lastFailureAt': now, 'health.lastError': message }
+        },
+        { new: true, projection: { health: 1 } }
+      ).lean();
+
+      const failures = updated ? updated.health.consecutiveFailures : 0;
+      if (failures >= this.failureThreshold) {
+        const circuitOpenUntil = new Date(now.getTime() + this.backoffFor(failures));
+        await FeedSource.updateOne({ _id: feed._id }, { $set: { 'health.circuitOpenUntil': circuitOpenUntil } });
+        logger.warn(`Feed ${feed.name} failed ${failures} times in a row; skipping it until ${circuitOpenUntil.toISOString()}`);
+      }
+    } catch (updateError) {
+      logger.warn(`Failed to record health of feed ${feed.name}:`, updateError.message);
+    }
+  }
+
+  // Close the circuit and forget the failures, e.g. after fixing the feed
+  async reset(feedId) {
+    return FeedSource.findByIdAndUpdate(feedId, {
+      $set: { 'health.consecutiveFailures': 0, 'health.circuitOpenUntil': null }
+    }, { new: true }).lean();
+  }
+
+  // Health status of a feed: healthy, degraded (failing, circuit still
+  // closed), open (skipped), half-open (next fetch is a trial) or unknown
+  // (never fetched). score drops from 100 to 0 as failures reach the threshold.
+  describe(feed, now = new Date()) {
+    const health = feed.health || {};
+    const failures = this.consecutiveFailures(feed);
+    let status = 'healthy';
+    if (!health.lastSuccessAt && !health.lastFailureAt) {
+      status = 'unknown';
+    } else if (this.isCircuitOpen(feed, now)) {
+      status = 'open';
+    } else if (failures >= this.failureThreshold) {
+      status = 'half-open';
+    } else if (failures > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      feedId: feed._id,
+      name: feed.name,
+      url: feed.url,
+      enabled: feed.enabled,
+      status,
+      score: status === 'unknown' ? null : Math.max(0, Math.round(100 * (1 - failures / this.failureThreshold))),
+      consecutiveFailures: failures,
+      lastSuccessAt: health.lastSuccessAt || null,
+      lastFailureAt: health.lastFailureAt || null,
+      lastError: health.lastError || null,
+      avgLatencyMs: health.avgLatencyMs !== undefined ? health.avgLatencyMs : null,
+      avgItemCount: health.avgItemCount !== undefined ? health.avgItemCount : null,
+      circuitOpenUntil: health.circuitOpenUntil || null
+    };
+  }
+
+  // Health of every feed source, least healthy first
+  async getHealthReport() {
+    const feeds = await FeedSource.find().sort({ createdAt: 1 }).lean();
+    const rows = feeds.map(feed => this.describe(feed));
+    const rank = { open: 0, 'half-open': 1, degraded: 2, unknown: 3, healthy: 4 };
+
+    return rows.sort((a, b) => rank[a.status] - rank[b.status]);
+  }
+
+  // Exponential moving average; the first value seeds it
+  average(current, value) {
+    return typeof current === 'number' ? current + SMOOTHING * (value - current) : value;
+  }
+}
+
+module.exports = new FeedHealthService();
@@ -1,17 +1,52 @@
+const mongoose = require('mongoose');
 const xmlFeedService = require('./xmlFeedService');
 const socketService = require('./socketService');
 const queueService = require('./queueService');
+const FeedSource = require('../models/FeedSource');
+const ImportRun = require('../models/ImportRun');
+const jobUpsertService = require('./jobUpsertService');
+const jobExpiryService = require('./jobExpiryService');
+const deadLetterService = require('./deadLetterService');
+const feedHealthService = require('./feedHealthService');
+const feedAnomalyService = require('./feedAnomalyService');
+const lockService = require('./lockService');
+const { getAdapter } = require('../adapters');
+const { runWithLimits } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
+// Distributed lock held for the whole run, so only one instance imports at a time
+const IMPORT_LOCK = 'import';
+
 class ImportService {
   constructor() {
     this.isRunning = false;
     this.currentImportId = null;
+    // Callbacks waiting for the running import to finish (see whenIdle)
+    this.idleWaiters = [];
+    this.workerId = lockService.owner;
+    this.lock = null;
+    this.lockTtl = parseInt(process.env.IMPORT_LOCK_TTL_MS) || 60000;
+    this.feedConcurrency = parseInt(process.env.FEED_CONCURRENCY) || 3;
+    this.hostConcurrency = parseInt(process.env.FEED_HOST_CONCURRENCY) || 1;
+    this.chunkSize = parseInt(process.env.QUEUE_CHUNK_SIZE) || 100;
+    this.stuckLogTimeout = parseInt(process.env.STUCK_IMPORT_TIMEOUT_MS) || 60 * 60 * 1000;
+    this.sweepTimer = null;
+    this.resumeTimer = null;
   }
 
   // Initialize the import service
   async initialize() {
     try {
+      // Seed the feed registry with the default feeds on first run
+      try {
+        const seeded = await FeedSource.seedDefaults(xmlFeedService.getDefaultFeedSources());
+        if (seeded > 0) {
+          logger.info(`Seeded feed registry with ${seeded} default feed sources`);
+        }
+      } catch (error) {
+        logger.warn('Failed to seed feed registry:', error.message);
+      }
+
       // Initialize queue service
       await queueService.initialize();
       
@@ -21,124 +56,29 @@ class ImportService {
         const queue = queueService.getQueue('job-import');
         
         // Create worker for processing jobs
-        const worker = queueService.createWorker('job-import', async (job) => {
-          logger.info(`Processing job ${job.id}: ${job.data.feedName}`);
-          
-          try {
-            // Process the job data
-            const { jobData, feedName, feedUrl, importLogId } = job.data;
-            
-            // Import Job model
-            const Job = require('../models/Job');
-            
-            let processed = 0;
-            let newJobs = 0;
-            let updatedJobs = 0;
-            let failedJobs = [];
-            
-            // Process individual jobs
-            for (const jobItem of jobData) {
-              try {
-                // Check if job already exists
-                const existingJob = await Job.findOne({ 
-                  originalGuid: jobItem.guid,
-                  sourceFeed: feedUrl 
-                });
-                
-                if (existingJob) {
-                  // Update existing job
-                  existingJob.title = jobItem.title || existingJob.title;
-                  existingJob.company = jobItem.company || existingJob.company;
-                  existingJob.location = jobItem.location || existingJob.location;
-                  existingJob.description = jobItem.description || existingJob.description;
-                  existingJob.salary = jobItem.salary || existingJob.salary;
-                  existingJob.requirements = jobItem.requirements || existingJob.requirements;
-                  existingJob.type = jobItem.type || existingJob.type;
-                  existingJob.category = jobItem.category || existingJob.category;
-                  existingJob.industry = jobItem.industry || existingJob.industry;
-                  existingJob.remote = jobItem.remote || existingJob.remote;
-                  existingJob.applicationUrl = jobItem.applicationUrl || existingJob.applicationUrl;
-                  existingJob.applicationEmail = jobItem.applicationEmail || existingJob.applicationEmail;
-                  existingJob.publishedDate = jobItem.publishedDate || existingJob.publishedDate;
-                  existingJob.rawData = jobItem;
-                  existingJob.updatedAt = new Date();
-                  
-                  await existingJob.save();
-                  updatedJobs++;
-                  processed++; // Only increment after successful save
-                } else {
-                  // Create new job
-                  const newJob = new Job({
-                    title: jobItem.title,
-                    company: jobItem.company,
-                    location: jobItem.location,
-                    description: jobItem.description,
-                    salary: jobItem.salary,
-                    requirements: jobItem.requirements,
-                    type: jobItem.type,
-                    category: jobItem.category,
-                    industry: jobItem.industry,
-                    remote: jobItem.remote,
-                    applicationUrl: jobItem.applicationUrl,
-                    applicationEmail: jobItem.applicationEmail,
-                    sourceFeed: feedUrl,
-                    sourceName: feedName,
-                    originalGuid: jobItem.guid,
-                    publishedDate: jobItem.publishedDate,
-                    status: 'active',
-                    rawData: jobItem
-                  });
-                  
-                  await newJob.save();
-                  newJobs++;
-                  processed++; // Only increment after successful save
-                }
-              } catch (jobError) {
-                logger.error(`Error processing individual job:`, jobError);
-                logger.error(`Failed job details:`, {
-                  guid: jobItem.guid,
-                  title: jobItem.title,
-                  company: jobItem.company,
-                  error: jobError.message
-                });
-                failedJobs.push({
-                  guid: jobItem.guid,
-                  title: jobItem.title,
-                  reason: 'Processing error',
-                  error: jobError.message
-                });
-              }
-            }
-            
-            // Update import log with processing results
-            if (importLogId) {
-              const ImportLog = require('../models/ImportLog');
-              const importLog = await ImportLog.findById(importLogId);
-              if (importLog) {
-                importLog.totalImported = processed;
-                importLog.newJobs = newJobs;
-                importLog.updatedJobs = updatedJobs;
-                importLog.failedJobs = failedJobs;
-                importLog.status = 'completed';
-                await importLog.save();
-              }
-            }
-            
-            logger.info(`Processed ${processed} jobs from ${feedName} (${newJobs} new, ${updatedJobs} updated, ${failedJobs.length} failed)`);
-            
-            return { success: true, processed, newJobs, updatedJobs, failedJobs: failedJobs.length };
-          } catch (error) {
-            logger.error(`Error processing job ${job.id}:`, error);
-            throw error;
-          }
-        }, {
+        const worker = queueService.createWorker('job-import', (job) => this.processQueueJob(job), {
           concurrency: parseInt(process.env.CONCURRENCY) || 5
         });
         
+        if (worker) {
+          worker.on('failed', (job, error) => {
+            this.handleFailedQueueJob(job, error).catch(handlerError => {
+              logger.error(`Failed to finalize import log of job ${job && job.id}:`, handlerError);
+            });
+          });
+        }
+        
         logger.info('Import service initialized with BullMQ queue system');
       } else {
         logger.warn('Redis not available - Import service will process jobs synchronously');
       }
+      
+      // Pick up runs interrupted by a restart in the background
+      this.resumeInterruptedRuns().catch(error => {
+        logger.error('Failed to resume interrupted import runs:', error);
+      });
+      
+      this.startStuckLogSweeper();
     } catch (error) {
       logger.error('Failed to initialize import service:', error);
       // Don't throw error - allow service to continue without queue
@@ -146,61 +86,450 @@ class ImportService {
   }
 
   // Start the import process
-  async startImport() {
+  // Pass options.feedIds to import only those feed sources instead of every enabled feed,
+  // and options.dryRun to get a report of what the import would change instead (see previewImport)
+  async startImport(options = {}) {
+    if (options.dryRun) {
+      return this.previewImport(options);
+    }
+    
+    if (this.isRunning) {
+      const error = new Error('Import is already running');
+      error.code = 'IMPORT_RUNNING';
+      throw error;
+    }
+
+    this.isRunning = true;
+    // The run ID is assigned up front so callers can report it right away
+    const runId = new mongoose.Types.ObjectId();
+    this.currentImportId = runId.toString();
+    
+    let run;
+    try {
+      await this.acquireImportLock();
+      
+      logger.info('Fetching feed sources...');
+      const feedSources = options.feedIds
+        ? await FeedSource.find({ _id: { $in: options.feedIds } }).lean()
+        : await FeedSource.getEnabled();
+      logger.info(`Found ${feedSources.length} feed sources to import`);
+      
+      run = await ImportRun.create({
+        _id: runId,
+        trigger: options.trigger || 'manual',
+        workerId: this.workerId,
+        feeds: feedSources.map(feed => ({ feed: feed._id, name: feed.name }))
+      });
+      
+      return await this.executeRun(run, feedSources);
+    } catch (error) {
+      // Failures after the run was created are reported by executeRun
+      if (!run && error.code !== 'IMPORT_LOCKED') {
+        logger.error(`Import process failed (ID: ${runId}):`, error);
+        socketService.emitImportError({
+          importId: runId.toString(),
+          message: 'Import process failed',
+          error: error.message,
+          stack: error.stack
+        });
+      }
+      throw error;
+    } finally {
+      await this.releaseImportLock();
+      this.finishRunning();
+    }
+  }
+
+  // Process one job-import queue job: a chunk of a feed's items, or the
+  // parent job that completes the feed's import log once its chunks are done
+  async processQueueJob(job) {
+    if (job.data.finalize) {
+      return this.finalizeFeedJob(job);
+    }
+    
+    logger.info(`Processing job ${job.id}: ${job.data.feedName}`);
+    
+    try {
+      const { jobData, feedName, feedUrl, importLogId, seenAt } = job.data;
+      
+      // Upsert jobs through the shared bulkWrite pipeline
+      const { processed, newJobs, updatedJobs, unchangedJobs, failedJobs } = await jobUpsertService.upsertJobs(jobData, {
+        url: feedUrl,
+        name: feedName
+      }, { importLogId, seenAt });
+      
+      logger.info(`Processed ${processed} jobs from ${feedName} (${newJobs} new, ${updatedJobs} updated, ${unchangedJobs} unchanged, ${failedJobs.length} failed)`);
+      
+      // Chunks of a flow report their results to the parent job
+      if (job.parentKey) {
+        return { success: true, processed, newJobs, updatedJobs, unchangedJobs, failedJobs };
+      }
+      
+      // Chunks of a streamed feed add to the shared import log
+      if (importLogId && job.data.chunk) {
+        await this.recordChunkResults(importLogId, { processed, newJobs, updatedJobs, unchangedJobs, failedJobs });
+      } else if (importLogId) {
+        // Update import log with processing results
+        const ImportLog = require('../models/ImportLog');
+        const importLog = await ImportLog.findById(importLogId);
+        if (importLog && importLog.status === 'running') {
+          importLog.totalImported = processed;
+          importLog.newJobs = newJobs;
+          importLog.updatedJobs = updatedJobs;
+          importLog.unchangedJobs = unchangedJobs;
+          importLog.failedJobs = failedJobs;
+          Object.assign(importLog, this.finalFields(importLog, 'completed'));
+          Object.assign(importLog, await this.expireJobs(importLog, { countMissing: job.data.countMissing !== false }));
+          await importLog.save();
+          await feedAnomalyService.checkImportLog(importLogId);
+        }
+      }
+      
+      return { success: true, processed, newJobs, updatedJobs, unchangedJobs, failedJobs: failedJobs.length };
+    } catch (error) {
+      logger.error(`Error processing job ${job.id}:`, error);
+      throw error;
+    }
+  }
+
+  // Parent job of a feed's chunk flow: aggregate the chunk results into the
+  // import log. Chunks that failed every attempt are dropped from the flow
+  // (removeDependencyOnFailure), so they show up as missing results.
+  async finalizeFeedJob(job) {
+    const ImportLog = require('../models/ImportLog');
+    const { importLogId, feedName, totalChunks, countMissing } = job.data;
+    const results = Object.values(await job.getChildrenValues());
+    const totals = { processed: 0, newJobs: 0, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] };
+    
+    results.forEach(result => {
+      totals.processed += result.processed;
+      totals.newJobs += result.newJobs;
+      totals.updatedJobs += result.updatedJobs;
+      totals.unchangedJobs += result.unchangedJobs;
+      totals.failedJobs.push(...result.failedJobs);
+    });
+    
+    const failedChunks = Math.max(totalChunks - results.length, 0);
+    const importLog = await ImportLog.findById(importLogId).lean();
+    
+    // A log already failed (e.g. by the stuck-log sweeper) keeps its final status.
+    // failedJobs is pushed rather than set: failed chunks add their items to it too.
+    if (importLog && importLog.status === 'running') {
+      const update = {
+        totalImported: totals.processed,
+        newJobs: totals.newJobs,
+        updatedJobs: totals.updatedJobs,
+        unchangedJobs: totals.unchangedJobs,
+        'metadata.totalChunks': totalChunks,
+        'metadata.processedChunks': results.length,
+        'metadata.failedChunks': failedChunks,
+        ...this.finalFields(importLog, this.chunkedStatus(totalChunks, failedChunks))
+      };
+      if (failedChunks > 0) {
+        update.error = `${failedChunks} of ${totalChunks} chunks failed`;
+      }
+      const result = await ImportLog.updateOne({ _id: importLogId, status: 'running' }, {
+        $set: update,
+        $push: { failedJobs: { $each: totals.failedJobs } }
+      });
+      
+      // Items of failed chunks were never marked seen, so only count missing jobs when every chunk ran
+      if (result.modifiedCount > 0) {
+        await ImportLog.updateOne({ _id: importLogId }, await this.expireJobs(importLog, { countMissing: countMissing !== false && failedChunks === 0 }));
+        await feedAnomalyService.checkImportLog(importLogId);
+      }
+    }
+    
+    logger.info(`Completed import of ${feedName}: ${results.length}/${totalChunks} chunks, ${totals.newJobs} new, ${totals.updatedJobs} updated, ${totals.unchangedJobs} unchanged, ${totals.failedJobs.length} failed`);
+    
+    return {
+      success: failedChunks === 0,
+      processed: totals.processed,
+      newJobs: totals.newJobs,
+      updatedJobs: totals.updatedJobs,
+      unchangedJobs: totals.unchangedJobs,
+      failedJobs: totals.failedJobs.length,
+      failedChunks
+    };
+  }
+
+  // Dry run of an import: report what every feed would change. Takes no lock
+  // and writes no jobs, runs or logs, so it can run alongside a real import.
+  // Feeds are previewed concurrently within the same limits as an import.
+  async previewImport(options = {}) {
+    const startedAt = Date.now();
+    const feedSources = options.feedIds
+      ? await FeedSource.find({ _id: { $in: options.feedIds } }).lean()
+      : await FeedSource.getEnabled();
+    logger.info(`Dry run of ${feedSources.length} feed sources`);
+    
+    // One result per feed, in feed order however the previews finish
+    const results = new Array(feedSources.length);
+    await runWithLimits(feedSources.map((feed, index) => ({ feed, index })), async ({ feed, index }) => {
+      try {
+        results[index] = await this.previewFeed(feed);
+      } catch (error) {
+        logger.error(`Dry run of ${feed.name} failed:`, error);
+        results[index] = { feed: feed.name, feedId: feed._id, success: false, dryRun: true, error: error.message };
+      }
+    }, {
+      concurrency: this.feedConcurrency,
+      perKey: this.hostConcurrency,
+      keyOf: ({ feed }) => this.feedHost(feed)
+    });
+    
+    const summary = { newJobs: 0, updatedJobs: 0, unchangedJobs: 0, failedJobs: 0, failedFeeds: 0 };
+    results.forEach(result => {
+      if (!result.success) {
+        summary.failedFeeds++;
+        return;
+      }
+      summary.newJobs += result.newJobs;
+      summary.updatedJobs += result.updatedJobs;
+      summary.unchangedJobs += result.unchangedJobs;
+      summary.failedJobs += result.failedJobs;
+    });
+    
+    return {
+      dryRun: true,
+      totalFeeds: feedSources.length,
+      summary,
+      results,
+      duration: Date.now() - startedAt
+    };
+  }
+
+  // Resume a run interrupted by a server restart, starting with the feeds it had not finished.
+  // A feed that was mid-import is imported again; upserts make that safe.
+  async resumeRun(run) {
     if (this.isRunning) {
-      throw new Error('Import is already running');
+      const error = new Error('Import is already running');
+      error.code = 'IMPORT_RUNNING';
+      throw error;
     }
 
     this.isRunning = true;
-    this.currentImportId = Date.now().toString();
-    logger.info(`Starting import process (ID: ${this.currentImportId})`);
+    this.currentImportId = run._id.toString();
+    
+    try {
+      await this.acquireImportLock();
+      
+      const ImportLog = require('../models/ImportLog');
+      const feedSources = await FeedSource.find({ _id: { $in: run.feeds.map(entry => entry.feed) } }).lean();
+      const interrupted = new Set(run.feeds.filter(entry => entry.status === 'running').map(entry => String(entry.feed)));
+      const interruptedUrls = feedSources.filter(feed => interrupted.has(String(feed._id))).map(feed => feed.url);
+      
+      // Logs left running by the interrupted feeds will never be completed
+      if (interruptedUrls.length > 0) {
+        await ImportLog.updateMany({
+          importRun: run._id,
+          sourceFeed: { $in: interruptedUrls },
+          status: 'running'
+        }, {
+          status: 'failed',
+          error: 'Interrupted by server restart'
+        });
+      }
+      
+      await ImportRun.updateOne({ _id: run._id }, {
+        $inc: { resumeCount: 1 },
+        $set: { workerId: this.workerId }
+      });
+      logger.info(`Resuming import run ${run._id} (${run.feeds.filter(entry => ['pending', 'running'].includes(entry.status)).length} feeds left)`);
+      
+      return await this.executeRun(run, feedSources, { resumed: true });
+    } finally {
+      await this.releaseImportLock();
+      this.finishRunning();
+    }
+  }
+
+  // Resume every run left running by a previous process
+  async resumeInterruptedRuns() {
+    const runs = await ImportRun.getInterrupted();
+    
+    for (const run of runs) {
+      try {
+        if (run.cancelRequestedAt) {
+          await this.finishCancelledRun(run._id);
+          continue;
+        }
+        await this.resumeRun(run);
+      } catch (error) {
+        // An import holds the lock, possibly a lock left by the previous process
+        // until it expires; try again once the lock TTL has passed
+        if (['IMPORT_LOCKED', 'IMPORT_RUNNING'].includes(error.code)) {
+          logger.info(`Not resuming import run ${run._id} yet: ${error.message}`);
+          this.scheduleResume();
+          return;
+        }
+        logger.error(`Failed to resume import run ${run._id}:`, error);
+      }
+    }
+  }
+
+  // Resolves once no import is running in this process
+  whenIdle() {
+    if (!this.isRunning) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  // Mark the running import finished and wake whenIdle callers
+  finishRunning() {
+    this.isRunning = false;
+    this.currentImportId = null;
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Retry resumeInterruptedRuns after the import lock TTL
+  scheduleResume() {
+    if (this.resumeTimer) return;
+    
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.resumeInterruptedRuns().catch(error => {
+        logger.error('Failed to resume interrupted import runs:', error);
+      });
+    }, this.lockTtl);
+    this.resumeTimer.unref();
+  }
+
+  // Take the distributed import lock, or fail with code IMPORT_LOCKED and the current holder
+  async acquireImportLock() {
+    this.lock = await lockService.acquire(IMPORT_LOCK, this.lockTtl);
+    if (this.lock) return;
+    
+    const holder = await this.getLockHolder();
+    const error = new Error(`Import is already running on ${holder ? holder.owner : 'another instance'}`);
+    error.code = 'IMPORT_LOCKED';
+    error.holder = holder;
+    throw error;
+  }
+
+  async releaseImportLock() {
+    await lockService.release(this.lock);
+    this.lock = null;
+  }
+
+  // Instance currently holding the import lock ({ owner, acquiredAt, backend }), or null
+  async getLockHolder() {
+    try {
+      return await lockService.getHolder(IMPORT_LOCK);
+    } catch (error) {
+      logger.warn('Failed to read import lock holder:', error.message);
+      return null;
+    }
+  }
+
+  // Import the run's unfinished feeds concurrently: up to feedConcurrency at a time
+  // and hostConcurrency per feed host, checking for cancellation before each feed
+  async executeRun(run, feedSources, options = {}) {
+    const importId = run._id.toString();
+    const feedsById = new Map(feedSources.map(feed => [String(feed._id), feed]));
+    const entries = run.feeds.filter(entry => ['pending', 'running'].includes(entry.status));
+    const totalFeeds = run.feeds.length;
+    const results = [];
+    const inFlight = new Map();
+    let finishedFeeds = totalFeeds - entries.length;
+    
+    logger.info(`Starting import process (ID: ${importId})`);
     
     // Emit import started event
     socketService.emitImportStarted({
-      importId: this.currentImportId,
-      message: 'Import process started',
+      importId,
+      resumed: !!options.resumed,
+      message: options.resumed ? 'Import process resumed' : 'Import process started',
       timestamp: new Date().toISOString()
     });
     
+    const emitProgress = (message) => {
+      socketService.emitImportProgress({
+        importId,
+        totalFeeds,
+        finishedFeeds,
+        inFlight: [...inFlight.values()],
+        message
+      });
+    };
+    
+    const importEntry = async (entry) => {
+      const feed = feedsById.get(String(entry.feed));
+      
+      if (!feed) {
+        await this.updateRunFeed(run._id, entry.feed, { status: 'failed', error: 'Feed source no longer exists', finishedAt: new Date() });
+        results.push({ feed: entry.name, success: false, error: 'Feed source no longer exists' });
+        finishedFeeds++;
+        return;
+      }
+      
+      // Feeds that keep failing are skipped until their circuit's backoff passes
+      if (feedHealthService.isCircuitOpen(feed)) {
+        const error = `Skipped: feed failing, circuit open until ${new Date(feed.health.circuitOpenUntil).toISOString()}`;
+        logger.warn(`${feed.name}: ${error}`);
+        await this.updateRunFeed(run._id, feed._id, { status: 'skipped', error, finishedAt: new Date() });
+        results.push({ feed: feed.name, success: false, skipped: true, error });
+        finishedFeeds++;
+        emitProgress(`Skipped feed: ${feed.name} (${finishedFeeds}/${totalFeeds} done)`);
+        return;
+      }
+      
+      await this.updateRunFeed(run._id, feed._id, { status: 'running', startedAt: new Date() });
+      inFlight.set(String(feed._id), { feedId: String(feed._id), feedName: feed.name, host: this.feedHost(feed) });
+      emitProgress(`Processing feed: ${feed.name} (${finishedFeeds}/${totalFeeds} done)`);
+      
+      try {
+        logger.info(`Processing feed: ${feed.name}`);
+        const result = await this.processFeed(feed, { importRunId: run._id });
+        logger.info(`Processed feed: ${feed.name}`);
+        results.push(result);
+        await this.updateRunFeed(run._id, feed._id, { status: 'completed', finishedAt: new Date() });
+      } catch (error) {
+        logger.error(`Failed to process feed ${feed.name}:`, error);
+        results.push({
+          feed: feed.name,
+          success: false,
+          error: error.message
+        });
+        await this.updateRunFeed(run._id, feed._id, { status: 'failed', error: error.message, finishedAt: new Date() });
+      }
+      
+      try {
+        await FeedSource.updateOne({ _id: feed._id }, { lastRunAt: new Date() });
+      } catch (error) {
+        logger.warn(`Failed to record last run for feed ${feed.name}:`, error.message);
+      }
+      
+      inFlight.delete(String(feed._id));
+      finishedFeeds++;
+      emitProgress(`Finished feed: ${feed.name} (${finishedFeeds}/${totalFeeds} done)`);
+    };
+    
     try {
-      logger.info('Fetching feed sources...');
-      const feedSources = xmlFeedService.getFeedSources();
-      logger.info(`Found ${feedSources.length} feed sources`);
-      const results = [];
-
-      // Process each feed source
-      for (let i = 0; i < feedSources.length; i++) {
-        const feed = feedSources[i];
-        try {
-          logger.info(`Processing feed: ${feed.name}`);
-          
-          // Emit progress update
-          socketService.emitImportProgress({
-            importId: this.currentImportId,
-            currentFeed: i + 1,
-            totalFeeds: feedSources.length,
-            feedName: feed.name,
-            message: `Processing feed ${i + 1}/${feedSources.length}: ${feed.name}`
-          });
-          
-          const result = await this.processFeed(feed);
-          logger.info(`Processed feed: ${feed.name}`);
-          results.push(result);
-        } catch (error) {
-          logger.error(`Failed to process feed ${feed.name}:`, error);
-          results.push({
-            feed: feed.name,
-            success: false,
-            error: error.message
-          });
+      const { stopped: cancelled } = await runWithLimits(entries, importEntry, {
+        concurrency: this.feedConcurrency,
+        perKey: this.hostConcurrency,
+        keyOf: entry => this.feedHost(feedsById.get(String(entry.feed))),
+        beforeStart: async () => {
+          // Another instance may have taken over; stop rather than import alongside it
+          if (this.lock && this.lock.lost) {
+            throw new Error('Import lock lost to another instance');
+          }
+          return !(await this.isCancelRequested(run._id));
         }
-      }
+      });
+      
+      const status = cancelled
+        ? await this.finishCancelledRun(run._id)
+        : await this.finishRun(run._id);
 
-      logger.info(`Import process completed (ID: ${this.currentImportId})`);
+      logger.info(`Import process ${status} (ID: ${importId})`);
       
       const finalResult = {
-        importId: this.currentImportId,
-        totalFeeds: feedSources.length,
+        importId,
+        status,
+        totalFeeds,
         results
       };
       
@@ -210,177 +539,178 @@ class ImportService {
       return finalResult;
 
     } catch (error) {
-      logger.error(`Import process failed (ID: ${this.currentImportId}):`, error);
+      logger.error(`Import process failed (ID: ${importId}):`, error);
+      
+      await ImportRun.updateOne({ _id: run._id }, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date()
+      }).catch(updateError => logger.warn(`Failed to mark import run ${importId} failed:`, updateError.message));
       
       // Emit import error event
       socketService.emitImportError({
-        importId: this.currentImportId,
+        importId,
         message: 'Import process failed',
         error: error.message,
         stack: error.stack
       });
       
       throw error;
-    } finally {
-      this.isRunning = false;
-      this.currentImportId = null;
     }
   }
 
+  // Host of a feed's URL; feeds on the same host share the hostConcurrency limit
+  feedHost(feed) {
+    if (!feed) return null;
+    
+    try {
+      return new URL(feed.url).host;
+    } catch (error) {
+      return feed.url;
+    }
+  }
+
+  // Request cancellation of a run. The run starts no further feeds; feeds
+  // already in flight or handed to the queue finish processing.
+  async cancelRun(runId) {
+    const run = await ImportRun.findOneAndUpdate(
+      { _id: runId, status: 'running' },
+      { $set: { cancelRequestedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (run) {
+      logger.info(`Cancellation requested for import run ${runId}`);
+    }
+    
+    return run;
+  }
+
+  async isCancelRequested(runId) {
+    return !!(await ImportRun.exists({ _id: runId, cancelRequestedAt: { $ne: null } }));
+  }
+
+  // Set fields on one feed entry of a run
+  async updateRunFeed(runId, feedId, fields) {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      update[`feeds.$.${key}`] = value;
+    });
+    
+    await ImportRun.updateOne({ _id: runId, 'feeds.feed': feedId }, { $set: update });
+  }
+
+  // Complete a run; its status reflects how many feeds failed or were skipped
+  async finishRun(runId) {
+    const run = await ImportRun.findById(runId).lean();
+    const failed = run.feeds.filter(entry => entry.status === 'failed').length;
+    const skipped = run.feeds.filter(entry => entry.status === 'skipped').length;
+    let status = 'completed';
+    if (failed > 0 && failed === run.feeds.length) {
+      status = 'failed';
+    } else if (failed + skipped > 0) {
+      status = 'partial';
+    }
+    
+    await ImportRun.updateOne({ _id: runId }, { status, finishedAt: new Date() });
+    return status;
+  }
+
+  // Mark a run and its unstarted feeds cancelled
+  async finishCancelledRun(runId) {
+    await ImportRun.updateOne({ _id: runId }, {
+      $set: {
+        status: 'cancelled',
+        finishedAt: new Date(),
+        'feeds.$[unfinished].status': 'cancelled'
+      }
+    }, {
+      arrayFilters: [{ 'unfinished.status': { $in: ['pending', 'running'] } }]
+    });
+    
+    logger.info(`Import run ${runId} cancelled`);
+    return 'cancelled';
+  }
+
   // Process a single feed
-  async processFeed(feed) {
+  // options.importRunId links the feed's import log to its ImportRun;
+  // options.dryRun only reports what the import would change (see previewFeed)
+  async processFeed(feed, options = {}) {
     logger.info(`Processing feed: ${feed.name}`);
     
+    if (options.dryRun) {
+      return this.previewFeed(feed);
+    }
+    
+    const adapter = getAdapter(feed.adapter);
+    if (feed.streaming && adapter.streaming) {
+      return this.processFeedStreaming(feed, options);
+    }
+    
+    let importLog = null;
     try {
-      // Fetch jobs from the feed
+      // Fetch jobs from the feed through its adapter
       logger.info(`Fetching feed: ${feed.name} (${feed.url})`);
-      const feedResult = await xmlFeedService.fetchFeed(feed.url, feed.name);
+      const feedResult = await adapter.fetch(feed, {
+        cache: { etag: feed.etag, lastModified: feed.lastModified },
+        ...feedHealthService.fetchOptions(feed)
+      });
       logger.info(`Feed fetch completed for ${feed.name}`);
       
       if (!feedResult.success) {
+        await feedHealthService.recordFailure(feed, feedResult.error);
         throw new Error(feedResult.error);
       }
+      
+      await feedHealthService.recordSuccess(feed, {
+        duration: feedResult.duration,
+        itemCount: feedResult.notModified ? undefined : feedResult.totalFetched
+      });
+      
+      if (feedResult.notModified) {
+        return this.recordNotModified(feed, feedResult, null, options);
+      }
 
       // Create import log entry
       const ImportLog = require('../models/ImportLog');
-      const importLog = new ImportLog({
+      importLog = new ImportLog({
         sourceFeed: feed.url,
         sourceName: feed.name,
         totalFetched: feedResult.totalFetched,
-        status: 'running'
+        status: 'running',
+        importRun: options.importRunId,
+        metadata: {
+          format: feedResult.format,
+          fieldCompleteness: feedAnomalyService.measureCompleteness(feedResult.jobs)
+        }
       });
       await importLog.save();
       
+      // Regex fallback GUIDs are not stable, so only count missing jobs for fully parsed feeds
+      const itemOptions = { seenAt: importLog.timestamp, countMissing: !feedResult.usedFallback };
+      
       // Check if Redis/queue is available
       if (queueService.isRedisAvailable()) {
-        // Add jobs to BullMQ queue for processing
-        logger.info(`Adding ${feedResult.jobs.length} jobs to BullMQ queue for ${feed.name}`);
+        const { queueJobId, chunks } = await this.queueFeedItems(feed, feedResult.jobs, importLog, itemOptions);
+        await this.saveCacheValidators(feed, feedResult.cache);
         
-        try {
-          const job = await queueService.addJob('job-import', {
-            jobData: feedResult.jobs,
-            feedName: feed.name,
-            feedUrl: feed.url,
-            importLogId: importLog._id
-          }, {
-            name: `import-${feed.name}`,
-            priority: 1
-          });
-          
-          logger.info(`Job ${job.id} added to queue for ${feed.name}`);
-          
-          // Update import log with queue job ID
-          importLog.queueJobId = job.id;
-          await importLog.save();
-          
-          logger.info(`Jobs queued for ${feed.name}: ${feedResult.jobs.length} jobs added to BullMQ queue`);
-          
-          return {
-            feed: feed.name,
-            success: true,
-            jobsFetched: feedResult.jobs.length,
-            jobsQueued: feedResult.jobs.length,
-            duration: feedResult.duration,
-            queueJobId: job.id
-          };
-          
-        } catch (error) {
-          logger.error(`Error adding jobs to queue for ${feed.name}:`, error);
-          
-          // Update import log with error
-          importLog.status = 'failed';
-          importLog.error = error.message;
-          await importLog.save();
-          
-          throw error;
-        }
+        logger.info(`Jobs queued for ${feed.name}: ${feedResult.jobs.length} jobs added to BullMQ queue`);
+        
+        return {
+          feed: feed.name,
+          success: true,
+          jobsFetched: feedResult.jobs.length,
+          jobsQueued: feedResult.jobs.length,
+          chunks,
+          duration: feedResult.duration,
+          queueJobId
+        };
       } else {
         // Process jobs synchronously when Redis is not available
         logger.info(`Processing ${feedResult.jobs.length} jobs synchronously for ${feed.name} (Redis not available)`);
         
-        const Job = require('../models/Job');
-        let processed = 0;
-        let newJobs = 0;
-        let updatedJobs = 0;
-        let failedJobs = [];
-        
-        // Process individual jobs
-        for (const jobItem of feedResult.jobs) {
-          try {
-            // Check if job already exists
-            const existingJob = await Job.findOne({ 
-              originalGuid: jobItem.guid,
-              sourceFeed: feed.url 
-            });
-            
-            if (existingJob) {
-              // Update existing job
-              existingJob.title = jobItem.title || existingJob.title;
-              existingJob.company = jobItem.company || existingJob.company;
-              existingJob.location = jobItem.location || existingJob.location;
-              existingJob.description = jobItem.description || existingJob.description;
-              existingJob.salary = jobItem.salary || existingJob.salary;
-              existingJob.requirements = jobItem.requirements || existingJob.requirements;
-              existingJob.type = jobItem.type || existingJob.type;
-              existingJob.category = jobItem.category || existingJob.category;
-              existingJob.industry = jobItem.industry || existingJob.industry;
-              existingJob.remote = jobItem.remote || existingJob.remote;
-              existingJob.applicationUrl = jobItem.applicationUrl || existingJob.applicationUrl;
-              existingJob.applicationEmail = jobItem.applicationEmail || existingJob.applicationEmail;
-              existingJob.publishedDate = jobItem.publishedDate || existingJob.publishedDate;
-              existingJob.rawData = jobItem;
-              existingJob.updatedAt = new Date();
-              
-              await existingJob.save();
-              updatedJobs++;
-              processed++;
-            } else {
-              // Create new job
-              const newJob = new Job({
-                title: jobItem.title,
-                company: jobItem.company,
-                location: jobItem.location,
-                description: jobItem.description,
-                salary: jobItem.salary,
-                requirements: jobItem.requirements,
-                type: jobItem.type,
-                category: jobItem.category,
-                industry: jobItem.industry,
-                remote: jobItem.remote,
-                applicationUrl: jobItem.applicationUrl,
-                applicationEmail: jobItem.applicationEmail,
-                sourceFeed: feed.url,
-                sourceName: feed.name,
-                originalGuid: jobItem.guid,
-                publishedDate: jobItem.publishedDate,
-                status: 'active',
-                rawData: jobItem
-              });
-              
-              await newJob.save();
-              newJobs++;
-              processed++;
-            }
-          } catch (jobError) {
-            logger.error(`Error processing individual job:`, jobError);
-            failedJobs.push({
-              guid: jobItem.guid,
-              title: jobItem.title,
-              reason: 'Processing error',
-              error: jobError.message
-            });
-          }
-        }
-        
-        // Update import log with processing results
-        importLog.totalImported = processed;
-        importLog.newJobs = newJobs;
-        importLog.updatedJobs = updatedJobs;
-        importLog.failedJobs = failedJobs;
-        importLog.status = 'completed';
-        await importLog.save();
-        
-        logger.info(`Processed ${processed} jobs from ${feed.name} synchronously (${newJobs} new, ${updatedJobs} updated, ${failedJobs.length} failed)`);
+        const { processed, newJobs, updatedJobs, unchangedJobs, failedJobs } = await this.upsertFeedItems(feed, feedResult.jobs, importLog, itemOptions);
+        await this.saveCacheValidators(feed, feedResult.cache);
         
         return {
           feed: feed.name,
@@ -389,6 +719,7 @@ class ImportService {
           jobsProcessed: processed,
           newJobs,
           updatedJobs,
+          unchangedJobs,
           failedJobs: failedJobs.length,
           duration: feedResult.duration,
           processingMode: 'synchronous'
@@ -397,15 +728,557 @@ class ImportService {
 
     } catch (error) {
       logger.error(`Error processing feed ${feed.name}:`, error);
+      
+      // Never leave the feed's import log running
+      if (importLog) {
+        await this.failImportLog(importLog._id, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Queue a feed's items for its running import log as a flow: one child job
+  // per chunk, under a parent job that completes the log once every chunk is
+  // processed. options.seenAt and options.countMissing are passed on to the
+  // chunks and the parent. Fails the log and throws if the flow can't be added.
+  async queueFeedItems(feed, items, importLog, options = {}) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += this.chunkSize) {
+      chunks.push(items.slice(i, i + this.chunkSize));
+    }
+    logger.info(`Adding ${items.length} jobs to BullMQ queue for ${feed.name} in ${chunks.length} chunks`);
+    
+    try {
+      const flow = await queueService.addFlow({
+        name: `import-${feed.name}`,
+        queueName: 'job-import',
+        data: {
+          finalize: true,
+          feedName: feed.name,
+          feedUrl: feed.url,
+          importLogId: importLog._id,
+          totalChunks: chunks.length,
+          countMissing: options.countMissing !== false
+        },
+        opts: { priority: 1 },
+        children: chunks.map((jobData, index) => ({
+          name: `import-${feed.name}-${index + 1}`,
+          queueName: 'job-import',
+          data: {
+            jobData,
+            feedName: feed.name,
+            feedUrl: feed.url,
+            importLogId: importLog._id,
+            seenAt: options.seenAt,
+            chunk: index + 1
+          },
+          // A chunk that fails every attempt must not block the parent
+          opts: { priority: 1, removeDependencyOnFailure: true }
+        }))
+      });
+      
+      if (!flow) {
+        throw new Error(`Failed to queue jobs for ${feed.name}`);
+      }
+      
+      logger.info(`Job ${flow.job.id} added to queue for ${feed.name}`);
+      
+      // Update import log with the parent job ID
+      importLog.queueJobId = flow.job.id;
+      importLog.metadata = { ...importLog.metadata, totalChunks: chunks.length, processedChunks: 0 };
+      await importLog.save();
+      
+      return { queueJobId: flow.job.id, chunks: chunks.length };
+    } catch (error) {
+      logger.error(`Error adding jobs to queue for ${feed.name}:`, error);
+      
+      // Update import log with error
+      Object.assign(importLog, this.finalFields(importLog, 'failed'), { error: error.message });
+      await importLog.save();
+      
       throw error;
     }
   }
 
+  // Upsert a feed's items synchronously and complete its running import log
+  // with the results. Takes the same options as queueFeedItems.
+  async upsertFeedItems(feed, items, importLog, options = {}) {
+    // Upsert jobs through the shared bulkWrite pipeline
+    const stats = await jobUpsertService.upsertJobs(items, feed, {
+      importLogId: importLog._id,
+      seenAt: options.seenAt
+    });
+    const { processed, newJobs, updatedJobs, unchangedJobs, failedJobs } = stats;
+    
+    // Update import log with processing results
+    importLog.totalImported = processed;
+    importLog.newJobs = newJobs;
+    importLog.updatedJobs = updatedJobs;
+    importLog.unchangedJobs = unchangedJobs;
+    importLog.failedJobs = failedJobs;
+    Object.assign(importLog, this.finalFields(importLog, 'completed'));
+    Object.assign(importLog, await this.expireJobs(importLog, { countMissing: options.countMissing !== false }));
+    await importLog.save();
+    await feedAnomalyService.checkImportLog(importLog._id);
+    
+    logger.info(`Processed ${processed} jobs from ${feed.name} synchronously (${newJobs} new, ${updatedJobs} updated, ${unchangedJobs} unchanged, ${failedJobs.length} failed)`);
+    
+    return stats;
+  }
+
+  // Requeue the pending dead-letter items of a finished import log under a new
+  // import log, linked through metadata.retryOf. Items that fail again are
+  // dead-lettered under the new log. Jobs missing from the retry are not
+  // expired, since it only covers the failed items.
+  // Returns null when the log has no items left to retry.
+  async retryFailedItems(importLog) {
+    const ImportLog = require('../models/ImportLog');
+    const feed = { url: importLog.sourceFeed, name: importLog.sourceName };
+    const retryLog = new ImportLog({
+      sourceFeed: feed.url,
+      sourceName: feed.name,
+      status: 'running',
+      metadata: { retryOf: importLog._id }
+    });
+    
+    // Claim the items first so a concurrent retry can't requeue them too
+    const deadLetters = await deadLetterService.claimPending(importLog._id, retryLog._id);
+    if (deadLetters.length === 0) return null;
+    
+    const items = deadLetters.map(deadLetter => deadLetter.payload);
+    logger.info(`Retrying ${items.length} failed items of import ${importLog._id} (${feed.name})`);
+    
+    try {
+      retryLog.totalFetched = items.length;
+      await retryLog.save();
+      
+      if (queueService.isRedisAvailable()) {
+        await this.queueFeedItems(feed, items, retryLog, { countMissing: false });
+        return { importLogId: retryLog._id, requeued: items.length, processingMode: 'queued' };
+      }
+      
+      const stats = await this.upsertFeedItems(feed, items, retryLog, { countMissing: false });
+      return {
+        importLogId: retryLog._id,
+        requeued: items.length,
+        processingMode: 'synchronous',
+        newJobs: stats.newJobs,
+        updatedJobs: stats.updatedJobs,
+        unchangedJobs: stats.unchangedJobs,
+        failedJobs: stats.failedJobs.length
+      };
+    } catch (error) {
+      logger.error(`Error retrying failed items of import ${importLog._id}:`, error);
+      await this.failImportLog(retryLog._id, error.message);
+      await deadLetterService.restorePending(retryLog._id);
+      throw error;
+    }
+  }
+
+  // Dry run: fetch and parse the feed and count the jobs that would be new,
+  // updated, unchanged, quarantined or rejected. Writes no jobs, import logs
+  // or cache validators, and always fetches the full feed.
+  async previewFeed(feed) {
+    logger.info(`Dry run for feed: ${feed.name} (${feed.url})`);
+    const totals = { processed: 0, newJobs: 0, updatedJobs: 0, unchangedJobs: 0, quarantinedJobs: 0, failedJobs: [] };
+    const samples = { new: [], updated: [], unchanged: [], quarantined: [], rejected: [] };
+    const addStats = (stats) => {
+      totals.processed += stats.processed;
+      totals.newJobs += stats.newJobs;
+      totals.updatedJobs += stats.updatedJobs;
+      totals.unchangedJobs += stats.unchangedJobs;
+      totals.quarantinedJobs += stats.quarantinedJobs || 0;
+      totals.failedJobs.push(...stats.failedJobs);
+      // Streamed chunks each bring their own samples; keep the first ones
+      Object.keys(samples).forEach(outcome => {
+        const room = jobUpsertService.sampleSize - samples[outcome].length;
+        samples[outcome].push(...(stats.samples[outcome] || []).slice(0, Math.max(room, 0)));
+      });
+    };
+    
+    const adapter = getAdapter(feed.adapter);
+    let fetchResult;
+    if (feed.streaming && adapter.streaming) {
+      fetchResult = await adapter.stream(feed, async (jobs) => {
+        addStats(await jobUpsertService.previewJobs(jobs, feed));
+      });
+    } else {
+      fetchResult = await adapter.fetch(feed);
+      if (!fetchResult.success) {
+        throw new Error(fetchResult.error);
+      }
+      addStats(await jobUpsertService.previewJobs(fetchResult.jobs, feed));
+    }
+    
+    logger.info(`Dry run for ${feed.name}: ${totals.newJobs} new, ${totals.updatedJobs} updated, ${totals.unchangedJobs} unchanged, ${totals.quarantinedJobs} quarantined, ${totals.failedJobs.length} failed`);
+    
+    return {
+      feed: feed.name,
+      feedId: feed._id,
+      success: true,
+      dryRun: true,
+      format: fetchResult.format,
+      usedFallback: !!fetchResult.usedFallback,
+      jobsFetched: fetchResult.totalFetched,
+      jobsProcessed: totals.processed,
+      newJobs: totals.newJobs,
+      updatedJobs: totals.updatedJobs,
+      unchangedJobs: totals.unchangedJobs,
+      quarantinedJobs: totals.quarantinedJobs,
+      failedJobs: totals.failedJobs.length,
+      samples,
+      duration: fetchResult.duration
+    };
+  }
+
+  // Process a large feed with the streaming parser, queueing jobs chunk by chunk
+  // instead of holding the whole feed in memory
+  async processFeedStreaming(feed, options = {}) {
+    const ImportLog = require('../models/ImportLog');
+    const useQueue = queueService.isRedisAvailable();
+    const totals = { processed: 0, newJobs: 0, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] };
+    const fieldCounts = {};
+    
+    const importLog = new ImportLog({
+      sourceFeed: feed.url,
+      sourceName: feed.name,
+      status: 'running',
+      importRun: options.importRunId,
+      metadata: { streaming: true, processedChunks: 0 }
+    });
+    await importLog.save();
+    
+    logger.info(`Streaming feed ${feed.name} in ${useQueue ? 'queued' : 'synchronous'} chunks`);
+    
+    // Errors processing chunks are ours; any other error is the feed's and counts against its health
+    let chunkError = null;
+    
+    try {
+      const cache = { etag: feed.etag, lastModified: feed.lastModified };
+      const streamResult = await getAdapter(feed.adapter).stream(feed, async (jobs, chunk) => {
+        feedAnomalyService.countFields(jobs, fieldCounts);
+        
+        try {
+          if (useQueue) {
+            const job = await queueService.addJob('job-import', {
+              jobData: jobs,
+              feedName: feed.name,
+              feedUrl: feed.url,
+              importLogId: importLog._id,
+              seenAt: importLog.timestamp,
+              chunk
+            }, {
+              name: `import-${feed.name}-${chunk}`,
+              priority: 1
+            });
+            
+            if (!job) {
+              throw new Error(`Failed to queue chunk ${chunk} for ${feed.name}`);
+            }
+            return;
+          }
+          
+          const stats = await jobUpsertService.upsertJobs(jobs, feed, {
+            importLogId: importLog._id,
+            seenAt: importLog.timestamp
+          });
+          totals.processed += stats.processed;
+          totals.newJobs += stats.newJobs;
+          totals.updatedJobs += stats.updatedJobs;
+          totals.unchangedJobs += stats.unchangedJobs;
+          totals.failedJobs.push(...stats.failedJobs);
+        } catch (error) {
+          chunkError = error;
+          throw error;
+        }
+      }, { cache });
+      
+      await feedHealthService.recordSuccess(feed, {
+        duration: streamResult.duration,
+        itemCount: streamResult.notModified ? undefined : streamResult.totalFetched
+      });
+      
+      if (streamResult.notModified) {
+        return this.recordNotModified(feed, streamResult, importLog);
+      }
+      
+      const fieldCompleteness = feedAnomalyService.completeness(fieldCounts, streamResult.totalFetched);
+      
+      if (useQueue) {
+        // Record the chunk count so the worker handling the last chunk can complete the log
+        await ImportLog.updateOne({ _id: importLog._id }, {
+          totalFetched: streamResult.totalFetched,
+          'metadata.format': streamResult.format,
+          'metadata.totalChunks': streamResult.chunks,
+          'metadata.fieldCompleteness': fieldCompleteness
+        });
+        await this.completeChunkedLog(importLog._id);
+      } else {
+        Object.assign(importLog, {
+          totalFetched: streamResult.totalFetched,
+          totalImported: totals.processed,
+          newJobs: totals.newJobs,
+          updatedJobs: totals.updatedJobs,
+          unchangedJobs: totals.unchangedJobs,
+          failedJobs: totals.failedJobs,
+          metadata: { ...importLog.metadata, format: streamResult.format, totalChunks: streamResult.chunks, fieldCompleteness }
+        }, this.finalFields(importLog, 'completed'));
+        Object.assign(importLog, await this.expireJobs(importLog));
+        await importLog.save();
+        await feedAnomalyService.checkImportLog(importLog._id);
+      }
+      
+      await this.saveCacheValidators(feed, streamResult.cache);
+      logger.info(`Streamed ${streamResult.totalFetched} jobs from ${feed.name} in ${streamResult.chunks} chunks`);
+      
+      return {
+        feed: feed.name,
+        success: true,
+        jobsFetched: streamResult.totalFetched,
+        chunks: streamResult.chunks,
+        duration: streamResult.duration,
+        processingMode: useQueue ? 'streaming' : 'streaming-synchronous',
+        ...(useQueue ? {} : {
+          jobsProcessed: totals.processed,
+          newJobs: totals.newJobs,
+          updatedJobs: totals.updatedJobs,
+          unchangedJobs: totals.unchangedJobs,
+          failedJobs: totals.failedJobs.length
+        })
+      };
+    } catch (error) {
+      logger.error(`Error streaming feed ${feed.name}:`, error);
+      
+      if (error !== chunkError) {
+        await feedHealthService.recordFailure(feed, error.message);
+      }
+      await this.failImportLog(importLog._id, error.message);
+      
+      throw error;
+    }
+  }
+
+  // Record a 304 response: the feed is unchanged, so nothing is reprocessed.
+  // Streaming imports pass the import log they already created.
+  async recordNotModified(feed, fetchResult, importLog = null, options = {}) {
+    const ImportLog = require('../models/ImportLog');
+    const log = importLog || new ImportLog({
+      sourceFeed: feed.url,
+      sourceName: feed.name,
+      totalFetched: 0,
+      importRun: options.importRunId
+    });
+    
+    Object.assign(log, this.finalFields(log, 'not-modified'), { duration: fetchResult.duration });
+    await log.save();
+    await this.saveCacheValidators(feed, fetchResult.cache);
+    
+    logger.info(`Skipped unchanged feed ${feed.name} (HTTP 304)`);
+    
+    return {
+      feed: feed.name,
+      success: true,
+      notModified: true,
+      jobsFetched: 0,
+      duration: fetchResult.duration
+    };
+  }
+
+  // Remember the response's ETag / Last-Modified for the next conditional fetch
+  async saveCacheValidators(feed, cache) {
+    if (!cache || !feed._id) return;
+    
+    try {
+      await FeedSource.updateOne({ _id: feed._id }, {
+        etag: cache.etag,
+        lastModified: cache.lastModified
+      });
+    } catch (error) {
+      logger.warn(`Failed to save cache validators for feed ${feed.name}:`, error.message);
+    }
+  }
+
+  // Add one chunk's results to a streamed feed's import log
+  async recordChunkResults(importLogId, { processed, newJobs, updatedJobs, unchangedJobs, failedJobs }) {
+    const ImportLog = require('../models/ImportLog');
+    
+    await ImportLog.updateOne({ _id: importLogId }, {
+      $inc: {
+        totalImported: processed,
+        newJobs,
+        updatedJobs,
+        unchangedJobs,
+        'metadata.processedChunks': 1
+      },
+      $push: { failedJobs: { $each: failedJobs } }
+    });
+    
+    await this.completeChunkedLog(importLogId);
+  }
+
+  // Finalize a streamed feed's import log once every queued chunk is processed or has failed.
+  // Called by both the producer and the workers, so whichever finishes last completes it.
+  async completeChunkedLog(importLogId) {
+    const ImportLog = require('../models/ImportLog');
+    const importLog = await ImportLog.findById(importLogId).lean();
+    
+    if (!importLog || importLog.status !== 'running' || !importLog.metadata) return;
+    
+    const { totalChunks, processedChunks, failedChunks = 0 } = importLog.metadata;
+    if (totalChunks === undefined || processedChunks < totalChunks) return;
+    
+    const update = this.finalFields(importLog, this.chunkedStatus(totalChunks, failedChunks));
+    if (failedChunks > 0) {
+      update.error = `${failedChunks} of ${totalChunks} chunks failed`;
+    }
+    const result = await ImportLog.updateOne({ _id: importLogId, status: 'running' }, update);
+    
+    // Only the caller that completed the log runs expiry. Items of failed chunks
+    // were never marked seen, so they must not count as missing.
+    if (result.modifiedCount > 0) {
+      await ImportLog.updateOne({ _id: importLogId }, await this.expireJobs(importLog, { countMissing: failedChunks === 0 }));
+      await feedAnomalyService.checkImportLog(importLogId);
+    }
+  }
+
+  // Record a chunk that failed for good: its items are listed as failed jobs
+  // and kept in the dead-letter store. A streamed chunk also counts as
+  // processed so the log can complete; flow chunks are counted by their parent.
+  async recordChunkFailure(job, error) {
+    const ImportLog = require('../models/ImportLog');
+    const { importLogId, feedName, feedUrl, jobData } = job.data;
+    const entries = jobData.map(item => ({ item, failure: jobUpsertService.buildFailure(item, 'Queue error', error.message) }));
+    const update = { $push: { failedJobs: { $each: entries.map(entry => entry.failure) } } };
+    
+    if (!job.parentKey) {
+      update.$inc = {
+        'metadata.processedChunks': 1,
+        'metadata.failedChunks': 1
+      };
+    }
+    
+    await ImportLog.updateOne({ _id: importLogId }, update);
+    await deadLetterService.record(importLogId, { url: feedUrl, name: feedName }, entries);
+    
+    if (!job.parentKey) {
+      await this.completeChunkedLog(importLogId);
+    }
+  }
+
+  // Status of a chunked import log from its failed chunk count
+  chunkedStatus(totalChunks, failedChunks) {
+    if (failedChunks === 0) return 'completed';
+    return failedChunks >= totalChunks ? 'failed' : 'partial';
+  }
+
+  // Fields that finalize an import log: its final status, how long it ran
+  // and the instance that finished it
+  finalFields(importLog, status) {
+    return {
+      status,
+      duration: Date.now() - new Date(importLog.timestamp).getTime(),
+      workerId: this.workerId
+    };
+  }
+
+  // Mark an import log failed unless it already reached a final status.
+  // Returns whether it was still running.
+  async failImportLog(importLogId, message) {
+    const ImportLog = require('../models/ImportLog');
+    
+    try {
+      const importLog = await ImportLog.findById(importLogId).lean();
+      if (!importLog || importLog.status !== 'running') return false;
+      
+      const result = await ImportLog.updateOne(
+        { _id: importLogId, status: 'running' },
+        { ...this.finalFields(importLog, 'failed'), error: message }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error(`Failed to mark import log ${importLogId} failed:`, error);
+      return false;
+    }
+  }
+
+  // Called when a job-import queue job fails. Retried attempts are left to
+  // BullMQ; once the job fails for good (last attempt, or stalled too often)
+  // the import log it belongs to is finalized, and a failed chunk's items
+  // are kept in the dead-letter store.
+  async handleFailedQueueJob(job, error) {
+    if (!job || !job.data.importLogId || !this.isFinalFailure(job)) return;
+    
+    const { importLogId, feedName } = job.data;
+    logger.warn(`Queue job ${job.id} for ${feedName} failed for good: ${error.message}`);
+    
+    if (job.data.finalize) {
+      await this.failImportLog(importLogId, `Failed to complete import: ${error.message}`);
+    } else if (job.data.chunk) {
+      await this.recordChunkFailure(job, error);
+    } else {
+      await this.failImportLog(importLogId, error.message);
+    }
+  }
+
+  // BullMQ sets finishedOn when it moves a job to failed instead of retrying it
+  isFinalFailure(job) {
+    return !!job.finishedOn || job.attemptsMade >= (job.opts && job.opts.attempts ? job.opts.attempts : 1);
+  }
+
+  // Periodically fail import logs left running past stuckLogTimeout, e.g. when
+  // their queue jobs were lost or the process importing them died
+  startStuckLogSweeper() {
+    if (this.sweepTimer) return;
+    
+    const interval = Math.min(Math.floor(this.stuckLogTimeout / 4), 5 * 60 * 1000);
+    this.sweepTimer = setInterval(() => {
+      this.sweepStuckLogs().catch(error => {
+        logger.error('Failed to sweep stuck import logs:', error);
+      });
+    }, interval);
+    this.sweepTimer.unref();
+  }
+
+  async sweepStuckLogs() {
+    const ImportLog = require('../models/ImportLog');
+    const cutoff = new Date(Date.now() - this.stuckLogTimeout);
+    const stuck = await ImportLog.find({ status: 'running', timestamp: { $lt: cutoff } })
+      .select('_id sourceName timestamp')
+      .limit(100)
+      .lean();
+    
+    let swept = 0;
+    for (const importLog of stuck) {
+      const minutes = Math.round(this.stuckLogTimeout / 60000);
+      if (await this.failImportLog(importLog._id, `Import did not finish within ${minutes} minutes`)) {
+        swept++;
+      }
+    }
+    
+    if (swept > 0) {
+      logger.warn(`Marked ${swept} stuck import logs failed`);
+    }
+    
+    return swept;
+  }
+
+  // Expire the feed's jobs that this import did not see or whose expiry date passed.
+  // Expiry failures are logged and never fail the import itself.
+  async expireJobs(importLog, options = {}) {
+    try {
+      return await jobExpiryService.expireJobs(importLog.sourceFeed, importLog.timestamp, options);
+    } catch (error) {
+      logger.warn(`Failed to expire jobs for ${importLog.sourceName}: ${error.message}`);
+      return { expiredMissingJobs: 0, expiredPastDateJobs: 0 };
+    }
+  }
+
   // Get import status
   getImportStatus() {
     return {
       isRunning: this.isRunning,
       currentImportId: this.currentImportId,
+      instance: this.workerId,
       timestamp: this.isRunning ? new Date() : null
     };
   }
@@ -466,11 +1339,14 @@ class ImportService {
     }
   }
 
-  // Stop the import service
+  // Stop the import service, releasing the import lock so the next process
+  // does not have to wait for it to expire
   async stop() {
     try {
-      this.isRunning = false;
-      this.currentImportId = null;
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+      await this.releaseImportLock();
+      this.finishRunning();
       logger.info('Import service stopped');
     } catch (error) {
       logger.error('Error stopping import service:', error);
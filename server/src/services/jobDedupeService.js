@@ -0,0 +1,274 @@
+const Job = require('../models/Job');
+const { computeIdentity, postingSimilarity } = require('../utils/jobIdentity');
+const logger = require('../utils/logger');
+
+const IDENTITY_FIELDS = '_id title company location sourceFeed sourceName originalGuid applicationUrl status canonicalKey companyKey duplicateOf sources createdAt';
+
+class JobDedupeService {
+  constructor() {
+    this.similarityThreshold = parseFloat(process.env.DEDUPE_SIMILARITY_THRESHOLD) || 0.9;
+    this.maxCandidates = 50;
+  }
+
+  // Link newly imported or changed jobs to the canonical record of the same
+  // posting from another feed. keys are {originalGuid, sourceFeed} pairs.
+  // The jobs, their linked canonicals and the candidates of their companies
+  // are loaded in three queries, and every change is written in one bulkWrite.
+  async resolveDuplicates(keys) {
+    const stats = { linked: 0, unlinked: 0 };
+    if (keys.length === 0) return stats;
+
+    const jobs = await Job.find({
+      originalGuid: { $in: keys.map(key => key.originalGuid) },
+      sourceFeed: { $in: [...new Set(keys.map(key => key.sourceFeed))] }
+    }).select(IDENTITY_FIELDS).lean();
+
+    if (jobs.length === 0) return stats;
+
+    const context = await this.loadContext(jobs);
+
+    // Sequential so jobs in the same batch see each other's links
+    for (const job of jobs) {
+      const result = this.resolveJob(context.jobs.get(String(job._id)), context);
+      if (result === 'linked') stats.linked++;
+      if (result === 'unlinked') stats.unlinked++;
+    }
+
+    if (context.operations.length > 0) {
+      // Ordered: the $pull and $push of a source list must apply in turn
+      await Job.bulkWrite(context.operations, { ordered: true });
+    }
+
+    if (stats.linked > 0 || stats.unlinked > 0) {
+      logger.info(`Duplicate detection: ${stats.linked} linked, ${stats.unlinked} unlinked`);
+    }
+
+    return stats;
+  }
+
+  // Load what resolving jobs needs: jobs (every loaded job by ID, kept up to
+  // date as links change), candidates (standalone active jobs per companyKey,
+  // oldest first) and the write operations collected so far. Jobs whose
+  // identity keys are outdated get them updated.
+  async loadContext(jobs) {
+    const operations = [];
+    jobs.forEach(job => {
+      const identity = computeIdentity(job);
+      if (identity.canonicalKey !== job.canonicalKey || identity.companyKey !== job.companyKey) {
+        operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: identity } } });
+        Object.assign(job, identity);
+      }
+    });
+
+    const companyKeys = [...new Set(jobs.map(job => job.companyKey).filter(Boolean))];
+    const linkedIds = [...new Set(jobs.filter(job => job.duplicateOf).map(job => String(job.duplicateOf)))];
+    const [candidates, linked] = await Promise.all([
+      companyKeys.length > 0
+        ? Job.find({ companyKey: { $in: companyKeys }, duplicateOf: null, status: 'active' }).select(IDENTITY_FIELDS).lean()
+        : [],
+      linkedIds.length > 0
+        ? Job.find({ _id: { $in: linkedIds } }).select(IDENTITY_FIELDS).lean()
+        : []
+    ]);
+
+    // The batch's own documents win, as their identity keys are current
+    const byId = new Map();
+    [...candidates, ...linked, ...jobs].forEach(job => byId.set(String(job._id), job));
+
+    const context = { jobs: byId, candidates: new Map(), operations };
+    byId.forEach(job => this.addCandidate(context, job));
+    return context;
+  }
+
+  // Resolve one job: keep, change or drop its link to a canonical job
+  resolveJob(job, context) {
+    let unlinked = false;
+    if (job.duplicateOf) {
+      const canonical = context.jobs.get(String(job.duplicateOf));
+
+      if (canonical && this.isSamePosting(job, canonical)) {
+        // Still the same posting: refresh the source entry
+        this.attach(job, canonical, context);
+        return 'kept';
+      }
+
+      this.detach(job, context);
+      unlinked = true;
+    }
+
+    const canonical = this.findCanonical(job, context);
+    if (!canonical) {
+      this.ensureOwnSource(job, context);
+      return unlinked ? 'unlinked' : 'unique';
+    }
+
+    this.link(job, canonical, context);
+    return 'linked';
+  }
+
+  // Best canonical match from another feed: exact key first, then the most similar posting
+  findCanonical(job, context) {
+    if (!job.companyKey) return null;
+
+    const candidates = (context.candidates.get(job.companyKey) || [])
+      .filter(candidate => (
+        String(candidate._id) !== String(job._id) &&
+        !candidate.duplicateOf &&
+        candidate.sourceFeed !== job.sourceFeed
+      ))
+      .slice(0, this.maxCandidates);
+
+    const exact = candidates.find(candidate => candidate.canonicalKey === job.canonicalKey);
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = this.similarityThreshold;
+    candidates.forEach(candidate => {
+      const score = postingSimilarity(job, candidate);
+      if (score >= bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  // Add a standalone active job to the candidates of its company, oldest first
+  addCandidate(context, job) {
+    if (!job.companyKey || job.duplicateOf || job.status !== 'active') return;
+
+    const list = context.candidates.get(job.companyKey) || [];
+    if (list.includes(job)) return;
+
+    const index = list.findIndex(candidate => new Date(candidate.createdAt) > new Date(job.createdAt));
+    list.splice(index === -1 ? list.length : index, 0, job);
+    context.candidates.set(job.companyKey, list);
+  }
+
+  isSamePosting(job, canonical) {
+    if (!job.companyKey || job.companyKey !== computeIdentity(canonical).companyKey) return false;
+    return postingSimilarity(job, canonical) >= this.similarityThreshold;
+  }
+
+  // Queue an update of one job for the bulkWrite
+  queueUpdate(context, job, update) {
+    context.operations.push({ updateOne: { filter: { _id: job._id }, update } });
+  }
+
+  // Make job a duplicate of canonical. If job was itself canonical for other
+  // feeds, its duplicates and their sources move to the new canonical.
+  link(job, canonical, context) {
+    const moved = (job.sources || []).filter(source => String(source.job) !== String(job._id));
+
+    if (moved.length > 0) {
+      context.operations.push({ updateMany: { filter: { duplicateOf: job._id }, update: { $set: { duplicateOf: canonical._id } } } });
+      context.jobs.forEach(other => {
+        if (String(other.duplicateOf) === String(job._id)) other.duplicateOf = canonical._id;
+      });
+    }
+
+    this.queueUpdate(context, job, { $set: { duplicateOf: canonical._id, sources: [] } });
+    job.duplicateOf = canonical._id;
+    job.sources = [];
+
+    this.ensureOwnSource(canonical, context);
+    const movedIds = [job._id, ...moved.map(source => source.job)];
+    this.queueUpdate(context, canonical, { $pull: { sources: { job: { $in: movedIds } } } });
+    this.queueUpdate(context, canonical, { $push: { sources: { $each: [this.sourceEntry(job), ...moved] } } });
+    canonical.sources = [
+      ...canonical.sources.filter(source => !movedIds.some(id => String(id) === String(source.job))),
+      this.sourceEntry(job),
+      ...moved
+    ];
+  }
+
+  // Add or refresh job's entry on its canonical's source list
+  attach(job, canonical, context) {
+    this.queueUpdate(context, canonical, { $pull: { sources: { job: job._id } } });
+    this.queueUpdate(context, canonical, { $push: { sources: this.sourceEntry(job) } });
+    canonical.sources = [
+      ...(canonical.sources || []).filter(source => String(source.job) !== String(job._id)),
+      this.sourceEntry(job)
+    ];
+  }
+
+  // Remove job from its canonical's source list and make it standalone again
+  detach(job, context) {
+    const canonical = context.jobs.get(String(job.duplicateOf));
+    this.queueUpdate(context, { _id: job.duplicateOf }, { $pull: { sources: { job: job._id } } });
+    if (canonical) {
+      canonical.sources = (canonical.sources || []).filter(source => String(source.job) !== String(job._id));
+    }
+
+    this.queueUpdate(context, job, { $set: { duplicateOf: null, sources: [this.sourceEntry(job)] } });
+    job.duplicateOf = null;
+    job.sources = [this.sourceEntry(job)];
+    this.addCandidate(context, job);
+  }
+
+  // Canonical and standalone jobs list themselves as a source
+  ensureOwnSource(job, context) {
+    const own = (job.sources || []).find(source => String(source.job) === String(job._id));
+    const entry = this.sourceEntry(job);
+
+    if (own && own.applicationUrl === entry.applicationUrl && own.sourceName === entry.sourceName) return;
+
+    this.queueUpdate(context, job, { $pull: { sources: { job: job._id } } });
+    this.queueUpdate(context, job, { $push: { sources: { $each: [entry], $position: 0 } } });
+    job.sources = [entry, ...(job.sources || []).filter(source => String(source.job) !== String(job._id))];
+  }
+
+  sourceEntry(job) {
+    return {
+      job: job._id,
+      sourceFeed: job.sourceFeed,
+      sourceName: job.sourceName,
+      originalGuid: job.originalGuid,
+      applicationUrl: job.applicationUrl
+    };
+  }
+
+  // When a feed's canonical jobs expire, promote their oldest active duplicate
+  // so the posting stays listed while another feed still carries it
+  async promoteDuplicates(feedUrl) {
+    const expired = await Job.find({
+      sourceFeed: feedUrl,
+      status: { $ne: 'active' },
+      duplicateOf: null,
+      'sources.1': { $exists: true }
+    }).select(IDENTITY_FIELDS).lean();
+
+    let promoted = 0;
+    for (const canonical of expired) {
+      const [replacement] = await Job.find({ duplicateOf: canonical._id, status: 'active' })
+        .sort({ createdAt: 1 })
+        .limit(1)
+        .select(IDENTITY_FIELDS)
+        .lean();
+
+      if (!replacement) continue;
+
+      await Job.updateMany({ duplicateOf: canonical._id }, { $set: { duplicateOf: replacement._id } });
+      await Job.updateOne({ _id: replacement._id }, {
+        $set: { duplicateOf: null, sources: this.promotedSources(canonical, replacement) }
+      });
+      await Job.updateOne({ _id: canonical._id }, { $set: { duplicateOf: replacement._id, sources: [] } });
+      promoted++;
+    }
+
+    if (promoted > 0) {
+      logger.info(`Promoted ${promoted} duplicates to canonical after their canonical job from ${feedUrl} expired`);
+    }
+
+    return promoted;
+  }
+
+  // Source list of a promoted job: itself first, then the other sources
+  promotedSources(canonical, replacement) {
+    const others = canonical.sources.filter(source => String(source.job) !== String(replacement._id));
+    return [this.sourceEntry(replacement), ...others];
+  }
+}
+
+module.exports = new JobDedupeService();
@@ -0,0 +1,81 @@
+const Job = require('../models/Job');
+const jobDedupeService = require('./jobDedupeService');
+const logger = require('../utils/logger');
+
+class JobExpiryService {
+  constructor() {
+    this.missedRunsThreshold = parseInt(process.env.EXPIRE_AFTER_MISSED_RUNS) || 3;
+  }
+
+  // Expire a feed's jobs after an import run that started at runStartedAt.
+  // Jobs the run did not see (lastSeenAt older than the run) get a missed run;
+  // after missedRunsThreshold consecutive misses they are expired. Jobs whose
+  // expiryDate has passed are expired as well.
+  // Pass countMissing: false when the run did not see the whole feed.
+  async expireJobs(feedUrl, runStartedAt, options = {}) {
+    const { countMissing = true } = options;
+    const now = new Date();
+    const result = {
+      expiredMissingJobs: 0,
+      expiredPastDateJobs: 0
+    };
+
+    if (countMissing) {
+      await Job.updateMany({
+        sourceFeed: feedUrl,
+        status: 'active',
+        $or: [
+          { lastSeenAt: { $lt: runStartedAt } },
+          { lastSeenAt: { $exists: false } }
+        ]
+      }, {
+        $inc: { missedRuns: 1 }
+      });
+
+      const missing = await Job.updateMany({
+        sourceFeed: feedUrl,
+        status: 'active',
+        missedRuns: { $gte: this.missedRunsThreshold }
+      }, {
+        $set: { status: 'expired', expiredReason: 'missing', expiredAt: now }
+      });
+      result.expiredMissingJobs = missing.modifiedCount || 0;
+    }
+
+    const pastDate = await Job.updateMany({
+      sourceFeed: feedUrl,
+      status: 'active',
+      expiryDate: { $lt: now }
+    }, {
+      $set: { status: 'expired', expiredReason: 'expiry-date', expiredAt: now }
+    });
+    result.expiredPastDateJobs = pastDate.modifiedCount || 0;
+
+    if (result.expiredMissingJobs > 0 || result.expiredPastDateJobs > 0) {
+      // Keep postings listed that other feeds still carry
+      await jobDedupeService.promoteDuplicates(feedUrl);
+      logger.info(`Expired jobs from ${feedUrl}: ${result.expiredMissingJobs} missing for ${this.missedRunsThreshold}+ runs, ${result.expiredPastDateJobs} past expiry date`);
+    }
+
+    return result;
+  }
+
+  // Mark jobs as seen in the current run, resetting their missed-run count and
+  // reactivating jobs that were expired only because they had gone missing
+  async markSeen(feedUrl, guids, seenAt) {
+    if (guids.length === 0) return;
+
+    const filter = { sourceFeed: feedUrl, originalGuid: { $in: guids } };
+
+    await Job.updateMany({ ...filter, expiredReason: 'missing' }, {
+      $set: { status: 'active' },
+      $unset: { expiredReason: 1, expiredAt: 1 }
+    });
+
+    await Job.updateMany(filter, {
+      $set: { lastSeenAt: seenAt, missedRuns: 0 }
+    });
+  }
+}
+
+module.exports = new JobExpiryService();
@@ -0,0 +1,423 @@
+const Job = require('../models/Job');
+const JobRevision = require('../models/JobRevision');
+const jobExpiryService = require('./jobExpiryService');
+const jobDedupeService = require('./jobDedupeService');
+const deadLetterService = require('./deadLetterService');
+const jobValidationService = require('./jobValidationService');
+const quarantineService = require('./quarantineService');
+const { mapFeedItemToJob } = require('../utils/jobMapper');
+const { computeContentHash, diffFields } = require('../utils/contentHash');
+const { computeIdentity } = require('../utils/jobIdentity');
+const logger = require('../utils/logger');
+
+class JobUpsertService {
+  constructor() {
+    this.batchSize = parseInt(process.env.BATCH_SIZE) || 100;
+    this.sampleSize = parseInt(process.env.DRY_RUN_SAMPLE_SIZE) || 5;
+  }
+
+  // Upsert normalized feed items into the Job collection.
+  // Used by both the BullMQ worker and the synchronous import path.
+  // options.importLogId links the recorded job revisions to the import;
+  // options.seenAt marks every item as seen by the run (see jobExpiryService).
+  // With an importLogId, failed items also go to the dead-letter store and
+  // items breaking a validation rule to the quarantine; without one they are
+  // only counted as failures. Items approved from the quarantine before are
+  // imported while their content stays the same, and pending entries of items
+  // that pass the rules are cleared. options.skipValidation imports an item
+  // being approved.
+  async upsertJobs(items, feed, options = {}) {
+    const stats = {
+      processed: 0,
+      newJobs: 0,
+      updatedJobs: 0,
+      unchangedJobs: 0,
+      failedJobs: [],
+      // Failed items with their payload, for the dead-letter store
+      failedItems: [],
+      // Items breaking a validation rule, for the quarantine
+      quarantinedItems: []
+    };
+
+    // Map and validate each item before building write operations
+    const prepared = this.prepareItems(items, feed, stats, { skipValidation: options.skipValidation });
+    prepared.push(...await this.releaseApproved(stats, feed));
+
+    if (!options.importLogId) {
+      stats.quarantinedItems.forEach(({ item, reasons }) => {
+        this.addFailure(stats, item, 'Rule violation', reasons.map(reason => reason.message).join('; '));
+      });
+      stats.quarantinedItems = [];
+    }
+
+    for (let i = 0; i < prepared.length; i += this.batchSize) {
+      const batch = prepared.slice(i, i + this.batchSize);
+      await this.writeBatch(batch, feed, stats, options);
+    }
+
+    // Items that now pass the rules resolve their pending quarantine entries,
+    // so approving one later cannot overwrite the job with the older payload
+    if (!options.skipValidation) {
+      const failed = new Set(stats.failedItems.map(({ item }) => item));
+      await quarantineService.resolve(feed, prepared
+        .filter(({ item }) => !failed.has(item))
+        .map(({ fields }) => fields.originalGuid));
+    }
+
+    if (options.seenAt) {
+      await this.markSeen(items, feed, new Date(options.seenAt));
+    }
+
+    const { failedItems, quarantinedItems, ...result } = stats;
+    if (options.importLogId) {
+      await deadLetterService.record(options.importLogId, feed, failedItems);
+      await quarantineService.record(options.importLogId, feed, quarantinedItems);
+    }
+
+    logger.info(`Upserted jobs from ${feed.name}: ${stats.newJobs} new, ${stats.updatedJobs} updated, ${stats.unchangedJobs} unchanged, ${quarantinedItems.length} quarantined, ${stats.failedJobs.length} failed`);
+
+    return result;
+  }
+
+  // Report what upsertJobs would do with the items, without writing anything.
+  // Used by dry-run imports. Besides the counts, stats.samples holds up to
+  // sampleSize example jobs per outcome; updated samples carry the field diff.
+  async previewJobs(items, feed) {
+    const stats = {
+      processed: 0,
+      newJobs: 0,
+      updatedJobs: 0,
+      unchangedJobs: 0,
+      quarantinedJobs: 0,
+      failedJobs: [],
+      quarantinedItems: [],
+      samples: { new: [], updated: [], unchanged: [], quarantined: [], rejected: [] }
+    };
+
+    const prepared = this.prepareItems(items, feed, stats);
+    prepared.push(...await this.releaseApproved(stats, feed));
+    stats.samples.rejected = stats.failedJobs.slice(0, this.sampleSize);
+    stats.quarantinedJobs = stats.quarantinedItems.length;
+    stats.samples.quarantined = stats.quarantinedItems.slice(0, this.sampleSize).map(({ fields, reasons }) => ({
+      ...this.buildSample(fields),
+      reasons: reasons.map(reason => reason.message)
+    }));
+    delete stats.quarantinedItems;
+
+    for (let i = 0; i < prepared.length; i += this.batchSize) {
+      const batch = prepared.slice(i, i + this.batchSize);
+      const existing = await this.findExisting(batch);
+
+      batch.forEach(({ fields }) => {
+        const stored = existing.get(this.jobKey(fields.originalGuid, fields.sourceFeed));
+        stats.processed++;
+
+        if (!stored) {
+          stats.newJobs++;
+          this.addSample(stats.samples.new, () => this.buildSample(fields));
+          return;
+        }
+
+        const changedFields = stored.contentHash === computeContentHash(fields) ? [] : diffFields(fields, stored);
+
+        if (changedFields.length === 0) {
+          stats.unchangedJobs++;
+          this.addSample(stats.samples.unchanged, () => this.buildSample(fields, stored));
+        } else {
+          stats.updatedJobs++;
+          this.addSample(stats.samples.updated, () => ({
+            ...this.buildSample(fields, stored),
+            changes: changedFields.map(field => ({
+              field,
+              from: this.sampleValue(stored[field]),
+              to: this.sampleValue(fields[field])
+            }))
+          }));
+        }
+      });
+    }
+
+    return stats;
+  }
+
+  addSample(samples, build) {
+    if (samples.length < this.sampleSize) {
+      samples.push(build());
+    }
+  }
+
+  // Summary of a previewed job for dry-run reports
+  buildSample(fields, stored) {
+    return {
+      jobId: stored ? stored._id : undefined,
+      guid: fields.originalGuid,
+      title: fields.title,
+      company: fields.company,
+      location: fields.location
+    };
+  }
+
+  // Shorten long text (descriptions) so reports stay small
+  sampleValue(value) {
+    if (typeof value === 'string' && value.length > 200) {
+      return `${value.slice(0, 200)}…`;
+    }
+    return value;
+  }
+
+  // Map and validate items, recording the ones that fail (see addFailure).
+  // Jobs the schema accepts are then checked against the validation rules;
+  // the ones breaking a rule are set aside in stats.quarantinedItems.
+  prepareItems(items, feed, stats, options = {}) {
+    const prepared = [];
+    for (const item of items) {
+      try {
+        const fields = mapFeedItemToJob(item, feed);
+        const validationError = new Job(fields).validateSync();
+
+        if (validationError) {
+          this.addFailure(stats, item, 'Validation error', validationError.message);
+          continue;
+        }
+
+        const violations = options.skipValidation ? [] : jobValidationService.validate(fields, new Date(), feed.optionalFields);
+        if (violations.length > 0) {
+          stats.quarantinedItems.push({ item, fields, reasons: violations });
+          continue;
+        }
+
+        prepared.push({ item, fields });
+      } catch (error) {
+        this.addFailure(stats, item, 'Mapping error', error.message);
+      }
+    }
+    return prepared;
+  }
+
+  // Take the items a reviewer approved from the quarantine out of
+  // stats.quarantinedItems and return them for import. Only items whose
+  // content is unchanged since the approval count; changed ones are checked
+  // again. Best-effort: on error every item stays set aside.
+  async releaseApproved(stats, feed) {
+    if (stats.quarantinedItems.length === 0) return [];
+
+    let approved;
+    try {
+      approved = await quarantineService.approvedHashes(feed.url, stats.quarantinedItems.map(({ fields }) => fields.originalGuid));
+    } catch (error) {
+      logger.warn(`Failed to load approved quarantined jobs for ${feed.name}:`, error.message);
+      return [];
+    }
+
+    const released = [];
+    stats.quarantinedItems = stats.quarantinedItems.filter(({ item, fields }) => {
+      if (approved.get(fields.originalGuid) !== computeContentHash(fields)) return true;
+      released.push({ item, fields });
+      return false;
+    });
+    return released;
+  }
+
+  // Write one batch with bulkWrite, keyed on {originalGuid, sourceFeed}.
+  // Items whose content hash matches the stored job are counted as unchanged
+  // and skipped; real updates record which fields changed. New and changed
+  // jobs then go through cross-feed duplicate detection.
+  async writeBatch(batch, feed, stats, options = {}) {
+    let existing;
+    try {
+      existing = await this.findExisting(batch);
+    } catch (error) {
+      logger.error(`Failed to load existing jobs for ${feed.name}:`, error);
+      batch.forEach(({ item }) => {
+        this.addFailure(stats, item, 'Processing error', error.message);
+      });
+      return;
+    }
+
+    const now = new Date();
+    const operations = [];
+    const written = [];
+    // Unchanged jobs stored before duplicate detection, or under older
+    // identity rules, still need their identity resolved
+    const unkeyed = [];
+
+    batch.forEach(({ item, fields }) => {
+      const { originalGuid, sourceFeed, ...update } = fields;
+      const contentHash = computeContentHash(fields);
+      const stored = existing.get(this.jobKey(originalGuid, sourceFeed));
+      const filter = { originalGuid, sourceFeed };
+
+      if (stored && stored.contentHash === contentHash) {
+        stats.unchangedJobs++;
+        stats.processed++;
+        if (this.identityOutdated(stored, fields)) unkeyed.push(filter);
+        return;
+      }
+
+      if (!stored) {
+        operations.push({ updateOne: { filter, update: { $set: { ...update, contentHash } }, upsert: true } });
+        written.push({ item, key: filter });
+        return;
+      }
+
+      const changedFields = diffFields(fields, stored);
+
+      // Stored before hashes were recorded and nothing changed: only save the hash
+      if (changedFields.length === 0) {
+        operations.push({ updateOne: { filter, update: { $set: { contentHash } } } });
+        written.push({ item, key: filter, backfill: true, unkeyed: this.identityOutdated(stored, fields) });
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter,
+          update: { $set: { ...update, contentHash, changedFields, contentUpdatedAt: now } },
+          upsert: true
+        }
+      });
+      written.push({
+        item,
+        key: filter,
+        revision: {
+          job: stored._id,
+          originalGuid,
+          sourceFeed,
+          importLog: options.importLogId,
+          changes: changedFields.map(field => ({ field, from: stored[field], to: fields[field] }))
+        }
+      });
+    });
+
+    if (operations.length === 0) {
+      await this.resolveDuplicates(unkeyed, feed);
+      return;
+    }
+
+    let result;
+    const failedIndexes = new Set();
+    try {
+      result = await Job.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Unordered bulk writes report per-operation errors and still apply the rest
+      if (!error.writeErrors && !error.result) {
+        logger.error(`Bulk write failed for ${feed.name}:`, error);
+        written.forEach(({ item }) => {
+          this.addFailure(stats, item, 'Processing error', error.message);
+        });
+        return;
+      }
+
+      const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors].filter(Boolean);
+      writeErrors.forEach(writeError => {
+        const { item } = written[writeError.index] || {};
+        failedIndexes.add(writeError.index);
+        this.addFailure(stats, item, 'Processing error', writeError.errmsg || writeError.message);
+      });
+
+      result = error.result;
+    }
+
+    const inserted = result ? result.upsertedCount || 0 : 0;
+    const matched = result ? result.matchedCount || 0 : 0;
+    const backfilled = written.filter((entry, index) => entry.backfill && !failedIndexes.has(index)).length;
+
+    stats.newJobs += inserted;
+    stats.updatedJobs += Math.max(matched - backfilled, 0);
+    stats.unchangedJobs += backfilled;
+    stats.processed += inserted + matched;
+
+    const revisions = written
+      .filter((entry, index) => entry.revision && !failedIndexes.has(index))
+      .map(entry => entry.revision);
+    await this.recordRevisions(revisions, feed);
+
+    const identityKeys = written
+      .filter((entry, index) => !failedIndexes.has(index) && (!entry.backfill || entry.unkeyed))
+      .map(entry => entry.key);
+    await this.resolveDuplicates([...identityKeys, ...unkeyed], feed);
+  }
+
+  // Link written jobs to their cross-feed duplicates. Like revisions this is
+  // best-effort: the jobs are saved either way.
+  async resolveDuplicates(keys, feed) {
+    if (keys.length === 0) return;
+
+    try {
+      await jobDedupeService.resolveDuplicates(keys);
+    } catch (error) {
+      logger.warn(`Failed to resolve duplicate jobs for ${feed.name}:`, error.message);
+    }
+  }
+
+  // Save the field-level diffs of updated jobs. History is best-effort:
+  // a failure here is logged and does not fail the import.
+  async recordRevisions(revisions, feed) {
+    if (revisions.length === 0) return;
+
+    try {
+      await JobRevision.insertMany(revisions, { ordered: false });
+    } catch (error) {
+      logger.warn(`Failed to record job revisions for ${feed.name}:`, error.message);
+    }
+  }
+
+  // Record that the run saw every item, including unchanged and rejected ones,
+  // so none of them count as missing from the feed
+  async markSeen(items, feed, seenAt) {
+    const guids = items
+      .map(item => (item.guid === null || item.guid === undefined ? '' : item.guid.toString().trim()))
+      .filter(Boolean);
+
+    for (let i = 0; i < guids.length; i += this.batchSize) {
+      await jobExpiryService.markSeen(feed.url, guids.slice(i, i + this.batchSize), seenAt);
+    }
+  }
+
+  // Load the stored jobs for a batch, keyed by jobKey()
+  async findExisting(batch) {
+    const guids = batch.map(({ fields }) => fields.originalGuid);
+    const feeds = [...new Set(batch.map(({ fields }) => fields.sourceFeed))];
+
+    const jobs = await Job.find(
+      { originalGuid: { $in: guids }, sourceFeed: { $in: feeds } },
+      { rawData: 0 }
+    ).lean();
+
+    return new Map(jobs.map(job => [this.jobKey(job.originalGuid, job.sourceFeed), job]));
+  }
+
+  // Whether a stored job lacks the identity keys its fields now produce
+  identityOutdated(stored, fields) {
+    const { canonicalKey, companyKey } = computeIdentity(fields);
+    return stored.canonicalKey !== canonicalKey || (stored.companyKey || '') !== companyKey;
+  }
+
+  // Key identifying a job within the import
+  jobKey(originalGuid, sourceFeed) {
+    return `${sourceFeed}|${originalGuid}`;
+  }
+
+  // Record a failed item on stats.failedJobs and, when upserting, keep its
+  // payload for the dead-letter store
+  addFailure(stats, item, reason, error) {
+    const failure = this.buildFailure(item || {}, reason, error);
+    stats.failedJobs.push(failure);
+
+    if (stats.failedItems && item) {
+      stats.failedItems.push({ item, failure });
+    }
+  }
+
+  // Build a failedJobs entry for ImportLog
+  buildFailure(item, reason, error) {
+    return {
+      guid: item.guid,
+      title: item.title,
+      reason,
+      error
+    };
+  }
+}
+
+module.exports = new JobUpsertService();
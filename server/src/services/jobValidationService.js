@@ -0,0 +1,101 @@
+const { PLACEHOLDERS } = require('../utils/placeholders');
+
+// Job fields a rule can require, as produced by jobMapper
+const REQUIRABLE_FIELDS = ['title', 'company', 'description', 'location', 'category', 'type', 'applicationUrl', 'publishedDate'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quality rules for mapped jobs, checked after the Job schema accepted them.
+// Jobs breaking a rule are not imported but quarantined with the reasons (see
+// quarantineService), so a reviewer can approve or discard them.
+//
+// Rules, configured through the environment:
+//   required       VALIDATION_REQUIRED_FIELDS must have a real value (placeholders count as missing),
+//                  except the ones a feed lists in its optionalFields (e.g. company for
+//                  feeds that carry none)
+//   min-length     the description has at least VALIDATION_MIN_DESCRIPTION_LENGTH characters (0 disables)
+//   invalid-url    applicationUrl, when present, is an http(s) URL
+//   invalid-date   publishedDate is at most VALIDATION_MAX_FUTURE_DAYS ahead and, when
+//                  VALIDATION_MAX_AGE_DAYS is set, at most that many days old
+class JobValidationService {
+  constructor() {
+    this.enabled = process.env.VALIDATION_ENABLED !== 'false';
+    this.requiredFields = (process.env.VALIDATION_REQUIRED_FIELDS || 'title,company')
+      .split(',')
+      .map(field => field.trim())
+      .filter(field => REQUIRABLE_FIELDS.includes(field));
+    this.requirableFields = REQUIRABLE_FIELDS;
+    this.minDescriptionLength = parseInt(process.env.VALIDATION_MIN_DESCRIPTION_LENGTH) || 0;
+    this.maxFutureDays = parseInt(process.env.VALIDATION_MAX_FUTURE_DAYS) || 2;
+    this.maxAgeDays = parseInt(process.env.VALIDATION_MAX_AGE_DAYS) || 0;
+  }
+
+  /**
+   * Check mapped Job fields against the rules. Returns the violations as
+   * { rule, field, message }, empty when the job passes. optionalFields are
+   * the feed's exemptions from the required fields.
+   */
+  validate(fields, now = new Date(), optionalFields = []) {
+    if (!this.enabled) return [];
+
+    const violations = [];
+    const add = (rule, field, message) => violations.push({ rule, field, message });
+
+    this.requiredFields.forEach(field => {
+      if (!optionalFields.includes(field) && !this.hasValue(fields, field)) {
+        add('required', field, `${field} is missing`);
+      }
+    });
+
+    const description = fields.description ? fields.description.replace(/<[^>]*>/g, '').trim() : '';
+    if (this.minDescriptionLength > 0 && description.length > 0 && description.length < this.minDescriptionLength) {
+      add('min-length', 'description', `description is shorter than ${this.minDescriptionLength} characters`);
+    }
+
+    if (fields.applicationUrl && !this.isHttpUrl(fields.applicationUrl)) {
+      add('invalid-url', 'applicationUrl', `applicationUrl is not a valid URL: ${fields.applicationUrl}`);
+    }
+
+    if (fields.publishedDate) {
+      const age = now.getTime() - new Date(fields.publishedDate).getTime();
+      if (age < -this.maxFutureDays * DAY_MS) {
+        add('invalid-date', 'publishedDate', 'publishedDate is in the future');
+      } else if (this.maxAgeDays > 0 && age > this.maxAgeDays * DAY_MS) {
+        add('invalid-date', 'publishedDate', `publishedDate is more than ${this.maxAgeDays} days old`);
+      }
+    }
+
+    return violations;
+  }
+
+  hasValue(fields, field) {
+    const value = fields[field];
+    if (value === undefined || value === null) return false;
+    if (value instanceof Date) return !isNaN(value.getTime());
+
+    const text = value.toString().trim();
+    return text.length > 0 && text !== PLACEHOLDERS[field];
+  }
+
+  isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Active rule settings, for the API
+  getRules() {
+    return {
+      enabled: this.enabled,
+      requiredFields: this.requiredFields,
+      minDescriptionLength: this.minDescriptionLength,
+      maxFutureDays: this.maxFutureDays,
+      maxAgeDays: this.maxAgeDays
+    };
+  }
+}
+
+module.exports = new JobValidationService();
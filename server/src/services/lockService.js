@@ -0,0 +1,124 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'lock:';
+
+// Extend or delete the lock only while it still holds our token
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Distributed locks with a TTL, kept alive by renewal while held.
+// Uses Redis when it is connected and falls back to the Mongo `locks` collection.
+class LockService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+  }
+
+  useRedis() {
+    return redis.isRedisConnected();
+  }
+
+  // Try to acquire a lock. Returns a handle, or null when another instance holds it.
+  // The handle renews itself every ttl/3 until released; handle.lost is set if
+  // a renewal finds the lock taken over.
+  async acquire(name, ttl) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const backend = this.useRedis() ? 'redis' : 'mongo';
+    // The Redis value carries the holder so other instances can report it
+    const value = JSON.stringify({ owner: this.owner, token, acquiredAt: new Date().toISOString() });
+    const acquired = backend === 'redis'
+      ? await this.acquireRedis(name, value, ttl)
+      : await this.acquireMongo(name, token, ttl);
+
+    if (!acquired) return null;
+
+    const handle = { name, token, value, ttl, backend, owner: this.owner, lost: false };
+    handle.timer = setInterval(() => {
+      this.renew(handle).catch(error => {
+        logger.warn(`Failed to renew lock ${name}:`, error.message);
+      });
+    }, Math.max(Math.floor(ttl / 3), 1000));
+    handle.timer.unref();
+
+    logger.info(`Acquired ${backend} lock ${name} (${this.owner})`);
+    return handle;
+  }
+
+  async renew(handle) {
+    const renewed = handle.backend === 'redis'
+      ? await redis.getRedisClient().eval(RENEW_SCRIPT, { keys: [KEY_PREFIX + handle.name], arguments: [handle.value, String(handle.ttl)] })
+      : (await Lock.updateOne({ _id: handle.name, token: handle.token }, { expiresAt: new Date(Date.now() + handle.ttl) })).matchedCount;
+
+    if (!renewed) {
+      handle.lost = true;
+      clearInterval(handle.timer);
+      logger.error(`Lost lock ${handle.name}: it expired or was taken over by another instance`);
+    }
+  }
+
+  async release(handle) {
+    if (!handle) return;
+    clearInterval(handle.timer);
+
+    try {
+      if (handle.backend === 'redis') {
+        await redis.getRedisClient().eval(RELEASE_SCRIPT, { keys: [KEY_PREFIX + handle.name], arguments: [handle.value] });
+      } else {
+        await Lock.deleteOne({ _id: handle.name, token: handle.token });
+      }
+    } catch (error) {
+      // The lock expires on its own after its TTL
+      logger.warn(`Failed to release lock ${handle.name}:`, error.message);
+    }
+  }
+
+  // Current holder of a lock ({ owner, acquiredAt, backend }), or null when free
+  async getHolder(name) {
+    if (this.useRedis()) {
+      const value = await redis.getRedisClient().get(KEY_PREFIX + name);
+      if (!value) return null;
+
+      const { owner, acquiredAt } = JSON.parse(value);
+      return { owner, acquiredAt, backend: 'redis' };
+    }
+
+    const lock = await Lock.findOne({ _id: name, expiresAt: { $gt: new Date() } }).lean();
+    return lock ? { owner: lock.owner, acquiredAt: lock.acquiredAt, backend: 'mongo' } : null;
+  }
+
+  async acquireRedis(name, value, ttl) {
+    const result = await redis.getRedisClient().set(KEY_PREFIX + name, value, { NX: true, PX: ttl });
+    return result === 'OK';
+  }
+
+  // Take the lock if it is free or expired. When another instance holds it the
+  // filter matches nothing and the upsert fails on the duplicate _id.
+  async acquireMongo(name, token, ttl) {
+    const now = new Date();
+    try {
+      await Lock.findOneAndUpdate(
+        { _id: name, expiresAt: { $lte: now } },
+        { $set: { owner: this.owner, token, acquiredAt: now, expiresAt: new Date(now.getTime() + ttl) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = new LockService();
@@ -0,0 +1,173 @@
+const QuarantinedJob = require('../models/QuarantinedJob');
+const ImportLog = require('../models/ImportLog');
+const { computeContentHash } = require('../utils/contentHash');
+const logger = require('../utils/logger');
+
+// Quarantine for feed items that broke a validation rule. Items are kept with
+// their normalized payload and reasons until approved (imported as they are)
+// or discarded. Each feed item has one entry, keyed on {sourceFeed, guid}.
+class QuarantineService {
+  // Store quarantined items of an import and count them on its log. entries
+  // are { item, fields, reasons } from jobUpsertService. Pending entries are
+  // refreshed and moved to this import; approved or discarded ones are left
+  // alone unless the item's content changed, which makes them pending again.
+  // Best-effort like the dead-letter store: a failure here does not fail the import.
+  async record(importLogId, feed, entries) {
+    if (!importLogId || entries.length === 0) return;
+
+    try {
+      const reviewed = await QuarantinedJob.find({
+        sourceFeed: feed.url,
+        guid: { $in: entries.map(({ fields }) => fields.originalGuid) },
+        status: { $ne: 'pending' }
+      }).select('guid contentHash').lean();
+      const reviewedHashes = new Map(reviewed.map(entry => [entry.guid, entry.contentHash]));
+
+      const changed = entries
+        .map(entry => ({ ...entry, contentHash: computeContentHash(entry.fields) }))
+        .filter(({ fields, contentHash }) => reviewedHashes.get(fields.originalGuid) !== contentHash);
+
+      if (changed.length === 0) return;
+
+      await QuarantinedJob.bulkWrite(changed.map(({ item, fields, reasons, contentHash }) => ({
+        updateOne: {
+          filter: { sourceFeed: feed.url, guid: fields.originalGuid },
+          update: {
+            $set: {
+              importLog: importLogId,
+              sourceName: feed.name,
+              title: fields.title,
+              company: fields.company,
+              reasons,
+              payload: item,
+              contentHash,
+              status: 'pending'
+            },
+            $unset: { reviewedAt: '' }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      await ImportLog.updateOne({ _id: importLogId }, { $inc: { quarantinedJobs: changed.length } });
+    } catch (error) {
+      logger.warn(`Failed to quarantine items for ${feed.name}:`, error.message);
+    }
+  }
+
+  // Quarantined items, newest first. filter: importLog, sourceFeed, status
+  async list(filter = {}, { page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (filter.importLog) query.importLog = filter.importLog;
+    if (filter.sourceFeed) query.sourceFeed = filter.sourceFeed;
+    if (filter.status) query.status = filter.status;
+
+    const [items, total] = await Promise.all([
+      QuarantinedJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuarantinedJob.countDocuments(query)
+    ]);
+
+    return {
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  getById(id) {
+    return QuarantinedJob.findById(id).lean();
+  }
+
+  /**
+   * Import a pending item as it is, skipping the validation rules. Resolves
+   * with the upsert stats, or null when the item is not pending (already
+   * reviewed or not found). An item that fails to import stays pending.
+   */
+  async approve(id) {
+    // Lazy require: jobUpsertService records into this service
+    const jobUpsertService = require('./jobUpsertService');
+
+    const entry = await QuarantinedJob.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'approved', reviewedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!entry) return null;
+
+    const feed = { url: entry.sourceFeed, name: entry.sourceName };
+    let stats;
+    try {
+      // No importLogId: a failure keeps the item here rather than dead-lettering it
+      stats = await jobUpsertService.upsertJobs([entry.payload], feed, { skipValidation: true });
+    } catch (error) {
+      await this.restorePending(id);
+      throw error;
+    }
+
+    if (stats.failedJobs.length > 0) {
+      await this.restorePending(id);
+      const failure = stats.failedJobs[0];
+      return { entry, stats, error: failure.error || failure.reason };
+    }
+
+    logger.info(`Approved quarantined job ${entry.guid} from ${entry.sourceName}`);
+    return { entry, stats };
+  }
+
+  // Discard a pending item. Resolves with the item, or null when it is not pending.
+  async discard(id) {
+    const entry = await QuarantinedJob.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'discarded', reviewedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (entry) {
+      logger.info(`Discarded quarantined job ${entry.guid} from ${entry.sourceName}`);
+    }
+    return entry;
+  }
+
+  // Clear the pending entries of a feed's items that have since been imported
+  // with content passing the rules. Best-effort like record.
+  async resolve(feed, guids) {
+    if (guids.length === 0) return;
+
+    try {
+      const { deletedCount } = await QuarantinedJob.deleteMany({ sourceFeed: feed.url, guid: { $in: guids }, status: 'pending' });
+      if (deletedCount > 0) {
+        logger.info(`Resolved ${deletedCount} quarantined jobs from ${feed.name} that now pass validation`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to resolve quarantined items for ${feed.name}:`, error.message);
+    }
+  }
+
+  // Content hashes of a feed's approved items among guids, keyed by guid
+  async approvedHashes(sourceFeed, guids) {
+    const approved = await QuarantinedJob.find({ sourceFeed, guid: { $in: guids }, status: 'approved' })
+      .select('guid contentHash')
+      .lean();
+
+    return new Map(approved.map(entry => [entry.guid, entry.contentHash]));
+  }
+
+  restorePending(id) {
+    return QuarantinedJob.updateOne({ _id: id }, { $set: { status: 'pending' }, $unset: { reviewedAt: '' } });
+  }
+
+  countPendingByLog(importLogIds) {
+    return QuarantinedJob.countPendingByLog(importLogIds);
+  }
+}
+
+module.exports = new QuarantineService();
@@ -1,15 +1,35 @@
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, FlowProducer } = require('bullmq');
 const Redis = require('redis');
 const logger = require('../utils/logger');
 
+const DEFAULT_JOB_OPTIONS = {
+  removeOnComplete: 100, // Keep last 100 completed jobs
+  removeOnFail: 50,      // Keep last 50 failed jobs
+  attempts: 3,           // Retry failed jobs 3 times
+  backoff: {
+    type: 'exponential',
+    delay: 2000
+  }
+};
+
+// Job states the admin API lists. Waiting jobs added with a priority are kept
+// in 'prioritized'; flow parents wait for their children in 'waiting-children'.
+const JOB_STATES = ['waiting', 'prioritized', 'waiting-children', 'active', 'delayed', 'failed', 'completed'];
+
+// States cleanQueue removes finished jobs from
+const CLEANABLE_STATES = ['completed', 'failed'];
+
 class QueueService {
   constructor() {
     this.queues = new Map();
     this.workers = new Map();
     this.schedulers = new Map();
+    this.flowProducer = null;
     this.isInitialized = false;
     this.redisAvailable = false;
     this.redisClient = null;
+    this.jobStates = JOB_STATES;
+    this.cleanableStates = CLEANABLE_STATES;
   }
 
   async initialize() {
@@ -82,15 +102,7 @@ class QueueService {
 
       const queue = new Queue(name, {
         connection: process.env.REDIS_URL,
-        defaultJobOptions: {
-          removeOnComplete: 100, // Keep last 100 completed jobs
-          removeOnFail: 50,      // Keep last 50 failed jobs
-          attempts: 3,           // Retry failed jobs 3 times
-          backoff: {
-            type: 'exponential',
-            delay: 2000
-          }
-        }
+        defaultJobOptions: DEFAULT_JOB_OPTIONS
       });
 
       this.queues.set(name, queue);
@@ -198,8 +210,6 @@ class QueueService {
     
     logger.info(`addJob: Got queue instance for '${queueName}'`);
     
-    logger.info(`addJob: Adding job with data size: ${JSON.stringify(jobData).length} characters`);
-    
     // Add timeout to prevent hanging - increased from 10 to 20 seconds
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Queue add operation timed out after 20 seconds')), 20000);
@@ -251,6 +261,35 @@ class QueueService {
     return jobs;
   }
 
+  // Add a parent job and its children as a BullMQ flow. The parent is only
+  // processed once all of its children have finished.
+  async addFlow(flow) {
+    if (!this.redisAvailable) {
+      logger.warn(`Cannot add flow to queue '${flow.queueName}' - Redis not available`);
+      return null;
+    }
+
+    if (!this.flowProducer) {
+      this.flowProducer = new FlowProducer({ connection: process.env.REDIS_URL });
+    }
+
+    // Flows do not use the queue's default job options, so apply them to every node
+    const withDefaults = (node) => ({
+      ...node,
+      opts: { ...DEFAULT_JOB_OPTIONS, ...node.opts },
+      children: node.children && node.children.map(withDefaults)
+    });
+
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Queue add flow operation timed out after 20 seconds')), 20000);
+    });
+
+    const tree = await Promise.race([this.flowProducer.add(withDefaults(flow)), timeoutPromise]);
+
+    logger.info(`Flow ${tree.job.id} added to queue '${flow.queueName}' with ${(tree.children || []).length} children`);
+    return tree;
+  }
+
   // Get job by ID
   async getJob(queueName, jobId) {
     if (!this.redisAvailable) {
@@ -364,21 +403,134 @@ class QueueService {
     logger.info(`Queue '${queueName}' resumed`);
   }
 
-  // Clean completed jobs
-  async cleanQueue(queueName, grace = 1000 * 60 * 60 * 24) { // 24 hours
+  // Clean completed and failed jobs older than grace ms.
+  // Returns the number of jobs removed per state.
+  async cleanQueue(queueName, grace = 1000 * 60 * 60 * 24, states = CLEANABLE_STATES) { // 24 hours
     if (!this.redisAvailable) {
       logger.warn(`Cannot clean queue '${queueName}' - Redis not available`);
-      return;
+      return null;
     }
 
     const queue = this.getQueue(queueName);
     if (!queue) {
       logger.error(`Queue '${queueName}' not available`);
-      return;
+      return null;
     }
-    await queue.clean(grace, 'completed');
-    await queue.clean(grace, 'failed');
-    logger.info(`Queue '${queueName}' cleaned`);
+
+    const removed = {};
+    for (const state of states) {
+      // A limit of 0 removes every matching job
+      removed[state] = (await queue.clean(grace, 0, state)).length;
+    }
+    logger.info(`Queue '${queueName}' cleaned: ${states.map(state => `${removed[state]} ${state}`).join(', ')}`);
+    return removed;
+  }
+
+  // Queues known to this instance: those with a worker or used to add jobs
+  getKnownQueueNames() {
+    return Array.from(new Set([...this.workers.keys(), ...this.queues.keys()]));
+  }
+
+  // Admin overview of a queue: paused flag and job counts per state
+  async getQueueOverview(queueName) {
+    const queue = this.getQueue(queueName);
+    if (!queue) return null;
+
+    const [paused, counts] = await Promise.all([
+      queue.isPaused(),
+      queue.getJobCounts(...JOB_STATES)
+    ]);
+
+    return {
+      name: queueName,
+      paused,
+      hasWorker: this.workers.has(queueName),
+      counts
+    };
+  }
+
+  // List a page of the queue's jobs in one state, newest first for finished
+  // jobs and in processing order otherwise. Job data is summarized.
+  async listJobs(queueName, state, { start = 0, limit = 20 } = {}) {
+    const queue = this.getQueue(queueName);
+    if (!queue) return null;
+
+    const finished = CLEANABLE_STATES.includes(state);
+    const jobs = await queue.getJobs([state], start, start + limit - 1, !finished);
+
+    // Jobs can be removed between listing and loading them
+    return jobs.filter(Boolean).map(job => this.serializeJob(job, state, { summary: true }));
+  }
+
+  // A job with its full data and failure details, or null when it does not exist
+  async getJobDetails(queueName, jobId) {
+    const job = await this.getJob(queueName, jobId);
+    if (!job) return null;
+
+    return this.serializeJob(job, await job.getState());
+  }
+
+  // Retry a failed job. Returns { retried, state }, or null when the job does not exist.
+  // Failed import chunks are not retried ({ retried: false, importLogId }): their
+  // failure is already recorded on the import log, with the items in the
+  // dead-letter store, so they are replayed through the log's retry-failed instead.
+  async retryJob(queueName, jobId) {
+    const job = await this.getJob(queueName, jobId);
+    if (!job) return null;
+
+    const state = await job.getState();
+    if (state !== 'failed') {
+      return { retried: false, state };
+    }
+
+    if (job.data.chunk && job.data.importLogId) {
+      return { retried: false, state, importLogId: job.data.importLogId };
+    }
+
+    await job.retry('failed');
+    logger.info(`Job ${jobId} in queue '${queueName}' retried`);
+    return { retried: true, state: 'waiting' };
+  }
+
+  // Remove a job that is not being processed. Returns { removed, state }, or
+  // null when the job does not exist.
+  async removeJob(queueName, jobId) {
+    const job = await this.getJob(queueName, jobId);
+    if (!job) return null;
+
+    // Active jobs are locked by their worker
+    const state = await job.getState();
+    if (state === 'active') {
+      return { removed: false, state };
+    }
+
+    await job.remove();
+    logger.info(`Job ${jobId} removed from queue '${queueName}'`);
+    return { removed: true, state };
+  }
+
+  // Plain representation of a job for the admin API. With summary, array
+  // fields of the data (e.g. a chunk's feed items) are replaced by their length.
+  serializeJob(job, state, { summary = false } = {}) {
+    const data = summary
+      ? Object.fromEntries(Object.entries(job.data || {}).map(([key, value]) => [key, Array.isArray(value) ? `[${value.length} items]` : value]))
+      : job.data;
+
+    return {
+      id: job.id,
+      name: job.name,
+      state,
+      data,
+      attemptsMade: job.attemptsMade,
+      attempts: job.opts ? job.opts.attempts : undefined,
+      failedReason: job.failedReason || null,
+      stacktrace: summary ? undefined : job.stacktrace,
+      parentKey: job.parentKey || null,
+      progress: job.progress,
+      timestamp: job.timestamp,
+      processedOn: job.processedOn || null,
+      finishedOn: job.finishedOn || null
+    };
   }
 
   // Close all queues and workers
@@ -403,6 +555,11 @@ class QueueService {
       logger.info(`Queue '${name}' closed`);
     }
 
+    if (this.flowProducer) {
+      await this.flowProducer.close();
+      this.flowProducer = null;
+    }
+
     this.workers.clear();
     this.schedulers.clear();
     this.queues.clear();
@@ -122,6 +122,17 @@ class SocketService {
     }
   }
 
+  // Emit a feed import flagged as anomalous
+  emitFeedAnomaly(data) {
+    if (this.io) {
+      this.io.to('import-updates').emit('feed-anomaly', {
+        ...data,
+        timestamp: new Date().toISOString()
+      });
+      logger.info('Emitted feed-anomaly event');
+    }
+  }
+
   // Emit real-time import progress
   emitImportProgress(data) {
     if (this.io) {
@@ -1,5 +1,8 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
+const sax = require('sax');
+const { applyFieldMapping } = require('../utils/fieldMapping');
+const { PLACEHOLDERS } = require('../utils/placeholders');
 const logger = require('../utils/logger');
 
 class XMLFeedService {
@@ -24,69 +27,100 @@ class XMLFeedService {
       }
     });
     
+    // Atom keeps links and categories in attributes (<link href>, <category term>)
+    this.atomParser = new xml2js.Parser({
+      explicitArray: false,
+      ignoreAttrs: false,
+      trim: true,
+      strict: false,
+      normalize: true,
+      normalizeTags: true,
+      attrNameProcessors: [name => name.toLowerCase()],
+      emptyTag: ''
+    });
+    
     this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 30000;
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
+    this.streamChunkSize = parseInt(process.env.STREAM_CHUNK_SIZE) || 500;
   }
 
   // Fetch and parse XML feed
-  async fetchFeed(feedUrl, feedName) {
+  // Pass the feed's cached { etag, lastModified } to make a conditional request;
+  // options.maxRetries overrides the number of attempts and options.fieldMapping
+  // is the feed's field mapping (see utils/fieldMapping)
+  async fetchFeed(feedUrl, feedName, cache = {}, options = {}) {
     const startTime = Date.now();
+    const maxRetries = options.maxRetries || this.maxRetries;
     let retries = 0;
     
     let xmlData = null;
     
-    while (retries < this.maxRetries) {
+    while (retries < maxRetries) {
       try {
         logger.info(`Fetching feed: ${feedName} (${feedUrl})`);
         
+        // Read the body as text so format detection sees the raw payload
         const response = await axios.get(feedUrl, {
           timeout: this.timeout,
+          responseType: 'text',
           headers: {
             'User-Agent': 'Knovator-Job-Importer/1.0',
-            'Accept': 'application/xml, text/xml, */*'
-          }
+            'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, application/json, */*',
+            ...this.conditionalHeaders(cache)
+          },
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
         });
 
+        if (response.status === 304) {
+          const duration = Date.now() - startTime;
+          logger.info(`Feed not modified since last fetch: ${feedName}`);
+          
+          return {
+            jobs: [],
+            totalFetched: 0,
+            duration,
+            success: true,
+            notModified: true,
+            cache: this.cacheValidators(response, cache)
+          };
+        }
+
         if (response.status !== 200) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
         xmlData = response.data;
         
-        // Check if the response is actually XML
+        // Check if the response is actually text
         if (!xmlData || typeof xmlData !== 'string') {
-          throw new Error('Response is not valid XML data');
+          throw new Error('Response is not valid feed data');
         }
         
-        // Check if the response contains XML-like content
-        if (!xmlData.includes('<') || !xmlData.includes('>')) {
-          throw new Error('Response does not contain XML content');
-        }
-        
-        const parsedData = await this.parseXML(xmlData);
-        const jobs = this.extractJobs(parsedData, feedUrl, feedName);
+        const { jobs, format } = await this.parseFeed(xmlData, feedUrl, feedName, options.fieldMapping);
         
         const duration = Date.now() - startTime;
-        logger.info(`Successfully fetched ${jobs.length} jobs from ${feedName} in ${duration}ms`);
+        logger.info(`Successfully fetched ${jobs.length} jobs from ${feedName} (${format}) in ${duration}ms`);
         
         return {
           jobs,
           totalFetched: jobs.length,
           duration,
-          success: true
+          format,
+          success: true,
+          cache: this.cacheValidators(response)
         };
 
       } catch (error) {
         retries++;
-        logger.error(`Error fetching feed ${feedName} (attempt ${retries}/${this.maxRetries}):`, error.message);
+        logger.error(`Error fetching feed ${feedName} (attempt ${retries}/${maxRetries}):`, error.message);
         
-        if (retries >= this.maxRetries) {
+        if (retries >= maxRetries) {
           const duration = Date.now() - startTime;
           
           // Try to extract basic information even if XML parsing failed
           let fallbackJobs = [];
           try {
-            if (xmlData && typeof xmlData === 'string') {
+            if (xmlData && typeof xmlData === 'string' && this.detectFormat(xmlData) !== 'json-feed') {
               fallbackJobs = this.extractJobsFromRawXML(xmlData, feedUrl, feedName);
               logger.info(`Extracted ${fallbackJobs.length} jobs using fallback method from ${feedName}`);
             }
@@ -111,6 +145,305 @@ class XMLFeedService {
     }
   }
 
+  // Stream a large XML feed instead of buffering it. Items are normalized as they
+  // are parsed and handed to onChunk(jobs, chunkNumber) in batches.
+  // Pass options.cache ({ etag, lastModified }) to make a conditional request
+  // and options.fieldMapping to apply the feed's field mapping. The request
+  // timeout only covers the response headers; a body that stalls for as long
+  // fails the stream (see parseStream).
+  async streamFeed(feedUrl, feedName, onChunk, options = {}) {
+    const startTime = Date.now();
+    logger.info(`Streaming feed: ${feedName} (${feedUrl})`);
+
+    const response = await axios.get(feedUrl, {
+      timeout: this.timeout,
+      responseType: 'stream',
+      headers: {
+        'User-Agent': 'Knovator-Job-Importer/1.0',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*',
+        ...this.conditionalHeaders(options.cache)
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304) {
+      response.data.resume();
+      logger.info(`Feed not modified since last fetch: ${feedName}`);
+      
+      return {
+        totalFetched: 0,
+        chunks: 0,
+        duration: Date.now() - startTime,
+        notModified: true,
+        cache: this.cacheValidators(response, options.cache)
+      };
+    }
+
+    const result = await this.parseStream(response.data, feedUrl, feedName, onChunk, options);
+    const duration = Date.now() - startTime;
+    logger.info(`Streamed ${result.totalFetched} jobs from ${feedName} in ${result.chunks} chunks (${duration}ms)`);
+
+    return { ...result, duration, cache: this.cacheValidators(response) };
+  }
+
+  // Build If-None-Match / If-Modified-Since headers from a feed's cached validators
+  conditionalHeaders(cache = {}) {
+    const headers = {};
+    if (cache.etag) headers['If-None-Match'] = cache.etag;
+    if (cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+    return headers;
+  }
+
+  // Read the ETag / Last-Modified validators from a response.
+  // A 304 may omit them, in which case the previous values still apply.
+  cacheValidators(response, previous = {}) {
+    return {
+      etag: response.headers.etag || previous.etag || null,
+      lastModified: response.headers['last-modified'] || previous.lastModified || null
+    };
+  }
+
+  // Parse an XML stream with sax. Only the element currently being read is held
+  // in memory, and the stream is paused while onChunk() handles a batch, so
+  // memory use stays bounded however large the feed is.
+  // Rejects when the stream sends no data for options.idleTimeout ms (the
+  // request timeout by default) while it is not paused.
+  parseStream(stream, feedUrl, feedName, onChunk, options = {}) {
+    const chunkSize = options.chunkSize || this.streamChunkSize;
+    const idleTimeout = options.idleTimeout || this.timeout;
+    const parser = sax.parser(false, { lowercase: true });
+
+    // Open elements of the item being read
+    const stack = [];
+    let format = null;
+    let buffer = [];
+    let totalFetched = 0;
+    let chunks = 0;
+    let inFlight = 0;
+    let pending = Promise.resolve();
+    let failed = false;
+    let ended = false;
+    let idleTimer = null;
+
+    return new Promise((resolve, reject) => {
+      const stopIdleTimer = () => clearTimeout(idleTimer);
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stopIdleTimer();
+        stream.destroy();
+        reject(error);
+      };
+
+      // (Re)start the wait for the next piece of data
+      const startIdleTimer = () => {
+        stopIdleTimer();
+        if (failed || ended) return;
+        idleTimer = setTimeout(() => {
+          fail(new Error(`Feed stream stalled: no data for ${idleTimeout}ms`));
+        }, idleTimeout);
+      };
+
+      // Hand the buffered jobs to onChunk, pausing the stream until it is done
+      const flush = () => {
+        if (buffer.length === 0) return;
+
+        const jobs = buffer;
+        const chunkNumber = ++chunks;
+        buffer = [];
+        inFlight++;
+        stream.pause();
+        stopIdleTimer();
+
+        pending = pending
+          .then(() => (failed ? null : onChunk(jobs, chunkNumber)))
+          .then(() => {
+            inFlight--;
+            if (inFlight === 0 && !failed) {
+              stream.resume();
+              startIdleTimer();
+            }
+          }, fail);
+      };
+
+      parser.onopentag = (tag) => {
+        if (!format) {
+          format = tag.name.split(':').pop() === 'feed' ? 'atom' : 'rss';
+        }
+
+        const itemTags = format === 'atom' ? ['entry'] : ['item', 'job'];
+        if (stack.length === 0 && !itemTags.includes(tag.name)) return;
+
+        stack.push({ name: tag.name, attributes: tag.attributes, text: '', children: {} });
+      };
+
+      parser.ontext = parser.oncdata = (text) => {
+        if (stack.length > 0) {
+          stack[stack.length - 1].text += text;
+        }
+      };
+
+      parser.onclosetag = () => {
+        if (stack.length === 0) return;
+
+        const node = stack.pop();
+        const value = this.elementValue(node, format === 'atom');
+
+        if (stack.length > 0) {
+          this.appendChild(stack[stack.length - 1], node.name, value);
+          return;
+        }
+
+        if (typeof value !== 'object') return;
+
+        try {
+          const item = format === 'atom' ? this.normalizeAtomEntry(value) : value;
+          const job = this.normalizeJob(item, feedUrl, feedName, options.fieldMapping);
+          if (job) {
+            buffer.push(job);
+            totalFetched++;
+          }
+        } catch (error) {
+          logger.warn(`Failed to normalize streamed item from ${feedName}:`, error.message);
+        }
+
+        if (buffer.length >= chunkSize) {
+          flush();
+        }
+      };
+
+      // Loose mode: log and carry on, like the lenient buffered parser
+      parser.onerror = (error) => {
+        logger.warn(`XML stream error in ${feedName}: ${error.message.split('\n')[0]}`);
+        parser.resume();
+      };
+
+      stream.setEncoding('utf8');
+
+      stream.on('data', (data) => {
+        startIdleTimer();
+
+        if (!format && data.trimStart().startsWith('{')) {
+          fail(new Error('Streaming mode only supports XML feeds'));
+          return;
+        }
+
+        try {
+          parser.write(data);
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      stream.on('error', fail);
+
+      startIdleTimer();
+
+      stream.on('end', () => {
+        ended = true;
+        stopIdleTimer();
+
+        try {
+          parser.close();
+        } catch (error) {
+          logger.warn(`Failed to close XML stream for ${feedName}:`, error.message);
+        }
+
+        flush();
+        pending.then(() => {
+          if (!failed) {
+            resolve({ totalFetched, chunks, format: format || 'rss' });
+          }
+        });
+      });
+    });
+  }
+
+  // Convert a streamed element to the shape xml2js produces with explicitArray: false
+  elementValue(node, keepAttributes) {
+    const text = node.text.replace(/\s+/g, ' ').trim();
+    const hasChildren = Object.keys(node.children).length > 0;
+    const hasAttributes = keepAttributes && Object.keys(node.attributes).length > 0;
+
+    if (!hasChildren && !hasAttributes) {
+      return text;
+    }
+
+    const value = { ...node.children };
+    if (text) value._ = text;
+    if (hasAttributes) value.$ = node.attributes;
+    return value;
+  }
+
+  // Add a child value, collecting repeated elements into an array
+  appendChild(parent, name, value) {
+    if (parent.children[name] === undefined) {
+      parent.children[name] = value;
+    } else if (Array.isArray(parent.children[name])) {
+      parent.children[name].push(value);
+    } else {
+      parent.children[name] = [parent.children[name], value];
+    }
+  }
+
+  // Detect the feed format from the raw response body: 'json-feed', 'atom' or 'rss'
+  detectFormat(body) {
+    const content = body.replace(/^\uFEFF/, '').trim();
+    
+    if (content.startsWith('{')) {
+      try {
+        const json = JSON.parse(content);
+        if (typeof json.version === 'string' && json.version.startsWith('https://jsonfeed.org/version/')) {
+          return 'json-feed';
+        }
+      } catch (error) {
+        return null;
+      }
+      return null;
+    }
+    
+    if (!content.includes('<') || !content.includes('>')) {
+      return null;
+    }
+    
+    // Skip the XML declaration, comments, doctype and processing instructions to find the root element
+    const root = content
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!DOCTYPE[^>]*>/gi, '')
+      .match(/<([a-zA-Z][\w:.-]*)/);
+    
+    if (root && root[1].split(':').pop().toLowerCase() === 'feed') {
+      return 'atom';
+    }
+    
+    // RSS, RDF and plain <jobs> documents share extractJobs()
+    return 'rss';
+  }
+
+  // Parse a feed body with the parser for its detected format
+  async parseFeed(body, feedUrl, feedName, fieldMapping) {
+    const format = this.detectFormat(body);
+    let jobs;
+    
+    switch (format) {
+      case 'json-feed':
+        jobs = this.extractJobsFromJSONFeed(JSON.parse(body.replace(/^\uFEFF/, '')), feedUrl, feedName, fieldMapping);
+        break;
+      case 'atom':
+        jobs = this.extractJobsFromAtom(await this.atomParser.parseStringPromise(this.cleanXML(body)), feedUrl, feedName, fieldMapping);
+        break;
+      case 'rss':
+        jobs = this.extractJobs(await this.parseXML(body), feedUrl, feedName, fieldMapping);
+        break;
+      default:
+        throw new Error('Response does not contain an RSS, Atom or JSON Feed document');
+    }
+    
+    return { jobs, format };
+  }
+
   // Clean and validate XML string
   cleanXML(xmlString) {
     let cleaned = xmlString;
@@ -121,8 +454,8 @@ class XMLFeedService {
     // Remove null bytes
     cleaned = cleaned.replace(/\x00/g, '');
     
-    // Fix common malformed attribute issues
-    cleaned = cleaned.replace(/(\w+)\s*=\s*(?!["'])/g, '$1=""');
+    // Fix common malformed attribute issues (inside tags only, so URLs in text keep their query strings)
+    cleaned = cleaned.replace(/<[a-zA-Z][^<>]*>/g, tag => tag.replace(/(\s\w+)\s*=\s*(?!["'])/g, '$1=""'));
     
     // Remove any HTML entities that might cause issues
     cleaned = cleaned.replace(/&(?!(amp|lt|gt|quot|apos);)/g, '&amp;');
@@ -190,7 +523,7 @@ class XMLFeedService {
   }
 
   // Extract jobs from parsed XML data
-  extractJobs(parsedData, feedUrl, feedName) {
+  extractJobs(parsedData, feedUrl, feedName, fieldMapping) {
     try {
       const jobs = [];
       
@@ -213,7 +546,7 @@ class XMLFeedService {
 
       for (const item of items) {
         try {
-          const job = this.normalizeJob(item, feedUrl, feedName);
+          const job = this.normalizeJob(item, feedUrl, feedName, fieldMapping);
           if (job) {
             jobs.push(job);
           }
@@ -229,40 +562,45 @@ class XMLFeedService {
     }
   }
 
-  // Normalize job data from different feed formats
-  normalizeJob(item, feedUrl, feedName) {
+  // Normalize job data from different feed formats. Fields the feed's
+  // fieldMapping sets take precedence over the guesses below.
+  normalizeJob(item, feedUrl, feedName, fieldMapping) {
     try {
+      const mapped = applyFieldMapping(item, fieldMapping);
+      
       // Generate unique GUID if not present
-      const guid = item.guid || item.id || item.link || `${feedUrl}-${Date.now()}-${Math.random()}`;
+      const guid = mapped.guid || item.guid || item.id || item.link || `${feedUrl}-${Date.now()}-${Math.random()}`;
       
       // Extract title
-      const title = item.title || item.name || item.job_title || 'Untitled Job';
+      const title = mapped.title || item.title || item.name || item.job_title || PLACEHOLDERS.title;
       
       // Extract description
-      const description = item.description || item.summary || item.content || item.job_description || '';
+      const description = mapped.description || item.description || item.summary || item.content || item.job_description || '';
       
-      // Extract company
-      const company = item.company || item.employer || item.organization || 'Unknown Company';
+      // Extract company (Jobicy uses job_listing:* tags)
+      const company = mapped.company || item.company || item['job_listing:company'] || item.employer || item.organization || PLACEHOLDERS.company;
       
       // Extract location
-      const location = item.location || item.city || item.place || '';
+      const location = mapped.location || item.location || item['job_listing:location'] || item.city || item.place || '';
       
       // Extract job type
-      const jobType = item.job_type || item.type || item.employment_type || '';
+      const jobType = mapped.jobType || item.job_type || item['job_listing:job_type'] || item.type || item.employment_type || '';
       
       // Extract category
-      const category = item.category || item.industry || item.job_category || '';
+      const category = mapped.category || item.category || item.industry || item.job_category || '';
       
       // Extract salary
-      const salary = item.salary || item.compensation || '';
+      const salary = mapped.salary || item.salary || item.compensation || '';
       
       // Extract URL
-      const url = item.link || item.url || item.apply_url || '';
+      const url = mapped.url || item.link || item.url || item.apply_url || '';
       
-      // Parse publication date
+      // Parse publication date (tag names are lowercased by normalizeTags)
       let pubDate = new Date();
-      if (item.pubDate) {
-        pubDate = new Date(item.pubDate);
+      if (mapped.pubDate) {
+        pubDate = new Date(mapped.pubDate);
+      } else if (item.pubDate || item.pubdate) {
+        pubDate = new Date(item.pubDate || item.pubdate);
       } else if (item.published) {
         pubDate = new Date(item.published);
       } else if (item.date) {
@@ -271,11 +609,12 @@ class XMLFeedService {
       
       // Extract tags
       const tags = [];
-      if (item.tags) {
-        if (Array.isArray(item.tags)) {
-          tags.push(...item.tags);
-        } else if (typeof item.tags === 'string') {
-          tags.push(...item.tags.split(',').map(tag => tag.trim()));
+      const itemTags = mapped.tags || item.tags;
+      if (itemTags) {
+        if (Array.isArray(itemTags)) {
+          tags.push(...itemTags);
+        } else if (typeof itemTags === 'string') {
+          tags.push(...itemTags.split(',').map(tag => tag.trim()));
         }
       }
       
@@ -309,6 +648,117 @@ class XMLFeedService {
     }
   }
 
+  // Extract jobs from an Atom document parsed with attributes
+  extractJobsFromAtom(parsedData, feedUrl, feedName, fieldMapping) {
+    const feed = parsedData.feed || {};
+    const entries = this.toArray(feed.entry);
+    const jobs = [];
+
+    for (const entry of entries) {
+      try {
+        const job = this.normalizeJob(this.normalizeAtomEntry(entry), feedUrl, feedName, fieldMapping);
+        if (job) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        logger.warn(`Failed to normalize Atom entry from ${feedName}:`, error.message);
+      }
+    }
+
+    return jobs;
+  }
+
+  // Flatten an Atom entry into the item shape normalizeJob() expects
+  normalizeAtomEntry(entry) {
+    const item = {};
+
+    // Keep plain text elements (including namespaced job_listing:* tags)
+    Object.keys(entry).forEach(key => {
+      if (key !== '$' && typeof entry[key] === 'string') {
+        item[key] = entry[key];
+      }
+    });
+
+    const links = this.toArray(entry.link);
+    const link = links.find(l => l.$ && (!l.$.rel || l.$.rel === 'alternate')) || links[0];
+    const authors = this.toArray(entry.author);
+    const terms = this.toArray(entry.category)
+      .map(category => (category.$ ? category.$.label || category.$.term : this.textOf(category)))
+      .filter(Boolean);
+
+    return {
+      ...item,
+      guid: this.textOf(entry.id),
+      title: this.textOf(entry.title),
+      description: this.textOf(entry.content) || this.textOf(entry.summary),
+      link: link && link.$ ? link.$.href : this.textOf(link),
+      pubDate: entry.published || entry.updated,
+      company: item.company || (authors[0] && this.textOf(authors[0].name)),
+      category: terms[0],
+      tags: terms
+    };
+  }
+
+  // Extract jobs from a JSON Feed (https://jsonfeed.org/version/1.1) document
+  extractJobsFromJSONFeed(feedData, feedUrl, feedName, fieldMapping) {
+    const items = Array.isArray(feedData.items) ? feedData.items : [];
+    const jobs = [];
+
+    for (const entry of items) {
+      try {
+        const job = this.normalizeJob(this.normalizeJSONFeedItem(entry), feedUrl, feedName, fieldMapping);
+        if (job) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        logger.warn(`Failed to normalize JSON Feed item from ${feedName}:`, error.message);
+      }
+    }
+
+    return jobs;
+  }
+
+  // Flatten a JSON Feed item into the item shape normalizeJob() expects.
+  // Job fields published in an extension object (e.g. "_job": { company, salary })
+  // are merged in, since JSON Feed has no standard job fields.
+  normalizeJSONFeedItem(entry) {
+    const extensions = {};
+    Object.keys(entry).forEach(key => {
+      if (key.startsWith('_') && entry[key] && typeof entry[key] === 'object' && !Array.isArray(entry[key])) {
+        Object.assign(extensions, entry[key]);
+      }
+    });
+
+    // JSON Feed 1.1 uses "authors"; 1.0 used a single "author"
+    const authors = Array.isArray(entry.authors) ? entry.authors : this.toArray(entry.author);
+    const tags = Array.isArray(entry.tags) ? entry.tags : [];
+
+    return {
+      ...extensions,
+      guid: entry.id,
+      title: entry.title || extensions.title,
+      description: entry.content_html || entry.content_text || entry.summary || extensions.description,
+      link: entry.url || entry.external_url || extensions.url,
+      pubDate: entry.date_published || entry.date_modified,
+      company: extensions.company || (authors[0] && authors[0].name),
+      category: extensions.category || tags[0],
+      tags
+    };
+  }
+
+  // Read the text of an element parsed with attributes ({ _: text, $: attrs })
+  textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return value._ || '';
+    return value.toString();
+  }
+
+  // Wrap single values parsed with explicitArray: false
+  toArray(value) {
+    if (value === null || value === undefined || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
   // Detect if job is remote based on title and description
   detectRemoteWork(title, description) {
     const remoteKeywords = [
@@ -383,10 +833,10 @@ class XMLFeedService {
       const companyMatch = xmlItem.match(/<(company|employer|organization)[^>]*>([^<]*)<\/\1>/i);
       const locationMatch = xmlItem.match(/<(location|city|place)[^>]*>([^<]*)<\/\1>/i);
       
-      const title = titleMatch ? titleMatch[1].trim() : 'Untitled Job';
+      const title = titleMatch ? titleMatch[1].trim() : PLACEHOLDERS.title;
       const description = descriptionMatch ? descriptionMatch[2].trim() : '';
       const url = linkMatch ? linkMatch[1].trim() : '';
-      const company = companyMatch ? companyMatch[2].trim() : 'Unknown Company';
+      const company = companyMatch ? companyMatch[2].trim() : PLACEHOLDERS.company;
       const location = locationMatch ? locationMatch[2].trim() : '';
       
       // Generate a unique GUID
@@ -421,8 +871,8 @@ class XMLFeedService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Get predefined feed sources
-  getFeedSources() {
+  // Get the default feed sources used to seed the FeedSource registry
+  getDefaultFeedSources() {
     return [
       {
         url: 'https://jobicy.com/?feed=job_feed',
@@ -458,7 +908,9 @@ class XMLFeedService {
       },
       {
         url: 'https://www.higheredjobs.com/rss/articleFeed.cfm',
-        name: 'HigherEdJobs'
+        name: 'HigherEdJobs',
+        // Its items carry no company
+        optionalFields: ['company']
       }
     ];
   }
@@ -0,0 +1,102 @@
+// Bounded concurrency for import work.
+//
+// Items start in order, up to `concurrency` at a time. Items sharing a key
+// (e.g. the host of a feed URL) are also limited to `perKey` at a time; an item
+// whose key is at its limit is skipped until one of its siblings finishes, so
+// other hosts keep making progress meanwhile.
+
+/**
+ * Run worker(item) for every item within the limits.
+ *
+ * beforeStart() is awaited before each item starts: returning false stops
+ * starting new items (e.g. on cancellation) and throwing stops and rejects with
+ * that error. Either way the items already started are awaited first.
+ *
+ * Resolves with { stopped, remaining }, the items that never started.
+ */
+const runWithLimits = (items, worker, options = {}) => {
+  const {
+    concurrency = 1,
+    perKey = Infinity,
+    keyOf = () => null,
+    beforeStart = async () => true
+  } = options;
+
+  const queue = [...items];
+  const activeByKey = new Map();
+  let running = 0;
+  let stopped = false;
+  let failure = null;
+  let filling = false;
+  let refill = false;
+
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      if (failure) {
+        reject(failure);
+      } else {
+        resolve({ stopped, remaining: queue });
+      }
+    };
+
+    const release = (key) => {
+      running--;
+      activeByKey.set(key, activeByKey.get(key) - 1);
+      fill();
+    };
+
+    const start = (item) => {
+      const key = keyOf(item);
+      activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+      running++;
+
+      Promise.resolve()
+        .then(() => worker(item))
+        .catch((error) => {
+          failure = failure || error;
+          stopped = true;
+        })
+        .finally(() => release(key));
+    };
+
+    // Start every item that fits. beforeStart is async, so a finishing item
+    // may ask for a refill while a fill is in progress; that fill loops again.
+    const fill = async () => {
+      if (filling) {
+        refill = true;
+        return;
+      }
+      filling = true;
+
+      try {
+        do {
+          refill = false;
+          while (!stopped && running < concurrency) {
+            const index = queue.findIndex(item => (activeByKey.get(keyOf(item)) || 0) < perKey);
+            if (index === -1) break;
+
+            if (!(await beforeStart())) {
+              stopped = true;
+              break;
+            }
+
+            start(queue.splice(index, 1)[0]);
+          }
+        } while (refill && !stopped);
+      } catch (error) {
+        failure = failure || error;
+        stopped = true;
+      } finally {
+        filling = false;
+      }
+
+      if (running === 0) settle();
+    };
+
+    fill();
+  });
+};
+
+module.exports = {
+  runWithLimits
+};
@@ -0,0 +1,72 @@
+// Content hashing for change detection on imported jobs.
+//
+// The hash covers the mapped Job fields (see jobMapper) except the upsert key,
+// rawData and publishedDate. Feeds that omit a date get the fetch time as
+// publishedDate, so including it would make every run look like a change.
+
+const crypto = require('crypto');
+
+const EXCLUDED_FIELDS = ['originalGuid', 'sourceFeed', 'rawData', 'publishedDate'];
+
+// Serialize with sorted object keys so equal content always hashes the same
+const stableStringify = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Names of the mapped fields that take part in hashing and diffing
+const hashedFieldNames = (fields) => Object.keys(fields).filter(key => !EXCLUDED_FIELDS.includes(key)).sort();
+
+/**
+ * Compute a SHA-256 hash of a job's content fields.
+ */
+const computeContentHash = (fields) => {
+  const content = {};
+  hashedFieldNames(fields).forEach(key => {
+    content[key] = fields[key];
+  });
+
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+};
+
+// Compare a new value with a stored one. Only keys set on the new value are
+// checked, so schema defaults on the stored document (e.g. empty skills arrays)
+// do not count as changes.
+const isSameValue = (next, previous) => {
+  if (next instanceof Date || previous instanceof Date) {
+    const nextTime = new Date(next).getTime();
+    const previousTime = new Date(previous).getTime();
+    return nextTime === previousTime;
+  }
+  if (Array.isArray(next)) {
+    return Array.isArray(previous) &&
+      next.length === previous.length &&
+      next.every((value, index) => isSameValue(value, previous[index]));
+  }
+  if (next && typeof next === 'object') {
+    return !!previous && typeof previous === 'object' &&
+      Object.keys(next).every(key => next[key] === undefined || isSameValue(next[key], previous[key]));
+  }
+  return next === previous;
+};
+
+/**
+ * List the content fields whose values differ from the stored job.
+ */
+const diffFields = (fields, existing = {}) =>
+  hashedFieldNames(fields).filter(key => !isSameValue(fields[key], existing[key]));
+
+module.exports = {
+  computeContentHash,
+  diffFields,
+  stableStringify
+};
@@ -0,0 +1,85 @@
+// Minimal CSV parsing for feed exports (RFC 4180): quoted fields may hold
+// delimiters, line breaks and doubled quotes ("").
+
+/**
+ * Parse CSV text into rows of field strings. Blank lines are skipped.
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const content = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Header cells as record keys: "Job Type" -> job_type
+const headerKey = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Parse CSV text with a header row into one object per data row, keyed by
+ * the normalized header names.
+ */
+const parseCsvRecords = (text, delimiter = ',') => {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+
+  const keys = header.map(headerKey);
+  return rows.map(row => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) {
+        record[key] = (row[index] || '').trim();
+      }
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  headerKey
+};
@@ -0,0 +1,219 @@
+// Declarative per-feed field mapping (FeedSource.fieldMapping).
+//
+// A mapping reads job fields from a feed item instead of normalizeJob()'s
+// guesses. Keys are feed item fields (see jobMapper); each rule names a
+// source path, optional transforms applied in order, and a default used when
+// the path yields nothing:
+//
+//   {
+//     "company":  "job_listing:company",
+//     "location": { "path": "job_listing:location", "default": "Remote" },
+//     "jobType":  { "path": "job_listing:job_type", "transforms": [{ "type": "lowercase" }] },
+//     "salary":   { "path": "description", "transforms": [{ "type": "regex", "pattern": "Salary: ([^<]+)" }] },
+//     "tags":     { "path": "keywords", "transforms": [{ "type": "split", "separator": ";" }] },
+//     "pubDate":  { "path": "posted", "transforms": [{ "type": "date", "format": "DD/MM/YYYY" }] }
+//   }
+//
+// Paths are dot-separated ("company.name", "links.0.href"); elements parsed
+// with attributes resolve to their text.
+
+const Joi = require('joi');
+
+// Feed item fields a mapping can set
+const MAPPABLE_FIELDS = ['guid', 'title', 'description', 'company', 'location', 'jobType', 'category', 'salary', 'url', 'pubDate', 'tags'];
+
+// Fields that keep every value of a list; the others take the first
+const LIST_FIELDS = ['tags'];
+
+// Tokens of date transform formats, with the pattern each matches
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{1,2})',
+  ss: '(\\d{1,2})'
+};
+
+const validRegex = (value, helpers) => {
+  try {
+    new RegExp(value, helpers.state.ancestors[0].flags);
+  } catch (error) {
+    return helpers.message(`Invalid regex pattern: ${error.message}`);
+  }
+  return value;
+};
+
+const transformSchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    {
+      is: 'regex',
+      then: Joi.object({
+        type: Joi.string().required(),
+        pattern: Joi.string().required().custom(validRegex),
+        flags: Joi.string().pattern(/^[imsu]*$/).default(''),
+        // Capture group to keep; defaults to the first group, or the whole match without groups
+        group: Joi.number().integer().min(0)
+      })
+    },
+    {
+      is: 'split',
+      then: Joi.object({
+        type: Joi.string().required(),
+        separator: Joi.string().min(1).default(','),
+        // Keep one part instead of the list
+        index: Joi.number().integer()
+      })
+    },
+    {
+      is: 'date',
+      then: Joi.object({
+        type: Joi.string().required(),
+        // e.g. "DD/MM/YYYY" or "YYYY-MM-DD HH:mm"; any date Date() parses when omitted
+        format: Joi.string().trim()
+      })
+    },
+    {
+      is: 'lowercase',
+      then: Joi.object({ type: Joi.string().required() })
+    }
+  ],
+  otherwise: Joi.any().custom((value, helpers) => helpers.message(`Unknown transform type: ${value && value.type}`))
+});
+
+const ruleSchema = Joi.alternatives().try(
+  Joi.string().trim().min(1).custom(path => ({ path, transforms: [] })),
+  Joi.object({
+    path: Joi.string().trim().min(1),
+    transforms: Joi.array().items(transformSchema).default([]),
+    default: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.array().items(Joi.string()))
+  }).or('path', 'default')
+);
+
+const fieldMappingSchema = Joi.object(
+  Object.fromEntries(MAPPABLE_FIELDS.map(field => [field, ruleSchema]))
+).unknown(false);
+
+/**
+ * Validate a mapping config. Returns Joi's { error, value }; string rules
+ * are expanded to { path, transforms: [] }.
+ */
+const validateFieldMapping = (mapping = {}) => fieldMappingSchema.validate(mapping || {}, { abortEarly: true });
+
+// Read a dot path from an item, unwrapping xml2js element objects to their text
+const getPath = (item, path) => {
+  const value = path.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, item);
+
+  const textOf = (node) => (node && typeof node === 'object' && !Array.isArray(node) && '_' in node ? node._ : node);
+  return Array.isArray(value) ? value.map(textOf) : textOf(value);
+};
+
+/**
+ * Parse a date string with a format built from YYYY, MM, DD, HH, mm and ss;
+ * other characters must match literally. Read as UTC. Returns undefined
+ * when the value does not match or is not a valid date.
+ */
+const parseDate = (value, format) => {
+  if (!format) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+
+  const tokens = [];
+  const pattern = format.replace(/YYYY|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (match) => {
+    if (DATE_TOKENS[match]) {
+      tokens.push(match);
+      return DATE_TOKENS[match];
+    }
+    return `\\${match}`;
+  });
+
+  const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) return undefined;
+
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  tokens.forEach((token, index) => {
+    parts[token] = parseInt(match[index + 1], 10);
+  });
+
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+  // Reject overflowing values such as month 13, which Date.UTC rolls over
+  return date.getUTCMonth() === parts.MM - 1 && date.getUTCDate() === parts.DD ? date : undefined;
+};
+
+const transforms = {
+  regex: (value, { pattern, flags, group }) => {
+    const match = String(value).match(new RegExp(pattern, flags));
+    if (!match) return undefined;
+    return match[group !== undefined ? group : match.length > 1 ? 1 : 0];
+  },
+
+  split: (value, { separator = ',', index }) => {
+    const parts = String(value).split(separator).map(part => part.trim()).filter(Boolean);
+    if (index === undefined) return parts;
+    return parts[index < 0 ? parts.length + index : index];
+  },
+
+  date: (value, { format }) => (value instanceof Date ? value : parseDate(value, format)),
+
+  lowercase: (value) => String(value).toLowerCase()
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0);
+
+// Run a value through a transform, element by element for lists
+const applyTransform = (value, transform) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(element => {
+      const result = applyTransform(element, transform);
+      return isEmpty(result) ? [] : result;
+    });
+  }
+  if (isEmpty(value)) return undefined;
+  return transforms[transform.type](value, transform);
+};
+
+/**
+ * Apply a validated mapping to an item. Returns the mapped fields only,
+ * so fields without a rule keep normalizeJob()'s usual fallbacks.
+ */
+const applyFieldMapping = (item, mapping) => {
+  const mapped = {};
+  if (!mapping) return mapped;
+
+  Object.entries(mapping).forEach(([field, rule]) => {
+    if (!rule) return;
+    const { path, transforms: steps = [], default: fallback } = typeof rule === 'string' ? { path: rule } : rule;
+
+    let value = path ? getPath(item, path) : undefined;
+    for (const step of steps) {
+      if (isEmpty(value)) break;
+      value = applyTransform(value, step);
+    }
+
+    if (Array.isArray(value) && !LIST_FIELDS.includes(field)) {
+      value = value.find(element => !isEmpty(element));
+    }
+    if (isEmpty(value)) {
+      value = fallback;
+    }
+    if (!isEmpty(value)) {
+      mapped[field] = value;
+    }
+  });
+
+  return mapped;
+};
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  fieldMappingSchema,
+  validateFieldMapping,
+  applyFieldMapping,
+  getPath,
+  parseDate
+};
@@ -0,0 +1,104 @@
+// Canonical identity of a job posting across feeds.
+//
+// The same posting often appears in several feeds (e.g. overlapping Jobicy
+// categories) under different GUIDs. Two jobs are the same posting when their
+// normalized company matches and their normalized title and location are equal
+// (canonicalKey) or similar enough (postingSimilarity). Jobs without a real
+// company have no companyKey and are never linked.
+
+const { PLACEHOLDERS } = require('./placeholders');
+
+// Legal suffixes that feeds add or drop inconsistently
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'gmbh', 'plc', 'sa', 'ag', 'bv', 'pty'];
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+const normalizeText = (value) => {
+  if (value === null || value === undefined) return '';
+
+  return value
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+const normalizeCompany = (value) => normalizeText(value)
+  .split(' ')
+  .filter(word => word && !COMPANY_SUFFIXES.includes(word))
+  .join(' ');
+
+// Normalized companies that stand for a missing one, like the placeholder
+// xmlFeedService fills in; unrelated postings share them
+const PLACEHOLDER_COMPANIES = [normalizeCompany(PLACEHOLDERS.company), 'unknown', 'confidential', 'n a'];
+
+const normalizeTitle = (value) => normalizeText(value)
+  .replace(/\bsr\b/g, 'senior')
+  .replace(/\bjr\b/g, 'junior');
+
+// Words of a normalized title, plurals reduced to the singular and sorted so
+// word order does not matter
+const titleTokens = (value) => normalizeTitle(value)
+  .split(' ')
+  .filter(Boolean)
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  .sort()
+  .join(' ');
+
+/**
+ * Compute the identity keys of a job.
+ * companyKey groups candidate duplicates; canonicalKey is the exact identity.
+ * companyKey is empty when the company is missing or a placeholder.
+ */
+const computeIdentity = (job) => {
+  const company = normalizeCompany(job.company);
+  const companyKey = PLACEHOLDER_COMPANIES.includes(company) ? '' : company;
+  const canonicalKey = [normalizeTitle(job.title), companyKey, normalizeText(job.location)].join('|');
+
+  return { companyKey, canonicalKey };
+};
+
+// Character bigrams of a string, as a multiset
+const bigrams = (text) => {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * How alike two postings are (0-1), for titles with the same words only.
+ * Titles with different words score 0, as near-identical titles such as
+ * "Engineer" and "Engineer II" are different roles. Otherwise this is the
+ * Dice coefficient of the character bigrams of title and location, so it
+ * measures wording and location differences rather than title overlap.
+ */
+const postingSimilarity = (a, b) => {
+  if (titleTokens(a.title) !== titleTokens(b.title)) return 0;
+
+  const left = `${normalizeTitle(a.title)} ${normalizeText(a.location)}`.replace(/ /g, '');
+  const right = `${normalizeTitle(b.title)} ${normalizeText(b.location)}`.replace(/ /g, '');
+
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let overlap = 0;
+  leftPairs.forEach((count, pair) => {
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+  });
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+};
+
+module.exports = {
+  computeIdentity,
+  normalizeCompany,
+  normalizeText,
+  postingSimilarity
+};
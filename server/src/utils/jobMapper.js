@@ -0,0 +1,110 @@
+// Maps normalized feed items (the output of XMLFeedService.normalizeJob)
+// onto the fields of the Job model.
+//
+// Feed item contract:
+//   guid, title, description, company, location, jobType, category,
+//   salary (string), url, pubDate, sourceFeed, sourceName, tags,
+//   isRemote, experienceLevel, status
+//
+// Job fields produced:
+//   originalGuid, title, description, company, location, type, category,
+//   salary { min, max, currency, period }, applicationUrl, publishedDate,
+//   sourceFeed, sourceName, tags, remote, requirements.experience,
+//   status, rawData
+
+const { parseSalary } = require('./salaryParser');
+
+const JOB_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'freelance'];
+const EXPERIENCE_LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+
+const JOB_TYPE_ALIASES = {
+  fulltime: 'full-time',
+  permanent: 'full-time',
+  parttime: 'part-time',
+  contractor: 'contract',
+  temporary: 'contract',
+  temp: 'contract',
+  intern: 'internship',
+  freelancer: 'freelance'
+};
+
+// Map a feed's job type label ("Full-Time", "Part Time", "Contractor") onto the Job enum
+const normalizeJobType = (value) => {
+  if (!value) return undefined;
+
+  const key = value.toString().trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (JOB_TYPES.includes(key)) return key;
+
+  const compact = key.replace(/-/g, '');
+  if (JOB_TYPE_ALIASES[compact]) return JOB_TYPE_ALIASES[compact];
+
+  return JOB_TYPES.find(type => key.includes(type.replace('-', ''))) || undefined;
+};
+
+// Derive the Job remote enum from the feed's boolean flag and location text
+const normalizeRemote = (item) => {
+  const text = `${item.location || ''} ${item.title || ''}`.toLowerCase();
+  if (text.includes('hybrid')) return 'hybrid';
+  if (item.isRemote === true || item.isRemote === 'true') return 'remote';
+  return 'on-site';
+};
+
+// Parse a publication date, ignoring invalid values
+const normalizeDate = (value) => {
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Trim a string value, returning undefined when empty
+const cleanString = (value) => {
+  if (value === null || value === undefined) return undefined;
+  const cleaned = value.toString().trim();
+  return cleaned.length > 0 ? cleaned : undefined;
+};
+
+/**
+ * Map a normalized feed item to Job model fields.
+ * `source` may override the item's sourceFeed/sourceName (url/name).
+ * Fields without a usable value are omitted so that updates never
+ * overwrite stored values with blanks.
+ */
+const mapFeedItemToJob = (item, source = {}) => {
+  const job = {
+    originalGuid: cleanString(item.guid),
+    title: cleanString(item.title),
+    description: cleanString(item.description),
+    company: cleanString(item.company),
+    location: cleanString(item.location),
+    type: normalizeJobType(item.jobType),
+    category: cleanString(item.category),
+    salary: parseSalary(item.salary) || undefined,
+    applicationUrl: cleanString(item.url),
+    publishedDate: normalizeDate(item.pubDate),
+    sourceFeed: source.url || item.sourceFeed,
+    sourceName: source.name || item.sourceName,
+    tags: Array.isArray(item.tags) && item.tags.length > 0 ? item.tags : undefined,
+    remote: normalizeRemote(item),
+    status: item.status || 'active',
+    rawData: item
+  };
+
+  if (EXPERIENCE_LEVELS.includes(item.experienceLevel)) {
+    job.requirements = { experience: item.experienceLevel };
+  }
+
+  // Drop unset fields
+  Object.keys(job).forEach(key => {
+    if (job[key] === undefined) {
+      delete job[key];
+    }
+  });
+
+  return job;
+};
+
+module.exports = {
+  mapFeedItemToJob,
+  normalizeJobType,
+  normalizeRemote
+};
@@ -0,0 +1,11 @@
+// Values xmlFeedService fills in when a feed item lacks the field. Validation,
+// anomaly detection and duplicate detection count them as missing, so they
+// must all read the fallback text from here.
+const PLACEHOLDERS = {
+  title: 'Untitled Job',
+  company: 'Unknown Company'
+};
+
+module.exports = {
+  PLACEHOLDERS
+};
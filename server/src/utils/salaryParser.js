@@ -0,0 +1,120 @@
+// Parse free-text salary strings from feeds (e.g. "$50k - $70k per year")
+// into the Job schema's { min, max, currency, period } shape.
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR',
+  '¥': 'JPY'
+};
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'INR', 'JPY', 'CHF', 'SGD'];
+
+const PERIOD_PATTERNS = [
+  { period: 'hourly', pattern: /\b(per\s+hour|hourly|hour|hr)\b|\/\s*h(ou)?r\b/i },
+  { period: 'daily', pattern: /\b(per\s+day|daily|day)\b|\/\s*day\b/i },
+  { period: 'weekly', pattern: /\b(per\s+week|weekly|week|wk)\b|\/\s*w(ee)?k\b/i },
+  { period: 'monthly', pattern: /\b(per\s+month|monthly|month|mo)\b|\/\s*mo(nth)?\b/i },
+  { period: 'yearly', pattern: /\b(per\s+(year|annum)|yearly|annual(ly)?|year|yr|pa)\b|p\.a\.|\/\s*y(ea)?r\b/i }
+];
+
+// Matches amounts like "50,000", "50000.00", "50k", "1.2M"
+const AMOUNT_PATTERN = /(\d{1,3}(?:[,\s]\d{3})+|\d+(?:\.\d+)?)\s*([kKmM])?(?![a-zA-Z])/g;
+
+// A "+" right after an amount marks a minimum ("$120k+")
+const MINIMUM_PLUS_PATTERN = /\d[kKmM]?\+/;
+
+// Detect the currency from symbols or ISO codes
+const detectCurrency = (text) => {
+  const upper = text.toUpperCase();
+  const code = CURRENCY_CODES.find(c => new RegExp(`\\b${c}\\b`).test(upper));
+  if (code) return code;
+
+  // "C$" / "A$" before plain "$"
+  if (/C\$/.test(text)) return 'CAD';
+  if (/A\$/.test(text)) return 'AUD';
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => text.includes(s));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+// Detect the pay period, defaulting to yearly
+const detectPeriod = (text) => {
+  const match = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.period : null;
+};
+
+// Extract numeric amounts, applying k/M multipliers
+const extractAmounts = (text) => {
+  const amounts = [];
+  let match;
+
+  AMOUNT_PATTERN.lastIndex = 0;
+  while ((match = AMOUNT_PATTERN.exec(text)) !== null) {
+    let amount = parseFloat(match[1].replace(/[,\s]/g, ''));
+    const suffix = match[2] ? match[2].toLowerCase() : '';
+
+    if (suffix === 'k') amount *= 1000;
+    if (suffix === 'm') amount *= 1000000;
+
+    if (!isNaN(amount) && amount > 0) {
+      amounts.push(Math.round(amount));
+    }
+  }
+
+  // A "k" on the upper bound usually applies to both ("50-70k")
+  if (amounts.length === 2 && amounts[0] < 1000 && amounts[1] >= 1000 && /\d\s*[kK]\b/.test(text)) {
+    const lowerHasSuffix = /^\D*\d+(?:\.\d+)?\s*[kK]/.test(text);
+    if (!lowerHasSuffix) {
+      amounts[0] *= 1000;
+    }
+  }
+
+  return amounts;
+};
+
+/**
+ * Parse a salary string into { min, max, currency, period }.
+ * Returns null when the string has no recognizable amount.
+ */
+const parseSalary = (value) => {
+  if (value === null || value === undefined) return null;
+
+  // Already structured (e.g. re-processing a stored job)
+  if (typeof value === 'object') {
+    return value.min || value.max ? value : null;
+  }
+
+  const text = value.toString().trim();
+  if (!text) return null;
+
+  const amounts = extractAmounts(text);
+  if (amounts.length === 0) return null;
+
+  const salary = {
+    currency: detectCurrency(text) || 'USD',
+    period: detectPeriod(text) || 'yearly'
+  };
+
+  // A range wins over the wording around it ("$120k-$150k/yr + equity")
+  if (amounts.length >= 2) {
+    salary.min = Math.min(amounts[0], amounts[1]);
+    salary.max = Math.max(amounts[0], amounts[1]);
+  } else if (/\b(up\s+to|max(imum)?)\b/i.test(text)) {
+    salary.max = amounts[0];
+  } else if (/\b(from|min(imum)?|starting\s+at)\b/i.test(text) || MINIMUM_PLUS_PATTERN.test(text)) {
+    salary.min = amounts[0];
+  } else {
+    salary.min = amounts[0];
+    salary.max = amounts[0];
+  }
+
+  return salary;
+};
+
+module.exports = {
+  parseSalary,
+  detectCurrency,
+  detectPeriod
+};
@@ -0,0 +1,111 @@
+const { runWithLimits } = require('../src/utils/concurrency');
+
+// A worker whose calls stay in flight until finish(item) is called
+const controlledWorker = () => {
+  const pending = new Map();
+  const started = [];
+
+  const worker = (item) => new Promise((resolve, reject) => {
+    started.push(item);
+    pending.set(item, { resolve, reject });
+  });
+
+  const finish = async (item, error) => {
+    const call = pending.get(item);
+    pending.delete(item);
+    if (error) {
+      call.reject(error);
+    } else {
+      call.resolve();
+    }
+    // Let the scheduler start the next items
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  return { worker, started, finish };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('runWithLimits', () => {
+  it('runs at most `concurrency` items at once, in order', async () => {
+    const { worker, started, finish } = controlledWorker();
+
+    const done = runWithLimits([1, 2, 3, 4], worker, { concurrency: 2 });
+    await flush();
+    expect(started).toEqual([1, 2]);
+
+    await finish(2);
+    expect(started).toEqual([1, 2, 3]);
+
+    await finish(1);
+    await finish(3);
+    await finish(4);
+    await expect(done).resolves.toEqual({ stopped: false, remaining: [] });
+    expect(started).toEqual([1, 2, 3, 4]);
+  });
+
+  it('limits items sharing a key and lets other keys go ahead', async () => {
+    const { worker, started, finish } = controlledWorker();
+    const items = [{ id: 'a1', host: 'a' }, { id: 'a2', host: 'a' }, { id: 'b1', host: 'b' }];
+
+    const done = runWithLimits(items, worker, { concurrency: 3, perKey: 1, keyOf: item => item.host });
+    await flush();
+    expect(started.map(item => item.id)).toEqual(['a1', 'b1']);
+
+    await finish(items[0]);
+    expect(started.map(item => item.id)).toEqual(['a1', 'b1', 'a2']);
+
+    await finish(items[1]);
+    await finish(items[2]);
+    await expect(done).resolves.toMatchObject({ stopped: false });
+  });
+
+  it('stops starting items when beforeStart returns false and waits for the started ones', async () => {
+    const { worker, started, finish } = controlledWorker();
+    const beforeStart = jest.fn()
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+    let settled = false;
+
+    const done = runWithLimits([1, 2, 3], worker, { concurrency: 1, beforeStart });
+    done.then(() => { settled = true; });
+    await flush();
+    expect(settled).toBe(false);
+
+    await finish(1);
+    await expect(done).resolves.toEqual({ stopped: true, remaining: [2, 3] });
+    expect(started).toEqual([1]);
+  });
+
+  it('rejects with the error from beforeStart once in-flight items finish', async () => {
+    const { worker, started, finish } = controlledWorker();
+    const beforeStart = jest.fn()
+      .mockResolvedValueOnce(true)
+      .mockRejectedValueOnce(new Error('lock lost'));
+
+    const done = runWithLimits([1, 2], worker, { concurrency: 2, beforeStart });
+    const rejected = expect(done).rejects.toThrow('lock lost');
+    await flush();
+    await finish(1);
+
+    await rejected;
+    expect(started).toEqual([1]);
+  });
+
+  it('rejects with a worker error without starting further items', async () => {
+    const { worker, started, finish } = controlledWorker();
+
+    const done = runWithLimits([1, 2], worker, { concurrency: 1 });
+    const rejected = expect(done).rejects.toThrow('boom');
+    await flush();
+    await finish(1, new Error('boom'));
+
+    await rejected;
+    expect(started).toEqual([1]);
+  });
+
+  it('resolves right away without items', async () => {
+    await expect(runWithLimits([], jest.fn())).resolves.toEqual({ stopped: false, remaining: [] });
+  });
+});
@@ -0,0 +1,60 @@
+const { computeContentHash, diffFields, stableStringify } = require('../src/utils/contentHash');
+
+const fields = {
+  originalGuid: 'guid-1',
+  sourceFeed: 'https://example.com/feed',
+  title: 'Backend Engineer',
+  description: 'Build APIs',
+  company: 'Example Co',
+  salary: { min: 50000, max: 70000, currency: 'USD', period: 'yearly' },
+  tags: ['node', 'api'],
+  publishedDate: new Date('2024-10-14T10:00:00Z'),
+  rawData: { guid: 'guid-1' }
+};
+
+describe('contentHash', () => {
+  describe('stableStringify', () => {
+    it('ignores object key order', () => {
+      expect(stableStringify({ b: 1, a: { d: 2, c: 3 } })).toBe(stableStringify({ a: { c: 3, d: 2 }, b: 1 }));
+    });
+  });
+
+  describe('computeContentHash', () => {
+    it('is stable for equal content', () => {
+      const reordered = { ...fields, salary: { period: 'yearly', currency: 'USD', max: 70000, min: 50000 } };
+      expect(computeContentHash(reordered)).toBe(computeContentHash(fields));
+    });
+
+    it('changes when a content field changes', () => {
+      expect(computeContentHash({ ...fields, title: 'Senior Backend Engineer' })).not.toBe(computeContentHash(fields));
+      expect(computeContentHash({ ...fields, tags: ['node'] })).not.toBe(computeContentHash(fields));
+    });
+
+    it('ignores publishedDate and rawData', () => {
+      const refetched = { ...fields, publishedDate: new Date(), rawData: { guid: 'guid-1', fetchedAt: Date.now() } };
+      expect(computeContentHash(refetched)).toBe(computeContentHash(fields));
+    });
+  });
+
+  describe('diffFields', () => {
+    const stored = {
+      ...fields,
+      salary: { ...fields.salary },
+      requirements: { experience: 'mid', skills: [], certifications: [] },
+      views: 12
+    };
+
+    it('returns no fields for an identical job', () => {
+      expect(diffFields({ ...fields, requirements: { experience: 'mid' } }, stored)).toEqual([]);
+    });
+
+    it('lists the changed content fields', () => {
+      const next = { ...fields, description: 'Build and run APIs', salary: { ...fields.salary, max: 80000 } };
+      expect(diffFields(next, stored)).toEqual(['description', 'salary']);
+    });
+
+    it('reports fields that were not stored before', () => {
+      expect(diffFields({ ...fields, location: 'Remote' }, stored)).toEqual(['location']);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const cron = require('node-cron');
+const cronService = require('../src/services/cronService');
+const importService = require('../src/services/importService');
+const socketService = require('../src/services/socketService');
+
+const schedule = '0 * * * *';
+
+const buildFeed = (id, name) => ({ _id: id, name, enabled: true, schedule });
+
+describe('cronService', () => {
+  let fire;
+  let startImport;
+
+  beforeEach(() => {
+    // Capture the task callbacks so a test can fire them as the schedule would
+    const callbacks = [];
+    jest.spyOn(cron, 'schedule').mockImplementation((expression, callback) => {
+      callbacks.push(callback);
+      return { start: jest.fn(), stop: jest.fn() };
+    });
+    fire = () => {
+      callbacks.forEach(callback => callback());
+      return cronService.draining;
+    };
+
+    cronService.batchWindow = 0;
+    cronService.scheduleFeed(buildFeed('feed-1', 'First Feed'));
+    cronService.scheduleFeed(buildFeed('feed-2', 'Second Feed'));
+
+    startImport = jest.spyOn(importService, 'startImport').mockResolvedValue({ importId: 'run-1', totalFeeds: 2, results: [] });
+    jest.spyOn(importService, 'getLockHolder').mockResolvedValue(null);
+    ['emitCronStatus', 'emitImportStarted', 'emitImportCompleted', 'emitImportError'].forEach(method => {
+      jest.spyOn(socketService, method).mockImplementation(() => {});
+    });
+  });
+
+  afterEach(() => {
+    cronService.stop();
+    cronService.batchWindow = 1000;
+    importService.isRunning = false;
+    jest.restoreAllMocks();
+  });
+
+  it('imports feeds sharing a schedule together in one run', async () => {
+    await fire();
+
+    expect(startImport).toHaveBeenCalledTimes(1);
+    expect(startImport).toHaveBeenCalledWith({ feedIds: ['feed-1', 'feed-2'], trigger: 'cron' });
+    expect(socketService.emitImportError).not.toHaveBeenCalled();
+  });
+
+  it('imports feeds falling due during a run once it finishes', async () => {
+    let finishRun;
+    startImport.mockImplementationOnce(() => new Promise(resolve => {
+      finishRun = () => resolve({ importId: 'run-1', totalFeeds: 1, results: [] });
+    }));
+
+    const draining = cronService.queueScheduledImport('feed-1');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    cronService.queueScheduledImport('feed-2');
+    finishRun();
+    await draining;
+
+    expect(startImport.mock.calls.map(([options]) => options.feedIds)).toEqual([['feed-1'], ['feed-2']]);
+    expect(socketService.emitImportError).not.toHaveBeenCalled();
+  });
+
+  it('waits for an import running here instead of reporting a failure', async () => {
+    importService.isRunning = true;
+    const draining = cronService.queueScheduledImport('feed-1');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(startImport).not.toHaveBeenCalled();
+
+    importService.finishRunning();
+    await draining;
+
+    expect(startImport).toHaveBeenCalledWith({ feedIds: ['feed-1'], trigger: 'cron' });
+    expect(socketService.emitImportError).not.toHaveBeenCalled();
+  });
+
+  it('queues the feeds again when an import starts here before the run', async () => {
+    const running = Object.assign(new Error('Import is already running'), { code: 'IMPORT_RUNNING' });
+    startImport.mockRejectedValueOnce(running);
+
+    await cronService.queueScheduledImport('feed-1');
+
+    expect(startImport).toHaveBeenCalledTimes(2);
+    expect(socketService.emitImportError).not.toHaveBeenCalled();
+  });
+
+  it('skips the run while another instance holds the import lock', async () => {
+    importService.getLockHolder.mockResolvedValue({ owner: 'other-host:1' });
+
+    await fire();
+
+    expect(startImport).not.toHaveBeenCalled();
+    expect(socketService.emitCronStatus).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'cron-skipped',
+      feedIds: ['feed-1', 'feed-2']
+    }));
+  });
+});
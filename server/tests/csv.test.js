@@ -0,0 +1,43 @@
+const { parseCsv, parseCsvRecords, headerKey } = require('../src/utils/csv');
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('splits rows and fields', () => {
+      expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    it('reads quoted fields holding delimiters, quotes and line breaks', () => {
+      expect(parseCsv('title,notes\r\n"Engineer, Senior","Say ""hi""\nthen go"\r\n')).toEqual([
+        ['title', 'notes'],
+        ['Engineer, Senior', 'Say "hi"\nthen go']
+      ]);
+    });
+
+    it('skips blank lines and a leading byte order mark', () => {
+      expect(parseCsv('\uFEFFa;b\n\n1;2', ';')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('keeps empty fields', () => {
+      expect(parseCsv('a,,c')).toEqual([['a', '', 'c']]);
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('keys rows by normalized header names', () => {
+      const records = parseCsvRecords('Title,Job Type,apply-url\nEngineer, Full-time ,https://example.com/1\nDesigner');
+
+      expect(records).toEqual([
+        { title: 'Engineer', job_type: 'Full-time', apply_url: 'https://example.com/1' },
+        { title: 'Designer', job_type: '', apply_url: '' }
+      ]);
+    });
+
+    it('returns no records for empty input', () => {
+      expect(parseCsvRecords('')).toEqual([]);
+    });
+  });
+
+  it('normalizes header names', () => {
+    expect(headerKey(' Posted Date ')).toBe('posted_date');
+  });
+});
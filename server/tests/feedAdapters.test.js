@@ -0,0 +1,230 @@
+const axios = require('axios');
+const { getAdapter, validateAdapterSettings, ADAPTER_TYPES } = require('../src/adapters');
+const xmlFeedService = require('../src/services/xmlFeedService');
+
+const feedOf = (adapter, adapterOptions = {}, url = 'https://partner.example.com/jobs') => ({
+  url,
+  name: 'Partner',
+  adapter,
+  adapterOptions
+});
+
+const response = (data, headers = {}, status = 200) => ({ status, data: typeof data === 'string' ? data : JSON.stringify(data), headers });
+
+describe('feed adapters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registry', () => {
+    it('registers every adapter type', () => {
+      expect(ADAPTER_TYPES).toEqual(['xml', 'json-api', 'csv', 'sitemap-jsonld']);
+    });
+
+    it('uses the XML adapter for feeds without an adapter', () => {
+      expect(getAdapter(undefined).type).toBe('xml');
+    });
+
+    it('rejects unknown adapters', () => {
+      expect(() => getAdapter('ftp')).toThrow('Unknown feed adapter: ftp');
+    });
+  });
+
+  describe('validateAdapterSettings', () => {
+    it('applies option defaults', () => {
+      expect(validateAdapterSettings({ adapter: 'json-api', adapterOptions: { pageParam: 'page' } }).value)
+        .toEqual({ pageParam: 'page', startPage: 1, maxPages: 20 });
+    });
+
+    it('rejects invalid options', () => {
+      const { error } = validateAdapterSettings({ adapter: 'json-api', adapterOptions: { pageParam: 'page', nextPath: 'links.next' } });
+
+      expect(error).toMatch(/^Invalid json-api adapter options/);
+    });
+
+    it('rejects an invalid urlPattern', () => {
+      expect(validateAdapterSettings({ adapter: 'sitemap-jsonld', adapterOptions: { urlPattern: '(' } }).error)
+        .toMatch(/Invalid urlPattern/);
+    });
+
+    it('only allows streaming on adapters that stream', () => {
+      expect(validateAdapterSettings({ adapter: 'xml', streaming: true }).error).toBeUndefined();
+      expect(validateAdapterSettings({ adapter: 'csv', streaming: true }).error).toBe('The csv adapter does not support streaming');
+    });
+  });
+
+  describe('xml', () => {
+    it('delegates to xmlFeedService', async () => {
+      const fetchFeed = jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ success: true, jobs: [] });
+      const feed = feedOf('xml');
+
+      await getAdapter('xml').fetch(feed, { cache: { etag: '"v1"' }, maxRetries: 1 });
+
+      expect(fetchFeed).toHaveBeenCalledWith(feed.url, feed.name, { etag: '"v1"' }, { maxRetries: 1 });
+    });
+  });
+
+  describe('json-api', () => {
+    const adapter = getAdapter('json-api');
+
+    it('follows numbered pages until a short page', async () => {
+      const get = jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce(response({ jobs: [{ id: 1, title: 'Engineer', company: { name: 'Acme' } }, { id: 2, title: 'Designer' }] }))
+        .mockResolvedValueOnce(response({ jobs: [{ id: 3, title: 'Writer' }] }));
+
+      const result = await adapter.fetch(feedOf('json-api', { pageParam: 'page', pageSizeParam: 'limit', pageSize: 2 }));
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(get.mock.calls.map(call => call[1].params)).toEqual([{ page: 1, limit: 2 }, { page: 2, limit: 2 }]);
+      expect(result).toMatchObject({ success: true, totalFetched: 3, format: 'json-api' });
+      expect(result.jobs[0]).toMatchObject({ guid: '1', title: 'Engineer', company: 'Acme' });
+    });
+
+    it('follows next links read from nextPath', async () => {
+      const get = jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce(response({ data: { items: [{ id: 'a' }] }, links: { next: '/jobs?cursor=2' } }))
+        .mockResolvedValueOnce(response({ data: { items: [{ id: 'b' }] }, links: { next: null } }));
+
+      const result = await adapter.fetch(feedOf('json-api', { itemsPath: 'data.items', nextPath: 'links.next' }));
+
+      expect(get.mock.calls[1][0]).toBe('https://partner.example.com/jobs?cursor=2');
+      expect(result.jobs.map(job => job.guid)).toEqual(['a', 'b']);
+    });
+
+    it('stops at maxPages', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue(response([{ id: 1 }]));
+
+      await adapter.fetch(feedOf('json-api', { pageParam: 'page', maxPages: 3 }));
+
+      expect(get).toHaveBeenCalledTimes(3);
+    });
+
+    it('fails when the response has no items', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(response({ message: 'ok' }));
+
+      const result = await adapter.fetch(feedOf('json-api'), { maxRetries: 1 });
+
+      expect(result).toMatchObject({ success: false, error: 'Response has no array of items' });
+    });
+  });
+
+  describe('csv', () => {
+    const adapter = getAdapter('csv');
+
+    it('maps rows to jobs and keeps the cache validators', async () => {
+      const csv = 'ID,Title,Company,Location,Job Type,Apply URL,Tags\n'
+        + 'j-1,Engineer,Acme,Berlin,Full-time,https://acme.example.com/1,"node, react"\n';
+      const get = jest.spyOn(axios, 'get').mockResolvedValue(response(csv, { etag: '"v2"' }));
+
+      const result = await adapter.fetch(feedOf('csv'), { cache: { etag: '"v1"' } });
+
+      expect(get.mock.calls[0][1].headers).toMatchObject({ 'If-None-Match': '"v1"' });
+      expect(result).toMatchObject({ success: true, format: 'csv', cache: { etag: '"v2"' } });
+      expect(result.jobs[0]).toMatchObject({
+        guid: 'j-1',
+        title: 'Engineer',
+        company: 'Acme',
+        location: 'Berlin',
+        jobType: 'Full-time',
+        url: 'https://acme.example.com/1',
+        tags: ['node', 'react']
+      });
+    });
+
+    it('reports unchanged exports', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(response('', {}, 304));
+
+      const result = await adapter.fetch(feedOf('csv'), { cache: { etag: '"v1"' } });
+
+      expect(result).toMatchObject({ success: true, notModified: true, cache: { etag: '"v1"' } });
+    });
+
+    it('uses the configured delimiter', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(response('title;company\nEngineer;Acme, Inc.\n'));
+
+      const result = await adapter.fetch(feedOf('csv', { delimiter: ';' }));
+
+      expect(result.jobs[0]).toMatchObject({ title: 'Engineer', company: 'Acme, Inc.' });
+    });
+  });
+
+  describe('sitemap-jsonld', () => {
+    const adapter = getAdapter('sitemap-jsonld');
+
+    const posting = {
+      '@context': 'https://schema.org',
+      '@type': 'JobPosting',
+      identifier: { '@type': 'PropertyValue', value: 'req-42' },
+      title: 'Engineer',
+      description: '<p>Build things</p>',
+      datePosted: '2024-10-15',
+      employmentType: ['FULL_TIME', 'CONTRACTOR'],
+      hiringOrganization: { '@type': 'Organization', name: 'Acme' },
+      jobLocation: { '@type': 'Place', address: { addressLocality: 'Berlin', addressCountry: 'DE' } },
+      baseSalary: { currency: 'EUR', value: { minValue: 50000, maxValue: 70000, unitText: 'YEAR' } }
+    };
+
+    const page = (json) => `<html><head><script type="application/ld+json">${JSON.stringify(json)}</script></head></html>`;
+
+    const sitemap = (urls, root = 'urlset') => `<?xml version="1.0"?><${root}>${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</${root}>`;
+
+    const serve = (pages) => jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+      if (!(url in pages)) throw new Error('Request failed with status code 404');
+      return response(pages[url]);
+    });
+
+    it('reads JobPosting JSON-LD from the pages matching urlPattern', async () => {
+      const get = serve({
+        'https://acme.example.com/sitemap.xml': sitemap(['https://acme.example.com/jobs/42?ref=a&amp;b=1', 'https://acme.example.com/about']),
+        'https://acme.example.com/jobs/42?ref=a&b=1': page(posting)
+      });
+
+      const result = await adapter.fetch(feedOf('sitemap-jsonld', { urlPattern: '/jobs/' }, 'https://acme.example.com/sitemap.xml'));
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ success: true, totalFetched: 1, format: 'sitemap-jsonld' });
+      expect(result.jobs[0]).toMatchObject({
+        guid: 'req-42',
+        title: 'Engineer',
+        company: 'Acme',
+        location: 'Berlin, DE',
+        jobType: 'FULL_TIME, CONTRACTOR',
+        salary: 'EUR 50000 - 70000 per year',
+        url: 'https://acme.example.com/jobs/42?ref=a&b=1'
+      });
+      expect(result.jobs[0].pubDate).toEqual(new Date('2024-10-15'));
+    });
+
+    it('follows sitemap indexes and finds postings in @graph', async () => {
+      serve({
+        'https://acme.example.com/sitemap.xml': sitemap(['https://acme.example.com/sitemap-jobs.xml'], 'sitemapindex'),
+        'https://acme.example.com/sitemap-jobs.xml': sitemap(['https://acme.example.com/jobs/1']),
+        'https://acme.example.com/jobs/1': page({ '@graph': [{ '@type': 'WebPage' }, { ...posting, jobLocationType: 'TELECOMMUTE' }] })
+      });
+
+      const result = await adapter.fetch(feedOf('sitemap-jsonld', {}, 'https://acme.example.com/sitemap.xml'));
+
+      expect(result.jobs).toHaveLength(1);
+      expect(result.jobs[0].location).toBe('Remote');
+    });
+
+    it('skips pages that fail', async () => {
+      serve({
+        'https://acme.example.com/sitemap.xml': sitemap(['https://acme.example.com/jobs/1', 'https://acme.example.com/jobs/2']),
+        'https://acme.example.com/jobs/1': page(posting)
+      });
+
+      const result = await adapter.fetch(feedOf('sitemap-jsonld', {}, 'https://acme.example.com/sitemap.xml'));
+
+      expect(result).toMatchObject({ success: true, totalFetched: 1 });
+    });
+
+    it('fails when every page fails', async () => {
+      serve({ 'https://acme.example.com/sitemap.xml': sitemap(['https://acme.example.com/jobs/1']) });
+
+      const result = await adapter.fetch(feedOf('sitemap-jsonld', {}, 'https://acme.example.com/sitemap.xml'), { maxRetries: 1 });
+
+      expect(result).toMatchObject({ success: false, error: 'All 1 pages of the sitemap failed' });
+    });
+  });
+});
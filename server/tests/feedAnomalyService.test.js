@@ -0,0 +1,150 @@
+const ImportLog = require('../src/models/ImportLog');
+const socketService = require('../src/services/socketService');
+const feedAnomalyService = require('../src/services/feedAnomalyService');
+
+const completeness = (overrides = {}) => ({
+  title: 1, description: 1, company: 1, location: 0.9, jobType: 0.5, category: 0.5, salary: 0.2, url: 1, ...overrides
+});
+
+// A previous import of the feed
+const pastLog = (overrides = {}) => ({
+  totalFetched: 300,
+  failedJobs: [{ guid: 'guid-1' }],
+  metadata: { fieldCompleteness: completeness() },
+  ...overrides
+});
+
+const history = [pastLog(), pastLog({ totalFetched: 310 }), pastLog({ totalFetched: 290 })];
+
+describe('feedAnomalyService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('field completeness', () => {
+    it('counts placeholder values as missing', () => {
+      const result = feedAnomalyService.measureCompleteness([
+        { title: 'Engineer', company: 'Acme', location: ' ' },
+        { title: 'Untitled Job', company: 'Unknown Company', location: 'Berlin' }
+      ]);
+
+      expect(result).toMatchObject({ title: 0.5, company: 0.5, location: 0.5, salary: 0 });
+    });
+
+    it('adds up the chunks of a streamed feed', () => {
+      const counts = feedAnomalyService.countFields([{ company: 'Acme' }]);
+      feedAnomalyService.countFields([{ company: 'Globex' }, { company: '' }], counts);
+
+      expect(feedAnomalyService.completeness(counts, 3).company).toBe(0.67);
+      expect(feedAnomalyService.completeness(counts, 0)).toBeUndefined();
+    });
+  });
+
+  describe('detection', () => {
+    it('flags a large drop in fetched items', () => {
+      const anomalies = feedAnomalyService.detect({ totalFetched: 3, failedJobs: [] }, history);
+
+      expect(anomalies).toEqual([{ kind: 'count-drop', message: 'Fetched 3 items, usually 300', expected: 300, actual: 3 }]);
+    });
+
+    it('flags a spike in failed items', () => {
+      const failedJobs = Array.from({ length: 90 }, (_, index) => ({ guid: `guid-${index}` }));
+
+      const anomalies = feedAnomalyService.detect({ totalFetched: 300, failedJobs }, history);
+
+      expect(anomalies).toEqual([expect.objectContaining({ kind: 'failure-spike', message: '30% of items failed, usually 0%', actual: 0.3 })]);
+    });
+
+    it('flags fields the items stopped carrying', () => {
+      const importLog = { totalFetched: 300, failedJobs: [], metadata: { fieldCompleteness: completeness({ company: 0 }) } };
+
+      const anomalies = feedAnomalyService.detect(importLog, history);
+
+      expect(anomalies).toEqual([{
+        kind: 'field-completeness',
+        field: 'company',
+        message: 'company present on 0% of items, usually 100%',
+        expected: 1,
+        actual: 0
+      }]);
+    });
+
+    it('accepts imports in line with the feed\'s history', () => {
+      const importLog = { totalFetched: 280, failedJobs: [{ guid: 'guid-2' }], metadata: { fieldCompleteness: completeness({ salary: 0.1 }) } };
+
+      expect(feedAnomalyService.detect(importLog, history)).toEqual([]);
+    });
+
+    it('needs enough history to judge', () => {
+      expect(feedAnomalyService.detect({ totalFetched: 0, failedJobs: [] }, history.slice(0, 2))).toEqual([]);
+    });
+
+    it('ignores count drops of small feeds', () => {
+      const smallFeed = [pastLog({ totalFetched: 4 }), pastLog({ totalFetched: 5 }), pastLog({ totalFetched: 4 })];
+
+      expect(feedAnomalyService.detect({ totalFetched: 1, failedJobs: [] }, smallFeed)).toEqual([]);
+    });
+  });
+
+  describe('checking an import log', () => {
+    const importLog = {
+      _id: '64b7f0c2a1b2c3d4e5f60799',
+      importRun: '64b7f0c2a1b2c3d4e5f607aa',
+      sourceFeed: 'https://example.com/feed',
+      sourceName: 'Example Feed',
+      status: 'completed',
+      timestamp: new Date(),
+      totalFetched: 3,
+      failedJobs: []
+    };
+
+    const mockLogs = (log, previous) => {
+      jest.spyOn(ImportLog, 'findById').mockReturnValue({ lean: () => Promise.resolve(log) });
+      const find = jest.spyOn(ImportLog, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ select: () => ({ lean: () => Promise.resolve(previous) }) }) })
+      });
+      jest.spyOn(ImportLog, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      return find;
+    };
+
+    it('flags the log and emits feed-anomaly', async () => {
+      const find = mockLogs(importLog, history);
+      const emit = jest.spyOn(socketService, 'emitFeedAnomaly').mockImplementation(() => {});
+
+      const anomalies = await feedAnomalyService.checkImportLog(importLog._id);
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({
+        sourceFeed: importLog.sourceFeed,
+        status: { $in: ['completed', 'partial'] },
+        timestamp: { $lt: importLog.timestamp }
+      }));
+      expect(anomalies).toHaveLength(1);
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: importLog._id }, { $set: { anomalous: true, anomalies } });
+      expect(emit).toHaveBeenCalledWith({
+        importLogId: importLog._id,
+        importId: importLog.importRun,
+        feedName: 'Example Feed',
+        sourceFeed: importLog.sourceFeed,
+        anomalies
+      });
+    });
+
+    it('skips failed imports and retries of failed items', async () => {
+      const find = mockLogs({ ...importLog, status: 'failed' }, history);
+
+      expect(await feedAnomalyService.checkImportLog(importLog._id)).toEqual([]);
+
+      ImportLog.findById.mockReturnValue({ lean: () => Promise.resolve({ ...importLog, metadata: { retryOf: 'original' } }) });
+      expect(await feedAnomalyService.checkImportLog(importLog._id)).toEqual([]);
+
+      expect(find).not.toHaveBeenCalled();
+      expect(ImportLog.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('does not fail the import when the check fails', async () => {
+      jest.spyOn(ImportLog, 'findById').mockReturnValue({ lean: () => Promise.reject(new Error('database unavailable')) });
+
+      await expect(feedAnomalyService.checkImportLog(importLog._id)).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const FeedSource = require('../src/models/FeedSource');
+const feedHealthService = require('../src/services/feedHealthService');
+
+const feed = { _id: '64b7f0c2a1b2c3d4e5f60708', name: 'Example Feed', url: 'https://example.com/feed' };
+
+const withHealth = (health) => ({ ...feed, health });
+
+describe('feedHealthService', () => {
+  beforeEach(() => {
+    jest.spyOn(FeedSource, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('circuit state', () => {
+    it('is open until circuitOpenUntil passes', () => {
+      const now = new Date('2024-10-15T10:00:00Z');
+
+      expect(feedHealthService.isCircuitOpen(withHealth({ circuitOpenUntil: new Date('2024-10-15T10:05:00Z') }), now)).toBe(true);
+      expect(feedHealthService.isCircuitOpen(withHealth({ circuitOpenUntil: new Date('2024-10-15T09:55:00Z') }), now)).toBe(false);
+      expect(feedHealthService.isCircuitOpen(feed, now)).toBe(false);
+    });
+
+    it('allows a single attempt once a tripped circuit\'s backoff passes', () => {
+      const tripped = withHealth({ consecutiveFailures: 3, circuitOpenUntil: new Date(Date.now() - 1000) });
+
+      expect(feedHealthService.isHalfOpen(tripped)).toBe(true);
+      expect(feedHealthService.fetchOptions(tripped)).toEqual({ maxRetries: 1 });
+      expect(feedHealthService.fetchOptions(withHealth({ consecutiveFailures: 1 }))).toEqual({});
+    });
+
+    it('backs off exponentially up to the maximum', () => {
+      const { baseBackoff, maxBackoff, failureThreshold } = feedHealthService;
+
+      expect(feedHealthService.backoffFor(failureThreshold)).toBe(baseBackoff);
+      expect(feedHealthService.backoffFor(failureThreshold + 2)).toBe(baseBackoff * 4);
+      expect(feedHealthService.backoffFor(failureThreshold + 50)).toBe(maxBackoff);
+    });
+  });
+
+  describe('recording fetches', () => {
+    it('resets failures and smooths latency and item count on success', async () => {
+      await feedHealthService.recordSuccess(withHealth({ consecutiveFailures: 4, avgLatencyMs: 100, avgItemCount: 50 }), {
+        duration: 200,
+        itemCount: 60
+      });
+
+      expect(FeedSource.updateOne).toHaveBeenCalledWith({ _id: feed._id }, {
+        $set: {
+          'health.consecutiveFailures': 0,
+          'health.lastSuccessAt': expect.any(Date),
+          'health.circuitOpenUntil': null,
+          'health.avgLatencyMs': 130,
+          'health.avgItemCount': 53
+        }
+      });
+    });
+
+    it('leaves the item count alone when the feed was not modified', async () => {
+      await feedHealthService.recordSuccess(feed, { duration: 20 });
+
+      const update = FeedSource.updateOne.mock.calls[0][1].$set;
+      expect(update['health.avgLatencyMs']).toBe(20);
+      expect(update).not.toHaveProperty('health.avgItemCount');
+    });
+
+    it('counts failures without opening the circuit below the threshold', async () => {
+      const findOneAndUpdate = jest.spyOn(FeedSource, 'findOneAndUpdate').mockReturnValue({
+        lean: () => Promise.resolve({ health: { consecutiveFailures: 1 } })
+      });
+
+      await feedHealthService.recordFailure(feed, 'HTTP 503: Service Unavailable');
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: feed._id },
+        {
+          $inc: { 'health.consecutiveFailures': 1 },
+          $set: { 'health.lastFailureAt': expect.any(Date), 'health.lastError': 'HTTP 503: Service Unavailable' }
+        },
+        expect.any(Object)
+      );
+      expect(FeedSource.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('opens the circuit once failures reach the threshold', async () => {
+      jest.spyOn(FeedSource, 'findOneAndUpdate').mockReturnValue({
+        lean: () => Promise.resolve({ health: { consecutiveFailures: feedHealthService.failureThreshold } })
+      });
+      const before = Date.now();
+
+      await feedHealthService.recordFailure(feed, 'timeout');
+
+      const openUntil = FeedSource.updateOne.mock.calls[0][1].$set['health.circuitOpenUntil'];
+      expect(openUntil.getTime()).toBeGreaterThanOrEqual(before + feedHealthService.baseBackoff);
+    });
+
+    it('does not let a failure to record health break the import', async () => {
+      FeedSource.updateOne.mockRejectedValue(new Error('database unavailable'));
+
+      await expect(feedHealthService.recordSuccess(feed, { duration: 5 })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('health report', () => {
+    it('describes each feed\'s status and score', () => {
+      const now = new Date();
+
+      expect(feedHealthService.describe(feed, now)).toMatchObject({ status: 'unknown', score: null });
+      expect(feedHealthService.describe(withHealth({ lastSuccessAt: now, consecutiveFailures: 0 }), now))
+        .toMatchObject({ status: 'healthy', score: 100 });
+      expect(feedHealthService.describe(withHealth({ lastFailureAt: now, consecutiveFailures: 1 }), now))
+        .toMatchObject({ status: 'degraded', score: 67 });
+      expect(feedHealthService.describe(withHealth({
+        lastFailureAt: now,
+        consecutiveFailures: 3,
+        circuitOpenUntil: new Date(now.getTime() + 60000)
+      }), now)).toMatchObject({ status: 'open', score: 0 });
+    });
+
+    it('lists the least healthy feeds first', async () => {
+      const now = new Date();
+      jest.spyOn(FeedSource, 'find').mockReturnValue({
+        sort: () => ({
+          lean: () => Promise.resolve([
+            { ...withHealth({ lastSuccessAt: now }), name: 'Healthy' },
+            { ...withHealth({ lastFailureAt: now, consecutiveFailures: 1 }), name: 'Degraded' },
+            { ...withHealth({ lastFailureAt: now, consecutiveFailures: 3, circuitOpenUntil: new Date(now.getTime() + 60000) }), name: 'Open' }
+          ])
+        })
+      });
+
+      const report = await feedHealthService.getHealthReport();
+
+      expect(report.map(row => row.name)).toEqual(['Open', 'Degraded', 'Healthy']);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const FeedSource = require('../src/models/FeedSource');
+const cronService = require('../src/services/cronService');
+const feedRoutes = require('../src/routes/feeds');
+
+const app = express();
+app.use(express.json());
+app.use('/api/feeds', feedRoutes);
+
+// Stored feed source with cache validators from its last fetch
+const buildFeed = (overrides = {}) => new FeedSource({
+  url: 'https://example.com/feed',
+  name: 'Example Feed',
+  etag: '"abc"',
+  lastModified: 'Mon, 14 Oct 2024 10:00:00 GMT',
+  fieldMapping: { company: { path: 'job_listing:company', transforms: [] } },
+  ...overrides
+});
+
+describe('feed routes', () => {
+  let feed;
+
+  beforeEach(() => {
+    feed = buildFeed();
+    jest.spyOn(FeedSource, 'findById').mockResolvedValue(feed);
+    jest.spyOn(feed, 'save').mockResolvedValue(feed);
+    jest.spyOn(cronService, 'scheduleFeed').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /api/feeds/:id', () => {
+    const update = (body) => request(app).put(`/api/feeds/${feed._id}`).send(body);
+
+    it('keeps the cache validators when only the name changes', async () => {
+      const response = await update({ name: 'Renamed Feed' });
+
+      expect(response.status).toBe(200);
+      expect(feed.name).toBe('Renamed Feed');
+      expect(feed.etag).toBe('"abc"');
+      expect(feed.lastModified).toBe('Mon, 14 Oct 2024 10:00:00 GMT');
+    });
+
+    it('keeps the cache validators when the field mapping is sent unchanged', async () => {
+      await update({ fieldMapping: { company: 'job_listing:company' } });
+
+      expect(feed.etag).toBe('"abc"');
+    });
+
+    it('clears the cache validators when the field mapping changes', async () => {
+      const response = await update({ fieldMapping: { company: 'employer' } });
+
+      expect(response.status).toBe(200);
+      expect(feed.fieldMapping).toEqual({ company: { path: 'employer', transforms: [] } });
+      expect(feed.etag).toBeUndefined();
+      expect(feed.lastModified).toBeUndefined();
+    });
+
+    it('saves the required fields a feed may lack', async () => {
+      const response = await update({ optionalFields: ['company'] });
+
+      expect(response.status).toBe(200);
+      expect(feed.optionalFields).toEqual(['company']);
+    });
+
+    it('rejects optional fields that are not validation fields', async () => {
+      const response = await update({ optionalFields: ['salary'] });
+
+      expect(response.status).toBe(400);
+      expect(feed.save).not.toHaveBeenCalled();
+    });
+
+    it('clears the cache validators when streaming is toggled', async () => {
+      await update({ streaming: true });
+
+      expect(feed.streaming).toBe(true);
+      expect(feed.etag).toBeUndefined();
+      expect(feed.lastModified).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { validateFieldMapping, applyFieldMapping, getPath, parseDate } = require('../src/utils/fieldMapping');
+
+// Validate a mapping the way the feeds route does, then apply it
+const apply = (item, mapping) => {
+  const { error, value } = validateFieldMapping(mapping);
+  if (error) throw error;
+  return applyFieldMapping(item, value);
+};
+
+describe('fieldMapping', () => {
+  describe('validateFieldMapping', () => {
+    it('expands path shorthands and applies transform defaults', () => {
+      const { error, value } = validateFieldMapping({
+        company: 'job_listing:company',
+        tags: { path: 'keywords', transforms: [{ type: 'split' }] }
+      });
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual({
+        company: { path: 'job_listing:company', transforms: [] },
+        tags: { path: 'keywords', transforms: [{ type: 'split', separator: ',' }] }
+      });
+    });
+
+    it.each([
+      [{ employer: 'company' }, '"employer" is not allowed'],
+      [{ title: {} }, 'must contain at least one of [path, default]'],
+      [{ title: { path: 'name', transforms: [{ type: 'uppercase' }] } }, 'Unknown transform type: uppercase'],
+      [{ salary: { path: 'pay', transforms: [{ type: 'regex', pattern: '(' }] } }, 'Invalid regex pattern'],
+      [{ salary: { path: 'pay', transforms: [{ type: 'regex' }] } }, '"salary.transforms[0].pattern" is required']
+    ])('rejects %j', (mapping, message) => {
+      expect(validateFieldMapping(mapping).error.message).toContain(message);
+    });
+  });
+
+  describe('getPath', () => {
+    it('reads nested paths and array indexes', () => {
+      expect(getPath({ company: { name: 'Acme' } }, 'company.name')).toBe('Acme');
+      expect(getPath({ links: [{ href: 'a' }, { href: 'b' }] }, 'links.1.href')).toBe('b');
+      expect(getPath({}, 'company.name')).toBeUndefined();
+    });
+
+    it('unwraps elements parsed with attributes to their text', () => {
+      expect(getPath({ guid: { _: 'job-1', $: { isPermaLink: 'false' } } }, 'guid')).toBe('job-1');
+      expect(getPath({ tag: [{ _: 'a' }, 'b'] }, 'tag')).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('parseDate', () => {
+    it('parses formatted dates as UTC', () => {
+      expect(parseDate('15/10/2024', 'DD/MM/YYYY')).toEqual(new Date('2024-10-15T00:00:00Z'));
+      expect(parseDate('2024.10.15 08:30', 'YYYY.MM.DD HH:mm')).toEqual(new Date('2024-10-15T08:30:00Z'));
+    });
+
+    it('rejects values that do not match the format or overflow', () => {
+      expect(parseDate('2024-10-15', 'DD/MM/YYYY')).toBeUndefined();
+      expect(parseDate('31/02/2024', 'DD/MM/YYYY')).toBeUndefined();
+    });
+
+    it('parses any Date string without a format', () => {
+      expect(parseDate('2024-10-15T08:30:00Z')).toEqual(new Date('2024-10-15T08:30:00Z'));
+      expect(parseDate('soon')).toBeUndefined();
+    });
+  });
+
+  describe('applyFieldMapping', () => {
+    const item = {
+      'job_listing:company': 'Acme',
+      'job_listing:job_type': 'Full-Time',
+      description: '<p>Salary: USD 50000 - 70000 per year</p>',
+      keywords: 'node; react ;',
+      posted: '15/10/2024',
+      locations: ['Berlin', 'Remote']
+    };
+
+    it('maps, transforms and defaults fields', () => {
+      expect(apply(item, {
+        company: 'job_listing:company',
+        jobType: { path: 'job_listing:job_type', transforms: [{ type: 'lowercase' }] },
+        salary: { path: 'description', transforms: [{ type: 'regex', pattern: 'Salary: ([^<]+)' }] },
+        tags: { path: 'keywords', transforms: [{ type: 'split', separator: ';' }] },
+        pubDate: { path: 'posted', transforms: [{ type: 'date', format: 'DD/MM/YYYY' }] },
+        category: { path: 'industry', default: 'General' }
+      })).toEqual({
+        company: 'Acme',
+        jobType: 'full-time',
+        salary: 'USD 50000 - 70000 per year',
+        tags: ['node', 'react'],
+        pubDate: new Date('2024-10-15T00:00:00Z'),
+        category: 'General'
+      });
+    });
+
+    it('takes the first value of a list for single-valued fields', () => {
+      expect(apply(item, { location: 'locations', tags: 'locations' })).toEqual({
+        location: 'Berlin',
+        tags: ['Berlin', 'Remote']
+      });
+    });
+
+    it('picks one part of a split and a regex capture group', () => {
+      expect(apply({ place: 'Berlin, Germany', ref: 'REQ-42-B' }, {
+        location: { path: 'place', transforms: [{ type: 'split', index: -1 }] },
+        guid: { path: 'ref', transforms: [{ type: 'regex', pattern: '([A-Z]+)-(\\d+)', group: 2 }] }
+      })).toEqual({ location: 'Germany', guid: '42' });
+    });
+
+    it('uses the default when a transform yields nothing', () => {
+      expect(apply(item, {
+        salary: { path: 'description', transforms: [{ type: 'regex', pattern: 'Pay: (\\d+)' }], default: 'Competitive' },
+        pubDate: { path: 'posted', transforms: [{ type: 'date', format: 'YYYY-MM-DD' }] }
+      })).toEqual({ salary: 'Competitive' });
+    });
+
+    it('maps nothing without a mapping', () => {
+      expect(applyFieldMapping(item, undefined)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const express = require('express');
+const request = require('supertest');
+const ImportRun = require('../src/models/ImportRun');
+const importRoutes = require('../src/routes/import');
+
+const app = express();
+app.use(express.json());
+app.use('/api/import', importRoutes);
+
+describe('import routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/import/runs', () => {
+    let find;
+    let limit;
+
+    beforeEach(() => {
+      limit = jest.fn(() => ({ lean: () => Promise.resolve([]) }));
+      find = jest.spyOn(ImportRun, 'find').mockReturnValue({ sort: () => ({ limit }) });
+    });
+
+    it('filters the runs by status', async () => {
+      const response = await request(app).get('/api/import/runs?status=failed&limit=500');
+
+      expect(response.status).toBe(200);
+      expect(find).toHaveBeenCalledWith({ status: 'failed' });
+      expect(limit).toHaveBeenCalledWith(100);
+    });
+
+    it('rejects statuses that are not run statuses', async () => {
+      const response = await request(app).get('/api/import/runs?status=unknown');
+
+      expect(response.status).toBe(400);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('rejects query operators in the status', async () => {
+      const response = await request(app).get('/api/import/runs?status[$ne]=x');
+
+      expect(response.status).toBe(400);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,908 @@
+const ImportLog = require('../src/models/ImportLog');
+const FeedSource = require('../src/models/FeedSource');
+const ImportRun = require('../src/models/ImportRun');
+const DeadLetter = require('../src/models/DeadLetter');
+const xmlFeedService = require('../src/services/xmlFeedService');
+const jobUpsertService = require('../src/services/jobUpsertService');
+const jobExpiryService = require('../src/services/jobExpiryService');
+const lockService = require('../src/services/lockService');
+const queueService = require('../src/services/queueService');
+const socketService = require('../src/services/socketService');
+const deadLetterService = require('../src/services/deadLetterService');
+const feedHealthService = require('../src/services/feedHealthService');
+const feedAnomalyService = require('../src/services/feedAnomalyService');
+const { getAdapter } = require('../src/adapters');
+const importService = require('../src/services/importService');
+
+const feed = {
+  _id: '64b7f0c2a1b2c3d4e5f60708',
+  url: 'https://example.com/feed',
+  name: 'Example Feed',
+  etag: '"v1"',
+  lastModified: 'Tue, 15 Oct 2024 10:00:00 GMT'
+};
+
+describe('importService', () => {
+  let savedLogs;
+
+  beforeEach(() => {
+    savedLogs = [];
+    jest.spyOn(ImportLog.prototype, 'save').mockImplementation(function() {
+      savedLogs.push(this.toObject());
+      return Promise.resolve(this);
+    });
+    jest.spyOn(FeedSource, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(jobExpiryService, 'expireJobs').mockResolvedValue({ expiredMissingJobs: 0, expiredPastDateJobs: 0 });
+    jest.spyOn(deadLetterService, 'record').mockResolvedValue();
+    jest.spyOn(feedHealthService, 'recordSuccess').mockResolvedValue();
+    jest.spyOn(feedHealthService, 'recordFailure').mockResolvedValue();
+    jest.spyOn(feedAnomalyService, 'checkImportLog').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('conditional fetching', () => {
+    it('sends the feed\'s cached validators', async () => {
+      const fetchFeed = jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [], totalFetched: 0, duration: 5, success: true, notModified: true, cache: { etag: '"v1"', lastModified: null }
+      });
+
+      await importService.processFeed(feed);
+
+      expect(fetchFeed).toHaveBeenCalledWith(feed.url, feed.name, {
+        etag: '"v1"',
+        lastModified: 'Tue, 15 Oct 2024 10:00:00 GMT'
+      }, {});
+    });
+
+    it('logs a not-modified import without processing jobs on a 304', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [], totalFetched: 0, duration: 5, success: true, notModified: true, cache: { etag: '"v1"', lastModified: null }
+      });
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs');
+
+      const result = await importService.processFeed(feed);
+
+      expect(result).toMatchObject({ feed: feed.name, success: true, notModified: true, jobsFetched: 0 });
+      expect(upsertJobs).not.toHaveBeenCalled();
+      expect(savedLogs).toHaveLength(1);
+      expect(savedLogs[0]).toMatchObject({ sourceFeed: feed.url, status: 'not-modified', totalFetched: 0, duration: 5 });
+    });
+
+    it('stores the new validators after processing a changed feed', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [{ guid: 'guid-1' }],
+        totalFetched: 1,
+        duration: 5,
+        success: true,
+        cache: { etag: '"v2"', lastModified: 'Wed, 16 Oct 2024 10:00:00 GMT' }
+      });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 1, newJobs: 1, updatedJobs: 0, failedJobs: [] });
+
+      await importService.processFeed(feed);
+
+      expect(savedLogs[savedLogs.length - 1]).toMatchObject({ status: 'completed', newJobs: 1 });
+      expect(FeedSource.updateOne).toHaveBeenCalledWith({ _id: feed._id }, {
+        etag: '"v2"',
+        lastModified: 'Wed, 16 Oct 2024 10:00:00 GMT'
+      });
+    });
+
+    it('keeps the old validators when the feed fails to process', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [{ guid: 'guid-1' }], totalFetched: 1, duration: 5, success: true, cache: { etag: '"v2"', lastModified: null }
+      });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(importService, 'failImportLog').mockResolvedValue(true);
+
+      await expect(importService.processFeed(feed)).rejects.toThrow('database unavailable');
+      expect(FeedSource.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('feed adapters', () => {
+    it('fetches a feed through the adapter it names', async () => {
+      const csvAdapter = getAdapter('csv');
+      const fetch = jest.spyOn(csvAdapter, 'fetch').mockResolvedValue({
+        jobs: [], totalFetched: 0, duration: 5, success: true, notModified: true
+      });
+      const fetchFeed = jest.spyOn(xmlFeedService, 'fetchFeed');
+      const csvFeed = { ...feed, adapter: 'csv', adapterOptions: { delimiter: ';' } };
+
+      await importService.processFeed(csvFeed);
+
+      expect(fetch).toHaveBeenCalledWith(csvFeed, { cache: { etag: feed.etag, lastModified: feed.lastModified } });
+      expect(fetchFeed).not.toHaveBeenCalled();
+    });
+
+    it('fetches in full when the adapter cannot stream', async () => {
+      const fetch = jest.spyOn(getAdapter('json-api'), 'fetch').mockResolvedValue({
+        jobs: [], totalFetched: 0, duration: 5, success: true, notModified: true
+      });
+      const streamFeed = jest.spyOn(xmlFeedService, 'streamFeed');
+
+      await importService.processFeed({ ...feed, adapter: 'json-api', streaming: true });
+
+      expect(fetch).toHaveBeenCalled();
+      expect(streamFeed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('feed health', () => {
+    it('records a successful fetch with its latency and item count', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ jobs: [{ guid: 'guid-1' }], totalFetched: 1, duration: 5, success: true });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 1, newJobs: 1, updatedJobs: 0, failedJobs: [] });
+
+      await importService.processFeed(feed);
+
+      expect(feedHealthService.recordSuccess).toHaveBeenCalledWith(feed, { duration: 5, itemCount: 1 });
+      expect(feedHealthService.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('records a failed fetch', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ jobs: [], success: false, error: 'HTTP 500: Internal Server Error' });
+
+      await expect(importService.processFeed(feed)).rejects.toThrow('HTTP 500');
+
+      expect(feedHealthService.recordFailure).toHaveBeenCalledWith(feed, 'HTTP 500: Internal Server Error');
+      expect(feedHealthService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('makes a single trial fetch once an open circuit\'s backoff has passed', async () => {
+      const fetchFeed = jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [], totalFetched: 0, duration: 5, success: true, notModified: true
+      });
+      const halfOpenFeed = { ...feed, health: { consecutiveFailures: 5, circuitOpenUntil: new Date(Date.now() - 1000) } };
+
+      await importService.processFeed(halfOpenFeed);
+
+      expect(fetchFeed).toHaveBeenCalledWith(feed.url, feed.name, expect.any(Object), { maxRetries: 1 });
+      expect(feedHealthService.recordSuccess).toHaveBeenCalledWith(halfOpenFeed, { duration: 5, itemCount: undefined });
+    });
+  });
+
+  describe('import log lifecycle', () => {
+    const runningLog = (overrides = {}) => ({
+      _id: 'log-1',
+      sourceFeed: feed.url,
+      sourceName: feed.name,
+      status: 'running',
+      timestamp: new Date(Date.now() - 5000),
+      ...overrides
+    });
+    let storedLog;
+
+    beforeEach(() => {
+      storedLog = runningLog();
+      jest.spyOn(ImportLog, 'findById').mockImplementation(() => ({ lean: () => Promise.resolve(storedLog) }));
+      jest.spyOn(ImportLog, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('records status, duration and worker when a feed completes', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ jobs: [{ guid: 'guid-1' }], totalFetched: 1, duration: 5, success: true });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 1, newJobs: 1, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] });
+
+      await importService.processFeed(feed);
+
+      expect(savedLogs[savedLogs.length - 1]).toMatchObject({
+        status: 'completed',
+        workerId: importService.workerId,
+        duration: expect.any(Number)
+      });
+    });
+
+    it('fails the feed\'s import log when processing throws', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ jobs: [{ guid: 'guid-1' }], totalFetched: 1, duration: 5, success: true });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockRejectedValue(new Error('database unavailable'));
+
+      await expect(importService.processFeed(feed)).rejects.toThrow('database unavailable');
+
+      expect(ImportLog.updateOne).toHaveBeenCalledWith(
+        { _id: savedLogs[0]._id, status: 'running' },
+        { status: 'failed', error: 'database unavailable', duration: expect.any(Number), workerId: importService.workerId }
+      );
+    });
+
+    it('does not change a log that already finished', async () => {
+      storedLog = runningLog({ status: 'completed' });
+
+      expect(await importService.failImportLog('log-1', 'too late')).toBe(false);
+      expect(ImportLog.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('leaves queue jobs that will be retried to BullMQ', async () => {
+      const failImportLog = jest.spyOn(importService, 'failImportLog');
+
+      await importService.handleFailedQueueJob({
+        id: 'job-1', attemptsMade: 1, opts: { attempts: 3 }, data: { importLogId: 'log-1', feedName: feed.name }
+      }, new Error('timeout'));
+
+      expect(failImportLog).not.toHaveBeenCalled();
+    });
+
+    it('fails the import log when a single queue job exhausts its retries', async () => {
+      await importService.handleFailedQueueJob({
+        id: 'job-1', attemptsMade: 3, opts: { attempts: 3 }, data: { importLogId: 'log-1', feedName: feed.name }
+      }, new Error('timeout'));
+
+      expect(ImportLog.updateOne).toHaveBeenCalledWith(
+        { _id: 'log-1', status: 'running' },
+        expect.objectContaining({ status: 'failed', error: 'timeout' })
+      );
+    });
+
+    it('fails the import log when its flow parent fails after stalling', async () => {
+      await importService.handleFailedQueueJob({
+        id: 'parent-1', attemptsMade: 0, finishedOn: Date.now(), opts: { attempts: 3 },
+        data: { finalize: true, importLogId: 'log-1', feedName: feed.name }
+      }, new Error('job stalled more than allowable limit'));
+
+      expect(ImportLog.updateOne).toHaveBeenCalledWith(
+        { _id: 'log-1', status: 'running' },
+        expect.objectContaining({ status: 'failed', error: 'Failed to complete import: job stalled more than allowable limit' })
+      );
+    });
+
+    it('lists and dead-letters the items of a failed flow chunk, leaving the count to its parent', async () => {
+      const item = { guid: 'guid-9', title: 'Lost' };
+      const failure = { guid: 'guid-9', title: 'Lost', reason: 'Queue error', error: 'timeout' };
+
+      await importService.handleFailedQueueJob({
+        id: 'child-1', attemptsMade: 3, opts: { attempts: 3 }, parentKey: 'bull:job-import:parent-1',
+        data: { importLogId: 'log-1', feedName: feed.name, feedUrl: feed.url, chunk: 1, jobData: [item] }
+      }, new Error('timeout'));
+
+      expect(ImportLog.updateOne).toHaveBeenCalledTimes(1);
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: 'log-1' }, { $push: { failedJobs: { $each: [failure] } } });
+      expect(deadLetterService.record).toHaveBeenCalledWith('log-1', { url: feed.url, name: feed.name }, [{ item, failure }]);
+    });
+
+    it('records a failed streamed chunk and completes the log as partial', async () => {
+      storedLog = runningLog({ metadata: { totalChunks: 2, processedChunks: 2, failedChunks: 1 } });
+
+      await importService.handleFailedQueueJob({
+        id: 'chunk-2', attemptsMade: 3, opts: { attempts: 3 },
+        data: { importLogId: 'log-1', feedName: feed.name, chunk: 2, jobData: [{ guid: 'guid-9', title: 'Lost' }] }
+      }, new Error('timeout'));
+
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: 'log-1' }, {
+        $inc: { 'metadata.processedChunks': 1, 'metadata.failedChunks': 1 },
+        $push: { failedJobs: { $each: [{ guid: 'guid-9', title: 'Lost', reason: 'Queue error', error: 'timeout' }] } }
+      });
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: 'log-1', status: 'running' }, expect.objectContaining({
+        status: 'partial',
+        error: '1 of 2 chunks failed',
+        workerId: importService.workerId
+      }));
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, storedLog.timestamp, { countMissing: false });
+    });
+
+    it('sweeps import logs left running past the timeout', async () => {
+      const find = jest.spyOn(ImportLog, 'find').mockReturnValue({
+        select: () => ({ limit: () => ({ lean: () => Promise.resolve([{ _id: 'log-1' }, { _id: 'log-2' }]) }) })
+      });
+      jest.spyOn(importService, 'failImportLog').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const swept = await importService.sweepStuckLogs();
+
+      expect(find).toHaveBeenCalledWith({ status: 'running', timestamp: { $lt: expect.any(Date) } });
+      expect(find.mock.calls[0][0].timestamp.$lt.getTime()).toBeLessThanOrEqual(Date.now() - importService.stuckLogTimeout);
+      expect(importService.failImportLog).toHaveBeenCalledWith('log-1', 'Import did not finish within 60 minutes');
+      expect(swept).toBe(1);
+    });
+  });
+
+  describe('job expiry', () => {
+    const fetchResult = (overrides = {}) => ({
+      jobs: [{ guid: 'guid-1' }], totalFetched: 1, duration: 5, success: true, cache: {}, ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 1, newJobs: 0, updatedJobs: 0, unchangedJobs: 1, failedJobs: [] });
+    });
+
+    it('marks imported jobs as seen and records expiry counts on the import log', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue(fetchResult());
+      jobExpiryService.expireJobs.mockResolvedValue({ expiredMissingJobs: 3, expiredPastDateJobs: 2 });
+
+      await importService.processFeed(feed);
+
+      const log = savedLogs[savedLogs.length - 1];
+      expect(jobUpsertService.upsertJobs).toHaveBeenCalledWith(fetchResult().jobs, feed, expect.objectContaining({ seenAt: log.timestamp }));
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, log.timestamp, { countMissing: true });
+      expect(log).toMatchObject({ status: 'completed', expiredMissingJobs: 3, expiredPastDateJobs: 2 });
+    });
+
+    it('does not count missing jobs when the feed was parsed with the regex fallback', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue(fetchResult({ usedFallback: true }));
+
+      await importService.processFeed(feed);
+
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, expect.any(Date), { countMissing: false });
+    });
+
+    it('completes the import when expiry fails', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue(fetchResult());
+      jobExpiryService.expireJobs.mockRejectedValue(new Error('database unavailable'));
+
+      await importService.processFeed(feed);
+
+      expect(savedLogs[savedLogs.length - 1]).toMatchObject({ status: 'completed', expiredMissingJobs: 0, expiredPastDateJobs: 0 });
+    });
+
+    it('skips expiry for not-modified feeds', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue(fetchResult({ jobs: [], totalFetched: 0, notModified: true }));
+
+      await importService.processFeed(feed);
+
+      expect(jobExpiryService.expireJobs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('anomaly detection', () => {
+    it('records field completeness and checks the finished import against the feed\'s history', async () => {
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [
+          { guid: 'guid-1', title: 'Engineer', company: 'Acme' },
+          { guid: 'guid-2', title: 'Designer', company: 'Unknown Company' }
+        ],
+        totalFetched: 2,
+        duration: 5,
+        success: true
+      });
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 2, newJobs: 2, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] });
+
+      await importService.processFeed(feed);
+
+      const log = savedLogs[savedLogs.length - 1];
+      expect(log.metadata.fieldCompleteness).toMatchObject({ title: 1, company: 0.5, location: 0 });
+      expect(feedAnomalyService.checkImportLog).toHaveBeenCalledWith(log._id);
+    });
+  });
+
+  describe('chunked queue jobs', () => {
+    const items = ['guid-1', 'guid-2', 'guid-3', 'guid-4', 'guid-5'].map(guid => ({ guid }));
+    const chunkResult = (overrides = {}) => ({ success: true, processed: 2, newJobs: 1, updatedJobs: 1, unchangedJobs: 0, failedJobs: [], ...overrides });
+
+    // Import log as loaded by the parent job
+    const storedLog = () => {
+      const log = new ImportLog({ sourceFeed: feed.url, sourceName: feed.name, status: 'running', metadata: { format: 'rss' } }).toObject();
+      jest.spyOn(ImportLog, 'findById').mockImplementation(() => ({ lean: () => Promise.resolve(log) }));
+      jest.spyOn(ImportLog, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      return log;
+    };
+
+    it('queues a feed as a flow of fixed-size chunks under a parent job', async () => {
+      jest.spyOn(queueService, 'isRedisAvailable').mockReturnValue(true);
+      jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({ jobs: items, totalFetched: 5, duration: 5, success: true, format: 'rss' });
+      const addFlow = jest.spyOn(queueService, 'addFlow').mockResolvedValue({ job: { id: 'parent-1' }, children: [] });
+      const chunkSize = importService.chunkSize;
+      importService.chunkSize = 2;
+
+      try {
+        const result = await importService.processFeed(feed);
+
+        const flow = addFlow.mock.calls[0][0];
+        expect(flow).toMatchObject({
+          queueName: 'job-import',
+          data: { finalize: true, feedUrl: feed.url, totalChunks: 3, countMissing: true }
+        });
+        expect(flow.children.map(child => child.data.jobData)).toEqual([items.slice(0, 2), items.slice(2, 4), items.slice(4)]);
+        expect(flow.children[2]).toMatchObject({
+          queueName: 'job-import',
+          data: { chunk: 3, feedUrl: feed.url, importLogId: flow.data.importLogId },
+          opts: { removeDependencyOnFailure: true }
+        });
+        expect(result).toMatchObject({ jobsQueued: 5, chunks: 3, queueJobId: 'parent-1' });
+        expect(savedLogs[savedLogs.length - 1]).toMatchObject({
+          queueJobId: 'parent-1',
+          metadata: { format: 'rss', totalChunks: 3, processedChunks: 0 }
+        });
+      } finally {
+        importService.chunkSize = chunkSize;
+      }
+    });
+
+    it('returns chunk results to the parent without touching the import log', async () => {
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue(chunkResult({ failedJobs: [{ guid: 'guid-2' }] }));
+      const findById = jest.spyOn(ImportLog, 'findById');
+      const updateOne = jest.spyOn(ImportLog, 'updateOne');
+
+      const result = await importService.processQueueJob({
+        id: 'child-1',
+        parentKey: 'bull:job-import:parent-1',
+        data: { jobData: items.slice(0, 2), feedName: feed.name, feedUrl: feed.url, importLogId: 'log-1', chunk: 1 }
+      });
+
+      expect(result).toEqual(chunkResult({ failedJobs: [{ guid: 'guid-2' }] }));
+      expect(findById).not.toHaveBeenCalled();
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('aggregates the chunk results into the import log once every chunk is done', async () => {
+      const log = storedLog();
+      const getChildrenValues = jest.fn().mockResolvedValue({
+        'bull:job-import:child-1': chunkResult({ failedJobs: [{ guid: 'guid-2' }] }),
+        'bull:job-import:child-2': chunkResult({ processed: 1, newJobs: 0, updatedJobs: 0, unchangedJobs: 1 })
+      });
+
+      const result = await importService.processQueueJob({
+        id: 'parent-1',
+        data: { finalize: true, feedName: feed.name, importLogId: log._id, totalChunks: 2, countMissing: true },
+        getChildrenValues
+      });
+
+      // Failed items are pushed, so those added by failed chunks are kept
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: log._id, status: 'running' }, {
+        $set: expect.objectContaining({
+          status: 'completed',
+          totalImported: 3,
+          newJobs: 1,
+          updatedJobs: 1,
+          unchangedJobs: 1,
+          'metadata.totalChunks': 2,
+          'metadata.processedChunks': 2,
+          'metadata.failedChunks': 0
+        }),
+        $push: { failedJobs: { $each: [{ guid: 'guid-2' }] } }
+      });
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, log.timestamp, { countMissing: true });
+      expect(result).toMatchObject({ success: true, processed: 3, failedJobs: 1, failedChunks: 0 });
+    });
+
+    it('marks the import partial when chunks failed and does not count missing jobs', async () => {
+      const log = storedLog();
+
+      await importService.finalizeFeedJob({
+        id: 'parent-1',
+        data: { finalize: true, feedName: feed.name, importLogId: log._id, totalChunks: 3, countMissing: true },
+        getChildrenValues: jest.fn().mockResolvedValue({ 'bull:job-import:child-1': chunkResult() })
+      });
+
+      expect(ImportLog.updateOne).toHaveBeenCalledWith({ _id: log._id, status: 'running' }, expect.objectContaining({
+        $set: expect.objectContaining({ status: 'partial', error: '2 of 3 chunks failed', totalImported: 2 })
+      }));
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, log.timestamp, { countMissing: false });
+    });
+  });
+
+  describe('failed item retry', () => {
+    const importLog = { _id: 'log-1', sourceFeed: feed.url, sourceName: feed.name, status: 'partial' };
+    const deadLetters = [
+      { _id: 'dead-1', payload: { guid: 'guid-1', title: 'First' } },
+      { _id: 'dead-2', payload: { guid: 'guid-2', title: 'Second' } }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(queueService, 'isRedisAvailable').mockReturnValue(false);
+    });
+
+    it('upserts only the pending items under a new import log without counting missing jobs', async () => {
+      jest.spyOn(deadLetterService, 'claimPending').mockResolvedValue(deadLetters);
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 2, newJobs: 2, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] });
+
+      const result = await importService.retryFailedItems(importLog);
+
+      const retryLog = savedLogs[0];
+      expect(retryLog).toMatchObject({ sourceFeed: feed.url, totalFetched: 2, status: 'running', metadata: { retryOf: 'log-1' } });
+      expect(deadLetterService.claimPending).toHaveBeenCalledWith('log-1', retryLog._id);
+      expect(upsertJobs).toHaveBeenCalledWith(
+        deadLetters.map(deadLetter => deadLetter.payload),
+        { url: feed.url, name: feed.name },
+        { importLogId: retryLog._id, seenAt: undefined }
+      );
+      expect(savedLogs[savedLogs.length - 1]).toMatchObject({ status: 'completed', newJobs: 2 });
+      expect(jobExpiryService.expireJobs).toHaveBeenCalledWith(feed.url, retryLog.timestamp, { countMissing: false });
+      expect(result).toMatchObject({ importLogId: retryLog._id, requeued: 2, processingMode: 'synchronous', newJobs: 2 });
+    });
+
+    it('queues the items as a flow when Redis is available', async () => {
+      queueService.isRedisAvailable.mockReturnValue(true);
+      jest.spyOn(deadLetterService, 'claimPending').mockResolvedValue(deadLetters);
+      const addFlow = jest.spyOn(queueService, 'addFlow').mockResolvedValue({ job: { id: 'parent-1' }, children: [] });
+
+      const result = await importService.retryFailedItems(importLog);
+
+      const flow = addFlow.mock.calls[0][0];
+      expect(flow.data).toMatchObject({ finalize: true, importLogId: savedLogs[0]._id, totalChunks: 1, countMissing: false });
+      expect(flow.children[0].data.jobData).toEqual(deadLetters.map(deadLetter => deadLetter.payload));
+      expect(result).toMatchObject({ requeued: 2, processingMode: 'queued' });
+    });
+
+    it('returns null when nothing is left to retry', async () => {
+      jest.spyOn(deadLetterService, 'claimPending').mockResolvedValue([]);
+
+      expect(await importService.retryFailedItems(importLog)).toBeNull();
+      expect(savedLogs).toHaveLength(0);
+    });
+
+    it('requeues each item once when the same log is retried twice at once', async () => {
+      const stored = deadLetters.map(deadLetter => ({ ...deadLetter, importLog: 'log-1', status: 'pending', retriedAt: null }));
+      jest.spyOn(DeadLetter, 'updateMany').mockImplementation(async (filter, { $set }) => {
+        const claimed = stored.filter(deadLetter => deadLetter.importLog === filter.importLog && deadLetter.status === filter.status && deadLetter.retriedAt === null);
+        claimed.forEach(deadLetter => Object.assign(deadLetter, $set));
+        return { modifiedCount: claimed.length };
+      });
+      jest.spyOn(DeadLetter, 'find').mockImplementation(filter => ({
+        lean: () => Promise.resolve(stored.filter(deadLetter => deadLetter.retryLog === filter.retryLog))
+      }));
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({ processed: 2, newJobs: 2, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] });
+
+      const results = await Promise.all([importService.retryFailedItems(importLog), importService.retryFailedItems(importLog)]);
+
+      expect(results.filter(Boolean)).toEqual([expect.objectContaining({ requeued: 2 })]);
+      expect(upsertJobs).toHaveBeenCalledTimes(1);
+      expect(upsertJobs.mock.calls[0][0]).toEqual(deadLetters.map(deadLetter => deadLetter.payload));
+    });
+
+    it('makes the items pending again when the retry fails', async () => {
+      jest.spyOn(deadLetterService, 'claimPending').mockResolvedValue(deadLetters);
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(importService, 'failImportLog').mockResolvedValue(true);
+      const restorePending = jest.spyOn(deadLetterService, 'restorePending').mockResolvedValue({ modifiedCount: 2 });
+
+      await expect(importService.retryFailedItems(importLog)).rejects.toThrow('database unavailable');
+
+      expect(importService.failImportLog).toHaveBeenCalledWith(savedLogs[0]._id, 'database unavailable');
+      expect(restorePending).toHaveBeenCalledWith(savedLogs[0]._id);
+    });
+  });
+
+  describe('dry runs', () => {
+    const samples = { new: [{ guid: 'guid-1' }], updated: [{ guid: 'guid-2' }], unchanged: [], rejected: [{ guid: 'guid-3' }] };
+    const stats = { processed: 2, newJobs: 1, updatedJobs: 1, unchangedJobs: 0, failedJobs: [{ guid: 'guid-3' }], samples };
+
+    it('previews the full feed without writing jobs, logs or validators', async () => {
+      const fetchFeed = jest.spyOn(xmlFeedService, 'fetchFeed').mockResolvedValue({
+        jobs: [{ guid: 'guid-1' }, { guid: 'guid-2' }, { guid: 'guid-3' }], totalFetched: 3, duration: 5, format: 'rss', success: true, cache: { etag: '"v2"' }
+      });
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs');
+      jest.spyOn(jobUpsertService, 'previewJobs').mockResolvedValue(stats);
+
+      const result = await importService.processFeed(feed, { dryRun: true });
+
+      expect(fetchFeed).toHaveBeenCalledWith(feed.url, feed.name, {}, {});
+      expect(upsertJobs).not.toHaveBeenCalled();
+      expect(savedLogs).toHaveLength(0);
+      expect(FeedSource.updateOne).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        feed: feed.name,
+        dryRun: true,
+        format: 'rss',
+        jobsFetched: 3,
+        jobsProcessed: 2,
+        newJobs: 1,
+        updatedJobs: 1,
+        unchangedJobs: 0,
+        failedJobs: 1,
+        samples
+      });
+    });
+
+    it('previews streaming feeds chunk by chunk', async () => {
+      jest.spyOn(xmlFeedService, 'streamFeed').mockImplementation(async (url, name, onChunk) => {
+        await onChunk([{ guid: 'guid-1' }], 1);
+        await onChunk([{ guid: 'guid-2' }], 2);
+        return { totalFetched: 2, chunks: 2, format: 'rss', duration: 5 };
+      });
+      jest.spyOn(jobUpsertService, 'previewJobs').mockImplementation(async (jobs) => ({
+        processed: 1, newJobs: 1, updatedJobs: 0, unchangedJobs: 0, failedJobs: [],
+        samples: { new: [{ guid: jobs[0].guid }], updated: [], unchanged: [], rejected: [] }
+      }));
+
+      const result = await importService.processFeed({ ...feed, streaming: true }, { dryRun: true });
+
+      expect(jobUpsertService.previewJobs).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ dryRun: true, jobsFetched: 2, newJobs: 2 });
+      expect(result.samples.new).toEqual([{ guid: 'guid-1' }, { guid: 'guid-2' }]);
+      expect(savedLogs).toHaveLength(0);
+    });
+
+    it('reports every enabled feed from startImport without taking the lock or recording a run', async () => {
+      const feedB = { ...feed, _id: '64b7f0c2a1b2c3d4e5f60702', name: 'Feed B' };
+      jest.spyOn(FeedSource, 'getEnabled').mockResolvedValue([feed, feedB]);
+      const acquire = jest.spyOn(lockService, 'acquire');
+      const create = jest.spyOn(ImportRun, 'create');
+      jest.spyOn(importService, 'previewFeed')
+        .mockResolvedValueOnce({ feed: feed.name, success: true, dryRun: true, newJobs: 1, updatedJobs: 1, unchangedJobs: 0, failedJobs: 1, samples })
+        .mockRejectedValueOnce(new Error('feed unavailable'));
+
+      const report = await importService.startImport({ dryRun: true });
+
+      expect(acquire).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+      expect(importService.isRunning).toBe(false);
+      expect(report).toMatchObject({
+        dryRun: true,
+        totalFeeds: 2,
+        summary: { newJobs: 1, updatedJobs: 1, unchangedJobs: 0, failedJobs: 1, failedFeeds: 1 }
+      });
+      expect(report.results[1]).toEqual({ feed: 'Feed B', feedId: feedB._id, success: false, dryRun: true, error: 'feed unavailable' });
+    });
+
+    it('previews feeds on different hosts concurrently, reporting them in feed order', async () => {
+      const feedA = { ...feed, _id: '64b7f0c2a1b2c3d4e5f60701', url: 'https://a.example.com/feed', name: 'Feed A' };
+      const feedB = { ...feed, _id: '64b7f0c2a1b2c3d4e5f60702', url: 'https://b.example.com/feed', name: 'Feed B' };
+      jest.spyOn(FeedSource, 'getEnabled').mockResolvedValue([feedA, feedB]);
+
+      let active = 0;
+      let maxActive = 0;
+      jest.spyOn(importService, 'previewFeed').mockImplementation(async (source) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        // Feed A finishes last
+        await new Promise(resolve => setTimeout(resolve, source === feedA ? 20 : 5));
+        active--;
+        return { feed: source.name, success: true, dryRun: true, newJobs: 1, updatedJobs: 0, unchangedJobs: 0, failedJobs: 0, samples };
+      });
+
+      const report = await importService.startImport({ dryRun: true });
+
+      expect(maxActive).toBe(2);
+      expect(report.results.map(result => result.feed)).toEqual(['Feed A', 'Feed B']);
+      expect(report.summary.newJobs).toBe(2);
+    });
+  });
+
+  describe('import runs', () => {
+    const feedA = { _id: '64b7f0c2a1b2c3d4e5f60701', url: 'https://example.com/a', name: 'Feed A' };
+    const feedB = { _id: '64b7f0c2a1b2c3d4e5f60702', url: 'https://example.com/b', name: 'Feed B' };
+    let storedRun;
+
+    const runFeeds = (statuses) => [feedA, feedB].map((feed, index) => ({ feed: feed._id, name: feed.name, status: statuses[index] }));
+
+    beforeEach(() => {
+      jest.spyOn(FeedSource, 'getEnabled').mockResolvedValue([feedA, feedB]);
+      jest.spyOn(ImportRun, 'create').mockImplementation(async (doc) => {
+        storedRun = { ...doc, feeds: doc.feeds.map(entry => ({ ...entry, status: 'pending' })) };
+        return storedRun;
+      });
+      jest.spyOn(ImportRun, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(ImportRun, 'exists').mockResolvedValue(null);
+      jest.spyOn(ImportRun, 'findById').mockImplementation(() => ({ lean: () => Promise.resolve(storedRun) }));
+      jest.spyOn(lockService, 'acquire').mockResolvedValue({ name: 'import', lost: false });
+      jest.spyOn(lockService, 'release').mockResolvedValue();
+    });
+
+    it('records each feed\'s progress on a persistent run', async () => {
+      jest.spyOn(importService, 'processFeed')
+        .mockResolvedValueOnce({ feed: 'Feed A', success: true })
+        .mockRejectedValueOnce(new Error('feed unavailable'));
+
+      const result = await importService.startImport();
+
+      expect(ImportRun.create).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: 'manual',
+        feeds: [{ feed: feedA._id, name: 'Feed A' }, { feed: feedB._id, name: 'Feed B' }]
+      }));
+      expect(importService.processFeed).toHaveBeenCalledWith(feedA, { importRunId: storedRun._id });
+      expect(ImportRun.updateOne).toHaveBeenCalledWith(
+        { _id: storedRun._id, 'feeds.feed': feedA._id },
+        { $set: { 'feeds.$.status': 'completed', 'feeds.$.finishedAt': expect.any(Date) } }
+      );
+      expect(ImportRun.updateOne).toHaveBeenCalledWith(
+        { _id: storedRun._id, 'feeds.feed': feedB._id },
+        { $set: { 'feeds.$.status': 'failed', 'feeds.$.error': 'feed unavailable', 'feeds.$.finishedAt': expect.any(Date) } }
+      );
+      expect(result).toMatchObject({ importId: storedRun._id.toString(), totalFeeds: 2 });
+      expect(importService.isRunning).toBe(false);
+    });
+
+    it('reports the run status from the feed results', async () => {
+      jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+      ImportRun.findById.mockImplementation(() => ({
+        lean: () => Promise.resolve({ ...storedRun, feeds: runFeeds(['completed', 'failed']) })
+      }));
+
+      const result = await importService.startImport();
+
+      expect(result.status).toBe('partial');
+      expect(ImportRun.updateOne).toHaveBeenCalledWith({ _id: storedRun._id }, { status: 'partial', finishedAt: expect.any(Date) });
+    });
+
+    it('skips feeds whose circuit is open', async () => {
+      const failingFeed = { ...feedB, health: { consecutiveFailures: 3, circuitOpenUntil: new Date(Date.now() + 60000) } };
+      FeedSource.getEnabled.mockResolvedValue([feedA, failingFeed]);
+      jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+      ImportRun.findById.mockImplementation(() => ({
+        lean: () => Promise.resolve({ ...storedRun, feeds: runFeeds(['completed', 'skipped']) })
+      }));
+
+      const result = await importService.startImport();
+
+      expect(importService.processFeed).toHaveBeenCalledTimes(1);
+      expect(importService.processFeed).toHaveBeenCalledWith(feedA, { importRunId: storedRun._id });
+      expect(ImportRun.updateOne).toHaveBeenCalledWith(
+        { _id: storedRun._id, 'feeds.feed': feedB._id },
+        { $set: expect.objectContaining({ 'feeds.$.status': 'skipped' }) }
+      );
+      expect(result.results).toContainEqual(expect.objectContaining({ feed: 'Feed B', skipped: true }));
+      expect(result.status).toBe('partial');
+    });
+
+    it('stops before the next feed once cancellation is requested', async () => {
+      jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+      ImportRun.exists.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'run' });
+
+      const result = await importService.startImport();
+
+      expect(importService.processFeed).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe('cancelled');
+      expect(ImportRun.updateOne).toHaveBeenCalledWith({ _id: storedRun._id }, {
+        $set: { status: 'cancelled', finishedAt: expect.any(Date), 'feeds.$[unfinished].status': 'cancelled' }
+      }, {
+        arrayFilters: [{ 'unfinished.status': { $in: ['pending', 'running'] } }]
+      });
+    });
+
+    it('imports feeds on different hosts concurrently and one at a time per host', async () => {
+      const feedC = { _id: '64b7f0c2a1b2c3d4e5f60703', url: 'https://other.example.org/c', name: 'Feed C' };
+      FeedSource.getEnabled.mockResolvedValue([feedA, feedB, feedC]);
+      const progress = jest.spyOn(socketService, 'emitImportProgress');
+      const finishers = {};
+      jest.spyOn(importService, 'processFeed').mockImplementation(feed => new Promise(resolve => {
+        finishers[feed.name] = () => resolve({ feed: feed.name, success: true });
+      }));
+
+      const done = importService.startImport();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      // Feed B shares Feed A's host, so it waits while Feed C starts
+      expect(Object.keys(finishers)).toEqual(['Feed A', 'Feed C']);
+      expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({
+        totalFeeds: 3,
+        finishedFeeds: 0,
+        inFlight: [
+          { feedId: feedA._id, feedName: 'Feed A', host: 'example.com' },
+          { feedId: feedC._id, feedName: 'Feed C', host: 'other.example.org' }
+        ]
+      }));
+
+      finishers['Feed A']();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(Object.keys(finishers)).toEqual(['Feed A', 'Feed C', 'Feed B']);
+
+      finishers['Feed B']();
+      finishers['Feed C']();
+      const result = await done;
+
+      expect(result.results).toHaveLength(3);
+      expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({ finishedFeeds: 3, inFlight: [] }));
+    });
+
+    it('holds the import lock for the whole run', async () => {
+      jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+
+      await importService.startImport();
+
+      expect(lockService.acquire).toHaveBeenCalledWith('import', importService.lockTtl);
+      expect(lockService.release).toHaveBeenCalledWith({ name: 'import', lost: false });
+    });
+
+    it('refuses to start while another instance holds the lock', async () => {
+      lockService.acquire.mockResolvedValue(null);
+      jest.spyOn(lockService, 'getHolder').mockResolvedValue({ owner: 'worker-2:42', backend: 'redis' });
+
+      await expect(importService.startImport()).rejects.toMatchObject({
+        code: 'IMPORT_LOCKED',
+        message: 'Import is already running on worker-2:42',
+        holder: { owner: 'worker-2:42', backend: 'redis' }
+      });
+      expect(ImportRun.create).not.toHaveBeenCalled();
+      expect(importService.isRunning).toBe(false);
+    });
+
+    it('stops when the lock is lost to another instance', async () => {
+      const lock = { name: 'import', lost: false };
+      lockService.acquire.mockResolvedValue(lock);
+      jest.spyOn(importService, 'processFeed').mockImplementation(async () => {
+        lock.lost = true;
+        return { success: true };
+      });
+
+      await expect(importService.startImport()).rejects.toThrow('Import lock lost to another instance');
+      expect(importService.processFeed).toHaveBeenCalledTimes(1);
+      expect(ImportRun.updateOne).toHaveBeenCalledWith({ _id: storedRun._id }, expect.objectContaining({ status: 'failed' }));
+    });
+
+    it('wakes whenIdle callers once the run finishes', async () => {
+      let idle;
+      jest.spyOn(importService, 'processFeed').mockImplementation(async (source) => {
+        idle = importService.whenIdle();
+        return { feed: source.name, success: true };
+      });
+
+      await importService.startImport();
+
+      await expect(idle).resolves.toBeUndefined();
+      expect(importService.idleWaiters).toEqual([]);
+    });
+
+    it('only requests cancellation of running runs', async () => {
+      const findOneAndUpdate = jest.spyOn(ImportRun, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const run = await importService.cancelRun('64b7f0c2a1b2c3d4e5f607ff');
+
+      expect(run).toBeNull();
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: '64b7f0c2a1b2c3d4e5f607ff', status: 'running' },
+        { $set: { cancelRequestedAt: expect.any(Date) } },
+        { new: true }
+      );
+    });
+
+    it('resumes an interrupted run from the feeds it had not finished', async () => {
+      storedRun = { _id: '64b7f0c2a1b2c3d4e5f607aa', feeds: runFeeds(['completed', 'running']) };
+      jest.spyOn(ImportRun, 'getInterrupted').mockResolvedValue([storedRun]);
+      jest.spyOn(FeedSource, 'find').mockReturnValue({ lean: () => Promise.resolve([feedA, feedB]) });
+      const updateLogs = jest.spyOn(ImportLog, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+
+      await importService.resumeInterruptedRuns();
+
+      expect(importService.processFeed).toHaveBeenCalledTimes(1);
+      expect(importService.processFeed).toHaveBeenCalledWith(feedB, { importRunId: storedRun._id });
+      expect(updateLogs).toHaveBeenCalledWith(
+        { importRun: storedRun._id, sourceFeed: { $in: [feedB.url] }, status: 'running' },
+        { status: 'failed', error: 'Interrupted by server restart' }
+      );
+      expect(ImportRun.updateOne).toHaveBeenCalledWith({ _id: storedRun._id }, {
+        $inc: { resumeCount: 1 },
+        $set: { workerId: importService.workerId }
+      });
+    });
+
+    it('retries the resume once a lock still held at startup expires', async () => {
+      jest.useFakeTimers();
+      try {
+        storedRun = { _id: '64b7f0c2a1b2c3d4e5f607aa', feeds: runFeeds(['completed', 'running']) };
+        jest.spyOn(ImportRun, 'getInterrupted').mockResolvedValue([storedRun]);
+        jest.spyOn(FeedSource, 'find').mockReturnValue({ lean: () => Promise.resolve([feedA, feedB]) });
+        jest.spyOn(ImportLog, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(importService, 'processFeed').mockResolvedValue({ success: true });
+        // The previous process exited holding the lock
+        lockService.acquire.mockResolvedValueOnce(null);
+        jest.spyOn(lockService, 'getHolder').mockResolvedValue({ owner: 'old-host:1' });
+
+        await importService.resumeInterruptedRuns();
+        expect(importService.processFeed).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(importService.lockTtl);
+
+        expect(importService.processFeed).toHaveBeenCalledWith(feedB, { importRunId: storedRun._id });
+      } finally {
+        clearTimeout(importService.resumeTimer);
+        importService.resumeTimer = null;
+        jest.useRealTimers();
+      }
+    });
+
+    it('releases the import lock when stopped', async () => {
+      const handle = { name: 'import' };
+      importService.lock = handle;
+
+      await importService.stop();
+
+      expect(lockService.release).toHaveBeenCalledWith(handle);
+      expect(importService.lock).toBeNull();
+    });
+
+    it('finishes interrupted runs that were cancelled instead of resuming them', async () => {
+      jest.spyOn(ImportRun, 'getInterrupted').mockResolvedValue([
+        { _id: '64b7f0c2a1b2c3d4e5f607aa', cancelRequestedAt: new Date(), feeds: runFeeds(['completed', 'pending']) }
+      ]);
+      jest.spyOn(importService, 'processFeed');
+
+      await importService.resumeInterruptedRuns();
+
+      expect(importService.processFeed).not.toHaveBeenCalled();
+      expect(ImportRun.updateOne).toHaveBeenCalledWith(
+        { _id: '64b7f0c2a1b2c3d4e5f607aa' },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'cancelled' }) }),
+        expect.any(Object)
+      );
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const Job = require('../src/models/Job');
+const jobDedupeService = require('../src/services/jobDedupeService');
+const { computeIdentity } = require('../src/utils/jobIdentity');
+
+// Chainable stand-in for a mongoose query resolving to result
+const query = (result) => {
+  const chain = {};
+  ['select', 'sort', 'limit'].forEach(method => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.lean = () => Promise.resolve(result);
+  return chain;
+};
+
+const buildJob = (id, overrides = {}) => {
+  const job = {
+    _id: id,
+    title: 'Backend Engineer',
+    company: 'Example Inc',
+    location: 'Remote',
+    sourceFeed: 'https://example.com/feed-a',
+    sourceName: 'Feed A',
+    originalGuid: `guid-${id}`,
+    applicationUrl: `https://example.com/jobs/${id}`,
+    status: 'active',
+    duplicateOf: null,
+    sources: [],
+    ...overrides
+  };
+  return { ...job, ...computeIdentity(job) };
+};
+
+const sourceOf = (job) => ({
+  job: job._id,
+  sourceFeed: job.sourceFeed,
+  sourceName: job.sourceName,
+  originalGuid: job.originalGuid,
+  applicationUrl: job.applicationUrl
+});
+
+describe('jobDedupeService', () => {
+  let updateOne;
+  let updateMany;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveDuplicates', () => {
+    let bulkWrite;
+    let find;
+
+    // Stub Job.find: the batch by key, then the candidates by companyKey and
+    // the linked canonicals by ID among the stored jobs
+    const mockJobs = (batch, stored = []) => {
+      find = jest.spyOn(Job, 'find').mockImplementation(filter => {
+        if (filter.originalGuid) return query(batch);
+        if (filter.companyKey) {
+          return query(stored.filter(job => filter.companyKey.$in.includes(job.companyKey) && !job.duplicateOf && job.status === 'active'));
+        }
+        return query(stored.filter(job => filter._id.$in.includes(job._id)));
+      });
+    };
+
+    const resolve = (...jobs) => jobDedupeService.resolveDuplicates(jobs.map(job => ({ originalGuid: job.originalGuid, sourceFeed: job.sourceFeed })));
+
+    // Operations of the bulkWrite, as updateOne/updateMany [filter, update] pairs
+    const operations = () => (bulkWrite.mock.calls[0] ? bulkWrite.mock.calls[0][0] : [])
+      .map(operation => {
+        const { filter, update } = operation.updateOne || operation.updateMany;
+        return [filter, update];
+      });
+
+    beforeEach(() => {
+      bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('links a job to the same posting from another feed', async () => {
+      const canonical = buildJob('a', { sources: [] });
+      const job = buildJob('b', { sourceFeed: 'https://example.com/feed-b', sourceName: 'Feed B', company: 'Example' });
+      mockJobs([job], [canonical]);
+
+      expect(await resolve(job)).toEqual({ linked: 1, unlinked: 0 });
+      expect(find).toHaveBeenCalledWith({ companyKey: { $in: ['example'] }, duplicateOf: null, status: 'active' });
+      expect(operations()).toEqual([
+        [{ _id: 'b' }, { $set: { duplicateOf: 'a', sources: [] } }],
+        [{ _id: 'a' }, { $pull: { sources: { job: 'a' } } }],
+        [{ _id: 'a' }, { $push: { sources: { $each: [sourceOf(canonical)], $position: 0 } } }],
+        [{ _id: 'a' }, { $pull: { sources: { job: { $in: ['b'] } } } }],
+        [{ _id: 'a' }, { $push: { sources: { $each: [sourceOf(job)] } } }]
+      ]);
+      expect(bulkWrite).toHaveBeenCalledWith(expect.any(Array), { ordered: true });
+    });
+
+    it('matches similar titles from the same company', async () => {
+      const canonical = buildJob('a', { title: 'Backend Engineer', sources: [] });
+      const job = buildJob('b', { title: 'Backend Engineers', sourceFeed: 'https://example.com/feed-b' });
+      mockJobs([job], [canonical]);
+
+      expect(await resolve(job)).toEqual({ linked: 1, unlinked: 0 });
+    });
+
+    it('keeps different roles at the same company apart', async () => {
+      const other = buildJob('a', { title: 'Product Designer' });
+      const job = buildJob('b', { sourceFeed: 'https://example.com/feed-b' });
+      mockJobs([job], [other]);
+
+      expect(await resolve(job)).toEqual({ linked: 0, unlinked: 0 });
+      expect(operations()).not.toContainEqual([{ _id: 'b' }, expect.objectContaining({ $set: expect.objectContaining({ duplicateOf: 'a' }) })]);
+    });
+
+    it('does not link a job to a near-identical but different role', async () => {
+      const other = buildJob('a', { title: 'Senior Software Engineer' });
+      const job = buildJob('b', { title: 'Senior Software Engineer II', sourceFeed: 'https://example.com/feed-b' });
+      mockJobs([job], [other]);
+
+      expect(await resolve(job)).toEqual({ linked: 0, unlinked: 0 });
+    });
+
+    it('never links jobs without a real company', async () => {
+      const other = buildJob('a', { company: 'Unknown Company' });
+      const job = buildJob('b', { company: 'Unknown Company', sourceFeed: 'https://example.com/feed-b' });
+      mockJobs([job], [other]);
+
+      expect(await resolve(job)).toEqual({ linked: 0, unlinked: 0 });
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+
+    it('unlinks a duplicate linked through a placeholder company', async () => {
+      const canonical = buildJob('a', { company: 'Unknown Company' });
+      const job = buildJob('b', { company: 'Unknown Company', sourceFeed: 'https://example.com/feed-b', duplicateOf: 'a' });
+      mockJobs([job], [canonical]);
+
+      expect(await resolve(job)).toEqual({ linked: 0, unlinked: 1 });
+      expect(operations()).toContainEqual([{ _id: 'b' }, { $set: { duplicateOf: null, sources: [sourceOf(job)] } }]);
+    });
+
+    it('stores the identity keys of jobs that do not have them yet', async () => {
+      const job = buildJob('b');
+      delete job.canonicalKey;
+      delete job.companyKey;
+      mockJobs([job]);
+
+      await resolve(job);
+
+      expect(operations()[0]).toEqual([{ _id: 'b' }, {
+        $set: { companyKey: 'example', canonicalKey: 'backend engineer|example|remote' }
+      }]);
+    });
+
+    it('moves the duplicates of a job that becomes a duplicate itself', async () => {
+      const canonical = buildJob('a', { sources: [] });
+      const duplicate = buildJob('c', { sourceFeed: 'https://example.com/feed-c' });
+      const job = buildJob('b', { sourceFeed: 'https://example.com/feed-b' });
+      job.sources = [sourceOf(job), sourceOf(duplicate)];
+      mockJobs([job], [canonical]);
+
+      await resolve(job);
+
+      expect(operations()).toContainEqual([{ duplicateOf: 'b' }, { $set: { duplicateOf: 'a' } }]);
+      expect(operations()).toContainEqual([{ _id: 'a' }, { $push: { sources: { $each: [sourceOf(job), sourceOf(duplicate)] } } }]);
+    });
+
+    it('unlinks a duplicate whose content no longer matches its canonical', async () => {
+      const canonical = buildJob('a');
+      const job = buildJob('b', { title: 'Engineering Manager', sourceFeed: 'https://example.com/feed-b', duplicateOf: 'a' });
+      mockJobs([job], [canonical]);
+
+      expect(await resolve(job)).toEqual({ linked: 0, unlinked: 1 });
+      expect(operations()).toContainEqual([{ _id: 'a' }, { $pull: { sources: { job: 'b' } } }]);
+      expect(operations()).toContainEqual([{ _id: 'b' }, { $set: { duplicateOf: null, sources: [sourceOf(job)] } }]);
+    });
+
+    it('resolves a batch with three queries and one write, linking jobs of the same batch', async () => {
+      const first = buildJob('a', { createdAt: new Date('2024-10-01') });
+      const second = buildJob('b', { sourceFeed: 'https://example.com/feed-b', createdAt: new Date('2024-10-02') });
+      const third = buildJob('c', { sourceFeed: 'https://example.com/feed-c', createdAt: new Date('2024-10-03'), duplicateOf: 'x' });
+      const oldCanonical = buildJob('x', { title: 'Product Designer', sourceFeed: 'https://example.com/feed-x' });
+      mockJobs([first, second, third], [first, second, oldCanonical]);
+
+      expect(await resolve(first, second, third)).toEqual({ linked: 2, unlinked: 0 });
+      expect(find).toHaveBeenCalledTimes(3);
+      expect(bulkWrite).toHaveBeenCalledTimes(1);
+      expect(updateOne).not.toHaveBeenCalled();
+      expect(operations()).toContainEqual([{ _id: 'a' }, { $set: { duplicateOf: 'b', sources: [] } }]);
+      expect(operations()).toContainEqual([{ _id: 'c' }, { $set: { duplicateOf: 'b', sources: [] } }]);
+    });
+  });
+
+  describe('promoteDuplicates', () => {
+    it('promotes the oldest active duplicate of an expired canonical job', async () => {
+      const duplicate = buildJob('b', { sourceFeed: 'https://example.com/feed-b', duplicateOf: 'a' });
+      const canonical = buildJob('a', { status: 'expired' });
+      canonical.sources = [sourceOf(canonical), sourceOf(duplicate)];
+      jest.spyOn(Job, 'find')
+        .mockReturnValueOnce(query([canonical]))
+        .mockReturnValueOnce(query([duplicate]));
+
+      const promoted = await jobDedupeService.promoteDuplicates(canonical.sourceFeed);
+
+      expect(promoted).toBe(1);
+      expect(updateMany).toHaveBeenCalledWith({ duplicateOf: 'a' }, { $set: { duplicateOf: 'b' } });
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'b' }, {
+        $set: { duplicateOf: null, sources: [sourceOf(duplicate), sourceOf(canonical)] }
+      });
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'a' }, { $set: { duplicateOf: 'b', sources: [] } });
+    });
+
+    it('leaves expired canonical jobs without active duplicates alone', async () => {
+      const canonical = buildJob('a', { status: 'expired' });
+      jest.spyOn(Job, 'find')
+        .mockReturnValueOnce(query([canonical]))
+        .mockReturnValueOnce(query([]));
+
+      expect(await jobDedupeService.promoteDuplicates(canonical.sourceFeed)).toBe(0);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const Job = require('../src/models/Job');
+const jobExpiryService = require('../src/services/jobExpiryService');
+const jobDedupeService = require('../src/services/jobDedupeService');
+
+const feedUrl = 'https://example.com/feed';
+const runStartedAt = new Date('2024-10-16T10:00:00.000Z');
+
+describe('jobExpiryService', () => {
+  let updateMany;
+
+  beforeEach(() => {
+    updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(jobDedupeService, 'promoteDuplicates').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('expireJobs', () => {
+    it('counts a missed run for active jobs the run did not see', async () => {
+      await jobExpiryService.expireJobs(feedUrl, runStartedAt);
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter).toEqual({
+        sourceFeed: feedUrl,
+        status: 'active',
+        $or: [
+          { lastSeenAt: { $lt: runStartedAt } },
+          { lastSeenAt: { $exists: false } }
+        ]
+      });
+      expect(update).toEqual({ $inc: { missedRuns: 1 } });
+    });
+
+    it('expires jobs missing for the configured number of runs and jobs past their expiry date', async () => {
+      updateMany
+        .mockResolvedValueOnce({ modifiedCount: 4 })
+        .mockResolvedValueOnce({ modifiedCount: 2 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await jobExpiryService.expireJobs(feedUrl, runStartedAt);
+
+      expect(result).toEqual({ expiredMissingJobs: 2, expiredPastDateJobs: 1 });
+
+      const [missingFilter, missingUpdate] = updateMany.mock.calls[1];
+      expect(missingFilter).toEqual({
+        sourceFeed: feedUrl,
+        status: 'active',
+        missedRuns: { $gte: jobExpiryService.missedRunsThreshold }
+      });
+      expect(missingUpdate.$set).toMatchObject({ status: 'expired', expiredReason: 'missing' });
+
+      const [pastDateFilter, pastDateUpdate] = updateMany.mock.calls[2];
+      expect(pastDateFilter).toMatchObject({ sourceFeed: feedUrl, status: 'active', expiryDate: { $lt: expect.any(Date) } });
+      expect(pastDateUpdate.$set).toMatchObject({ status: 'expired', expiredReason: 'expiry-date' });
+      expect(jobDedupeService.promoteDuplicates).toHaveBeenCalledWith(feedUrl);
+    });
+
+    it('does not look for duplicates to promote when nothing expired', async () => {
+      await jobExpiryService.expireJobs(feedUrl, runStartedAt);
+
+      expect(jobDedupeService.promoteDuplicates).not.toHaveBeenCalled();
+    });
+
+    it('only checks expiry dates when missing jobs should not be counted', async () => {
+      updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const result = await jobExpiryService.expireJobs(feedUrl, runStartedAt, { countMissing: false });
+
+      expect(updateMany).toHaveBeenCalledTimes(1);
+      expect(updateMany.mock.calls[0][0]).toHaveProperty('expiryDate');
+      expect(result).toEqual({ expiredMissingJobs: 0, expiredPastDateJobs: 3 });
+    });
+  });
+
+  describe('markSeen', () => {
+    it('reactivates jobs expired as missing and resets the missed-run count', async () => {
+      await jobExpiryService.markSeen(feedUrl, ['guid-1', 'guid-2'], runStartedAt);
+
+      const filter = { sourceFeed: feedUrl, originalGuid: { $in: ['guid-1', 'guid-2'] } };
+      expect(updateMany).toHaveBeenCalledWith({ ...filter, expiredReason: 'missing' }, {
+        $set: { status: 'active' },
+        $unset: { expiredReason: 1, expiredAt: 1 }
+      });
+      expect(updateMany).toHaveBeenCalledWith(filter, {
+        $set: { lastSeenAt: runStartedAt, missedRuns: 0 }
+      });
+    });
+
+    it('does nothing without GUIDs', async () => {
+      await jobExpiryService.markSeen(feedUrl, [], runStartedAt);
+
+      expect(updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
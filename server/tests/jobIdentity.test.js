@@ -0,0 +1,80 @@
+const { computeIdentity, normalizeCompany, postingSimilarity } = require('../src/utils/jobIdentity');
+
+describe('jobIdentity', () => {
+  describe('computeIdentity', () => {
+    it('gives the same key to postings that differ only in case, punctuation and legal suffixes', () => {
+      const a = computeIdentity({ title: 'Sr. Backend Engineer', company: 'Example, Inc.', location: 'Berlin, Germany' });
+      const b = computeIdentity({ title: 'senior backend engineer', company: 'EXAMPLE', location: 'Berlin Germany' });
+
+      expect(a).toEqual(b);
+      expect(a.canonicalKey).toBe('senior backend engineer|example|berlin germany');
+    });
+
+    it('keeps different locations apart', () => {
+      const a = computeIdentity({ title: 'Engineer', company: 'Example', location: 'Berlin' });
+      const b = computeIdentity({ title: 'Engineer', company: 'Example', location: 'London' });
+
+      expect(a.companyKey).toBe(b.companyKey);
+      expect(a.canonicalKey).not.toBe(b.canonicalKey);
+    });
+
+    it('gives jobs without a real company no companyKey', () => {
+      expect(computeIdentity({ title: 'Engineer', company: 'Unknown Company' }).companyKey).toBe('');
+      expect(computeIdentity({ title: 'Engineer', company: '' }).companyKey).toBe('');
+      expect(computeIdentity({ title: 'Engineer', company: 'Confidential' }).companyKey).toBe('');
+    });
+
+    it('handles missing locations', () => {
+      expect(computeIdentity({ title: 'Engineer', company: 'Example' }).canonicalKey).toBe('engineer|example|');
+    });
+  });
+
+  describe('normalizeCompany', () => {
+    it('strips accents and expands ampersands', () => {
+      expect(normalizeCompany('Crème & Co. GmbH')).toBe('creme and');
+    });
+  });
+
+  describe('postingSimilarity', () => {
+    it('scores near-identical titles highly', () => {
+      const score = postingSimilarity(
+        { title: 'Senior Backend Engineer (Node.js)', location: 'Remote' },
+        { title: 'Senior Backend Engineer - Node.js', location: 'Remote' }
+      );
+
+      expect(score).toBe(1);
+    });
+
+    it('scores small wording differences above and different roles below the default threshold', () => {
+      const similar = postingSimilarity(
+        { title: 'Senior Backend Engineers', location: 'Remote' },
+        { title: 'Senior Backend Engineer', location: 'Remote' }
+      );
+      const different = postingSimilarity(
+        { title: 'Senior Frontend Engineer', location: 'Remote' },
+        { title: 'Senior Backend Engineer', location: 'Remote' }
+      );
+
+      expect(similar).toBeGreaterThanOrEqual(0.9);
+      expect(different).toBeLessThan(0.9);
+    });
+
+    it('scores titles with an extra word as different roles', () => {
+      const score = postingSimilarity(
+        { title: 'Senior Software Engineer', location: 'Remote' },
+        { title: 'Senior Software Engineer II', location: 'Remote' }
+      );
+
+      expect(score).toBe(0);
+    });
+
+    it('still tolerates small location differences between equal titles', () => {
+      const score = postingSimilarity(
+        { title: 'Backend Engineer', location: 'Berlin, Germany' },
+        { title: 'Backend Engineer', location: 'Berlin, DE' }
+      );
+
+      expect(score).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const xmlFeedService = require('../src/services/xmlFeedService');
+const { mapFeedItemToJob, normalizeJobType } = require('../src/utils/jobMapper');
+
+const FIXTURES = {
+  'jobicy.com': 'jobicy.xml',
+  'www.higheredjobs.com': 'higheredjobs.xml'
+};
+
+// Parse a fixture through the same steps fetchFeed() uses, then map each item
+const loadMappedJobs = async (feed) => {
+  const fixture = FIXTURES[new URL(feed.url).hostname];
+  const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', fixture), 'utf8');
+  const parsed = await xmlFeedService.parseXML(xml);
+  const items = xmlFeedService.extractJobs(parsed, feed.url, feed.name);
+  return items.map(item => mapFeedItemToJob(item, feed));
+};
+
+describe('jobMapper', () => {
+  describe.each(xmlFeedService.getDefaultFeedSources())('$name', (feed) => {
+    it('has a fixture for the feed host', () => {
+      expect(FIXTURES[new URL(feed.url).hostname]).toBeDefined();
+    });
+
+    it('maps every item onto the Job schema fields', async () => {
+      const jobs = await loadMappedJobs(feed);
+
+      expect(jobs.length).toBeGreaterThan(0);
+      jobs.forEach(job => {
+        expect(job.originalGuid).toEqual(expect.any(String));
+        expect(job.title).toEqual(expect.any(String));
+        expect(job.applicationUrl).toMatch(/^https:\/\//);
+        expect(job.publishedDate).toBeInstanceOf(Date);
+        expect(isNaN(job.publishedDate.getTime())).toBe(false);
+        expect(['on-site', 'remote', 'hybrid']).toContain(job.remote);
+        expect(job.sourceFeed).toBe(feed.url);
+        expect(job.sourceName).toBe(feed.name);
+        expect(job.status).toBe('active');
+        expect(job.rawData).toBeDefined();
+
+        // Feed-item field names must not leak onto the job
+        expect(job).not.toHaveProperty('jobType');
+        expect(job).not.toHaveProperty('url');
+        expect(job).not.toHaveProperty('pubDate');
+        expect(job).not.toHaveProperty('isRemote');
+      });
+    });
+  });
+
+  describe('Jobicy fixture', () => {
+    const feed = { url: 'https://jobicy.com/?feed=job_feed', name: 'Jobicy - All Jobs' };
+
+    it('maps job type, remote flag, experience and dates', async () => {
+      const [dataEngineer, socialMedia, sales] = await loadMappedJobs(feed);
+
+      expect(dataEngineer.type).toBe('full-time');
+      expect(dataEngineer.remote).toBe('remote');
+      expect(dataEngineer.requirements).toEqual({ experience: 'senior' });
+      expect(dataEngineer.publishedDate.toISOString()).toBe('2024-10-14T10:00:00.000Z');
+      expect(dataEngineer.applicationUrl).toBe('https://jobicy.com/jobs/101-senior-data-engineer');
+      expect(dataEngineer.company).toBe('Acme Analytics');
+      expect(dataEngineer.location).toBe('USA');
+
+      expect(socialMedia.type).toBe('part-time');
+      expect(socialMedia.remote).toBe('remote');
+      expect(socialMedia.requirements).toEqual({ experience: 'entry' });
+
+      expect(sales.type).toBe('contract');
+      expect(sales.remote).toBe('hybrid');
+    });
+  });
+
+  describe('HigherEdJobs fixture', () => {
+    const feed = { url: 'https://www.higheredjobs.com/rss/articleFeed.cfm', name: 'HigherEdJobs' };
+
+    it('parses salary strings and keeps query strings in URLs', async () => {
+      const [director, adjunct] = await loadMappedJobs(feed);
+
+      expect(director.salary).toEqual({ min: 85000, max: 95000, currency: 'USD', period: 'yearly' });
+      expect(director.location).toBe('Boston, MA');
+      expect(director.remote).toBe('on-site');
+      expect(director.applicationUrl).toBe('https://www.higheredjobs.com/details.cfm?JobCode=178001');
+      expect(director.requirements).toEqual({ experience: 'senior' });
+
+      expect(adjunct.salary).toEqual({ min: 45, max: 60, currency: 'USD', period: 'hourly' });
+      expect(adjunct.type).toBeUndefined();
+    });
+  });
+
+  describe('mapFeedItemToJob', () => {
+    it('omits blank fields so updates keep stored values', () => {
+      const job = mapFeedItemToJob({
+        guid: 'abc',
+        title: 'Engineer',
+        description: '',
+        company: '  ',
+        salary: '',
+        url: '',
+        pubDate: 'not a date',
+        sourceFeed: 'https://example.com/feed',
+        sourceName: 'Example'
+      });
+
+      expect(job).not.toHaveProperty('description');
+      expect(job).not.toHaveProperty('company');
+      expect(job).not.toHaveProperty('salary');
+      expect(job).not.toHaveProperty('applicationUrl');
+      expect(job).not.toHaveProperty('publishedDate');
+      expect(job.sourceFeed).toBe('https://example.com/feed');
+    });
+
+    it('accepts serialized dates from queue payloads', () => {
+      const job = mapFeedItemToJob({ guid: 'abc', pubDate: '2024-10-14T10:00:00.000Z' });
+      expect(job.publishedDate).toEqual(new Date('2024-10-14T10:00:00.000Z'));
+    });
+  });
+
+  describe('normalizeJobType', () => {
+    it.each([
+      ['Full-Time', 'full-time'],
+      ['full time', 'full-time'],
+      ['FULLTIME', 'full-time'],
+      ['Part_Time', 'part-time'],
+      ['Contractor', 'contract'],
+      ['Temporary', 'contract'],
+      ['Intern', 'internship'],
+      ['Freelance', 'freelance'],
+      ['Volunteer', undefined],
+      ['', undefined]
+    ])('maps %p to %p', (input, expected) => {
+      expect(normalizeJobType(input)).toBe(expected);
+    });
+  });
+});
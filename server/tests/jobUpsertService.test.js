@@ -0,0 +1,497 @@
+const Job = require('../src/models/Job');
+const JobRevision = require('../src/models/JobRevision');
+const jobExpiryService = require('../src/services/jobExpiryService');
+const jobDedupeService = require('../src/services/jobDedupeService');
+const deadLetterService = require('../src/services/deadLetterService');
+const quarantineService = require('../src/services/quarantineService');
+const jobUpsertService = require('../src/services/jobUpsertService');
+const { mapFeedItemToJob } = require('../src/utils/jobMapper');
+const { computeContentHash } = require('../src/utils/contentHash');
+const { computeIdentity } = require('../src/utils/jobIdentity');
+
+const feed = { url: 'https://example.com/feed', name: 'Example Feed' };
+
+const buildItem = (overrides = {}) => ({
+  guid: 'guid-1',
+  title: 'Backend Engineer',
+  description: 'Build APIs',
+  company: 'Example Co',
+  url: 'https://example.com/jobs/1',
+  pubDate: '2024-10-14T10:00:00.000Z',
+  ...overrides
+});
+
+// Stored copy of an item, as Job.find() would return it
+const storedJob = (item, overrides = {}) => {
+  const fields = mapFeedItemToJob(item, feed);
+  return { _id: `id-${item.guid}`, ...fields, contentHash: computeContentHash(fields), ...overrides };
+};
+
+describe('jobUpsertService', () => {
+  let storedJobs;
+
+  beforeEach(() => {
+    storedJobs = [];
+    jest.spyOn(Job, 'find').mockImplementation(() => ({ lean: () => Promise.resolve(storedJobs) }));
+    jest.spyOn(JobRevision, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(jobDedupeService, 'resolveDuplicates').mockResolvedValue({ linked: 0, unlinked: 0 });
+    jest.spyOn(quarantineService, 'approvedHashes').mockResolvedValue(new Map());
+    jest.spyOn(quarantineService, 'resolve').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('upserts keyed on originalGuid and sourceFeed', async () => {
+    const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 1 });
+
+    const stats = await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2' })], feed);
+
+    const [operations, options] = bulkWrite.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(operations).toHaveLength(2);
+    expect(operations[0].updateOne.filter).toEqual({ originalGuid: 'guid-1', sourceFeed: feed.url });
+    expect(operations[0].updateOne.upsert).toBe(true);
+    expect(operations[0].updateOne.update.$set).toMatchObject({
+      title: 'Backend Engineer',
+      sourceName: 'Example Feed',
+      applicationUrl: 'https://example.com/jobs/1'
+    });
+    expect(operations[0].updateOne.update.$set).not.toHaveProperty('originalGuid');
+
+    expect(operations[0].updateOne.update.$set.contentHash).toEqual(expect.any(String));
+
+    expect(stats).toEqual({ processed: 2, newJobs: 1, updatedJobs: 1, unchangedJobs: 0, failedJobs: [] });
+  });
+
+  it('reports items failing schema validation without writing them', async () => {
+    const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+
+    const stats = await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2', description: '' })], feed);
+
+    expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+    expect(stats.processed).toBe(1);
+    expect(stats.failedJobs).toEqual([
+      expect.objectContaining({ guid: 'guid-2', reason: 'Validation error' })
+    ]);
+  });
+
+  it('counts per-operation write errors as failures', async () => {
+    const error = new Error('bulk write error');
+    error.writeErrors = [{ index: 1, errmsg: 'E11000 duplicate key' }];
+    error.result = { upsertedCount: 1, matchedCount: 0 };
+    jest.spyOn(Job, 'bulkWrite').mockRejectedValue(error);
+
+    const stats = await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2', title: 'Second' })], feed);
+
+    expect(stats.newJobs).toBe(1);
+    expect(stats.processed).toBe(1);
+    expect(stats.failedJobs).toEqual([
+      { guid: 'guid-2', title: 'Second', reason: 'Processing error', error: 'E11000 duplicate key' }
+    ]);
+  });
+
+  it('splits large imports into batches', async () => {
+    const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockImplementation(async (operations) => ({
+      upsertedCount: operations.length,
+      matchedCount: 0
+    }));
+    const originalBatchSize = jobUpsertService.batchSize;
+    jobUpsertService.batchSize = 2;
+
+    try {
+      const items = [1, 2, 3, 4, 5].map(n => buildItem({ guid: `guid-${n}` }));
+      const stats = await jobUpsertService.upsertJobs(items, feed);
+
+      expect(bulkWrite).toHaveBeenCalledTimes(3);
+      expect(stats.newJobs).toBe(5);
+    } finally {
+      jobUpsertService.batchSize = originalBatchSize;
+    }
+  });
+
+  describe('change detection', () => {
+    it('skips items whose content hash matches the stored job', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      storedJobs = [storedJob(buildItem())];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2' })], feed);
+
+      const [operations] = bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].updateOne.filter.originalGuid).toBe('guid-2');
+      expect(stats).toEqual({ processed: 2, newJobs: 1, updatedJobs: 0, unchangedJobs: 1, failedJobs: [] });
+    });
+
+    it('does not write when every item is unchanged', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite');
+      storedJobs = [storedJob(buildItem())];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem()], feed);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(stats.unchangedJobs).toBe(1);
+      expect(stats.processed).toBe(1);
+    });
+
+    it('records the changed fields on real updates', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 1 });
+      storedJobs = [storedJob(buildItem())];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem({ title: 'Senior Backend Engineer', location: 'Remote' })], feed);
+
+      const { $set } = bulkWrite.mock.calls[0][0][0].updateOne.update;
+      expect($set.changedFields).toEqual(['location', 'title']);
+      expect($set.contentUpdatedAt).toBeInstanceOf(Date);
+      expect($set.contentHash).not.toBe(storedJobs[0].contentHash);
+      expect(stats).toMatchObject({ newJobs: 0, updatedJobs: 1, unchangedJobs: 0 });
+    });
+
+    it('only stores the hash for unchanged jobs saved before hashing', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 1 });
+      storedJobs = [storedJob(buildItem(), { contentHash: undefined })];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem()], feed);
+
+      const { update } = bulkWrite.mock.calls[0][0][0].updateOne;
+      expect(update).toEqual({ $set: { contentHash: expect.any(String) } });
+      expect(stats).toMatchObject({ processed: 1, newJobs: 0, updatedJobs: 0, unchangedJobs: 1 });
+    });
+  });
+
+  describe('revision history', () => {
+    it('records a field-level diff for updated jobs, linked to the import log', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 1 });
+      storedJobs = [storedJob(buildItem())];
+
+      await jobUpsertService.upsertJobs([
+        buildItem({ title: 'Senior Backend Engineer', salary: '$90k - $110k' }),
+        buildItem({ guid: 'guid-2' })
+      ], feed, { importLogId: 'log-1' });
+
+      const [revisions] = JobRevision.insertMany.mock.calls[0];
+      expect(revisions).toEqual([{
+        job: 'id-guid-1',
+        originalGuid: 'guid-1',
+        sourceFeed: feed.url,
+        importLog: 'log-1',
+        changes: [
+          { field: 'salary', from: undefined, to: { min: 90000, max: 110000, currency: 'USD', period: 'yearly' } },
+          { field: 'title', from: 'Backend Engineer', to: 'Senior Backend Engineer' }
+        ]
+      }]);
+    });
+
+    it('records nothing for new or unchanged jobs', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      storedJobs = [storedJob(buildItem())];
+
+      await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2' })], feed, { importLogId: 'log-1' });
+
+      expect(JobRevision.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('skips revisions for updates that failed to write', async () => {
+      const error = new Error('bulk write error');
+      error.writeErrors = [{ index: 0, errmsg: 'write conflict' }];
+      error.result = { upsertedCount: 0, matchedCount: 0 };
+      jest.spyOn(Job, 'bulkWrite').mockRejectedValue(error);
+      storedJobs = [storedJob(buildItem())];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem({ title: 'Changed' })], feed, { importLogId: 'log-1' });
+
+      expect(stats.failedJobs).toHaveLength(1);
+      expect(JobRevision.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('does not fail the import when revisions cannot be saved', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 1 });
+      JobRevision.insertMany.mockRejectedValue(new Error('revision write failed'));
+      storedJobs = [storedJob(buildItem())];
+
+      const stats = await jobUpsertService.upsertJobs([buildItem({ title: 'Changed' })], feed);
+
+      expect(stats).toMatchObject({ updatedJobs: 1, failedJobs: [] });
+    });
+  });
+
+  describe('duplicate detection', () => {
+    it('resolves duplicates for new and changed jobs only', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 1 });
+      storedJobs = [
+        storedJob(buildItem(), computeIdentity(mapFeedItemToJob(buildItem(), feed))),
+        storedJob(buildItem({ guid: 'guid-2' }), computeIdentity(mapFeedItemToJob(buildItem(), feed)))
+      ];
+
+      await jobUpsertService.upsertJobs([
+        buildItem(),
+        buildItem({ guid: 'guid-2', title: 'Changed' }),
+        buildItem({ guid: 'guid-3' })
+      ], feed);
+
+      expect(jobDedupeService.resolveDuplicates).toHaveBeenCalledWith([
+        { originalGuid: 'guid-2', sourceFeed: feed.url },
+        { originalGuid: 'guid-3', sourceFeed: feed.url }
+      ]);
+    });
+
+    it('gives unchanged jobs stored before duplicate detection an identity', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite');
+      storedJobs = [storedJob(buildItem())];
+
+      await jobUpsertService.upsertJobs([buildItem()], feed);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(jobDedupeService.resolveDuplicates).toHaveBeenCalledWith([{ originalGuid: 'guid-1', sourceFeed: feed.url }]);
+    });
+
+    it('re-resolves unchanged jobs whose identity keys are outdated', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite');
+      const item = buildItem({ company: 'Unknown Company' });
+      // Keyed before placeholder companies lost their companyKey
+      storedJobs = [storedJob(item, { canonicalKey: 'backend engineer|unknown company|', companyKey: 'unknown company' })];
+
+      await jobUpsertService.upsertJobs([item], feed, { skipValidation: true });
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(jobDedupeService.resolveDuplicates).toHaveBeenCalledWith([{ originalGuid: 'guid-1', sourceFeed: feed.url }]);
+    });
+
+    it('does not fail the import when duplicate detection fails', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      jobDedupeService.resolveDuplicates.mockRejectedValue(new Error('database unavailable'));
+
+      const stats = await jobUpsertService.upsertJobs([buildItem()], feed);
+
+      expect(stats).toMatchObject({ newJobs: 1, failedJobs: [] });
+    });
+  });
+
+  describe('dead letters', () => {
+    it('stores failed items with their payload for the import log', async () => {
+      const record = jest.spyOn(deadLetterService, 'record').mockResolvedValue();
+      const error = new Error('bulk write error');
+      error.writeErrors = [{ index: 1, errmsg: 'E11000 duplicate key' }];
+      error.result = { upsertedCount: 1, matchedCount: 0 };
+      jest.spyOn(Job, 'bulkWrite').mockRejectedValue(error);
+      const invalid = buildItem({ guid: 'guid-3', description: '' });
+      const duplicate = buildItem({ guid: 'guid-2', title: 'Second' });
+
+      const stats = await jobUpsertService.upsertJobs([buildItem(), duplicate, invalid], feed, { importLogId: 'log-1' });
+
+      expect(record).toHaveBeenCalledWith('log-1', feed, [
+        { item: invalid, failure: expect.objectContaining({ guid: 'guid-3', reason: 'Validation error' }) },
+        { item: duplicate, failure: { guid: 'guid-2', title: 'Second', reason: 'Processing error', error: 'E11000 duplicate key' } }
+      ]);
+      expect(stats).not.toHaveProperty('failedItems');
+    });
+
+    it('stores nothing without an import log', async () => {
+      const record = jest.spyOn(deadLetterService, 'record');
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 0 });
+
+      await jobUpsertService.upsertJobs([buildItem({ description: '' })], feed);
+
+      expect(record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quarantine', () => {
+    it('quarantines items breaking a validation rule for the import log', async () => {
+      const record = jest.spyOn(quarantineService, 'record').mockResolvedValue();
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      const badUrl = buildItem({ guid: 'guid-2', url: 'not a url' });
+
+      const stats = await jobUpsertService.upsertJobs([buildItem(), badUrl], feed, { importLogId: 'log-1' });
+
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+      expect(record).toHaveBeenCalledWith('log-1', feed, [{
+        item: badUrl,
+        fields: expect.objectContaining({ originalGuid: 'guid-2' }),
+        reasons: [expect.objectContaining({ rule: 'invalid-url', field: 'applicationUrl' })]
+      }]);
+      expect(stats).toEqual({ processed: 1, newJobs: 1, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] });
+    });
+
+    it('quarantines placeholder companies unless the feed lists company as optional', async () => {
+      const record = jest.spyOn(quarantineService, 'record').mockResolvedValue();
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      const noCompany = buildItem({ company: 'Unknown Company' });
+
+      await jobUpsertService.upsertJobs([noCompany], feed, { importLogId: 'log-1' });
+      expect(record).toHaveBeenCalledWith('log-1', feed, [expect.objectContaining({
+        reasons: [{ rule: 'required', field: 'company', message: 'company is missing' }]
+      })]);
+      expect(bulkWrite).not.toHaveBeenCalled();
+
+      record.mockClear();
+      const optionalCompany = { ...feed, optionalFields: ['company'] };
+      await jobUpsertService.upsertJobs([noCompany], optionalCompany, { importLogId: 'log-1' });
+      expect(record).toHaveBeenCalledWith('log-1', optionalCompany, []);
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    it('resolves pending quarantine entries of items that now pass the rules', async () => {
+      jest.spyOn(quarantineService, 'record').mockResolvedValue();
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+
+      await jobUpsertService.upsertJobs([buildItem(), buildItem({ guid: 'guid-2', url: 'not a url' })], feed, { importLogId: 'log-1' });
+
+      expect(quarantineService.resolve).toHaveBeenCalledWith(feed, ['guid-1']);
+    });
+
+    it('counts rule violations as failures without an import log', async () => {
+      const record = jest.spyOn(quarantineService, 'record');
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, matchedCount: 0 });
+
+      const stats = await jobUpsertService.upsertJobs([buildItem({ url: 'not a url' })], feed);
+
+      expect(record).not.toHaveBeenCalled();
+      expect(stats.failedJobs).toEqual([
+        expect.objectContaining({ guid: 'guid-1', reason: 'Rule violation', error: 'applicationUrl is not a valid URL: not a url' })
+      ]);
+    });
+
+    it('imports items as they are with skipValidation', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+
+      const stats = await jobUpsertService.upsertJobs([buildItem({ url: 'not a url' })], feed, { skipValidation: true });
+
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+      expect(stats.failedJobs).toEqual([]);
+      expect(quarantineService.resolve).not.toHaveBeenCalled();
+    });
+
+    it('imports items approved before while their content is unchanged', async () => {
+      const record = jest.spyOn(quarantineService, 'record').mockResolvedValue();
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      const approved = buildItem({ url: 'not a url' });
+      const changed = buildItem({ guid: 'guid-2', url: 'not a url' });
+      quarantineService.approvedHashes.mockResolvedValue(new Map([
+        ['guid-1', computeContentHash(mapFeedItemToJob(approved, feed))],
+        ['guid-2', computeContentHash(mapFeedItemToJob(buildItem({ guid: 'guid-2', url: 'also not a url' }), feed))]
+      ]));
+
+      await jobUpsertService.upsertJobs([approved, changed], feed, { importLogId: 'log-1' });
+
+      expect(quarantineService.approvedHashes).toHaveBeenCalledWith(feed.url, ['guid-1', 'guid-2']);
+      expect(bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter.originalGuid)).toEqual(['guid-1']);
+      expect(record).toHaveBeenCalledWith('log-1', feed, [expect.objectContaining({ item: changed })]);
+    });
+
+    it('keeps items set aside when the approvals cannot be loaded', async () => {
+      const record = jest.spyOn(quarantineService, 'record').mockResolvedValue();
+      quarantineService.approvedHashes.mockRejectedValue(new Error('database unavailable'));
+      const item = buildItem({ url: 'not a url' });
+
+      const stats = await jobUpsertService.upsertJobs([item], feed, { importLogId: 'log-1' });
+
+      expect(stats.processed).toBe(0);
+      expect(record).toHaveBeenCalledWith('log-1', feed, [expect.objectContaining({ item })]);
+    });
+
+    it('previews quarantined items with their reasons', async () => {
+      const record = jest.spyOn(quarantineService, 'record');
+
+      const stats = await jobUpsertService.previewJobs([buildItem(), buildItem({ guid: 'guid-2', url: 'ftp://example.com/job' })], feed);
+
+      expect(record).not.toHaveBeenCalled();
+      expect(stats).toMatchObject({ processed: 1, newJobs: 1, quarantinedJobs: 1 });
+      expect(stats).not.toHaveProperty('quarantinedItems');
+      expect(stats.samples.quarantined).toEqual([expect.objectContaining({
+        guid: 'guid-2',
+        reasons: ['applicationUrl is not a valid URL: ftp://example.com/job']
+      })]);
+    });
+  });
+
+  describe('previewJobs', () => {
+    it('classifies items like upsertJobs without writing', async () => {
+      const bulkWrite = jest.spyOn(Job, 'bulkWrite');
+      storedJobs = [
+        storedJob(buildItem()),
+        storedJob(buildItem({ guid: 'guid-2' }))
+      ];
+
+      const stats = await jobUpsertService.previewJobs([
+        buildItem(),
+        buildItem({ guid: 'guid-2', title: 'Changed' }),
+        buildItem({ guid: 'guid-3' }),
+        buildItem({ guid: 'guid-4', description: '' })
+      ], feed);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(JobRevision.insertMany).not.toHaveBeenCalled();
+      expect(jobDedupeService.resolveDuplicates).not.toHaveBeenCalled();
+      expect(stats).toMatchObject({ processed: 3, newJobs: 1, updatedJobs: 1, unchangedJobs: 1 });
+      expect(stats.failedJobs).toEqual([expect.objectContaining({ guid: 'guid-4', reason: 'Validation error' })]);
+    });
+
+    it('collects sample jobs per outcome with the field diff of updates', async () => {
+      storedJobs = [
+        storedJob(buildItem()),
+        storedJob(buildItem({ guid: 'guid-2' }))
+      ];
+
+      const stats = await jobUpsertService.previewJobs([
+        buildItem(),
+        buildItem({ guid: 'guid-2', title: 'Changed' }),
+        buildItem({ guid: 'guid-3' }),
+        buildItem({ guid: 'guid-4', description: '' })
+      ], feed);
+
+      expect(stats.samples.new).toEqual([expect.objectContaining({ guid: 'guid-3', jobId: undefined })]);
+      expect(stats.samples.unchanged).toEqual([expect.objectContaining({ guid: 'guid-1', jobId: storedJobs[0]._id })]);
+      expect(stats.samples.updated).toEqual([expect.objectContaining({
+        guid: 'guid-2',
+        title: 'Changed',
+        changes: [{ field: 'title', from: storedJobs[1].title, to: 'Changed' }]
+      })]);
+      expect(stats.samples.rejected).toEqual([expect.objectContaining({ guid: 'guid-4', reason: 'Validation error' })]);
+    });
+
+    it('caps the samples at sampleSize', async () => {
+      const sampleSize = jobUpsertService.sampleSize;
+      jobUpsertService.sampleSize = 2;
+
+      try {
+        const stats = await jobUpsertService.previewJobs(
+          ['guid-1', 'guid-2', 'guid-3'].map(guid => buildItem({ guid })),
+          feed
+        );
+
+        expect(stats.newJobs).toBe(3);
+        expect(stats.samples.new.map(sample => sample.guid)).toEqual(['guid-1', 'guid-2']);
+      } finally {
+        jobUpsertService.sampleSize = sampleSize;
+      }
+    });
+  });
+
+  describe('expiry tracking', () => {
+    it('marks every item as seen by the run, including unchanged and invalid ones', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      const markSeen = jest.spyOn(jobExpiryService, 'markSeen').mockResolvedValue();
+      storedJobs = [storedJob(buildItem())];
+      const seenAt = new Date('2024-10-16T10:00:00.000Z');
+
+      await jobUpsertService.upsertJobs([
+        buildItem(),
+        buildItem({ guid: ' guid-2 ' }),
+        buildItem({ guid: 'guid-3', description: '' })
+      ], feed, { seenAt });
+
+      expect(markSeen).toHaveBeenCalledWith(feed.url, ['guid-1', 'guid-2', 'guid-3'], seenAt);
+    });
+
+    it('does not mark items without a run timestamp', async () => {
+      jest.spyOn(Job, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+      const markSeen = jest.spyOn(jobExpiryService, 'markSeen');
+
+      await jobUpsertService.upsertJobs([buildItem()], feed);
+
+      expect(markSeen).not.toHaveBeenCalled();
+    });
+  });
+});
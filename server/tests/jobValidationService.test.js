@@ -0,0 +1,108 @@
+const jobValidationService = require('../src/services/jobValidationService');
+
+const now = new Date('2024-10-15T10:00:00Z');
+
+const buildFields = (overrides = {}) => ({
+  originalGuid: 'guid-1',
+  title: 'Backend Engineer',
+  description: 'Build APIs',
+  company: 'Example Co',
+  applicationUrl: 'https://example.com/jobs/1',
+  publishedDate: new Date('2024-10-14T10:00:00Z'),
+  ...overrides
+});
+
+// Run fn with some rule settings changed, restoring them afterwards
+const withSettings = (settings, fn) => {
+  const previous = Object.fromEntries(Object.keys(settings).map(key => [key, jobValidationService[key]]));
+  Object.assign(jobValidationService, settings);
+  try {
+    return fn();
+  } finally {
+    Object.assign(jobValidationService, previous);
+  }
+};
+
+describe('jobValidationService', () => {
+  it('accepts a complete job', () => {
+    expect(jobValidationService.validate(buildFields(), now)).toEqual([]);
+  });
+
+  it('requires a title and a company by default', () => {
+    const defaults = new jobValidationService.constructor();
+
+    expect(defaults.requiredFields).toEqual(['title', 'company']);
+    expect(defaults.validate(buildFields({ company: 'Unknown Company' }), now)).toEqual([
+      { rule: 'required', field: 'company', message: 'company is missing' }
+    ]);
+  });
+
+  it('does not require the fields a feed lists as optional', () => {
+    const fields = buildFields({ title: 'Untitled Job', company: 'Unknown Company' });
+
+    expect(jobValidationService.validate(fields, now, ['company'])).toEqual([
+      { rule: 'required', field: 'title', message: 'title is missing' }
+    ]);
+  });
+
+  it('treats missing values and placeholders as missing required fields', () => {
+    withSettings({ requiredFields: ['title', 'company'] }, () => {
+      expect(jobValidationService.validate(buildFields({ title: 'Untitled Job', company: '  ' }), now)).toEqual([
+        { rule: 'required', field: 'title', message: 'title is missing' },
+        { rule: 'required', field: 'company', message: 'company is missing' }
+      ]);
+    });
+
+    withSettings({ requiredFields: ['location'] }, () => {
+      expect(jobValidationService.validate(buildFields(), now)).toEqual([
+        { rule: 'required', field: 'location', message: 'location is missing' }
+      ]);
+    });
+  });
+
+  it('checks the description length without markup when configured', () => {
+    expect(jobValidationService.validate(buildFields(), now)).toEqual([]);
+
+    withSettings({ minDescriptionLength: 20 }, () => {
+      expect(jobValidationService.validate(buildFields({ description: '<p>Build APIs</p>' }), now)).toEqual([
+        { rule: 'min-length', field: 'description', message: 'description is shorter than 20 characters' }
+      ]);
+      expect(jobValidationService.validate(buildFields({ description: 'Build and run APIs at scale' }), now)).toEqual([]);
+    });
+  });
+
+  it('requires an http(s) application URL when one is set', () => {
+    expect(jobValidationService.validate(buildFields({ applicationUrl: 'javascript:alert(1)' }), now)).toEqual([
+      { rule: 'invalid-url', field: 'applicationUrl', message: 'applicationUrl is not a valid URL: javascript:alert(1)' }
+    ]);
+    expect(jobValidationService.validate(buildFields({ applicationUrl: 'example.com/jobs/1' }), now)).toHaveLength(1);
+    expect(jobValidationService.validate(buildFields({ applicationUrl: undefined }), now)).toEqual([]);
+  });
+
+  it('rejects published dates too far in the future', () => {
+    const { maxFutureDays } = jobValidationService;
+    const daysAhead = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    expect(jobValidationService.validate(buildFields({ publishedDate: daysAhead(maxFutureDays) }), now)).toEqual([]);
+    expect(jobValidationService.validate(buildFields({ publishedDate: daysAhead(maxFutureDays + 1) }), now)).toEqual([
+      { rule: 'invalid-date', field: 'publishedDate', message: 'publishedDate is in the future' }
+    ]);
+  });
+
+  it('rejects old published dates only when a maximum age is set', () => {
+    const old = buildFields({ publishedDate: new Date('2023-01-01T00:00:00Z') });
+
+    expect(jobValidationService.validate(old, now)).toEqual([]);
+    withSettings({ maxAgeDays: 90 }, () => {
+      expect(jobValidationService.validate(old, now)).toEqual([
+        { rule: 'invalid-date', field: 'publishedDate', message: 'publishedDate is more than 90 days old' }
+      ]);
+    });
+  });
+
+  it('accepts everything when disabled', () => {
+    withSettings({ enabled: false }, () => {
+      expect(jobValidationService.validate(buildFields({ company: 'Unknown Company', applicationUrl: 'nope' }), now)).toEqual([]);
+    });
+  });
+});
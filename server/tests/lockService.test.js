@@ -0,0 +1,106 @@
+const Lock = require('../src/models/Lock');
+const redis = require('../src/config/redis');
+const lockService = require('../src/services/lockService');
+
+describe('lockService', () => {
+  let handle;
+
+  afterEach(async () => {
+    if (handle) clearInterval(handle.timer);
+    handle = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('with Redis', () => {
+    let client;
+
+    beforeEach(() => {
+      client = {
+        set: jest.fn().mockResolvedValue('OK'),
+        get: jest.fn().mockResolvedValue(null),
+        eval: jest.fn().mockResolvedValue(1)
+      };
+      jest.spyOn(redis, 'isRedisConnected').mockReturnValue(true);
+      jest.spyOn(redis, 'getRedisClient').mockReturnValue(client);
+    });
+
+    it('sets the lock key only if it is free, with a TTL', async () => {
+      handle = await lockService.acquire('import', 60000);
+
+      expect(handle).toMatchObject({ name: 'import', backend: 'redis', owner: lockService.owner, lost: false });
+      expect(client.set).toHaveBeenCalledWith('lock:import', handle.value, { NX: true, PX: 60000 });
+      expect(JSON.parse(handle.value)).toMatchObject({ owner: lockService.owner, token: handle.token });
+    });
+
+    it('returns null while another instance holds the lock', async () => {
+      client.set.mockResolvedValue(null);
+
+      expect(await lockService.acquire('import', 60000)).toBeNull();
+    });
+
+    it('reports the holder stored with the lock', async () => {
+      client.get.mockResolvedValue(JSON.stringify({ owner: 'worker-2:42', token: 'abc', acquiredAt: '2024-10-16T10:00:00.000Z' }));
+
+      expect(await lockService.getHolder('import')).toEqual({
+        owner: 'worker-2:42',
+        acquiredAt: '2024-10-16T10:00:00.000Z',
+        backend: 'redis'
+      });
+    });
+
+    it('renews and releases only its own lock', async () => {
+      handle = await lockService.acquire('import', 60000);
+
+      await lockService.renew(handle);
+      await lockService.release(handle);
+
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('PEXPIRE'), { keys: ['lock:import'], arguments: [handle.value, '60000'] });
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('DEL'), { keys: ['lock:import'], arguments: [handle.value] });
+    });
+
+    it('marks the lock lost when a renewal finds it taken over', async () => {
+      handle = await lockService.acquire('import', 60000);
+      client.eval.mockResolvedValue(0);
+
+      await lockService.renew(handle);
+
+      expect(handle.lost).toBe(true);
+    });
+  });
+
+  describe('with the Mongo fallback', () => {
+    beforeEach(() => {
+      jest.spyOn(redis, 'isRedisConnected').mockReturnValue(false);
+    });
+
+    it('takes the lock when it is free or expired', async () => {
+      const findOneAndUpdate = jest.spyOn(Lock, 'findOneAndUpdate').mockResolvedValue(null);
+
+      handle = await lockService.acquire('import', 60000);
+
+      expect(handle).toMatchObject({ backend: 'mongo' });
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'import', expiresAt: { $lte: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ owner: lockService.owner, token: handle.token });
+      expect(options).toEqual({ upsert: true });
+    });
+
+    it('returns null when the upsert collides with a held lock', async () => {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      jest.spyOn(Lock, 'findOneAndUpdate').mockRejectedValue(error);
+
+      expect(await lockService.acquire('import', 60000)).toBeNull();
+    });
+
+    it('releases by token', async () => {
+      jest.spyOn(Lock, 'findOneAndUpdate').mockResolvedValue(null);
+      const deleteOne = jest.spyOn(Lock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      handle = await lockService.acquire('import', 60000);
+
+      await lockService.release(handle);
+
+      expect(deleteOne).toHaveBeenCalledWith({ _id: 'import', token: handle.token });
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const QuarantinedJob = require('../src/models/QuarantinedJob');
+const ImportLog = require('../src/models/ImportLog');
+const jobUpsertService = require('../src/services/jobUpsertService');
+const quarantineService = require('../src/services/quarantineService');
+const { computeContentHash } = require('../src/utils/contentHash');
+const logger = require('../src/utils/logger');
+
+const feed = { url: 'https://example.com/feed', name: 'Example Feed' };
+
+const item = { guid: 'guid-1', title: 'Backend Engineer', company: 'Unknown Company', url: 'https://example.com/jobs/1' };
+
+const entry = {
+  _id: 'quarantined-1',
+  importLog: 'log-1',
+  sourceFeed: feed.url,
+  sourceName: feed.name,
+  guid: 'guid-1',
+  title: 'Backend Engineer',
+  status: 'approved',
+  payload: item
+};
+
+// Chainable stand-in for a mongoose query resolving to result
+const query = (result) => {
+  const chain = { select: jest.fn(() => chain) };
+  chain.lean = () => Promise.resolve(result);
+  return chain;
+};
+
+// findOneAndUpdate() resolving to doc through .lean()
+const mockClaim = (doc) => jest.spyOn(QuarantinedJob, 'findOneAndUpdate').mockReturnValue({ lean: () => Promise.resolve(doc) });
+
+describe('quarantineService', () => {
+  beforeEach(() => {
+    jest.spyOn(QuarantinedJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    const reasons = [{ rule: 'required', field: 'company', message: 'company is missing' }];
+    const fields = { originalGuid: 'guid-1', title: 'Backend Engineer', company: 'Unknown Company' };
+    const hash = computeContentHash(fields);
+
+    let bulkWrite;
+    let updateLog;
+
+    // Entries of the feed already reviewed, as find() returns them
+    const mockReviewed = (entries) => jest.spyOn(QuarantinedJob, 'find').mockReturnValue(query(entries));
+
+    beforeEach(() => {
+      bulkWrite = jest.spyOn(QuarantinedJob, 'bulkWrite').mockResolvedValue({ upsertedCount: 1 });
+      updateLog = jest.spyOn(ImportLog, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('upserts the items on their feed and guid and counts them on the import log', async () => {
+      const find = mockReviewed([]);
+
+      await quarantineService.record('log-1', feed, [{ item, fields, reasons }]);
+
+      expect(find).toHaveBeenCalledWith({ sourceFeed: feed.url, guid: { $in: ['guid-1'] }, status: { $ne: 'pending' } });
+      expect(bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { sourceFeed: feed.url, guid: 'guid-1' },
+          update: {
+            $set: {
+              importLog: 'log-1',
+              sourceName: feed.name,
+              title: 'Backend Engineer',
+              company: 'Unknown Company',
+              reasons,
+              payload: item,
+              contentHash: hash,
+              status: 'pending'
+            },
+            $unset: { reviewedAt: '' }
+          },
+          upsert: true
+        }
+      }], { ordered: false });
+      expect(updateLog).toHaveBeenCalledWith({ _id: 'log-1' }, { $inc: { quarantinedJobs: 1 } });
+    });
+
+    it('refreshes a pending item on later runs instead of adding another', async () => {
+      mockReviewed([]);
+
+      await quarantineService.record('log-1', feed, [{ item, fields, reasons }]);
+      await quarantineService.record('log-2', feed, [{ item, fields, reasons }]);
+
+      const upserts = bulkWrite.mock.calls.map(([operations]) => operations[0].updateOne);
+      expect(upserts.map(operation => operation.filter)).toEqual([
+        { sourceFeed: feed.url, guid: 'guid-1' },
+        { sourceFeed: feed.url, guid: 'guid-1' }
+      ]);
+      expect(upserts.every(operation => operation.upsert)).toBe(true);
+      expect(upserts[1].update.$set.importLog).toBe('log-2');
+    });
+
+    it('leaves reviewed items alone while their content is unchanged', async () => {
+      mockReviewed([{ guid: 'guid-1', contentHash: hash }]);
+
+      await quarantineService.record('log-2', feed, [{ item, fields, reasons }]);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(updateLog).not.toHaveBeenCalled();
+    });
+
+    it('makes reviewed items pending again once their content changes', async () => {
+      mockReviewed([{ guid: 'guid-1', contentHash: 'old-hash' }]);
+
+      await quarantineService.record('log-2', feed, [{ item, fields, reasons }]);
+
+      expect(bulkWrite.mock.calls[0][0][0].updateOne.update.$set).toMatchObject({ status: 'pending', contentHash: hash });
+      expect(updateLog).toHaveBeenCalledWith({ _id: 'log-2' }, { $inc: { quarantinedJobs: 1 } });
+    });
+
+    it('does nothing without items', async () => {
+      const find = mockReviewed([]);
+
+      await quarantineService.record('log-1', feed, []);
+
+      expect(find).not.toHaveBeenCalled();
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('does not fail the import when the items cannot be stored', async () => {
+      mockReviewed([]);
+      bulkWrite.mockRejectedValue(new Error('write failed'));
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await expect(quarantineService.record('log-1', feed, [{ item, fields, reasons }])).resolves.toBeUndefined();
+      expect(warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('resolve', () => {
+    it('deletes the pending entries of the feed items', async () => {
+      const deleteMany = jest.spyOn(QuarantinedJob, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      await quarantineService.resolve(feed, ['guid-1']);
+
+      expect(deleteMany).toHaveBeenCalledWith({ sourceFeed: feed.url, guid: { $in: ['guid-1'] }, status: 'pending' });
+    });
+
+    it('does nothing without items', async () => {
+      const deleteMany = jest.spyOn(QuarantinedJob, 'deleteMany');
+
+      await quarantineService.resolve(feed, []);
+
+      expect(deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approvedHashes', () => {
+    it('maps the approved items of a feed to their content hash', async () => {
+      const find = jest.spyOn(QuarantinedJob, 'find').mockReturnValue(query([{ guid: 'guid-1', contentHash: 'hash-1' }]));
+
+      const approved = await quarantineService.approvedHashes(feed.url, ['guid-1', 'guid-2']);
+
+      expect(find).toHaveBeenCalledWith({ sourceFeed: feed.url, guid: { $in: ['guid-1', 'guid-2'] }, status: 'approved' });
+      expect(approved).toEqual(new Map([['guid-1', 'hash-1']]));
+    });
+  });
+
+  describe('approve', () => {
+    it('imports the payload without validation rules', async () => {
+      const claim = mockClaim(entry);
+      const stats = { processed: 1, newJobs: 1, updatedJobs: 0, unchangedJobs: 0, failedJobs: [] };
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue(stats);
+
+      const result = await quarantineService.approve('quarantined-1');
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: 'quarantined-1', status: 'pending' },
+        { $set: { status: 'approved', reviewedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(upsertJobs).toHaveBeenCalledWith([item], feed, { skipValidation: true });
+      expect(result).toEqual({ entry, stats });
+      expect(QuarantinedJob.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('keeps the item pending when the import fails', async () => {
+      mockClaim(entry);
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockResolvedValue({
+        processed: 0,
+        newJobs: 0,
+        updatedJobs: 0,
+        unchangedJobs: 0,
+        failedJobs: [{ guid: 'guid-1', reason: 'Validation error', error: 'Path `description` is required.' }]
+      });
+
+      const result = await quarantineService.approve('quarantined-1');
+
+      expect(result.error).toBe('Path `description` is required.');
+      expect(QuarantinedJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'quarantined-1' },
+        { $set: { status: 'pending' }, $unset: { reviewedAt: '' } }
+      );
+    });
+
+    it('keeps the item pending when the upsert throws', async () => {
+      mockClaim(entry);
+      jest.spyOn(jobUpsertService, 'upsertJobs').mockRejectedValue(new Error('connection lost'));
+
+      await expect(quarantineService.approve('quarantined-1')).rejects.toThrow('connection lost');
+      expect(QuarantinedJob.updateOne).toHaveBeenCalled();
+    });
+
+    it('resolves with null for items that are not pending', async () => {
+      mockClaim(null);
+      const upsertJobs = jest.spyOn(jobUpsertService, 'upsertJobs');
+
+      expect(await quarantineService.approve('quarantined-1')).toBeNull();
+      expect(upsertJobs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discard', () => {
+    it('marks a pending item discarded', async () => {
+      const discarded = { ...entry, status: 'discarded' };
+      const claim = mockClaim(discarded);
+
+      expect(await quarantineService.discard('quarantined-1')).toEqual(discarded);
+      expect(claim).toHaveBeenCalledWith(
+        { _id: 'quarantined-1', status: 'pending' },
+        { $set: { status: 'discarded', reviewedAt: expect.any(Date) } },
+        { new: true }
+      );
+    });
+  });
+});
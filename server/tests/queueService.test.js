@@ -0,0 +1,114 @@
+const queueService = require('../src/services/queueService');
+
+// Stand-in for a BullMQ job in the given state
+const fakeJob = (state, overrides = {}) => ({
+  id: 'job-1',
+  name: 'import-Example Feed-1',
+  data: { feedName: 'Example Feed', chunk: 1, jobData: [{ guid: 'guid-1' }, { guid: 'guid-2' }] },
+  opts: { attempts: 3 },
+  attemptsMade: 3,
+  failedReason: state === 'failed' ? 'timeout' : undefined,
+  stacktrace: state === 'failed' ? ['Error: timeout'] : [],
+  timestamp: 1700000000000,
+  getState: jest.fn().mockResolvedValue(state),
+  retry: jest.fn().mockResolvedValue(),
+  remove: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('queueService administration', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = {
+      isPaused: jest.fn().mockResolvedValue(false),
+      getJobCounts: jest.fn().mockResolvedValue({ waiting: 0, failed: 1 }),
+      getJobs: jest.fn().mockResolvedValue([]),
+      clean: jest.fn().mockResolvedValue([])
+    };
+    jest.spyOn(queueService, 'getQueue').mockReturnValue(queue);
+    queueService.redisAvailable = true;
+  });
+
+  afterEach(() => {
+    queueService.redisAvailable = false;
+    jest.restoreAllMocks();
+  });
+
+  it('counts jobs in every listed state, including prioritized ones', async () => {
+    const overview = await queueService.getQueueOverview('job-import');
+
+    expect(queue.getJobCounts).toHaveBeenCalledWith(...queueService.jobStates);
+    expect(queueService.jobStates).toContain('prioritized');
+    expect(overview).toMatchObject({ name: 'job-import', paused: false, counts: { failed: 1 } });
+  });
+
+  it('lists a page of jobs with their failure reason and summarized data', async () => {
+    queue.getJobs.mockResolvedValue([fakeJob('failed'), undefined]);
+
+    const jobs = await queueService.listJobs('job-import', 'failed', { start: 20, limit: 10 });
+
+    // Finished jobs are listed newest first
+    expect(queue.getJobs).toHaveBeenCalledWith(['failed'], 20, 29, false);
+    expect(jobs).toEqual([expect.objectContaining({
+      id: 'job-1',
+      state: 'failed',
+      failedReason: 'timeout',
+      data: { feedName: 'Example Feed', chunk: 1, jobData: '[2 items]' }
+    })]);
+    expect(jobs[0].stacktrace).toBeUndefined();
+  });
+
+  it('returns a job\'s full data and stack trace', async () => {
+    jest.spyOn(queueService, 'getJob').mockResolvedValue(fakeJob('failed'));
+
+    const job = await queueService.getJobDetails('job-import', 'job-1');
+
+    expect(job.data.jobData).toHaveLength(2);
+    expect(job.stacktrace).toEqual(['Error: timeout']);
+  });
+
+  it('only retries failed jobs', async () => {
+    const failed = fakeJob('failed');
+    const waiting = fakeJob('waiting');
+    jest.spyOn(queueService, 'getJob').mockResolvedValueOnce(failed).mockResolvedValueOnce(waiting).mockResolvedValueOnce(null);
+
+    expect(await queueService.retryJob('job-import', 'job-1')).toEqual({ retried: true, state: 'waiting' });
+    expect(failed.retry).toHaveBeenCalledWith('failed');
+
+    expect(await queueService.retryJob('job-import', 'job-2')).toEqual({ retried: false, state: 'waiting' });
+    expect(waiting.retry).not.toHaveBeenCalled();
+
+    expect(await queueService.retryJob('job-import', 'missing')).toBeNull();
+  });
+
+  it('does not retry failed import chunks already recorded on their import log', async () => {
+    const chunk = fakeJob('failed', { data: { feedName: 'Example Feed', chunk: 2, importLogId: 'log-1', jobData: [] } });
+    jest.spyOn(queueService, 'getJob').mockResolvedValue(chunk);
+
+    expect(await queueService.retryJob('job-import', 'job-1')).toEqual({ retried: false, state: 'failed', importLogId: 'log-1' });
+    expect(chunk.retry).not.toHaveBeenCalled();
+  });
+
+  it('does not remove active jobs', async () => {
+    const active = fakeJob('active');
+    const failed = fakeJob('failed');
+    jest.spyOn(queueService, 'getJob').mockResolvedValueOnce(active).mockResolvedValueOnce(failed);
+
+    expect(await queueService.removeJob('job-import', 'job-1')).toEqual({ removed: false, state: 'active' });
+    expect(active.remove).not.toHaveBeenCalled();
+
+    expect(await queueService.removeJob('job-import', 'job-2')).toEqual({ removed: true, state: 'failed' });
+    expect(failed.remove).toHaveBeenCalled();
+  });
+
+  it('cleans every requested state without a limit', async () => {
+    queue.clean.mockImplementation(async (grace, limit, state) => (state === 'failed' ? ['a', 'b'] : ['c']));
+
+    const removed = await queueService.cleanQueue('job-import', 1000);
+
+    expect(queue.clean).toHaveBeenCalledWith(1000, 0, 'completed');
+    expect(queue.clean).toHaveBeenCalledWith(1000, 0, 'failed');
+    expect(removed).toEqual({ completed: 1, failed: 2 });
+  });
+});
@@ -0,0 +1,31 @@
+const { parseSalary } = require('../src/utils/salaryParser');
+
+describe('parseSalary', () => {
+  it.each([
+    ['$50,000 - $70,000', { min: 50000, max: 70000, currency: 'USD', period: 'yearly' }],
+    ['$50k-$70k per year', { min: 50000, max: 70000, currency: 'USD', period: 'yearly' }],
+    ['50-70k EUR', { min: 50000, max: 70000, currency: 'EUR', period: 'yearly' }],
+    ['£30,000 p.a.', { min: 30000, max: 30000, currency: 'GBP', period: 'yearly' }],
+    ['USD 25 - 30 per hour', { min: 25, max: 30, currency: 'USD', period: 'hourly' }],
+    ['€4,000/month', { min: 4000, max: 4000, currency: 'EUR', period: 'monthly' }],
+    ['C$800 weekly', { min: 800, max: 800, currency: 'CAD', period: 'weekly' }],
+    ['₹1.2M annually', { min: 1200000, max: 1200000, currency: 'INR', period: 'yearly' }],
+    ['Up to $120,000', { max: 120000, currency: 'USD', period: 'yearly' }],
+    ['From $60k', { min: 60000, currency: 'USD', period: 'yearly' }],
+    ['$90,000+', { min: 90000, currency: 'USD', period: 'yearly' }],
+    ['$120k+', { min: 120000, currency: 'USD', period: 'yearly' }],
+    ['$120k-$150k/yr + equity', { min: 120000, max: 150000, currency: 'USD', period: 'yearly' }],
+    ['$100k + equity', { min: 100000, max: 100000, currency: 'USD', period: 'yearly' }]
+  ])('parses %p', (input, expected) => {
+    expect(parseSalary(input)).toEqual(expected);
+  });
+
+  it.each([null, undefined, '', 'Competitive', 'DOE'])('returns null for %p', (input) => {
+    expect(parseSalary(input)).toBeNull();
+  });
+
+  it('passes through structured salaries', () => {
+    const salary = { min: 1, max: 2, currency: 'USD', period: 'yearly' };
+    expect(parseSalary(salary)).toBe(salary);
+  });
+});
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const axios = require('axios');
+const xmlFeedService = require('../src/services/xmlFeedService');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+const FEED_URL = 'https://partner.example.com/feed';
+const FEED_NAME = 'Partner';
+
+describe('xmlFeedService', () => {
+  describe('detectFormat', () => {
+    it.each([
+      ['jobicy.xml', 'rss'],
+      ['higheredjobs.xml', 'rss'],
+      ['atom.xml', 'atom'],
+      ['jsonfeed.json', 'json-feed']
+    ])('detects %s as %s', (fixture, format) => {
+      expect(xmlFeedService.detectFormat(readFixture(fixture))).toBe(format);
+    });
+
+    it('detects a namespace-prefixed Atom root', () => {
+      expect(xmlFeedService.detectFormat('<atom:feed xmlns:atom="http://www.w3.org/2005/Atom"></atom:feed>')).toBe('atom');
+    });
+
+    it('rejects JSON that is not a JSON Feed', () => {
+      expect(xmlFeedService.detectFormat('{"jobs": []}')).toBeNull();
+    });
+
+    it('rejects content that is neither XML nor JSON', () => {
+      expect(xmlFeedService.detectFormat('Service unavailable')).toBeNull();
+    });
+  });
+
+  describe('parseFeed', () => {
+    it('produces the same normalized job shape for every format', async () => {
+      const results = await Promise.all(['jobicy.xml', 'atom.xml', 'jsonfeed.json'].map(fixture =>
+        xmlFeedService.parseFeed(readFixture(fixture), FEED_URL, FEED_NAME)
+      ));
+
+      const [rssKeys, ...otherKeys] = results.map(({ jobs }) => Object.keys(jobs[0]).sort());
+      otherKeys.forEach(keys => expect(keys).toEqual(rssKeys));
+    });
+
+    it('reads the fields a field mapping sets from the mapped paths', async () => {
+      const fieldMapping = {
+        company: { path: 'category' },
+        jobType: { path: 'job_listing:job_type', transforms: [{ type: 'lowercase' }] },
+        tags: { path: 'title', transforms: [{ type: 'split', separator: ' ' }] }
+      };
+
+      const { jobs } = await xmlFeedService.parseFeed(readFixture('jobicy.xml'), FEED_URL, FEED_NAME, fieldMapping);
+
+      expect(jobs[0]).toMatchObject({
+        title: 'Senior Data Engineer',
+        company: 'Data Science',
+        jobType: 'full-time',
+        location: 'USA',
+        tags: ['Senior', 'Data', 'Engineer']
+      });
+    });
+
+    it('throws for unsupported content', async () => {
+      await expect(xmlFeedService.parseFeed('{"jobs": []}', FEED_URL, FEED_NAME)).rejects.toThrow('RSS, Atom or JSON Feed');
+    });
+  });
+
+  describe('Atom', () => {
+    let format;
+    let jobs;
+
+    beforeAll(async () => {
+      ({ format, jobs } = await xmlFeedService.parseFeed(readFixture('atom.xml'), FEED_URL, FEED_NAME));
+    });
+
+    it('reports the atom format and every entry', () => {
+      expect(format).toBe('atom');
+      expect(jobs).toHaveLength(2);
+    });
+
+    it('maps entry elements onto job fields', () => {
+      expect(jobs[0]).toMatchObject({
+        guid: 'urn:partner:job:501',
+        title: 'Senior Backend Engineer (Remote)',
+        description: '<p>Design APIs for our remote-first platform.</p>',
+        company: 'Northwind Labs',
+        location: 'Canada',
+        jobType: 'Full-Time',
+        category: 'Engineering',
+        tags: ['Engineering', 'nodejs'],
+        sourceFeed: FEED_URL,
+        sourceName: FEED_NAME,
+        isRemote: true,
+        experienceLevel: 'senior'
+      });
+      expect(jobs[0].pubDate.toISOString()).toBe('2024-10-15T12:00:00.000Z');
+    });
+
+    it('uses the alternate link href as the job URL', () => {
+      expect(jobs[0].url).toBe('https://partner.example.com/jobs/501?ref=atom&src=feed');
+      expect(jobs[1].url).toBe('https://partner.example.com/jobs/502');
+    });
+
+    it('falls back to summary and updated when content and published are absent', () => {
+      expect(jobs[1].description).toBe('Coordinate office operations at our Berlin site.');
+      expect(jobs[1].pubDate.toISOString()).toBe('2024-10-14T07:30:00.000Z');
+      expect(jobs[1].tags).toEqual([]);
+    });
+  });
+
+  describe('JSON Feed', () => {
+    let result;
+
+    beforeAll(async () => {
+      result = await xmlFeedService.parseFeed(readFixture('jsonfeed.json'), FEED_URL, FEED_NAME);
+    });
+
+    it('reports the json-feed format and every item', () => {
+      expect(result.format).toBe('json-feed');
+      expect(result.jobs).toHaveLength(2);
+    });
+
+    it('maps items and extension fields onto job fields', () => {
+      expect(result.jobs[0]).toMatchObject({
+        guid: 'job-9001',
+        title: 'Lead Product Designer',
+        description: '<p>Own the design system for a remote team.</p>',
+        company: 'Globex Design',
+        location: 'Remote - Europe',
+        jobType: 'Contract',
+        category: 'Design',
+        salary: '€60k - €80k per year',
+        url: 'https://jobs.example.org/jobs/9001',
+        tags: ['Design', 'UX'],
+        isRemote: true
+      });
+      expect(result.jobs[0].pubDate.toISOString()).toBe('2024-10-12T15:00:00.000Z');
+    });
+
+    it('supports external_url, content_text, date_modified and the 1.0 author field', () => {
+      expect(result.jobs[1]).toMatchObject({
+        url: 'https://careers.example.net/apply/9002',
+        description: 'Entry level analyst role in our London office.',
+        company: 'Initech',
+        experienceLevel: 'entry'
+      });
+      expect(result.jobs[1].pubDate.toISOString()).toBe('2024-10-11T09:00:00.000Z');
+    });
+  });
+
+  describe('parseStream', () => {
+    // Split a body into small pieces so elements straddle stream chunks
+    const streamOf = (body, size = 64) => {
+      const pieces = [];
+      for (let i = 0; i < body.length; i += size) {
+        pieces.push(body.slice(i, i + size));
+      }
+      return Readable.from(pieces);
+    };
+
+    const collect = async (body, options) => {
+      const chunks = [];
+      const result = await xmlFeedService.parseStream(streamOf(body), FEED_URL, FEED_NAME, async (jobs) => {
+        chunks.push(jobs);
+      }, options);
+      return { result, chunks };
+    };
+
+    it.each(['jobicy.xml', 'higheredjobs.xml', 'atom.xml'])('yields the same jobs as the buffered parser for %s', async (fixture) => {
+      const body = readFixture(fixture);
+      const buffered = await xmlFeedService.parseFeed(body, FEED_URL, FEED_NAME);
+      const { result, chunks } = await collect(body, { chunkSize: 100 });
+
+      expect(result.format).toBe(buffered.format);
+      expect(result.totalFetched).toBe(buffered.jobs.length);
+      expect(chunks.flat()).toEqual(buffered.jobs);
+    });
+
+    it('applies the field mapping like the buffered parser', async () => {
+      const body = readFixture('jobicy.xml');
+      const fieldMapping = { salary: { path: 'description', transforms: [{ type: 'regex', pattern: 'our ([a-z]+)' }] } };
+      const buffered = await xmlFeedService.parseFeed(body, FEED_URL, FEED_NAME, fieldMapping);
+      const { chunks } = await collect(body, { fieldMapping });
+
+      expect(chunks.flat().map(job => job.salary)).toEqual(['analytics', 'social', 'customer']);
+      expect(chunks.flat()).toEqual(buffered.jobs);
+    });
+
+    it('hands jobs over in chunks of chunkSize', async () => {
+      const items = Array.from({ length: 25 }, (_, i) => `<item><guid>job-${i}</guid><title>Job ${i}</title></item>`).join('');
+      const { result, chunks } = await collect(`<rss><channel>${items}</channel></rss>`, { chunkSize: 10 });
+
+      expect(result).toEqual({ totalFetched: 25, chunks: 3, format: 'rss' });
+      expect(chunks.map(chunk => chunk.length)).toEqual([10, 10, 5]);
+      expect(chunks[2][4].guid).toBe('job-24');
+    });
+
+    it('waits for each chunk to be handled before handing over the next', async () => {
+      const items = Array.from({ length: 50 }, (_, i) => `<item><guid>job-${i}</guid><title>Job ${i}</title></item>`).join('');
+      let active = 0;
+      let maxActive = 0;
+
+      const result = await xmlFeedService.parseStream(streamOf(`<rss><channel>${items}</channel></rss>`), FEED_URL, FEED_NAME, async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active--;
+      }, { chunkSize: 5 });
+
+      expect(result.chunks).toBe(10);
+      expect(maxActive).toBe(1);
+    });
+
+    it('rejects when a chunk handler fails', async () => {
+      const onChunk = jest.fn().mockRejectedValue(new Error('queue unavailable'));
+      await expect(xmlFeedService.parseStream(streamOf(readFixture('jobicy.xml')), FEED_URL, FEED_NAME, onChunk, { chunkSize: 1 }))
+        .rejects.toThrow('queue unavailable');
+      expect(onChunk).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects JSON feeds', async () => {
+      await expect(collect(readFixture('jsonfeed.json'))).rejects.toThrow('only supports XML feeds');
+    });
+
+    it('rejects and destroys a stream that stalls mid-body', async () => {
+      const stream = new PassThrough();
+      stream.write('<rss><channel><item><guid>job-1</guid><title>Job 1</title></item><item><gu');
+
+      await expect(xmlFeedService.parseStream(stream, FEED_URL, FEED_NAME, jest.fn(), { idleTimeout: 50 }))
+        .rejects.toThrow('Feed stream stalled: no data for 50ms');
+      expect(stream.destroyed).toBe(true);
+    });
+
+    it('does not count the time spent handling a chunk as idle', async () => {
+      const items = Array.from({ length: 4 }, (_, i) => `<item><guid>job-${i}</guid><title>Job ${i}</title></item>`).join('');
+
+      const result = await xmlFeedService.parseStream(streamOf(`<rss><channel>${items}</channel></rss>`), FEED_URL, FEED_NAME, async () => {
+        await new Promise(resolve => setTimeout(resolve, 80));
+      }, { chunkSize: 2, idleTimeout: 50 });
+
+      expect(result).toEqual({ totalFetched: 4, chunks: 2, format: 'rss' });
+    });
+  });
+
+  describe('conditional fetching', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('sends the cached validators as conditional request headers', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 200,
+        data: readFixture('jobicy.xml'),
+        headers: { etag: '"v2"', 'last-modified': 'Wed, 16 Oct 2024 10:00:00 GMT' }
+      });
+
+      const result = await xmlFeedService.fetchFeed(FEED_URL, FEED_NAME, {
+        etag: '"v1"',
+        lastModified: 'Tue, 15 Oct 2024 10:00:00 GMT'
+      });
+
+      expect(get.mock.calls[0][1].headers).toMatchObject({
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Tue, 15 Oct 2024 10:00:00 GMT'
+      });
+      expect(result.jobs).toHaveLength(3);
+      expect(result.cache).toEqual({ etag: '"v2"', lastModified: 'Wed, 16 Oct 2024 10:00:00 GMT' });
+    });
+
+    it('omits conditional headers when nothing is cached', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, data: readFixture('jobicy.xml'), headers: {} });
+
+      const result = await xmlFeedService.fetchFeed(FEED_URL, FEED_NAME);
+
+      expect(get.mock.calls[0][1].headers).not.toHaveProperty('If-None-Match');
+      expect(get.mock.calls[0][1].headers).not.toHaveProperty('If-Modified-Since');
+      expect(result.cache).toEqual({ etag: null, lastModified: null });
+    });
+
+    it('returns no jobs for a 304 and keeps the previous validators', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, data: '', headers: {} });
+
+      const result = await xmlFeedService.fetchFeed(FEED_URL, FEED_NAME, { etag: '"v1"' });
+
+      expect(result).toMatchObject({
+        jobs: [],
+        totalFetched: 0,
+        success: true,
+        notModified: true,
+        cache: { etag: '"v1"', lastModified: null }
+      });
+    });
+
+    it('returns no chunks for a 304 in streaming mode', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, data: Readable.from([]), headers: { etag: '"v1"' } });
+      const onChunk = jest.fn();
+
+      const result = await xmlFeedService.streamFeed(FEED_URL, FEED_NAME, onChunk, { cache: { etag: '"v1"' } });
+
+      expect(result).toMatchObject({ totalFetched: 0, chunks: 0, notModified: true, cache: { etag: '"v1"' } });
+      expect(onChunk).not.toHaveBeenCalled();
+    });
+  });
+});